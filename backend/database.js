@@ -30,7 +30,85 @@ function initialize() {
           total_pieces INTEGER NOT NULL,
           mime_type TEXT,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          file_path TEXT NOT NULL
+          file_path TEXT NOT NULL,
+          expires_at INTEGER,
+          max_downloads INTEGER,
+          download_count INTEGER DEFAULT 0,
+          password_hash TEXT,
+          owner_id TEXT,
+          upload_secret_hash TEXT,
+          content_hash TEXT,
+          merkle_root TEXT,
+          encrypted INTEGER DEFAULT 0,
+          encrypted_metadata TEXT
+        )
+      `);
+      
+      // Columns added after the initial schema (existing databases)
+      addColumn(database, 'files', 'expires_at INTEGER');
+      addColumn(database, 'files', 'max_downloads INTEGER');
+      addColumn(database, 'files', 'download_count INTEGER DEFAULT 0');
+      addColumn(database, 'files', 'password_hash TEXT');
+      addColumn(database, 'files', 'owner_id TEXT');
+      addColumn(database, 'files', 'upload_secret_hash TEXT');
+      addColumn(database, 'files', 'content_hash TEXT');
+      addColumn(database, 'files', 'merkle_root TEXT');
+      addColumn(database, 'files', 'encrypted INTEGER DEFAULT 0');
+      addColumn(database, 'files', 'encrypted_metadata TEXT');
+      
+      // Content-addressed blobs: finished uploads with identical content share one
+      // file on disk, keyed by its SHA-256 and reference-counted by files rows
+      database.run(`
+        CREATE TABLE IF NOT EXISTS blobs (
+          hash TEXT PRIMARY KEY,
+          size INTEGER NOT NULL,
+          file_path TEXT NOT NULL,
+          ref_count INTEGER NOT NULL DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // BitTorrent metadata generated for a file (bencoded info dictionary and v2 piece
+      // layers), kept so the expensive hashing only happens once per file
+      database.run(`
+        CREATE TABLE IF NOT EXISTS torrents (
+          file_id TEXT PRIMARY KEY,
+          info_hash TEXT NOT NULL,
+          info_hash_v2 TEXT NOT NULL,
+          info BLOB NOT NULL,
+          piece_layers BLOB,
+          is_private INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (file_id) REFERENCES files(id)
+        )
+      `);
+      
+      addColumn(database, 'torrents', 'is_private INTEGER DEFAULT 0');
+      
+      // Folder shares: a directory uploaded as individual files, shared and downloaded
+      // together. Share settings work like a file's (expiry, download limit, password).
+      database.run(`
+        CREATE TABLE IF NOT EXISTS collections (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          owner_id TEXT,
+          expires_at INTEGER,
+          max_downloads INTEGER,
+          download_count INTEGER DEFAULT 0,
+          password_hash TEXT,
+          upload_secret_hash TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Files of a collection, with their path inside the folder (e.g. "docs/a.txt")
+      database.run(`
+        CREATE TABLE IF NOT EXISTS collection_files (
+          collection_id TEXT NOT NULL,
+          file_id TEXT NOT NULL UNIQUE,
+          relative_path TEXT NOT NULL,
+          FOREIGN KEY (collection_id) REFERENCES collections(id),
+          FOREIGN KEY (file_id) REFERENCES files(id)
         )
       `);
       
@@ -49,24 +127,109 @@ function initialize() {
         )
       `);
       
+      // Users table
+      database.run(`
+        CREATE TABLE IF NOT EXISTS users (
+          id TEXT PRIMARY KEY,
+          username TEXT NOT NULL UNIQUE,
+          password_hash TEXT NOT NULL,
+          quota INTEGER,
+          role TEXT DEFAULT 'user',
+          disabled INTEGER DEFAULT 0,
+          oidc_subject TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      addColumn(database, 'users', "role TEXT DEFAULT 'user'");
+      addColumn(database, 'users', 'disabled INTEGER DEFAULT 0');
+      addColumn(database, 'users', 'oidc_subject TEXT');
+      
+      // Login sessions, keyed by the JWT's jti claim
+      database.run(`
+        CREATE TABLE IF NOT EXISTS sessions (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL,
+          ip TEXT,
+          user_agent TEXT,
+          created_at INTEGER NOT NULL,
+          last_seen_at INTEGER NOT NULL,
+          expires_at INTEGER NOT NULL,
+          revoked_at INTEGER,
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `);
+      
+      // Auth audit log (logins, lockouts, logouts)
+      database.run(`
+        CREATE TABLE IF NOT EXISTS auth_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          event TEXT NOT NULL,
+          username TEXT,
+          user_id TEXT,
+          ip TEXT,
+          user_agent TEXT,
+          detail TEXT,
+          created_at INTEGER NOT NULL
+        )
+      `);
+      
+      // Personal API tokens (only the SHA-256 hash of the token is stored)
+      database.run(`
+        CREATE TABLE IF NOT EXISTS api_tokens (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL,
+          name TEXT,
+          token_hash TEXT NOT NULL UNIQUE,
+          scopes TEXT NOT NULL,
+          expires_at INTEGER,
+          last_used_at INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `);
+      
       // Create indexes
       database.run(`CREATE INDEX IF NOT EXISTS idx_pieces_file_id ON pieces(file_id)`);
       database.run(`CREATE INDEX IF NOT EXISTS idx_pieces_complete ON pieces(file_id, is_complete)`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_pieces_hash ON pieces(hash)`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_files_expires_at ON files(expires_at)`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_files_owner_id ON files(owner_id)`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_files_content_hash ON files(content_hash)`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_torrents_info_hash ON torrents(info_hash)`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_torrents_info_hash_v2 ON torrents(info_hash_v2)`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id)`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)`);
+      database.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc_subject ON users(oidc_subject)`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_auth_events_created_at ON auth_events(created_at)`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_collection_files_collection_id ON collection_files(collection_id)`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_collections_owner_id ON collections(owner_id)`);
       
       resolve();
     });
   });
 }
 
+/**
+ * Add a column to an existing table, ignoring the error if it already exists
+ */
+function addColumn(database, table, columnDef) {
+  database.run(`ALTER TABLE ${table} ADD COLUMN ${columnDef}`, (err) => {
+    if (err && !/duplicate column name/i.test(err.message)) {
+      console.error(`Error adding column to ${table}:`, err);
+    }
+  });
+}
+
 function createFile(fileData) {
   return new Promise((resolve, reject) => {
     const database = getDB();
-    const { id, filename, originalFilename, size, pieceSize, totalPieces, mimeType, filePath } = fileData;
+    const { id, filename, originalFilename, size, pieceSize, totalPieces, mimeType, filePath, expiresAt, maxDownloads, passwordHash, ownerId, uploadSecretHash, encryptedMetadata } = fileData;
     
     database.run(
-      `INSERT INTO files (id, filename, original_filename, size, piece_size, total_pieces, mime_type, file_path)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [id, filename, originalFilename, size, pieceSize, totalPieces, mimeType, filePath],
+      `INSERT INTO files (id, filename, original_filename, size, piece_size, total_pieces, mime_type, file_path, expires_at, max_downloads, password_hash, owner_id, upload_secret_hash, encrypted, encrypted_metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, filename, originalFilename, size, pieceSize, totalPieces, mimeType, filePath, expiresAt || null, maxDownloads || null, passwordHash || null, ownerId || null, uploadSecretHash || null, encryptedMetadata ? 1 : 0, encryptedMetadata || null],
       function(err) {
         if (err) reject(err);
         else resolve(this.lastID);
@@ -172,12 +335,47 @@ function updatePieceHash(fileId, pieceIndex, hash) {
   });
 }
 
-function getAllFiles() {
+/**
+ * Drop piece entries past the end of a file and fix the size of its last piece
+ * (uploads of unknown size start out with pieces for an estimated size)
+ */
+function trimPieces(fileId, size, pieceSize) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    const totalPieces = Math.ceil(size / pieceSize);
+    database.serialize(() => {
+      database.run(
+        `DELETE FROM pieces WHERE file_id = ? AND piece_index >= ?`,
+        [fileId, totalPieces]
+      );
+      database.run(
+        `UPDATE pieces SET size = ? - offset WHERE file_id = ? AND piece_index = ?`,
+        [size, fileId, totalPieces - 1],
+        (err) => {
+          if (err) reject(err);
+          else resolve(totalPieces);
+        }
+      );
+    });
+  });
+}
+
+/**
+ * Files owned by a user, or anonymous uploads when ownerId is null
+ */
+function getAllFiles(ownerId) {
   return new Promise((resolve, reject) => {
     const database = getDB();
     database.all(
-      `SELECT id, filename, original_filename, size, piece_size, total_pieces, mime_type, created_at
-       FROM files ORDER BY created_at DESC`,
+      `SELECT f.id, f.filename, f.original_filename, f.size, f.piece_size, f.total_pieces, f.mime_type, f.created_at,
+              f.expires_at, f.max_downloads, f.download_count, f.password_hash IS NOT NULL AS is_protected,
+              f.encrypted AS is_encrypted, f.encrypted_metadata,
+              cf.collection_id, cf.relative_path, c.name AS collection_name
+       FROM files f
+       LEFT JOIN collection_files cf ON cf.file_id = f.id
+       LEFT JOIN collections c ON c.id = cf.collection_id
+       WHERE f.owner_id IS ? ORDER BY f.created_at DESC`,
+      [ownerId],
       (err, rows) => {
         if (err) reject(err);
         else resolve(rows || []);
@@ -190,6 +388,15 @@ function deleteFile(id) {
   return new Promise((resolve, reject) => {
     const database = getDB();
     database.serialize(() => {
+      database.run(`DELETE FROM torrents WHERE file_id = ?`, [id]);
+      // A folder share goes away with its last file
+      database.run(
+        `DELETE FROM collections
+         WHERE id = (SELECT collection_id FROM collection_files WHERE file_id = ?)
+           AND (SELECT COUNT(*) FROM collection_files WHERE collection_id = collections.id) = 1`,
+        [id]
+      );
+      database.run(`DELETE FROM collection_files WHERE file_id = ?`, [id]);
       database.run(`DELETE FROM pieces WHERE file_id = ?`, [id], (err) => {
         if (err) return reject(err);
         database.run(`DELETE FROM files WHERE id = ?`, [id], (err) => {
@@ -201,24 +408,39 @@ function deleteFile(id) {
   });
 }
 
-function getTotalStorageUsed() {
+/**
+ * Get storage used, overall or only for files owned by ownerId if given
+ * Returns { logical, physical }: logical is the sum of file sizes, physical counts
+ * deduplicated content once (blobs shared by several files)
+ */
+function getTotalStorageUsed(ownerId) {
   return new Promise((resolve, reject) => {
     const database = getDB();
+    const scoped = ownerId !== undefined;
+    const ownerFilter = scoped ? 'AND owner_id = ?' : '';
+    const params = scoped ? [ownerId, ownerId, ownerId] : [];
     database.get(
-      `SELECT COALESCE(SUM(size), 0) as total FROM files`,
+      `SELECT
+         (SELECT COALESCE(SUM(size), 0) FROM files WHERE 1 = 1 ${ownerFilter}) AS logical,
+         (SELECT COALESCE(SUM(size), 0) FROM files WHERE content_hash IS NULL ${ownerFilter})
+         + (SELECT COALESCE(SUM(size), 0) FROM blobs
+            WHERE hash IN (SELECT content_hash FROM files WHERE content_hash IS NOT NULL ${ownerFilter})) AS physical`,
+      params,
       (err, row) => {
         if (err) reject(err);
-        else resolve(row ? row.total : 0);
+        else resolve({ logical: row ? row.logical : 0, physical: row ? row.physical : 0 });
       }
     );
   });
 }
 
-function getFileCount() {
+function getFileCount(ownerId) {
   return new Promise((resolve, reject) => {
     const database = getDB();
+    const where = ownerId !== undefined ? 'WHERE owner_id = ?' : '';
     database.get(
-      `SELECT COUNT(*) as count FROM files`,
+      `SELECT COUNT(*) as count FROM files ${where}`,
+      ownerId !== undefined ? [ownerId] : [],
       (err, row) => {
         if (err) reject(err);
         else resolve(row ? row.count : 0);
@@ -245,6 +467,30 @@ function updateFile(fileId, updates) {
       fields.push('total_pieces = ?');
       values.push(updates.totalPieces);
     }
+    if (updates.expiresAt !== undefined) {
+      fields.push('expires_at = ?');
+      values.push(updates.expiresAt);
+    }
+    if (updates.maxDownloads !== undefined) {
+      fields.push('max_downloads = ?');
+      values.push(updates.maxDownloads);
+    }
+    if (updates.passwordHash !== undefined) {
+      fields.push('password_hash = ?');
+      values.push(updates.passwordHash);
+    }
+    if (updates.filePath !== undefined) {
+      fields.push('file_path = ?');
+      values.push(updates.filePath);
+    }
+    if (updates.contentHash !== undefined) {
+      fields.push('content_hash = ?');
+      values.push(updates.contentHash);
+    }
+    if (updates.merkleRoot !== undefined) {
+      fields.push('merkle_root = ?');
+      values.push(updates.merkleRoot);
+    }
     
     if (fields.length === 0) {
       return resolve(0);
@@ -260,6 +506,900 @@ function updateFile(fileId, updates) {
   });
 }
 
+/**
+ * Count a download against the file's limit.
+ * Resolves false if the file has already reached max_downloads.
+ */
+function incrementDownloadCount(fileId) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.run(
+      `UPDATE files SET download_count = download_count + 1
+       WHERE id = ? AND (max_downloads IS NULL OR download_count < max_downloads)`,
+      [fileId],
+      function(err) {
+        if (err) reject(err);
+        else resolve(this.changes > 0);
+      }
+    );
+  });
+}
+
+/**
+ * Count one download of each file against its limit, all or none in a single statement.
+ * Resolves false, counting nothing, if any of them has already reached max_downloads.
+ */
+function incrementDownloadCounts(fileIds) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    const placeholders = fileIds.map(() => '?').join(', ');
+    database.run(
+      `UPDATE files SET download_count = download_count + 1
+       WHERE id IN (${placeholders}) AND NOT EXISTS (
+         SELECT 1 FROM files
+         WHERE id IN (${placeholders}) AND max_downloads IS NOT NULL AND download_count >= max_downloads
+       )`,
+      [...fileIds, ...fileIds],
+      function(err) {
+        if (err) reject(err);
+        else resolve(this.changes > 0);
+      }
+    );
+  });
+}
+
+/**
+ * Get files that are past their expiry time or out of downloads
+ */
+function getExpiredFiles(now = Date.now()) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.all(
+      `SELECT * FROM files
+       WHERE (expires_at IS NOT NULL AND expires_at <= ?)
+          OR (max_downloads IS NOT NULL AND download_count >= max_downloads)`,
+      [now],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      }
+    );
+  });
+}
+
+/**
+ * Files with pieces still missing (unfinished or abandoned uploads)
+ * Pieces past the file's size are ignored: multipart uploads create pieces for an
+ * estimated size and shrink the file to the real size when they finish.
+ */
+function getIncompleteFiles() {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.all(
+      `SELECT * FROM files f
+       WHERE EXISTS (
+         SELECT 1 FROM pieces p
+         WHERE p.file_id = f.id AND p.is_complete = 0 AND p.offset < f.size
+       )`,
+      [],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      }
+    );
+  });
+}
+
+/**
+ * Minimal record of every file (for reconciling the uploads directory)
+ */
+function getAllFileRecords() {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.all(
+      `SELECT id, filename, original_filename, file_path, size, owner_id, content_hash, created_at FROM files`,
+      [],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      }
+    );
+  });
+}
+
+function getBlob(hash) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.get(
+      `SELECT * FROM blobs WHERE hash = ?`,
+      [hash],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      }
+    );
+  });
+}
+
+function createBlob({ hash, size, filePath, refCount = 1 }) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.run(
+      `INSERT INTO blobs (hash, size, file_path, ref_count) VALUES (?, ?, ?, ?)`,
+      [hash, size, filePath, refCount],
+      function(err) {
+        if (err) reject(err);
+        else resolve(hash);
+      }
+    );
+  });
+}
+
+/**
+ * Adjust a blob's reference count and return the new count
+ */
+function updateBlobRefs(hash, delta) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.run(
+      `UPDATE blobs SET ref_count = MAX(0, ref_count + ?) WHERE hash = ?`,
+      [delta, hash],
+      (err) => {
+        if (err) return reject(err);
+        database.get(`SELECT ref_count FROM blobs WHERE hash = ?`, [hash], (err, row) => {
+          if (err) reject(err);
+          else resolve(row ? row.ref_count : 0);
+        });
+      }
+    );
+  });
+}
+
+function setBlobRefs(hash, refCount) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.run(
+      `UPDATE blobs SET ref_count = ? WHERE hash = ?`,
+      [refCount, hash],
+      function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+}
+
+function deleteBlob(hash) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.run(
+      `DELETE FROM blobs WHERE hash = ?`,
+      [hash],
+      function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+}
+
+/**
+ * Every blob with its stored reference count and the number of files actually using it
+ */
+function getBlobsWithReferences() {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.all(
+      `SELECT b.*, (SELECT COUNT(*) FROM files f WHERE f.content_hash = b.hash) AS references_found
+       FROM blobs b`,
+      [],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      }
+    );
+  });
+}
+
+function countBlobReferences(hash) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.get(
+      `SELECT COUNT(*) AS count FROM files WHERE content_hash = ?`,
+      [hash],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row ? row.count : 0);
+      }
+    );
+  });
+}
+
+/**
+ * Stored files (deduplicated, so complete) an uploader may reuse whose size, piece size
+ * and first piece match - candidates for a whole-file match against a piece manifest.
+ * Anonymous uploaders only see unprotected anonymous files.
+ */
+function findStoredFileCandidates({ ownerId, size, pieceSize, firstPieceHash }) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.all(
+      `SELECT f.* FROM files f
+       JOIN pieces p ON p.file_id = f.id AND p.piece_index = 0
+       WHERE f.content_hash IS NOT NULL AND f.size = ? AND f.piece_size = ? AND p.hash = ?
+         AND f.owner_id IS ? AND (f.owner_id IS NOT NULL OR f.password_hash IS NULL)`,
+      [size, pieceSize, firstPieceHash, ownerId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      }
+    );
+  });
+}
+
+/**
+ * One complete piece (with the path of the file holding it) for each of the given
+ * hashes found in files the uploader may reuse (same scoping as findStoredFileCandidates)
+ */
+function findCompletePiecesByHash(hashes, ownerId) {
+  return new Promise((resolve, reject) => {
+    if (hashes.length === 0) {
+      return resolve([]);
+    }
+    const database = getDB();
+    const placeholders = hashes.map(() => '?').join(', ');
+    database.all(
+      `SELECT p.hash, p.size, p.offset, f.file_path FROM pieces p
+       JOIN files f ON f.id = p.file_id
+       WHERE p.hash IN (${placeholders}) AND p.is_complete = 1
+         AND f.owner_id IS ? AND (f.owner_id IS NOT NULL OR f.password_hash IS NULL)
+       GROUP BY p.hash`,
+      [...hashes, ownerId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      }
+    );
+  });
+}
+
+function getTorrentByFileId(fileId) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.get(
+      `SELECT * FROM torrents WHERE file_id = ?`,
+      [fileId],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      }
+    );
+  });
+}
+
+/**
+ * Look up a torrent by its v1 (SHA-1) or v2 (SHA-256) info hash, in hex
+ * (v2 clients announce the v2 hash truncated to 20 bytes, which also matches)
+ */
+function getTorrentByInfoHash(infoHash) {
+  // A truncated v2 hash is matched as a prefix range, so the lookup can use the v2 index
+  // (other lengths get an empty range)
+  const prefixEnd = infoHash.length === 40 ? `${infoHash}g` : infoHash;
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.get(
+      `SELECT * FROM torrents WHERE info_hash = ? OR info_hash_v2 = ? OR (info_hash_v2 > ? AND info_hash_v2 < ?)`,
+      [infoHash, infoHash, infoHash, prefixEnd],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      }
+    );
+  });
+}
+
+function saveTorrent({ fileId, infoHash, infoHashV2, info, pieceLayers, isPrivate }) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.run(
+      `INSERT OR REPLACE INTO torrents (file_id, info_hash, info_hash_v2, info, piece_layers, is_private)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [fileId, infoHash, infoHashV2, info, pieceLayers, isPrivate ? 1 : 0],
+      function(err) {
+        if (err) reject(err);
+        else resolve(fileId);
+      }
+    );
+  });
+}
+
+function createUser(userData) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    const { id, username, passwordHash, quota, role, oidcSubject } = userData;
+    
+    database.run(
+      `INSERT INTO users (id, username, password_hash, quota, role, oidc_subject) VALUES (?, ?, ?, ?, ?, ?)`,
+      [id, username, passwordHash, quota || null, role || 'user', oidcSubject || null],
+      function(err) {
+        if (err) reject(err);
+        else resolve(id);
+      }
+    );
+  });
+}
+
+function getUserById(id) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.get(
+      `SELECT * FROM users WHERE id = ?`,
+      [id],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      }
+    );
+  });
+}
+
+function getUserByUsername(username) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.get(
+      `SELECT * FROM users WHERE username = ?`,
+      [username],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      }
+    );
+  });
+}
+
+/**
+ * Find the user linked to an OpenID Connect identity ("<issuer>|<sub>")
+ */
+function getUserByOidcSubject(oidcSubject) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.get(
+      `SELECT * FROM users WHERE oidc_subject = ?`,
+      [oidcSubject],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      }
+    );
+  });
+}
+
+function getUserCount() {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.get(
+      `SELECT COUNT(*) as count FROM users`,
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row ? row.count : 0);
+      }
+    );
+  });
+}
+
+/**
+ * List all users with their file count and storage usage
+ */
+function getAllUsers() {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.all(
+      `SELECT u.id, u.username, u.quota, u.role, u.disabled, u.created_at,
+              COUNT(f.id) as file_count, COALESCE(SUM(f.size), 0) as storage_used
+       FROM users u LEFT JOIN files f ON f.owner_id = u.id
+       GROUP BY u.id ORDER BY u.created_at ASC`,
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      }
+    );
+  });
+}
+
+function updateUser(userId, updates) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    const fields = [];
+    const values = [];
+    
+    if (updates.passwordHash !== undefined) {
+      fields.push('password_hash = ?');
+      values.push(updates.passwordHash);
+    }
+    if (updates.quota !== undefined) {
+      fields.push('quota = ?');
+      values.push(updates.quota);
+    }
+    if (updates.role !== undefined) {
+      fields.push('role = ?');
+      values.push(updates.role);
+    }
+    if (updates.disabled !== undefined) {
+      fields.push('disabled = ?');
+      values.push(updates.disabled ? 1 : 0);
+    }
+    if (updates.oidcSubject !== undefined) {
+      fields.push('oidc_subject = ?');
+      values.push(updates.oidcSubject);
+    }
+    
+    if (fields.length === 0) {
+      resolve();
+      return;
+    }
+    
+    values.push(userId);
+    database.run(
+      `UPDATE users SET ${fields.join(', ')} WHERE id = ?`,
+      values,
+      function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+}
+
+function getAdminCount() {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.get(
+      `SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND disabled = 0`,
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row ? row.count : 0);
+      }
+    );
+  });
+}
+
+function createApiToken(tokenData) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    const { id, userId, name, tokenHash, scopes, expiresAt } = tokenData;
+    
+    database.run(
+      `INSERT INTO api_tokens (id, user_id, name, token_hash, scopes, expires_at) VALUES (?, ?, ?, ?, ?, ?)`,
+      [id, userId, name || null, tokenHash, scopes.join(','), expiresAt || null],
+      function(err) {
+        if (err) reject(err);
+        else resolve(id);
+      }
+    );
+  });
+}
+
+function getApiTokenByHash(tokenHash) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.get(
+      `SELECT * FROM api_tokens WHERE token_hash = ?`,
+      [tokenHash],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      }
+    );
+  });
+}
+
+function getApiTokenById(id) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.get(
+      `SELECT * FROM api_tokens WHERE id = ?`,
+      [id],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      }
+    );
+  });
+}
+
+function getApiTokensByUser(userId) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.all(
+      `SELECT id, name, scopes, expires_at, last_used_at, created_at
+       FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC`,
+      [userId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      }
+    );
+  });
+}
+
+/**
+ * Revoke one of a user's API tokens
+ * Resolves the number of tokens removed (0 if it belongs to someone else)
+ */
+function deleteApiToken(id, userId) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.run(
+      `DELETE FROM api_tokens WHERE id = ? AND user_id = ?`,
+      [id, userId],
+      function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+}
+
+function touchApiToken(id) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.run(
+      `UPDATE api_tokens SET last_used_at = ? WHERE id = ?`,
+      [Date.now(), id],
+      (err) => {
+        if (err) reject(err);
+        else resolve();
+      }
+    );
+  });
+}
+
+function createSession(sessionData) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    const { id, userId, ip, userAgent, expiresAt } = sessionData;
+    const now = Date.now();
+    
+    database.run(
+      `INSERT INTO sessions (id, user_id, ip, user_agent, created_at, last_seen_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, userId, ip || null, userAgent || null, now, now, expiresAt],
+      function(err) {
+        if (err) reject(err);
+        else resolve(id);
+      }
+    );
+  });
+}
+
+function getSessionById(id) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.get(
+      `SELECT * FROM sessions WHERE id = ?`,
+      [id],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      }
+    );
+  });
+}
+
+/**
+ * Sessions that are neither revoked nor expired
+ */
+function getActiveSessionsByUser(userId) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.all(
+      `SELECT id, ip, user_agent, created_at, last_seen_at, expires_at FROM sessions
+       WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+       ORDER BY last_seen_at DESC`,
+      [userId, Date.now()],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      }
+    );
+  });
+}
+
+function touchSession(id, ip, userAgent) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.run(
+      `UPDATE sessions SET last_seen_at = ?, ip = COALESCE(?, ip), user_agent = COALESCE(?, user_agent) WHERE id = ?`,
+      [Date.now(), ip || null, userAgent || null, id],
+      (err) => {
+        if (err) reject(err);
+        else resolve();
+      }
+    );
+  });
+}
+
+/**
+ * Revoke one of a user's sessions
+ * Resolves the number of sessions revoked
+ */
+function revokeSession(id, userId) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.run(
+      `UPDATE sessions SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+      [Date.now(), id, userId],
+      function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+}
+
+function revokeUserSessions(userId) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.run(
+      `UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL`,
+      [Date.now(), userId],
+      function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+}
+
+/**
+ * Remove expired session rows (revoked ones are kept until they expire)
+ */
+function deleteExpiredSessions(now = Date.now()) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.run(
+      `DELETE FROM sessions WHERE expires_at <= ?`,
+      [now],
+      function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+}
+
+function createAuthEvent(eventData) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    const { event, username, userId, ip, userAgent, detail } = eventData;
+    
+    database.run(
+      `INSERT INTO auth_events (event, username, user_id, ip, user_agent, detail, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [event, username || null, userId || null, ip || null, userAgent || null, detail || null, Date.now()],
+      function(err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      }
+    );
+  });
+}
+
+/**
+ * Read the auth audit log, newest first
+ * Filters: event, username, ip, before (event id, for paging); limit defaults to 100
+ */
+function getAuthEvents(filters = {}) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    const conditions = [];
+    const values = [];
+    
+    if (filters.event) {
+      conditions.push('event = ?');
+      values.push(filters.event);
+    }
+    if (filters.username) {
+      conditions.push('username = ?');
+      values.push(filters.username);
+    }
+    if (filters.ip) {
+      conditions.push('ip = ?');
+      values.push(filters.ip);
+    }
+    if (filters.before) {
+      conditions.push('id < ?');
+      values.push(filters.before);
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    values.push(filters.limit || 100);
+    
+    database.all(
+      `SELECT * FROM auth_events ${where} ORDER BY id DESC LIMIT ?`,
+      values,
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      }
+    );
+  });
+}
+
+/**
+ * Give files uploaded before user accounts existed to an owner
+ */
+function createCollection(collectionData) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    const { id, name, ownerId, expiresAt, maxDownloads, passwordHash, uploadSecretHash } = collectionData;
+    
+    database.run(
+      `INSERT INTO collections (id, name, owner_id, expires_at, max_downloads, password_hash, upload_secret_hash)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, name, ownerId || null, expiresAt || null, maxDownloads || null, passwordHash || null, uploadSecretHash || null],
+      function(err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      }
+    );
+  });
+}
+
+function getCollectionById(id) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.get(
+      `SELECT * FROM collections WHERE id = ?`,
+      [id],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      }
+    );
+  });
+}
+
+function addCollectionFile(collectionId, fileId, relativePath) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.run(
+      `INSERT INTO collection_files (collection_id, file_id, relative_path) VALUES (?, ?, ?)`,
+      [collectionId, fileId, relativePath],
+      function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+}
+
+/**
+ * Files of a collection (full files rows plus relative_path, and missing_pieces: pieces
+ * still to be uploaded), sorted by path
+ */
+function getCollectionFiles(collectionId) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.all(
+      `SELECT f.*, cf.relative_path,
+              (SELECT COUNT(*) FROM pieces p
+               WHERE p.file_id = f.id AND p.is_complete = 0 AND p.offset < f.size) AS missing_pieces
+       FROM collection_files cf
+       JOIN files f ON f.id = cf.file_id
+       WHERE cf.collection_id = ?
+       ORDER BY cf.relative_path`,
+      [collectionId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      }
+    );
+  });
+}
+
+function getFileCollectionId(fileId) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.get(
+      `SELECT collection_id FROM collection_files WHERE file_id = ?`,
+      [fileId],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row ? row.collection_id : null);
+      }
+    );
+  });
+}
+
+/**
+ * Count a download of a whole collection against its limit.
+ * Resolves false if the collection has already reached max_downloads.
+ */
+function incrementCollectionDownloadCount(collectionId) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.run(
+      `UPDATE collections SET download_count = download_count + 1
+       WHERE id = ? AND (max_downloads IS NULL OR download_count < max_downloads)`,
+      [collectionId],
+      function(err) {
+        if (err) reject(err);
+        else resolve(this.changes > 0);
+      }
+    );
+  });
+}
+
+/**
+ * Get collections that are past their expiry time or out of downloads
+ */
+function getExpiredCollections(now = Date.now()) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.all(
+      `SELECT * FROM collections
+       WHERE (expires_at IS NOT NULL AND expires_at <= ?)
+          OR (max_downloads IS NOT NULL AND download_count >= max_downloads)`,
+      [now],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      }
+    );
+  });
+}
+
+/**
+ * Delete a collection row (its files are deleted separately)
+ */
+function deleteCollection(id) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.serialize(() => {
+      database.run(`DELETE FROM collection_files WHERE collection_id = ?`, [id]);
+      database.run(`DELETE FROM collections WHERE id = ?`, [id], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  });
+}
+
+/**
+ * Delete folder shares that got no files within a day of being created (abandoned uploads)
+ */
+function deleteEmptyCollections() {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.run(
+      `DELETE FROM collections
+       WHERE created_at <= datetime('now', '-1 day')
+         AND NOT EXISTS (SELECT 1 FROM collection_files cf WHERE cf.collection_id = collections.id)`,
+      [],
+      function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+}
+
+function assignUnownedFiles(ownerId) {
+  return new Promise((resolve, reject) => {
+    const database = getDB();
+    database.run(`UPDATE collections SET owner_id = ? WHERE owner_id IS NULL`, [ownerId]);
+    database.run(
+      `UPDATE files SET owner_id = ? WHERE owner_id IS NULL`,
+      [ownerId],
+      function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+}
+
 module.exports = {
   initialize,
   createFile,
@@ -268,10 +1408,61 @@ module.exports = {
   getPiecesByFileId,
   updatePieceComplete,
   updatePieceHash,
+  trimPieces,
   getAllFiles,
   deleteFile,
   getTotalStorageUsed,
   getFileCount,
-  updateFile
+  updateFile,
+  incrementDownloadCount,
+  incrementDownloadCounts,
+  getExpiredFiles,
+  getIncompleteFiles,
+  getAllFileRecords,
+  getBlob,
+  createBlob,
+  updateBlobRefs,
+  setBlobRefs,
+  deleteBlob,
+  getBlobsWithReferences,
+  countBlobReferences,
+  findStoredFileCandidates,
+  findCompletePiecesByHash,
+  getTorrentByFileId,
+  getTorrentByInfoHash,
+  saveTorrent,
+  createUser,
+  getUserById,
+  getUserByUsername,
+  getUserByOidcSubject,
+  getUserCount,
+  getAllUsers,
+  updateUser,
+  getAdminCount,
+  assignUnownedFiles,
+  createApiToken,
+  getApiTokenByHash,
+  getApiTokenById,
+  getApiTokensByUser,
+  deleteApiToken,
+  touchApiToken,
+  createSession,
+  getSessionById,
+  getActiveSessionsByUser,
+  touchSession,
+  revokeSession,
+  revokeUserSessions,
+  deleteExpiredSessions,
+  createAuthEvent,
+  getAuthEvents,
+  createCollection,
+  getCollectionById,
+  addCollectionFile,
+  getCollectionFiles,
+  getFileCollectionId,
+  incrementCollectionDownloadCount,
+  getExpiredCollections,
+  deleteCollection,
+  deleteEmptyCollections
 };
 
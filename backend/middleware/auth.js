@@ -1,9 +1,16 @@
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const { isApiToken, authenticateApiToken } = require('../utils/apiTokens');
+const { getClientIp } = require('../utils/clientIp');
 
 const REQUIRE_PASSWORD = process.env.REQUIRE_PASSWORD === 'true';
 const APP_PASSWORD = process.env.APP_PASSWORD || 'changeme';
 const JWT_SECRET = process.env.JWT_SECRET || APP_PASSWORD; // Use password as secret
 const JWT_EXPIRY = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
+const FILE_TOKEN_EXPIRY = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+const DOWNLOAD_TOKEN_EXPIRY = 15 * 60 * 1000; // 15 minutes in milliseconds
+const SESSION_TOUCH_INTERVAL = 60 * 1000; // Record last-seen at most once a minute
 
 /**
  * Check if authentication is required
@@ -13,81 +20,408 @@ function isAuthRequired() {
 }
 
 /**
- * Generate JWT token
+ * Generate JWT token for a user session (the session id is the jti claim)
  */
-function generateToken() {
+function generateToken(user, sessionId) {
   return jwt.sign(
-    { authenticated: true, timestamp: Date.now() },
+    { authenticated: true, userId: user.id, username: user.username, role: user.role || 'user', timestamp: Date.now() },
     JWT_SECRET,
-    { expiresIn: '30d' }
+    { expiresIn: '30d', jwtid: sessionId }
   );
 }
 
 /**
- * Verify JWT token
+ * Create a server-side session for a user and return its login token
+ */
+async function startSession(user, meta = {}) {
+  const sessionId = uuidv4();
+  await db.createSession({
+    id: sessionId,
+    userId: user.id,
+    ip: meta.ip,
+    userAgent: meta.userAgent,
+    expiresAt: Date.now() + JWT_EXPIRY
+  });
+  return { sessionId, token: generateToken(user, sessionId) };
+}
+
+/**
+ * Whether a session row is still usable
+ */
+function isSessionActive(session, userId) {
+  return !!(session &&
+    session.user_id === userId &&
+    !session.revoked_at &&
+    session.expires_at > Date.now());
+}
+
+/**
+ * Verify JWT token signature and claims (the session is checked separately)
  */
 function verifyToken(token) {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    const decoded = jwt.verify(token, JWT_SECRET);
+    // Only user login tokens grant access (not file unlock tokens, or
+    // tokens issued before user accounts and sessions existed)
+    return decoded.authenticated === true && decoded.userId && decoded.jti ? decoded : null;
   } catch (err) {
     return null;
   }
 }
 
+/**
+ * Get the login token from cookie or Authorization header
+ */
+function getRequestToken(req) {
+  return req.cookies?.authToken || req.headers.authorization?.replace('Bearer ', '');
+}
+
+/**
+ * Client IP and user agent, recorded on sessions
+ */
+function getRequestMeta(req) {
+  return {
+    ip: getClientIp(req),
+    userAgent: req.headers['user-agent']
+  };
+}
+
+/**
+ * User info carried in a decoded login token
+ */
+function getTokenUser(decoded) {
+  return { id: decoded.userId, username: decoded.username, role: decoded.role || 'user' };
+}
+
+/**
+ * Check that a user still exists and has not been disabled by an admin
+ */
+async function isUserActive(userId) {
+  const user = await db.getUserById(userId);
+  return !!(user && !user.disabled);
+}
+
+/**
+ * Resolve a credential to { user, apiToken, sessionId } or null
+ * Accepts a login JWT backed by an active session, or a personal API token
+ * (apiToken is null for logins, sessionId is null for API tokens)
+ */
+async function authenticateToken(token, meta = {}) {
+  if (!token) {
+    return null;
+  }
+
+  if (isApiToken(token)) {
+    const auth = await authenticateApiToken(token);
+    return auth ? { ...auth, sessionId: null } : null;
+  }
+
+  const decoded = verifyToken(token);
+  if (!decoded) {
+    return null;
+  }
+
+  const session = await db.getSessionById(decoded.jti);
+  if (!isSessionActive(session, decoded.userId) || !(await isUserActive(decoded.userId))) {
+    return null;
+  }
+
+  if (Date.now() - session.last_seen_at >= SESSION_TOUCH_INTERVAL) {
+    db.touchSession(session.id, meta.ip, meta.userAgent).catch(err => {
+      console.error(`[${session.id}] Error updating session last seen:`, err);
+    });
+  }
+
+  return { user: getTokenUser(decoded), apiToken: null, sessionId: session.id };
+}
+
+/**
+ * Re-check credentials resolved earlier (e.g. for a long-lived WebSocket)
+ */
+async function isAuthStillValid(auth) {
+  if (!(await isUserActive(auth.user.id))) {
+    return false;
+  }
+  if (auth.sessionId) {
+    return isSessionActive(await db.getSessionById(auth.sessionId), auth.user.id);
+  }
+  if (auth.apiToken) {
+    const row = await db.getApiTokenById(auth.apiToken.id);
+    return !!(row && (!row.expires_at || row.expires_at > Date.now()));
+  }
+  return true;
+}
+
+/**
+ * Resolve the credentials on a request without requiring them
+ * Always null when authentication is disabled
+ */
+async function authenticateRequest(req) {
+  if (!REQUIRE_PASSWORD) {
+    return null;
+  }
+  return authenticateToken(getRequestToken(req), getRequestMeta(req));
+}
+
+/**
+ * Generate a token that unlocks a single password-protected file
+ */
+function generateFileToken(fileId) {
+  return jwt.sign(
+    { type: 'file', fileId },
+    JWT_SECRET,
+    { expiresIn: '24h' }
+  );
+}
+
+/**
+ * Sign the short-lived OIDC login state (state, nonce, PKCE verifier)
+ * so the callback can be checked without server-side storage
+ */
+function generateOidcStateToken(data) {
+  return jwt.sign({ ...data, type: 'oidc' }, JWT_SECRET, { expiresIn: '10m' });
+}
+
+/**
+ * Verify an OIDC login state token, returning its data or null
+ */
+function verifyOidcStateToken(token) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.type === 'oidc' ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Verify a file unlock token for the given file
+ */
+function verifyFileToken(token, fileId) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.type === 'file' && decoded.fileId === fileId;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Name of the cookie holding a file unlock token
+ */
+function getFileTokenCookieName(fileId) {
+  return `fileToken_${fileId}`;
+}
+
+/**
+ * Generate a token for a download that has been counted against the file's limit, so
+ * resuming, seeking or fetching pieces of the same download doesn't count again
+ * Short-lived: it only covers finishing that one download, not starting new ones.
+ */
+function generateDownloadToken(fileId) {
+  return jwt.sign(
+    { type: 'download', fileId },
+    JWT_SECRET,
+    { expiresIn: DOWNLOAD_TOKEN_EXPIRY / 1000 }
+  );
+}
+
+/**
+ * Verify a download token for the given file
+ */
+function verifyDownloadToken(token, fileId) {
+  if (!token) return false;
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.type === 'download' && decoded.fileId === fileId;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Name of the cookie holding a download token
+ */
+function getDownloadTokenCookieName(fileId) {
+  return `downloadToken_${fileId}`;
+}
+
+/**
+ * Whether an unlock token covers a file (or folder share): its own token, or for a file
+ * in a folder share, the folder's (unlocking a folder unlocks its files)
+ * getToken(id) returns the token presented for the file or folder with that ID.
+ */
+async function hasShareToken(share, getToken) {
+  const token = getToken(share.id);
+  if (token && verifyFileToken(token, share.id)) {
+    return true;
+  }
+
+  const collectionId = await db.getFileCollectionId(share.id);
+  const collectionToken = collectionId && getToken(collectionId);
+  return !!(collectionToken && verifyFileToken(collectionToken, collectionId));
+}
+
+/**
+ * Check whether a request may download a file (or folder share)
+ * Unprotected files are always accessible; protected files need a file token
+ * (query string, X-File-Token header or cookie) or the owner's session
+ */
+async function hasFileAccess(req, file) {
+  if (!file.password_hash) {
+    return true;
+  }
+
+  const getToken = (id) => req.query?.token ||
+    req.headers['x-file-token'] ||
+    req.cookies?.[getFileTokenCookieName(id)];
+  if (await hasShareToken(file, getToken)) {
+    return true;
+  }
+
+  // The owner can always download their own file
+  const auth = await authenticateRequest(req);
+  return !!(auth && file.owner_id && auth.user.id === file.owner_id);
+}
+
 /**
  * Authentication middleware
  */
-function requireAuth(req, res, next) {
+async function requireAuth(req, res, next) {
   // If password is not required, allow access
   if (!REQUIRE_PASSWORD) {
     return next();
   }
 
   // Check for token in cookie or Authorization header
-  const token = req.cookies?.authToken || req.headers.authorization?.replace('Bearer ', '');
+  const token = getRequestToken(req);
 
   if (!token) {
     return res.status(401).json({ error: 'Authentication required', requiresAuth: true });
   }
 
-  const decoded = verifyToken(token);
-  if (!decoded) {
+  let auth;
+  try {
+    auth = await authenticateToken(token, getRequestMeta(req));
+  } catch (error) {
+    console.error('Auth error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (!auth) {
     return res.status(401).json({ error: 'Invalid or expired token', requiresAuth: true });
   }
 
   // Token is valid
+  req.user = auth.user;
+  req.apiToken = auth.apiToken;
+  req.sessionId = auth.sessionId;
+  next();
+}
+
+/**
+ * Scope middleware (use after requireAuth)
+ * Login sessions may do anything; API tokens need the scope
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.apiToken && !req.apiToken.scopes.includes(scope)) {
+      return res.status(403).json({ error: `API token is missing the "${scope}" scope` });
+    }
+    next();
+  };
+}
+
+/**
+ * Reject API tokens (use after requireAuth) for routes that need a login session
+ */
+function requireSession(req, res, next) {
+  if (req.apiToken) {
+    return res.status(403).json({ error: 'Not available with an API token' });
+  }
+  next();
+}
+
+/**
+ * Admin middleware (use after requireAuth)
+ * Without authentication everyone is treated as admin, as with requireAuth
+ */
+function requireAdmin(req, res, next) {
+  if (!REQUIRE_PASSWORD) {
+    return next();
+  }
+
+  // API tokens never grant admin access
+  if (!req.user || req.user.role !== 'admin' || req.apiToken) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
   next();
 }
 
 /**
  * Check authentication status (for frontend)
  */
-function checkAuth(req, res) {
+async function checkAuth(req, res) {
   if (!REQUIRE_PASSWORD) {
     return res.json({ requiresAuth: false, authenticated: true });
   }
 
-  const token = req.cookies?.authToken || req.headers.authorization?.replace('Bearer ', '');
+  const token = getRequestToken(req);
   
   if (!token) {
     return res.json({ requiresAuth: true, authenticated: false });
   }
 
-  const decoded = verifyToken(token);
-  if (!decoded) {
+  let auth;
+  try {
+    auth = await authenticateToken(token, getRequestMeta(req));
+  } catch (error) {
+    console.error('Auth status error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (!auth) {
     return res.json({ requiresAuth: true, authenticated: false });
   }
 
-  return res.json({ requiresAuth: true, authenticated: true });
+  return res.json({
+    requiresAuth: true,
+    authenticated: true,
+    user: auth.user
+  });
 }
 
 module.exports = {
   isAuthRequired,
   generateToken,
+  startSession,
   verifyToken,
+  getRequestToken,
+  getRequestMeta,
+  getTokenUser,
+  isUserActive,
+  authenticateToken,
+  isAuthStillValid,
+  authenticateRequest,
   requireAuth,
+  requireScope,
+  requireSession,
+  requireAdmin,
   checkAuth,
+  generateFileToken,
+  verifyFileToken,
+  generateOidcStateToken,
+  verifyOidcStateToken,
+  getFileTokenCookieName,
+  generateDownloadToken,
+  verifyDownloadToken,
+  getDownloadTokenCookieName,
+  hasShareToken,
+  hasFileAccess,
   APP_PASSWORD,
-  JWT_EXPIRY
+  JWT_EXPIRY,
+  FILE_TOKEN_EXPIRY,
+  DOWNLOAD_TOKEN_EXPIRY
 };
 
@@ -0,0 +1,341 @@
+const express = require('express');
+const crypto = require('crypto');
+const db = require('../database');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { createUserAccount, USER_ROLES } = require('../utils/users');
+const { hashPassword } = require('../utils/password');
+const { parseStorageLimit, getStorageStats } = require('../utils/storage');
+const { runUploadJanitor } = require('../utils/uploadJanitor');
+const { deleteStoredFile } = require('../utils/blobStore');
+const { TRACKER_ENABLED, ANNOUNCE_INTERVAL, getAllSwarms } = require('../utils/tracker');
+const { getActiveDownloadCounts } = require('../websocket');
+
+const router = express.Router();
+
+// Every admin route needs a logged-in admin
+router.use(requireAuth, requireAdmin);
+
+/**
+ * Public view of a user row (never expose the password hash)
+ */
+function formatUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role || 'user',
+    disabled: !!user.disabled,
+    quota: user.quota || null,
+    createdAt: user.created_at,
+    fileCount: user.file_count || 0,
+    storageUsed: user.storage_used || 0
+  };
+}
+
+/**
+ * Parse a quota from a request body: null/'' clears it, otherwise bytes or "10GB"
+ * Returns undefined when invalid
+ */
+function parseQuota(value) {
+  if (value === null || value === '') return null;
+  const quota = parseStorageLimit(value, null);
+  return quota > 0 ? quota : undefined;
+}
+
+/**
+ * Load the :userId user or send 404
+ */
+async function loadUser(req, res) {
+  const user = await db.getUserById(req.params.userId);
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  return user;
+}
+
+/**
+ * Whether a change would leave the instance without an active admin
+ */
+async function isLastAdmin(user) {
+  return user.role === 'admin' && !user.disabled && (await db.getAdminCount()) <= 1;
+}
+
+/**
+ * List users with usage
+ */
+router.get('/users', async (req, res) => {
+  try {
+    const users = await db.getAllUsers();
+    res.json({ users: users.map(formatUser) });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Create a user
+ */
+router.post('/users', async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+    const quota = req.body.quota === undefined ? null : parseQuota(req.body.quota);
+
+    if (quota === undefined) {
+      return res.status(400).json({ error: 'Invalid quota' });
+    }
+    if (role && !USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role: ${role}` });
+    }
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+    if (await db.getUserByUsername(username)) {
+      return res.status(409).json({ error: `User "${username}" already exists` });
+    }
+
+    const user = await createUserAccount({ username, password, quota, role });
+    res.status(201).json({ user: formatUser(user) });
+  } catch (error) {
+    console.error('Admin create user error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update a user's quota, role or disabled flag
+ */
+router.patch('/users/:userId', async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const updates = {};
+
+    if (req.body.quota !== undefined) {
+      updates.quota = parseQuota(req.body.quota);
+      if (updates.quota === undefined) {
+        return res.status(400).json({ error: 'Invalid quota' });
+      }
+    }
+
+    if (req.body.role !== undefined) {
+      if (!USER_ROLES.includes(req.body.role)) {
+        return res.status(400).json({ error: `Invalid role: ${req.body.role}` });
+      }
+      updates.role = req.body.role;
+    }
+
+    if (req.body.disabled !== undefined) {
+      updates.disabled = !!req.body.disabled;
+    }
+
+    const demoted = updates.role && updates.role !== 'admin';
+    if ((demoted || updates.disabled) && (await isLastAdmin(user))) {
+      return res.status(400).json({ error: 'Cannot demote or disable the last admin' });
+    }
+
+    await db.updateUser(user.id, updates);
+    // Role is carried in the login token, so a role change needs a fresh login
+    if (updates.disabled || (updates.role && updates.role !== user.role)) {
+      await db.revokeUserSessions(user.id);
+    }
+    const users = await db.getAllUsers();
+    res.json({ user: formatUser(users.find(u => u.id === user.id)) });
+  } catch (error) {
+    console.error('Admin update user error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Reset a user's password
+ * Without a password in the body, a random one is generated and returned once
+ */
+router.post('/users/:userId/reset-password', async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const password = req.body.password || crypto.randomBytes(12).toString('base64url');
+    await db.updateUser(user.id, { passwordHash: await hashPassword(password) });
+    // Sessions signed in with the old password are no longer valid
+    await db.revokeUserSessions(user.id);
+
+    res.json({
+      success: true,
+      ...(!req.body.password && { password })
+    });
+  } catch (error) {
+    console.error('Admin reset password error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List a user's files
+ */
+router.get('/users/:userId/files', async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const files = await db.getAllFiles(user.id);
+    res.json({ files });
+  } catch (error) {
+    console.error('Admin list files error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get a user's storage usage against their quota
+ */
+router.get('/users/:userId/storage', async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    res.json(await getStorageStats(user.id));
+  } catch (error) {
+    console.error('Admin storage stats error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete all of a user's files
+ */
+router.delete('/users/:userId/files', async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const files = await db.getAllFiles(user.id);
+    for (const file of files) {
+      await deleteStoredFile(await db.getFileById(file.id));
+    }
+
+    res.json({ success: true, deleted: files.length });
+  } catch (error) {
+    console.error('Admin purge files error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Review the auth audit log, newest first
+ * Query: event, username, ip, before (event id for paging), limit (max 500)
+ */
+router.get('/audit', async (req, res) => {
+  try {
+    const { event, username, ip } = req.query;
+    const limit = Math.min(500, parseInt(req.query.limit, 10) || 100);
+    const before = parseInt(req.query.before, 10) || null;
+
+    const events = await db.getAuthEvents({ event, username, ip, before, limit });
+    res.json({
+      events: events.map(row => ({
+        id: row.id,
+        event: row.event,
+        username: row.username,
+        userId: row.user_id,
+        ip: row.ip,
+        userAgent: row.user_agent,
+        detail: row.detail,
+        createdAt: row.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Upload janitor report (dry run): what a cleanup would remove right now
+ */
+router.get('/janitor', async (req, res) => {
+  try {
+    res.json(await runUploadJanitor({ dryRun: true }));
+  } catch (error) {
+    console.error('Janitor report error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Run the upload janitor now
+ */
+router.post('/janitor', async (req, res) => {
+  try {
+    const report = await runUploadJanitor();
+    if (!report) {
+      return res.status(409).json({ error: 'A cleanup is already running' });
+    }
+    res.json(report);
+  } catch (error) {
+    console.error('Janitor run error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Files being transferred right now: tracker swarms (seeders, leechers and completed
+ * downloads per info hash) and WebSocket downloads
+ */
+router.get('/transfers', async (req, res) => {
+  try {
+    const swarms = getAllSwarms();
+    const webSocketDownloads = getActiveDownloadCounts();
+    const fileIds = new Set([...swarms.map(swarm => swarm.fileId), ...webSocketDownloads.keys()]);
+
+    const transfers = [];
+    for (const fileId of fileIds) {
+      const file = await db.getFileById(fileId);
+      const fileSwarms = swarms.filter(swarm => swarm.fileId === fileId);
+      transfers.push({
+        fileId,
+        filename: file ? file.original_filename || file.filename : null,
+        webSocketDownloads: webSocketDownloads.get(fileId) || 0,
+        seeders: fileSwarms.reduce((sum, swarm) => sum + swarm.complete, 0),
+        leechers: fileSwarms.reduce((sum, swarm) => sum + swarm.incomplete, 0),
+        swarms: fileSwarms.map(({ infoHash, complete, incomplete, downloaded }) => ({
+          infoHash,
+          complete,
+          incomplete,
+          downloaded
+        }))
+      });
+    }
+
+    res.json({
+      trackerEnabled: TRACKER_ENABLED,
+      announceInterval: ANNOUNCE_INTERVAL,
+      transfers
+    });
+  } catch (error) {
+    console.error('Transfer stats error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Force-delete any file, regardless of owner
+ */
+router.delete('/files/:fileId', async (req, res) => {
+  try {
+    const file = await db.getFileById(req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    await deleteStoredFile(file);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Admin delete file error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,23 @@
 const express = require('express');
 const router = express.Router();
-const { generateToken, APP_PASSWORD, JWT_EXPIRY, isAuthRequired } = require('../middleware/auth');
+const db = require('../database');
+const {
+  startSession,
+  authenticateRequest,
+  getRequestMeta,
+  requireAuth,
+  requireSession,
+  JWT_EXPIRY,
+  isAuthRequired
+} = require('../middleware/auth');
+const { verifyPassword, DUMMY_PASSWORD_HASH } = require('../utils/password');
+const { DEFAULT_ADMIN_USERNAME } = require('../utils/users');
+const { beginLoginAttempt } = require('../utils/loginThrottle');
+const { recordAuthEvent } = require('../utils/audit');
+const oidcRoutes = require('./oidc');
+
+// OpenID Connect single sign-on
+router.use('/oidc', oidcRoutes);
 
 /**
  * Check authentication status
@@ -12,20 +29,78 @@ router.get('/status', (req, res) => {
 
 /**
  * Login endpoint
+ * Username defaults to the admin account so the single-password login keeps working.
+ * Attempts are throttled per IP and per account, and audited.
  */
-router.post('/login', (req, res) => {
+router.post('/login', async (req, res) => {
   const { password } = req.body;
+  const username = req.body.username || DEFAULT_ADMIN_USERNAME;
 
   if (!isAuthRequired()) {
     return res.json({ success: true, authenticated: true });
   }
 
-  if (!password || password !== APP_PASSWORD) {
-    return res.status(401).json({ error: 'Invalid password' });
+  const meta = getRequestMeta(req);
+
+  // Reserved before anything is awaited, so concurrent attempts count against the backoff
+  const throttle = beginLoginAttempt(meta.ip, username);
+  if (!throttle.allowed) {
+    const retryAfter = Math.ceil(throttle.retryAfter / 1000);
+    await recordAuthEvent('login_blocked', meta, {
+      username,
+      detail: throttle.locked ? 'locked out' : `retry after ${retryAfter}s`
+    });
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      error: throttle.locked
+        ? 'Too many failed attempts. Try again later.'
+        : `Too many failed attempts. Try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`,
+      retryAfter
+    });
+  }
+
+  let user;
+  let valid;
+  try {
+    user = await db.getUserByUsername(username);
+    // Unknown users are checked against a dummy hash so timing doesn't reveal which accounts exist
+    valid = await verifyPassword(password, (user && user.password_hash) || DUMMY_PASSWORD_HASH);
+  } catch (error) {
+    throttle.release();
+    console.error('Login error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (!user || !valid) {
+    const lockedOut = throttle.fail();
+    await recordAuthEvent('login_failure', meta, {
+      username,
+      userId: user ? user.id : null,
+      detail: [user ? 'bad password' : 'unknown user', lockedOut && 'locked out']
+        .filter(Boolean).join(', ')
+    });
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  if (user.disabled) {
+    throttle.release();
+    await recordAuthEvent('login_failure', meta, { username, userId: user.id, detail: 'account disabled' });
+    return res.status(403).json({ error: 'Account disabled' });
   }
 
-  // Generate token
-  const token = generateToken();
+  // Start a server-side session and sign its token
+  let token;
+  try {
+    await db.deleteExpiredSessions();
+    ({ token } = await startSession(user, meta));
+  } catch (error) {
+    throttle.release();
+    console.error('Login error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  throttle.succeed();
+  await recordAuthEvent('login_success', meta, { username: user.username, userId: user.id });
 
   // Set cookie (30 days)
   res.cookie('authToken', token, {
@@ -35,16 +110,103 @@ router.post('/login', (req, res) => {
     maxAge: JWT_EXPIRY
   });
 
-  res.json({ success: true, authenticated: true });
+  res.json({
+    success: true,
+    authenticated: true,
+    user: { id: user.id, username: user.username, role: user.role }
+  });
 });
 
 /**
- * Logout endpoint
+ * Logout endpoint (revokes the current session)
  */
-router.post('/logout', (req, res) => {
+router.post('/logout', async (req, res) => {
+  try {
+    const auth = await authenticateRequest(req);
+    if (auth && auth.sessionId) {
+      await db.revokeSession(auth.sessionId, auth.user.id);
+      await recordAuthEvent('logout', getRequestMeta(req), {
+        username: auth.user.username,
+        userId: auth.user.id
+      });
+    }
+  } catch (error) {
+    console.error('Logout error:', error);
+  }
+
   res.clearCookie('authToken');
   res.json({ success: true });
 });
 
+/**
+ * Log out all devices (revokes every session of the current user)
+ */
+router.post('/logout-all', requireAuth, requireSession, async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(400).json({ error: 'Sessions require user accounts (REQUIRE_PASSWORD=true)' });
+    }
+
+    const revoked = await db.revokeUserSessions(req.user.id);
+    await recordAuthEvent('logout_all', getRequestMeta(req), {
+      username: req.user.username,
+      userId: req.user.id,
+      detail: `${revoked} session(s) revoked`
+    });
+    res.clearCookie('authToken');
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List the current user's active sessions
+ */
+router.get('/sessions', requireAuth, requireSession, async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.json({ sessions: [] });
+    }
+
+    const sessions = await db.getActiveSessionsByUser(req.user.id);
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session.id,
+        ip: session.ip,
+        userAgent: session.user_agent,
+        createdAt: session.created_at,
+        lastSeenAt: session.last_seen_at,
+        expiresAt: session.expires_at,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Revoke one of the current user's sessions
+ */
+router.delete('/sessions/:sessionId', requireAuth, requireSession, async (req, res) => {
+  try {
+    const revoked = req.user ? await db.revokeSession(req.params.sessionId, req.user.id) : 0;
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (req.params.sessionId === req.sessionId) {
+      res.clearCookie('authToken');
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
 
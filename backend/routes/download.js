@@ -1,11 +1,556 @@
 const express = require('express');
 const path = require('path');
-const fs = require('fs').promises;
-const fsSync = require('fs');
 const db = require('../database');
+const { getExpiryStatus, getExpiryMessage } = require('../utils/expiry');
+const { verifyPassword } = require('../utils/password');
+const { buildMerkleTree, getMerkleProof } = require('../utils/merkle');
+const { getFilePieceHashes, recordFileIntegrity } = require('../utils/integrity');
+const { getTorrentMetadata, buildTorrentFile, buildMagnetUri } = require('../utils/torrent');
+const { TRACKER_ENABLED } = require('../utils/tracker');
+const { subscribeToFile } = require('../utils/pieceEvents');
+const { streamZip, streamStoredFiles } = require('../utils/zip');
+const { readZipEntries, createEntryReadStream } = require('../utils/zipReader');
+const { normalizeRelativePath, getFilesInFolder } = require('../utils/collections');
+const { openStoredFile, statStoredFile, getStoredFileSize } = require('../utils/storageEncryption');
+const {
+  parseRangeHeader,
+  intersectRanges,
+  formatRanges,
+  getFileEtag,
+  checkPreconditions,
+  isRangeCurrent,
+  sendStoredFile,
+  sendRangeNotSatisfiable,
+  waitForDrain
+} = require('../utils/httpRange');
+const { trackDownload, startWebSeedSession, hasWebSeedSession } = require('../utils/downloadTracker');
+const { beginUnlockAttempt } = require('../utils/loginThrottle');
+const { getClientIp } = require('../utils/clientIp');
+const {
+  hasFileAccess,
+  generateFileToken,
+  getFileTokenCookieName,
+  generateDownloadToken,
+  verifyDownloadToken,
+  getDownloadTokenCookieName,
+  FILE_TOKEN_EXPIRY,
+  DOWNLOAD_TOKEN_EXPIRY
+} = require('../middleware/auth');
 
 const router = express.Router();
 
+// Most files one zip download can hold
+const MAX_ZIP_FILES = 100;
+
+/**
+ * Send 410 Gone if the file's share link has expired or run out of downloads
+ * A download that was already counted (see countDownload) may still finish once the
+ * limit is reached. Returns true if the response was sent.
+ */
+function rejectIfExpired(file, res, counted = false) {
+  const status = getExpiryStatus(file);
+  if (!status || (status === 'exhausted' && counted)) return false;
+  
+  res.status(410).json({ error: getExpiryMessage(status), reason: status });
+  return true;
+}
+
+/**
+ * Refuse access to a password-protected file that hasn't been unlocked
+ * Returns true if the response was sent
+ */
+async function rejectIfLocked(req, res, file) {
+  if (await hasFileAccess(req, file)) return false;
+  
+  // Browsers following a share link land on the unlock page
+  if (req.query.piece === undefined && req.accepts(['json', 'html']) === 'html') {
+    res.redirect(`/share/${file.id}`);
+  } else {
+    res.status(401).json({ error: 'Password required', passwordRequired: true });
+  }
+  return true;
+}
+
+/**
+ * Refuse requests that need the whole file while it is still being uploaded
+ * Returns true if the response was sent
+ */
+async function rejectIfIncomplete(file, res) {
+  const pieces = await db.getPiecesByFileId(file.id);
+  if (pieces.every(p => p.is_complete === 1 || p.offset >= file.size)) return false;
+  
+  res.status(409).json({ error: 'File is still being uploaded' });
+  return true;
+}
+
+/**
+ * Refuse server-side processing of end-to-end encrypted files (the server only has ciphertext)
+ * Returns true if the response was sent
+ */
+function rejectIfEncrypted(file, res) {
+  if (!file.encrypted) return false;
+
+  res.status(409).json({ error: 'End-to-end encrypted files can only be downloaded from their share link' });
+  return true;
+}
+
+/**
+ * Check the password of a file or folder share and send a token for it (also set as a cookie)
+ * Tokens are scoped to the share's ID, which is unique across files and folders. Attempts
+ * are throttled per share and client IP, like logins.
+ */
+async function sendUnlockToken(req, res, share) {
+  const { password } = req.body || {};
+
+  if (rejectIfExpired(share, res)) {
+    return;
+  }
+
+  if (!share.password_hash) {
+    return res.json({ success: true, token: null });
+  }
+
+  // Reserved before the password is checked, so concurrent attempts count against the backoff
+  const throttle = beginUnlockAttempt(getClientIp(req), share.id);
+  if (!throttle.allowed) {
+    const retryAfter = Math.ceil(throttle.retryAfter / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      error: throttle.locked
+        ? 'Too many wrong passwords. Try again later.'
+        : `Too many wrong passwords. Try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`,
+      retryAfter
+    });
+  }
+
+  if (!(await verifyPassword(password, share.password_hash))) {
+    throttle.fail();
+    return res.status(401).json({ error: 'Invalid password' });
+  }
+  throttle.succeed();
+
+  const token = generateFileToken(share.id);
+
+  res.cookie(getFileTokenCookieName(share.id), token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: FILE_TOKEN_EXPIRY
+  });
+
+  res.json({ success: true, token });
+}
+
+/**
+ * Tracker and web seed settings for a file's torrent and magnet link
+ * Protected files get a file token in both URLs, as BitTorrent clients can't unlock them.
+ * Getting them doesn't count as a download: the web seed is marked as one, and a client's
+ * web seed requests count once, when they start (see isWebSeedContinuation).
+ */
+function getTorrentOptions(req, file) {
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const fileToken = file.password_hash ? generateFileToken(file.id) : null;
+  const params = new URLSearchParams({ webSeed: '1' });
+  if (fileToken) {
+    params.set('token', fileToken);
+  }
+
+  return {
+    announce: TRACKER_ENABLED ? `${baseUrl}/announce${fileToken ? `/${encodeURIComponent(fileToken)}` : ''}` : undefined,
+    webSeeds: [`${baseUrl}/api/download/${file.id}?${params}`]
+  };
+}
+
+/**
+ * Byte ranges covered by complete pieces, merged where pieces are adjacent
+ */
+function getAvailableRanges(completePieces, size) {
+  const ranges = [];
+  completePieces
+    .filter(p => p.offset < size)
+    .sort((a, b) => a.offset - b.offset)
+    .forEach(p => {
+      const end = Math.min(p.offset + p.size, size) - 1;
+      const previous = ranges[ranges.length - 1];
+      if (previous && p.offset <= previous.end + 1) {
+        previous.end = Math.max(previous.end, end);
+      } else {
+        ranges.push({ start: p.offset, end });
+      }
+    });
+  return ranges;
+}
+
+/**
+ * Stream a file that is still being uploaded: pieces are written strictly in order as they
+ * land, and the response ends once the upload completes (or is cut off if the file is
+ * deleted). There is no time limit - the upload janitor removes uploads that stall.
+ */
+async function streamGrowingFile(res, file) {
+  const ready = new Map(); // pieceIndex -> { offset, size }, complete but not sent yet
+  let nextIndex = 0;
+  let totalPieces = null; // known once the upload is complete
+  let handle = null;
+  let pumping = false;
+  let done = false;
+
+  const stop = (err) => {
+    if (done) return;
+    done = true;
+    unsubscribe();
+    if (handle) handle.close().catch(() => {});
+    if (err) {
+      res.destroy(err);
+    } else {
+      res.end();
+    }
+  };
+
+  // Completed uploads move into the blob store - follow the file if it moved
+  const openFile = async () => {
+    try {
+      return await openStoredFile(file.file_path, 'r');
+    } catch (err) {
+      const current = err.code === 'ENOENT' && await db.getFileById(file.id);
+      if (!current) throw err;
+      return openStoredFile(current.file_path, 'r');
+    }
+  };
+
+  const addCompletePieces = async () => {
+    const current = await db.getFileById(file.id);
+    const pieces = await db.getPiecesByFileId(file.id);
+    pieces
+      .filter(p => p.is_complete === 1 && p.piece_index >= nextIndex)
+      .forEach(p => ready.set(p.piece_index, { offset: p.offset, size: p.size }));
+    return { current, pieces };
+  };
+
+  const pump = async () => {
+    if (pumping || done) return;
+    pumping = true;
+    try {
+      while (!done && ready.has(nextIndex)) {
+        const piece = ready.get(nextIndex);
+        ready.delete(nextIndex);
+        handle = handle || await openFile();
+
+        const buffer = Buffer.alloc(piece.size);
+        const { bytesRead } = await handle.read(buffer, 0, piece.size, piece.offset);
+        if (!res.write(buffer.subarray(0, bytesRead))) {
+          await waitForDrain(res);
+        }
+        nextIndex++;
+      }
+      if (totalPieces !== null && nextIndex >= totalPieces) {
+        stop();
+      }
+    } catch (err) {
+      console.error(`[${file.id}] Error streaming piece ${nextIndex}:`, err);
+      stop(err);
+    } finally {
+      pumping = false;
+    }
+  };
+
+  const unsubscribe = subscribeToFile(file.id, (event) => {
+    if (event.type === 'piece') {
+      if (event.pieceIndex >= nextIndex) {
+        ready.set(event.pieceIndex, { offset: event.offset, size: event.size });
+      }
+      pump();
+    } else if (event.type === 'complete') {
+      // The piece count is final now (form uploads only estimate it up front)
+      addCompletePieces().then(({ current }) => {
+        totalPieces = current ? current.total_pieces : nextIndex;
+        pump();
+      }).catch(err => stop(err));
+    } else if (event.type === 'removed') {
+      stop(new Error('File was deleted'));
+    }
+  });
+  res.on('close', () => stop());
+  // Let the client know the download started, even if the next piece takes a while
+  res.flushHeaders();
+
+  // Subscribed first, so pieces completing from here on can't be missed
+  try {
+    const { current, pieces } = await addCompletePieces();
+    if (!current) {
+      stop(new Error('File was deleted'));
+      return;
+    }
+    if (pieces.length === current.total_pieces && pieces.every(p => p.is_complete === 1)) {
+      totalPieces = current.total_pieces;
+    }
+    pump();
+  } catch (err) {
+    console.error(`[${file.id}] Error starting stream:`, err);
+    stop(err);
+  }
+}
+
+/**
+ * Whether a request starts a new download of the whole file (as opposed to
+ * fetching a single piece or resuming with a Range request)
+ */
+function isNewDownload(req) {
+  if (req.method === 'HEAD' || req.query.piece !== undefined) return false;
+  const range = req.headers.range;
+  return !range || /^bytes=0-/.test(range);
+}
+
+/**
+ * Whether a request can only continue a download rather than get the whole file: a piece,
+ * or byte ranges that don't start at 0 (and no If-Range, which could turn it into a full
+ * response)
+ */
+function isContinuation(req, file) {
+  if (req.query.piece !== undefined) return true;
+  if (req.headers['if-range']) return false;
+  const ranges = parseRangeHeader(req.headers.range, file.size);
+  return !!ranges && ranges.length > 0 && ranges[0].start > 0;
+}
+
+/**
+ * Whether a request carries the download token of a download of the file that was counted
+ * already (X-Download-Token header, ?downloadToken= or cookie)
+ */
+function hasDownloadToken(req, file) {
+  const token = req.headers['x-download-token'] || req.query.downloadToken ||
+    req.cookies?.[getDownloadTokenCookieName(file.id)];
+  return verifyDownloadToken(token, file.id);
+}
+
+/**
+ * Whether a request is a byte range of a BitTorrent client's web seed download that was
+ * counted already (web seeds can't keep download tokens)
+ */
+function isWebSeedContinuation(req, file) {
+  return req.query.webSeed !== undefined && req.query.piece === undefined &&
+    !!req.headers.range && hasWebSeedSession(file.id, getClientIp(req));
+}
+
+/**
+ * Send 410 Gone for a file that has run out of downloads
+ */
+function sendExhausted(res, file) {
+  res.status(410).json({ error: getExpiryMessage('exhausted'), reason: 'exhausted', fileId: file.id });
+}
+
+/**
+ * Count a request against the file's download limit, unless it continues a counted download
+ * (`counted`: a continuation with a download token). A counted download gets a download
+ * token (cookie and X-Download-Token header) for its Range, piece and resume requests. On
+ * files with a limit, Range and piece requests without one count as downloads of their own,
+ * so they can't be used to get around it. Returns false, after sending 410, once the limit
+ * is reached.
+ */
+async function countDownload(req, res, file, counted) {
+  if (counted || req.method === 'HEAD' || (!isNewDownload(req) && !file.max_downloads)) {
+    return true;
+  }
+
+  if (!(await db.incrementDownloadCount(file.id))) {
+    sendExhausted(res, file);
+    return false;
+  }
+
+  if (req.query.webSeed !== undefined) {
+    startWebSeedSession(file.id, getClientIp(req));
+  }
+
+  const token = generateDownloadToken(file.id);
+  res.cookie(getDownloadTokenCookieName(file.id), token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: `/api/download/${file.id}`,
+    maxAge: DOWNLOAD_TOKEN_EXPIRY
+  });
+  res.setHeader('X-Download-Token', token);
+  return true;
+}
+
+/**
+ * Headers of a zip download (attachment() encodes names that aren't plain ASCII)
+ */
+function setZipHeaders(res, filename) {
+  res.attachment(filename);
+  res.setHeader('Content-Type', 'application/zip');
+}
+
+/**
+ * File IDs of a zip download: `ids` as a comma-separated list or repeated parameter,
+ * in the query string (GET) or the body (POST, JSON or form)
+ */
+function getZipFileIds(req) {
+  const source = req.method === 'POST' ? req.body?.ids : req.query.ids;
+  const values = Array.isArray(source) ? source : [source];
+  const ids = values
+    .filter(value => typeof value === 'string')
+    .flatMap(value => value.split(','))
+    .map(id => id.trim())
+    .filter(Boolean);
+  return [...new Set(ids)];
+}
+
+/**
+ * Download several files as one zip, streamed as it is built
+ */
+async function downloadZip(req, res) {
+  try {
+    const fileIds = getZipFileIds(req);
+    if (fileIds.length === 0) {
+      return res.status(400).json({ error: 'No files selected' });
+    }
+    if (fileIds.length > MAX_ZIP_FILES) {
+      return res.status(400).json({ error: `A zip can hold at most ${MAX_ZIP_FILES} files` });
+    }
+
+    // Every file has to be downloadable on its own before any of them is counted
+    const files = [];
+    for (const fileId of fileIds) {
+      const file = await db.getFileById(fileId);
+      if (!file) {
+        return res.status(404).json({ error: `File ${fileId} not found` });
+      }
+      if (rejectIfExpired(file, res) || await rejectIfLocked(req, res, file) ||
+          rejectIfEncrypted(file, res) || await rejectIfIncomplete(file, res)) {
+        return;
+      }
+      files.push(file);
+    }
+
+    const entries = await getZipEntries(files, file => file.original_filename || file.filename);
+
+    // Each file in the zip counts as a download of it, all of them or none; nothing is sent
+    // before they are counted, so a 410 can still go out
+    if (req.method !== 'HEAD' && !(await db.incrementDownloadCounts(files.map(file => file.id)))) {
+      return res.status(410).json({ error: getExpiryMessage('exhausted'), reason: 'exhausted' });
+    }
+
+    setZipHeaders(res, files.length === 1 ? `${files[0].original_filename || files[0].filename}.zip` : 'files.zip');
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    files.forEach(file => trackDownload(file.id, res));
+    await streamStoredFiles(entries, res);
+  } catch (error) {
+    console.error('Zip download error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+}
+
+/**
+ * Zip entries for stored files, named by getName(file)
+ */
+async function getZipEntries(files, getName) {
+  const entries = [];
+  for (const file of files) {
+    entries.push({
+      filePath: file.file_path,
+      name: getName(file),
+      date: (await statStoredFile(file.file_path)).mtime
+    });
+  }
+  return entries;
+}
+
+router.get('/zip', downloadZip);
+router.post('/zip', downloadZip);
+
+/**
+ * Download a folder share as a zip of its files, built as it streams
+ * `?path=docs/images` zips just that subfolder.
+ */
+router.get('/folder/:collectionId', async (req, res) => {
+  try {
+    const collection = await db.getCollectionById(req.params.collectionId);
+
+    if (!collection) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    if (rejectIfExpired(collection, res)) {
+      return;
+    }
+    if (!(await hasFileAccess(req, collection))) {
+      // Browsers following the link land on the folder page, where it can be unlocked
+      if (req.accepts(['json', 'html']) === 'html') {
+        return res.redirect(`/folder/${collection.id}`);
+      }
+      return res.status(401).json({ error: 'Password required', passwordRequired: true });
+    }
+
+    const folderPath = req.query.path ? normalizeRelativePath(String(req.query.path)) : null;
+    if (req.query.path && !folderPath) {
+      return res.status(400).json({ error: 'Invalid path' });
+    }
+
+    const allFiles = await db.getCollectionFiles(collection.id);
+    const files = getFilesInFolder(allFiles, folderPath);
+    if (allFiles.length === 0) {
+      return res.status(409).json({ error: 'Folder is still being uploaded' });
+    }
+    if (files.length === 0) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    if (files.some(file => file.missing_pieces > 0)) {
+      return res.status(409).json({ error: 'Folder is still being uploaded' });
+    }
+
+    // Extracting the zip recreates the (sub)folder
+    const rootName = folderPath ? path.posix.basename(folderPath) : collection.name;
+    const getEntryName = (file) => `${rootName}/${folderPath ? file.relative_path.slice(folderPath.length + 1) : file.relative_path}`;
+
+    const entries = await getZipEntries(files, getEntryName);
+
+    // Counted before any header is set, so a 410 can still go out
+    if (req.method !== 'HEAD' && !(await db.incrementCollectionDownloadCount(collection.id))) {
+      return res.status(410).json({ error: getExpiryMessage('exhausted'), reason: 'exhausted' });
+    }
+
+    setZipHeaders(res, `${rootName}.zip`);
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    files.forEach(file => trackDownload(file.id, res));
+    await streamStoredFiles(entries, res);
+  } catch (error) {
+    console.error('Folder download error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * Unlock a password-protected folder share
+ */
+router.post('/folder/:collectionId/unlock', async (req, res) => {
+  try {
+    const collection = await db.getCollectionById(req.params.collectionId);
+
+    if (!collection) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    await sendUnlockToken(req, res, collection);
+  } catch (error) {
+    console.error('Unlock error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * Download file by ID
  */
@@ -20,6 +565,38 @@ router.get('/:fileId', async (req, res) => {
       return res.status(404).json({ error: 'File not found' });
     }
     
+    // A download token only continues its download; requests for the whole file count anew
+    const counted = (isContinuation(req, file) && hasDownloadToken(req, file)) ||
+      isWebSeedContinuation(req, file);
+    if (rejectIfExpired(file, res, counted) || await rejectIfLocked(req, res, file)) {
+      return;
+    }
+
+    // Browsers opening an encrypted file's link go to the share page, which decrypts it
+    // (the key in the link's #fragment carries over the redirect)
+    if (file.encrypted && piece === undefined && req.accepts(['json', 'html']) === 'html') {
+      return res.redirect(`/share/${file.id}`);
+    }
+    
+    // Finished files answer conditional requests before anything counts as a download
+    const etag = piece === undefined ? getFileEtag(file) : null;
+    let validators = {};
+    if (etag) {
+      validators = { etag, lastModified: (await statStoredFile(file.file_path)).mtime };
+      res.setHeader('ETag', etag);
+      res.setHeader('Last-Modified', validators.lastModified.toUTCString());
+      const status = checkPreconditions(req, validators);
+      if (status) {
+        return res.status(status).end();
+      }
+    }
+    
+    // Count this download against the link's limit
+    if (!(await countDownload(req, res, file, counted))) {
+      return;
+    }
+    trackDownload(file.id, res);
+    
     // If requesting a specific piece
     if (piece !== undefined) {
       const pieceIndex = parseInt(piece);
@@ -41,7 +618,7 @@ router.get('/:fileId', async (req, res) => {
       
       // Read and send piece - handle case where file might still be uploading
       try {
-        const fd = await fs.open(file.file_path, 'r');
+        const fd = await openStoredFile(file.file_path, 'r');
         try {
           const buffer = Buffer.alloc(requestedPiece.size);
           const bytesRead = await fd.read(buffer, 0, requestedPiece.size, requestedPiece.offset);
@@ -82,144 +659,62 @@ router.get('/:fileId', async (req, res) => {
     const pieces = await db.getPiecesByFileId(fileId);
     const completePieces = pieces.filter(p => p.is_complete === 1);
     const allComplete = completePieces.length === file.total_pieces && file.total_pieces > 0;
+    const contentType = file.mime_type || 'application/octet-stream';
     
-    // If file is not complete, stream available pieces and wait for more
+    // If file is not complete, serve the ranges uploaded so far or stream pieces as they arrive
     if (!allComplete && file.total_pieces > 0) {
-      res.setHeader('Content-Type', file.mime_type || 'application/octet-stream');
-      res.setHeader('Content-Disposition', `attachment; filename="${file.original_filename || file.filename}"`);
-      res.setHeader('Transfer-Encoding', 'chunked'); // Use chunked encoding for streaming
-      res.setHeader('Cache-Control', 'no-cache');
-      
-      // Stream available pieces first
-      const availablePieces = pieces
-        .filter(p => p.is_complete === 1)
-        .sort((a, b) => a.piece_index - b.piece_index);
-      
-      let streamedBytes = 0;
-      
-      // Stream all available pieces
-      for (const piece of availablePieces) {
-        try {
-          const fd = await fs.open(file.file_path, 'r');
-          try {
-            const buffer = Buffer.alloc(piece.size);
-            const readResult = await fd.read(buffer, 0, piece.size, piece.offset);
-            
-            if (readResult.bytesRead > 0) {
-              res.write(buffer.slice(0, readResult.bytesRead));
-              streamedBytes += readResult.bytesRead;
-            }
-          } finally {
-            await fd.close();
-          }
-        } catch (err) {
-          console.error(`Error streaming piece ${piece.piece_index}:`, err);
-        }
+      const available = getAvailableRanges(completePieces, file.size);
+      res.setHeader('Accept-Ranges', 'bytes');
+      if (available.length > 0) {
+        res.setHeader('X-Available-Ranges', formatRanges(available));
       }
       
-      // Now poll for new pieces and stream them as they become available
-      const pollInterval = setInterval(async () => {
-        try {
-          // Check if client disconnected
-          if (res.closed || res.destroyed) {
-            clearInterval(pollInterval);
-            return;
-          }
-          
-          // Get updated piece status
-          const updatedPieces = await db.getPiecesByFileId(fileId);
-          const newCompletePieces = updatedPieces
-            .filter(p => p.is_complete === 1 && p.piece_index >= availablePieces.length)
-            .sort((a, b) => a.piece_index - b.piece_index);
-          
-          // Stream any new complete pieces
-          for (const piece of newCompletePieces) {
-            try {
-              const fd = await fs.open(file.file_path, 'r');
-              try {
-                const buffer = Buffer.alloc(piece.size);
-                const readResult = await fd.read(buffer, 0, piece.size, piece.offset);
-                
-                if (readResult.bytesRead > 0) {
-                  res.write(buffer.slice(0, readResult.bytesRead));
-                  streamedBytes += readResult.bytesRead;
-                  availablePieces.push(piece);
-                }
-              } finally {
-                await fd.close();
-              }
-            } catch (err) {
-              console.error(`Error streaming new piece ${piece.piece_index}:`, err);
-            }
-          }
-          
-          // Check if all pieces are now complete
-          const allPiecesNow = updatedPieces.filter(p => p.is_complete === 1).length;
-          if (allPiecesNow === file.total_pieces) {
-            clearInterval(pollInterval);
-            res.end(); // Close the response
-          }
-        } catch (err) {
-          console.error('Error polling for new pieces:', err);
-          clearInterval(pollInterval);
-          if (!res.headersSent || !res.closed) {
-            res.end();
-          }
+      // Without validators an If-Range never matches, so such requests get the stream
+      const ranges = isRangeCurrent(req, {}) ? parseRangeHeader(req.headers.range, file.size) : null;
+      if (ranges) {
+        const servable = intersectRanges(ranges, available);
+        if (servable.length === 0) {
+          return sendRangeNotSatisfiable(res, file.size);
         }
-      }, 1000); // Poll every second
+        res.setHeader('Content-Type', contentType);
+        return sendStoredFile(req, res, { filePath: file.file_path, size: file.size, contentType, ranges: servable });
+      }
       
-      // Clean up on client disconnect
-      res.on('close', () => {
-        clearInterval(pollInterval);
-      });
+      if (req.method === 'HEAD') {
+        res.setHeader('Content-Type', contentType);
+        return res.end();
+      }
       
-      // Set a timeout to prevent hanging forever (e.g., 10 minutes)
-      setTimeout(() => {
-        clearInterval(pollInterval);
-        if (!res.closed && !res.destroyed) {
-          res.end();
-        }
-      }, 10 * 60 * 1000);
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${file.original_filename || file.filename}"`);
+      res.setHeader('Transfer-Encoding', 'chunked'); // Use chunked encoding for streaming
+      res.setHeader('Cache-Control', 'no-cache');
       
-      return;
+      return streamGrowingFile(res, file);
     }
     
-    // Download entire file (all pieces complete)
-    const fileStats = await fs.stat(file.file_path);
+    // Download entire file (all pieces complete), or the requested ranges of it
+    const fileSize = await getStoredFileSize(file.file_path);
     
-    res.setHeader('Content-Type', file.mime_type || 'application/octet-stream');
+    res.setHeader('Content-Type', contentType);
     res.setHeader('Content-Disposition', `attachment; filename="${file.original_filename || file.filename}"`);
-    res.setHeader('Content-Length', fileStats.size);
     res.setHeader('Accept-Ranges', 'bytes');
     
-    // Support range requests
-    const range = req.headers.range;
-    if (range) {
-      const parts = range.replace(/bytes=/, '').split('-');
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : fileStats.size - 1;
-      const chunksize = (end - start) + 1;
-      
-      const fd = await fs.open(file.file_path, 'r');
-      try {
-        const buffer = Buffer.alloc(chunksize);
-        await fd.read(buffer, 0, chunksize, start);
-        
-        res.status(206);
-        res.setHeader('Content-Range', `bytes ${start}-${end}/${fileStats.size}`);
-        res.setHeader('Content-Length', chunksize);
-        res.send(buffer);
-      } finally {
-        await fd.close();
+    let ranges = null;
+    if (isRangeCurrent(req, validators)) {
+      ranges = parseRangeHeader(req.headers.range, fileSize);
+      if (ranges && ranges.length === 0) {
+        return sendRangeNotSatisfiable(res, fileSize);
       }
-    } else {
-      // Stream entire file
-      const stream = fsSync.createReadStream(file.file_path);
-      stream.pipe(res);
     }
+    await sendStoredFile(req, res, { filePath: file.file_path, size: fileSize, contentType, ranges });
   } catch (error) {
     console.error('Download error:', error);
-    res.status(500).json({ error: error.message });
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: error.message });
+    }
   }
 });
 
@@ -236,6 +731,10 @@ router.get('/:fileId/info', async (req, res) => {
       return res.status(404).json({ error: 'File not found' });
     }
     
+    if (rejectIfExpired(file, res) || await rejectIfLocked(req, res, file)) {
+      return;
+    }
+    
     const pieces = await db.getPiecesByFileId(fileId);
     const completePieces = pieces.filter(p => p.is_complete === 1).length;
     
@@ -248,6 +747,14 @@ router.get('/:fileId/info', async (req, res) => {
       completePieces,
       mimeType: file.mime_type,
       createdAt: file.created_at,
+      expiresAt: file.expires_at,
+      maxDownloads: file.max_downloads,
+      downloadCount: file.download_count,
+      isProtected: !!file.password_hash,
+      isEncrypted: !!file.encrypted,
+      encryptedMetadata: file.encrypted_metadata || undefined,
+      sha256: file.content_hash,
+      merkleRoot: file.merkle_root,
       pieces: pieces.map(p => ({
         index: p.piece_index,
         hash: p.hash,
@@ -262,5 +769,279 @@ router.get('/:fileId/info', async (req, res) => {
   }
 });
 
+/**
+ * Integrity manifest: the Merkle tree over the file's piece hashes
+ * levels[0] are the leaves, the last level is the root. With ?piece=N, also the proof
+ * for that piece (the sibling hashes needed to recompute the root from it).
+ */
+router.get('/:fileId/manifest', async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    
+    let file = await db.getFileById(fileId);
+    
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    if (rejectIfExpired(file, res) || await rejectIfLocked(req, res, file)) {
+      return;
+    }
+    
+    if (await rejectIfIncomplete(file, res)) {
+      return;
+    }
+    
+    // Files stored before integrity hashes were recorded get them on first request
+    if (!file.merkle_root || !file.content_hash) {
+      await recordFileIntegrity(fileId);
+      file = await db.getFileById(fileId);
+    }
+    
+    const pieceHashes = await getFilePieceHashes(file);
+    const levels = buildMerkleTree(pieceHashes);
+    
+    const manifest = {
+      id: file.id,
+      filename: file.original_filename || file.filename,
+      size: file.size,
+      pieceSize: file.piece_size,
+      totalPieces: pieceHashes.length,
+      sha256: file.content_hash,
+      merkleRoot: file.merkle_root,
+      algorithm: 'sha256',
+      leafPrefix: '00',
+      nodePrefix: '01',
+      pieces: pieceHashes,
+      levels
+    };
+    
+    if (req.query.piece !== undefined) {
+      const pieceIndex = parseInt(req.query.piece, 10);
+      if (isNaN(pieceIndex) || pieceIndex < 0 || pieceIndex >= pieceHashes.length) {
+        return res.status(400).json({ error: 'Invalid piece index' });
+      }
+      manifest.proof = {
+        piece: pieceIndex,
+        hash: pieceHashes[pieceIndex],
+        siblings: getMerkleProof(levels, pieceIndex)
+      };
+    }
+    
+    res.json(manifest);
+  } catch (error) {
+    console.error('Manifest error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * BitTorrent metainfo (hybrid v1/v2) with this server as web seed
+ */
+router.get('/:fileId/torrent', async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    
+    const file = await db.getFileById(fileId);
+    
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    if (rejectIfExpired(file, res) || await rejectIfLocked(req, res, file) || rejectIfEncrypted(file, res) ||
+      await rejectIfIncomplete(file, res)) {
+      return;
+    }
+    
+    const metadata = await getTorrentMetadata(file);
+    const options = getTorrentOptions(req, file);
+    const filename = path.basename(file.original_filename || file.filename);
+    
+    res.setHeader('Content-Type', 'application/x-bittorrent');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.torrent"`);
+    res.send(buildTorrentFile(metadata, options));
+  } catch (error) {
+    console.error('Torrent error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Magnet link and info hashes for the file's torrent
+ */
+router.get('/:fileId/magnet', async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    
+    const file = await db.getFileById(fileId);
+    
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    if (rejectIfExpired(file, res) || await rejectIfLocked(req, res, file) || rejectIfEncrypted(file, res) ||
+      await rejectIfIncomplete(file, res)) {
+      return;
+    }
+    
+    const metadata = await getTorrentMetadata(file);
+    const options = getTorrentOptions(req, file);
+    
+    res.json({
+      magnet: buildMagnetUri(metadata, file, options),
+      infoHash: metadata.infoHash,
+      infoHashV2: metadata.infoHashV2
+    });
+  } catch (error) {
+    console.error('Magnet link error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * A stored zip archive and its entries, for the archive routes
+ * Returns null if a response was sent instead (not found, not accessible, not a zip).
+ */
+async function getArchive(req, res) {
+  const file = await db.getFileById(req.params.fileId);
+
+  if (!file) {
+    res.status(404).json({ error: 'File not found' });
+    return null;
+  }
+
+  if (rejectIfExpired(file, res) || await rejectIfLocked(req, res, file) || rejectIfEncrypted(file, res) ||
+    await rejectIfIncomplete(file, res)) {
+    return null;
+  }
+
+  const entries = await readZipEntries(file.file_path);
+  if (!entries) {
+    res.status(415).json({ error: 'File is not a zip archive' });
+    return null;
+  }
+  return { file, entries };
+}
+
+/**
+ * List the files inside a zip archive, from its central directory
+ */
+router.get('/:fileId/archive', async (req, res) => {
+  try {
+    const archive = await getArchive(req, res);
+    if (!archive) {
+      return;
+    }
+
+    res.json({
+      id: archive.file.id,
+      filename: archive.file.original_filename || archive.file.filename,
+      entries: archive.entries
+        .filter(entry => !entry.isDirectory)
+        .map(entry => ({
+          path: entry.path,
+          size: entry.size,
+          compressedSize: entry.compressedSize,
+          date: entry.date,
+          supported: entry.supported
+        }))
+    });
+  } catch (error) {
+    console.error('Archive listing error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Extract one file (`?path=docs/a.txt`) or a folder, as a zip (`?path=docs`), from a zip
+ * archive, streamed straight out of the stored file
+ * Each extraction counts as a download of the archive.
+ */
+router.get('/:fileId/archive/extract', async (req, res) => {
+  try {
+    const entryPath = normalizeRelativePath(String(req.query.path || ''));
+    if (!entryPath) {
+      return res.status(400).json({ error: 'Invalid path' });
+    }
+
+    const archive = await getArchive(req, res);
+    if (!archive) {
+      return;
+    }
+
+    const fileEntries = archive.entries.filter(candidate => !candidate.isDirectory);
+    const entry = fileEntries.find(candidate => candidate.path === entryPath);
+    const folderEntries = entry ? [] : fileEntries.filter(candidate => candidate.path.startsWith(`${entryPath}/`));
+    if (!entry && folderEntries.length === 0) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+    if ((entry ? [entry] : folderEntries).some(candidate => !candidate.supported)) {
+      return res.status(415).json({ error: 'Entry is encrypted or uses an unsupported compression method' });
+    }
+
+    // Counted before any header is set, so a 410 can still go out
+    if (req.method !== 'HEAD' && !(await db.incrementDownloadCount(archive.file.id))) {
+      return res.status(410).json({ error: getExpiryMessage('exhausted'), reason: 'exhausted' });
+    }
+
+    // Entry names are often not ASCII; attachment() encodes them (and sets the type from them)
+    const name = path.posix.basename(entryPath);
+    res.attachment(entry ? name : `${name}.zip`);
+    if (entry) {
+      res.setHeader('Content-Length', entry.size);
+    }
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+    trackDownload(archive.file.id, res);
+
+    if (entry) {
+      for await (const chunk of createEntryReadStream(archive.file.file_path, entry)) {
+        if (res.destroyed) return;
+        if (!res.write(chunk)) {
+          await waitForDrain(res);
+        }
+      }
+      return res.end();
+    }
+
+    // Extracting the zip recreates the folder
+    await streamZip(folderEntries.map(folderEntry => ({
+      source: createEntryReadStream(archive.file.file_path, folderEntry),
+      name: `${name}/${folderEntry.path.slice(entryPath.length + 1)}`,
+      date: folderEntry.date
+    })), res);
+  } catch (error) {
+    console.error('Archive extract error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * Unlock a password-protected file
+ * Issues a token scoped to this file only (also set as a cookie)
+ */
+router.post('/:fileId/unlock', async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    
+    const file = await db.getFileById(fileId);
+    
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    await sendUnlockToken(req, res, file);
+  } catch (error) {
+    console.error('Unlock error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
 
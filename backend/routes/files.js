@@ -1,15 +1,30 @@
 const express = require('express');
 const db = require('../database');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireScope, isAuthRequired, authenticateRequest } = require('../middleware/auth');
+const { deleteStoredFile } = require('../utils/blobStore');
 
 const router = express.Router();
 
+// Whether anonymous visitors can list files (the /uploaded page)
+const PUBLIC_FILE_LIST = process.env.PUBLIC_FILE_LIST !== 'false';
+
 /**
  * Get all files
+ * Logged-in users only see their own uploads, anonymous visitors only anonymous uploads
  */
 router.get('/', async (req, res) => {
   try {
-    const files = await db.getAllFiles();
+    const auth = await authenticateRequest(req);
+    const user = auth ? auth.user : null;
+    
+    if (!user && isAuthRequired() && !PUBLIC_FILE_LIST) {
+      return res.status(401).json({ error: 'Authentication required', requiresAuth: true });
+    }
+    if (auth && auth.apiToken && !auth.apiToken.scopes.includes('list')) {
+      return res.status(403).json({ error: 'API token is missing the "list" scope' });
+    }
+    
+    const files = await db.getAllFiles(user ? user.id : null);
     res.json({ files });
   } catch (error) {
     console.error('Get files error:', error);
@@ -20,25 +35,18 @@ router.get('/', async (req, res) => {
 /**
  * Delete a file (protected - requires auth)
  */
-router.delete('/:fileId', requireAuth, async (req, res) => {
+router.delete('/:fileId', requireAuth, requireScope('delete'), async (req, res) => {
   try {
     const { fileId } = req.params;
     
     const file = await db.getFileById(fileId);
-    if (!file) {
+    // Users can only delete their own files
+    if (!file || (req.user && file.owner_id !== req.user.id)) {
       return res.status(404).json({ error: 'File not found' });
     }
     
-    // Delete file from filesystem
-    const fs = require('fs').promises;
-    try {
-      await fs.unlink(file.file_path);
-    } catch (err) {
-      console.error('Error deleting file from filesystem:', err);
-    }
-    
-    // Delete from database
-    await db.deleteFile(fileId);
+    // Delete from database, and from disk unless other files share the content
+    await deleteStoredFile(file);
     
     res.json({ success: true });
   } catch (error) {
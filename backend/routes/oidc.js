@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const {
+  startSession,
+  getRequestMeta,
+  generateOidcStateToken,
+  verifyOidcStateToken,
+  isAuthRequired,
+  JWT_EXPIRY
+} = require('../middleware/auth');
+const {
+  isOidcEnabled,
+  createAuthorizationRequest,
+  exchangeCode,
+  verifyIdToken,
+  mapClaims,
+  OIDC_REDIRECT_URI,
+  OIDC_PROVIDER_NAME,
+  OIDC_LINK_BY_USERNAME
+} = require('../utils/oidc');
+const { findOrCreateOidcUser } = require('../utils/users');
+const { recordAuthEvent } = require('../utils/audit');
+
+const STATE_COOKIE = 'oidcState';
+const STATE_COOKIE_PATH = '/api/auth/oidc';
+
+/**
+ * Callback URL registered with the identity provider
+ */
+function getRedirectUri(req) {
+  return OIDC_REDIRECT_URI || `${req.protocol}://${req.get('host')}/api/auth/oidc/callback`;
+}
+
+/**
+ * Only allow same-site relative paths to return to after login
+ * Backslashes and control characters are refused outright (browsers read a backslash as
+ * "/" and drop tabs and newlines). The rest must resolve to the same origin, and the path it
+ * resolves to must not become protocol-relative ("/.//evil.com" turns into "//evil.com").
+ */
+function getSafeReturnTo(value) {
+  if (typeof value !== 'string' || !value.startsWith('/') || /[\\\x00-\x1f\x7f]/.test(value)) {
+    return '/';
+  }
+
+  const base = 'http://return-to.invalid';
+  let url;
+  try {
+    url = new URL(value, base);
+  } catch (err) {
+    return '/';
+  }
+  if (url.origin !== base || url.pathname.startsWith('//')) {
+    return '/';
+  }
+  return `${url.pathname}${url.search}${url.hash}`;
+}
+
+/**
+ * Send the browser back to the login page with an error to show
+ */
+function redirectWithError(res, message) {
+  res.clearCookie(STATE_COOKIE, { path: STATE_COOKIE_PATH });
+  res.redirect(`/?ssoError=${encodeURIComponent(message)}`);
+}
+
+/**
+ * SSO availability (for the login page)
+ */
+router.get('/config', (req, res) => {
+  res.json({
+    enabled: isAuthRequired() && isOidcEnabled(),
+    name: OIDC_PROVIDER_NAME
+  });
+});
+
+/**
+ * Start SSO login: redirect to the identity provider
+ */
+router.get('/login', async (req, res) => {
+  if (!isAuthRequired() || !isOidcEnabled()) {
+    return res.status(404).json({ error: 'SSO is not configured' });
+  }
+
+  try {
+    const redirectUri = getRedirectUri(req);
+    const { url, state, nonce, codeVerifier } = await createAuthorizationRequest(redirectUri);
+
+    res.cookie(STATE_COOKIE, generateOidcStateToken({
+      state,
+      nonce,
+      codeVerifier,
+      redirectUri,
+      returnTo: getSafeReturnTo(req.query.returnTo)
+    }), {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: STATE_COOKIE_PATH,
+      maxAge: 10 * 60 * 1000
+    });
+
+    res.redirect(url);
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    redirectWithError(res, 'Single sign-on is unavailable');
+  }
+});
+
+/**
+ * SSO callback: exchange the code, validate the ID token and start a session
+ */
+router.get('/callback', async (req, res) => {
+  if (!isAuthRequired() || !isOidcEnabled()) {
+    return res.status(404).json({ error: 'SSO is not configured' });
+  }
+
+  const meta = getRequestMeta(req);
+  const loginState = verifyOidcStateToken(req.cookies?.[STATE_COOKIE]);
+
+  if (req.query.error) {
+    await recordAuthEvent('login_failure', meta, { detail: `oidc: ${req.query.error}` });
+    return redirectWithError(res, req.query.error_description || 'Single sign-on was cancelled');
+  }
+
+  if (!loginState || !req.query.state || req.query.state !== loginState.state || !req.query.code) {
+    await recordAuthEvent('login_failure', meta, { detail: 'oidc: invalid state' });
+    return redirectWithError(res, 'Single sign-on session expired. Please try again.');
+  }
+
+  let mapped;
+  try {
+    const tokens = await exchangeCode({
+      code: req.query.code,
+      codeVerifier: loginState.codeVerifier,
+      redirectUri: loginState.redirectUri
+    });
+    const claims = await verifyIdToken(tokens.id_token, loginState.nonce);
+    mapped = mapClaims(claims);
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    await recordAuthEvent('login_failure', meta, { detail: `oidc: ${error.message}` });
+    return redirectWithError(res, 'Single sign-on failed');
+  }
+
+  if (!mapped.allowed) {
+    await recordAuthEvent('login_failure', meta, { username: mapped.username, detail: 'oidc: not in an allowed group' });
+    return redirectWithError(res, 'Your account is not allowed to use this instance');
+  }
+
+  try {
+    const user = await findOrCreateOidcUser(mapped, { linkByUsername: OIDC_LINK_BY_USERNAME });
+
+    if (user.disabled) {
+      await recordAuthEvent('login_failure', meta, { username: user.username, userId: user.id, detail: 'oidc: account disabled' });
+      return redirectWithError(res, 'Account disabled');
+    }
+
+    const { token } = await startSession(user, meta);
+    await recordAuthEvent('login_success', meta, { username: user.username, userId: user.id, detail: 'oidc' });
+
+    // Same cookie as password login
+    res.cookie('authToken', token, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      maxAge: JWT_EXPIRY
+    });
+    res.clearCookie(STATE_COOKIE, { path: STATE_COOKIE_PATH });
+    res.redirect(getSafeReturnTo(loginState.returnTo));
+  } catch (error) {
+    console.error('OIDC account error:', error);
+    await recordAuthEvent('login_failure', meta, { username: mapped.username, detail: `oidc: ${error.message}` });
+    redirectWithError(res, error.message);
+  }
+});
+
+module.exports = router;
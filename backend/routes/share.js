@@ -0,0 +1,70 @@
+const express = require('express');
+const db = require('../database');
+const { getExpiryStatus, getExpiryMessage } = require('../utils/expiry');
+const { buildCollectionTree } = require('../utils/collections');
+const { hasFileAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * What a folder share lists for one of its files (the same fields as the file list)
+ */
+function toListedFile(file) {
+  return {
+    id: file.id,
+    filename: file.filename,
+    original_filename: file.original_filename,
+    path: file.relative_path,
+    size: file.size,
+    piece_size: file.piece_size,
+    total_pieces: file.total_pieces,
+    mime_type: file.mime_type,
+    created_at: file.created_at,
+    expires_at: file.expires_at,
+    max_downloads: file.max_downloads,
+    download_count: file.download_count,
+    is_protected: file.password_hash ? 1 : 0,
+    is_complete: file.missing_pieces === 0
+  };
+}
+
+/**
+ * Get a folder share and the tree of its files
+ */
+router.get('/:collectionId', async (req, res) => {
+  try {
+    const collection = await db.getCollectionById(req.params.collectionId);
+
+    if (!collection) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    const status = getExpiryStatus(collection);
+    if (status) {
+      return res.status(410).json({ error: getExpiryMessage(status), reason: status });
+    }
+
+    if (!(await hasFileAccess(req, collection))) {
+      return res.status(401).json({ error: 'Password required', passwordRequired: true });
+    }
+
+    const files = await db.getCollectionFiles(collection.id);
+
+    res.json({
+      id: collection.id,
+      name: collection.name,
+      createdAt: collection.created_at,
+      expiresAt: collection.expires_at,
+      maxDownloads: collection.max_downloads,
+      downloadCount: collection.download_count,
+      isProtected: !!collection.password_hash,
+      complete: files.length > 0 && files.every(file => file.missing_pieces === 0),
+      tree: buildCollectionTree(files, toListedFile)
+    });
+  } catch (error) {
+    console.error('Get folder share error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
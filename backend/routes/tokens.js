@@ -0,0 +1,86 @@
+const express = require('express');
+const db = require('../database');
+const { requireAuth, requireSession } = require('../middleware/auth');
+const { createApiToken, formatApiToken, API_TOKEN_SCOPES } = require('../utils/apiTokens');
+const { parseExpiryOptions } = require('../utils/expiry');
+
+const router = express.Router();
+
+// Tokens are managed from a login session (a token can't mint more tokens)
+router.use(requireAuth, requireSession, (req, res, next) => {
+  if (!req.user) {
+    return res.status(400).json({ error: 'API tokens require user accounts (REQUIRE_PASSWORD=true)' });
+  }
+  next();
+});
+
+/**
+ * List the current user's API tokens
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tokens = await db.getApiTokensByUser(req.user.id);
+    res.json({ tokens: tokens.map(formatApiToken), availableScopes: API_TOKEN_SCOPES });
+  } catch (error) {
+    console.error('List API tokens error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Create an API token
+ * Body: { name, scopes: ['upload', 'delete', 'list'], expiresIn | expiresAt }
+ * The token itself is only returned in this response
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name } = req.body;
+    const scopes = Array.isArray(req.body.scopes)
+      ? req.body.scopes
+      : String(req.body.scopes || '').split(',').map(scope => scope.trim()).filter(Boolean);
+
+    const invalid = scopes.filter(scope => !API_TOKEN_SCOPES.includes(scope));
+    if (scopes.length === 0 || invalid.length > 0) {
+      return res.status(400).json({
+        error: `Scopes must be one or more of: ${API_TOKEN_SCOPES.join(', ')}`
+      });
+    }
+
+    const { expiresAt } = parseExpiryOptions(req.body);
+    const { id, token } = await createApiToken({
+      userId: req.user.id,
+      name,
+      scopes,
+      expiresAt
+    });
+
+    res.status(201).json({
+      id,
+      token,
+      name: name || null,
+      scopes,
+      expiresAt
+    });
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Revoke an API token
+ */
+router.delete('/:tokenId', async (req, res) => {
+  try {
+    const removed = await db.deleteApiToken(req.params.tokenId, req.user.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
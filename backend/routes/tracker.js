@@ -0,0 +1,206 @@
+const express = require('express');
+const net = require('net');
+const db = require('../database');
+const bencode = require('../utils/bencode');
+const { getExpiryStatus, getExpiryMessage } = require('../utils/expiry');
+const { verifyFileToken } = require('../middleware/auth');
+const { getClientIp } = require('../utils/clientIp');
+const { ANNOUNCE_INTERVAL, DEFAULT_NUMWANT, announcePeer, getSwarmStats } = require('../utils/tracker');
+
+const router = express.Router();
+
+/**
+ * Query parameters as raw bytes (info_hash and peer_id are binary, which the regular
+ * UTF-8 query parser mangles). Returns name -> [Buffer]
+ */
+function parseRawQuery(url) {
+  const params = new Map();
+  const queryStart = url.indexOf('?');
+  if (queryStart === -1) return params;
+
+  for (const pair of url.slice(queryStart + 1).split('&')) {
+    if (!pair) continue;
+    const [name, value = ''] = pair.split('=');
+    const bytes = [];
+    for (let i = 0; i < value.length; i++) {
+      if (value[i] === '%' && /^[0-9a-fA-F]{2}$/.test(value.substr(i + 1, 2))) {
+        bytes.push(parseInt(value.substr(i + 1, 2), 16));
+        i += 2;
+      } else {
+        bytes.push(value.charCodeAt(i) & 0xff);
+      }
+    }
+    const key = decodeURIComponent(name);
+    if (!params.has(key)) params.set(key, []);
+    params.get(key).push(Buffer.from(bytes));
+  }
+  return params;
+}
+
+function getParam(params, name) {
+  const values = params.get(name);
+  return values ? values[0] : undefined;
+}
+
+function getIntParam(params, name) {
+  const value = getParam(params, name);
+  if (value === undefined) return undefined;
+  const number = parseInt(value.toString(), 10);
+  return isNaN(number) ? undefined : number;
+}
+
+/**
+ * Trackers answer errors with 200 and a failure reason (that's what clients display)
+ */
+function sendTrackerResponse(res, body) {
+  res.setHeader('Content-Type', 'text/plain');
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(bencode.encode(body));
+}
+
+function sendFailure(res, reason) {
+  sendTrackerResponse(res, { 'failure reason': reason });
+}
+
+/**
+ * The torrent and file an info hash (v1, or v2 truncated to 20 bytes) belongs to, or a
+ * failure reason
+ * Private torrents (of protected files) need the file's share token in the tracker URL
+ */
+async function resolveTorrent(infoHash, token) {
+  const torrent = await db.getTorrentByInfoHash(infoHash.toString('hex'));
+  const file = torrent ? await db.getFileById(torrent.file_id) : null;
+  if (!file) {
+    return { error: 'Unknown torrent' };
+  }
+
+  const expiryStatus = getExpiryStatus(file);
+  if (expiryStatus) {
+    return { error: getExpiryMessage(expiryStatus) };
+  }
+  if (file.password_hash && !(token && verifyFileToken(token, file.id))) {
+    return { error: 'Invalid or expired tracker token - download the torrent again' };
+  }
+
+  return { torrent, file };
+}
+
+/**
+ * Compact peer lists (BEP 23 for IPv4, BEP 7 for IPv6)
+ */
+function encodeCompactPeers(peers) {
+  const peers4 = [];
+  const peers6 = [];
+  for (const peer of peers) {
+    const port = Buffer.alloc(2);
+    port.writeUInt16BE(peer.port);
+    if (net.isIPv4(peer.ip)) {
+      peers4.push(Buffer.from(peer.ip.split('.').map(Number)), port);
+    } else if (net.isIPv6(peer.ip)) {
+      peers6.push(ipv6ToBuffer(peer.ip), port);
+    }
+  }
+  return { peers: Buffer.concat(peers4), peers6: Buffer.concat(peers6) };
+}
+
+function ipv6ToBuffer(ip) {
+  const [head, tail = ''] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = ip.includes('::')
+    ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+    : headGroups;
+  const buffer = Buffer.alloc(16);
+  groups.forEach((group, i) => buffer.writeUInt16BE(parseInt(group, 16) || 0, i * 2));
+  return buffer;
+}
+
+/**
+ * Announce (BEP 3): register the peer and return others in the swarm
+ */
+router.get(['/announce', '/announce/:token'], async (req, res) => {
+  try {
+    const params = parseRawQuery(req.originalUrl);
+    const infoHash = getParam(params, 'info_hash');
+    const peerId = getParam(params, 'peer_id');
+    const port = getIntParam(params, 'port');
+
+    if (!infoHash || infoHash.length !== 20) {
+      return sendFailure(res, 'Invalid info_hash');
+    }
+    if (!peerId || peerId.length !== 20) {
+      return sendFailure(res, 'Invalid peer_id');
+    }
+    if (!port || port < 1 || port > 65535) {
+      return sendFailure(res, 'Invalid port');
+    }
+
+    const { torrent, error } = await resolveTorrent(infoHash, req.params.token);
+    if (error) {
+      return sendFailure(res, error);
+    }
+
+    const event = getParam(params, 'event')?.toString();
+    const peer = {
+      peerId,
+      ip: getClientIp(req),
+      port,
+      uploaded: getIntParam(params, 'uploaded') || 0,
+      downloaded: getIntParam(params, 'downloaded') || 0,
+      left: getIntParam(params, 'left') ?? 0,
+      event
+    };
+    // Announces of either info hash share the torrent's swarm
+    const key = torrent.info_hash;
+    const peers = announcePeer(key, torrent.file_id, peer, getIntParam(params, 'numwant') ?? DEFAULT_NUMWANT);
+    const stats = getSwarmStats(key);
+
+    const response = {
+      interval: Math.round(ANNOUNCE_INTERVAL / 1000),
+      'min interval': Math.round(ANNOUNCE_INTERVAL / 2000),
+      complete: stats.complete,
+      incomplete: stats.incomplete
+    };
+
+    if (getParam(params, 'compact')?.toString() === '0') {
+      response.peers = peers.map(other => ({
+        'peer id': other.peerId,
+        ip: other.ip,
+        port: other.port
+      }));
+    } else {
+      Object.assign(response, encodeCompactPeers(peers));
+    }
+
+    sendTrackerResponse(res, response);
+  } catch (error) {
+    console.error('Tracker announce error:', error);
+    sendFailure(res, 'Internal tracker error');
+  }
+});
+
+/**
+ * Scrape (BEP 48): swarm stats for the given info hashes
+ * Listing every torrent (no info_hash) isn't supported.
+ */
+router.get(['/scrape', '/scrape/:token'], async (req, res) => {
+  try {
+    const params = parseRawQuery(req.originalUrl);
+    const infoHashes = (params.get('info_hash') || []).filter(hash => hash.length === 20);
+
+    const files = new Map();
+    for (const infoHash of infoHashes) {
+      const { torrent, error } = await resolveTorrent(infoHash, req.params.token);
+      if (!error) {
+        files.set(infoHash, getSwarmStats(torrent.info_hash));
+      }
+    }
+
+    sendTrackerResponse(res, { files });
+  } catch (error) {
+    console.error('Tracker scrape error:', error);
+    sendFailure(res, 'Internal tracker error');
+  }
+});
+
+module.exports = router;
@@ -5,47 +5,53 @@ const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
 const mimeTypes = require('mime-types');
 const db = require('../database');
-const { processFile } = require('../utils/chunking');
+const { processFile, getPieceLength } = require('../utils/chunking');
 const { zipDirectory, zipFiles } = require('../utils/zip');
+const { parseExpiryOptions } = require('../utils/expiry');
+const { hashPassword } = require('../utils/password');
+const { checkStorageSpace } = require('../utils/storage');
+const { recordFileIntegrity } = require('../utils/integrity');
+const { openStoredFile, getStoredFileSize, createStoredWriteStream } = require('../utils/storageEncryption');
+const { emitPieceComplete, emitUploadComplete, emitFileRemoved } = require('../utils/pieceEvents');
 
 const router = express.Router();
 const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, '../../uploads');
 
-// Parse storage limit (same logic as server.js)
-function parseStorageLimit(limit) {
-  if (typeof limit === 'number') return limit;
-  if (typeof limit !== 'string') return 100 * 1024 * 1024 * 1024; // 100GB default
-  
-  const match = limit.match(/^(\d+(?:\.\d+)?)\s*(KB|MB|GB|TB)?$/i);
-  if (!match) return 100 * 1024 * 1024 * 1024; // 100GB default
-  
-  const value = parseFloat(match[1]);
-  const unit = (match[2] || 'B').toUpperCase();
-  
-  const multipliers = {
-    'B': 1,
-    'KB': 1024,
-    'MB': 1024 * 1024,
-    'GB': 1024 * 1024 * 1024,
-    'TB': 1024 * 1024 * 1024 * 1024
-  };
-  
-  return Math.floor(value * (multipliers[unit] || 1));
+// Hash the optional per-file share password from the request
+async function getPasswordHash(body) {
+  return body && body.password ? hashPassword(body.password) : null;
 }
 
-const STORAGE_LIMIT = parseStorageLimit(process.env.STORAGE_LIMIT || '100GB');
+// Id of the uploading user (null when authentication is disabled)
+function getOwnerId(req) {
+  return req.user ? req.user.id : null;
+}
+
+// Whether the uploading user may write to an existing file entry
+function canWriteFile(req, file) {
+  return !file.owner_id || file.owner_id === getOwnerId(req);
+}
 
-// Check if there's enough storage space
-async function checkStorageSpace(requiredBytes) {
-  const totalUsed = await db.getTotalStorageUsed();
-  const available = STORAGE_LIMIT - totalUsed;
-  return {
-    hasSpace: available >= requiredBytes,
-    available,
-    totalUsed,
-    totalLimit: STORAGE_LIMIT,
-    required: requiredBytes
-  };
+// Finished uploads live in the shared blob store and must not be written to again
+function isStoredContent(file) {
+  return !!file.content_hash;
+}
+
+// Remove a rejected upload from disk and from the database
+async function discardUpload(file) {
+  try {
+    await fs.unlink(file.path);
+  } catch (err) {
+    // Ignore cleanup errors
+  }
+  if (file.fileId) {
+    try {
+      await db.deleteFile(file.fileId);
+      emitFileRemoved(file.fileId);
+    } catch (err) {
+      console.error(`[${file.fileId}] Error removing rejected upload:`, err);
+    }
+  }
 }
 
 // Custom storage that processes pieces as file is being written
@@ -86,8 +92,6 @@ class StreamingProcessingStorage {
     // Store fileId in file object for later retrieval
     file.fileId = fileId;
     
-    // Create write stream
-    const writeStream = require('fs').createWriteStream(finalPath);
     const { getPieceSize, hashPiece } = require('../utils/chunking');
     
     let totalBytes = 0;
@@ -97,6 +101,29 @@ class StreamingProcessingStorage {
     let currentPieceIndex = 0;
     let fileCreated = false;
     let piecesCreated = false;
+    let hashedBytes = 0;
+    let writtenBytes = 0;
+    const hashedPieces = []; // { pieceIndex, hash, offset, size } not entirely on disk yet
+    
+    // Pieces count as complete (and are announced to waiting downloads) once all their bytes are written
+    const recordWrittenPieces = () => {
+      const recorded = [];
+      while (hashedPieces.length > 0 && hashedPieces[0].offset + hashedPieces[0].size <= writtenBytes) {
+        const piece = hashedPieces.shift();
+        recorded.push(Promise.all([
+          db.updatePieceHash(fileId, piece.pieceIndex, piece.hash),
+          db.updatePieceComplete(fileId, piece.pieceIndex, true)
+        ]).then(() => {
+          emitPieceComplete(fileId, piece);
+          if (piece.pieceIndex % 100 === 0 || piece.pieceIndex < 10) {
+            console.log(`[${fileId}] Processed piece ${piece.pieceIndex + 1} during upload (${writtenBytes} bytes written)`);
+          }
+        }).catch(err => {
+          console.error(`[${fileId}] Error processing piece ${piece.pieceIndex}:`, err);
+        }));
+      }
+      return Promise.all(recorded);
+    };
     
     // Check if file already exists in database (from chunk/init) - do this synchronously if possible
     // But we need to handle async, so use a promise that resolves before processing starts
@@ -104,6 +131,13 @@ class StreamingProcessingStorage {
       try {
         const existingFile = await db.getFileById(fileId);
         
+        if (existingFile && !canWriteFile(req, existingFile)) {
+          throw new Error('File not found');
+        }
+        if (existingFile && isStoredContent(existingFile)) {
+          throw new Error('Upload already complete');
+        }
+        
         if (existingFile) {
           // File was pre-initialized, use existing piece size
           pieceSize = existingFile.piece_size;
@@ -129,7 +163,11 @@ class StreamingProcessingStorage {
             pieceSize: newPieceSize,
             totalPieces: newTotalPieces,
             mimeType: mimeTypes.lookup(file.originalname) || 'application/octet-stream',
-            filePath: finalPath
+            filePath: finalPath,
+            // Only available here if the share fields precede the files in the form data
+            ...parseExpiryOptions(req.body),
+            passwordHash: await getPasswordHash(req.body),
+            ownerId: getOwnerId(req)
           });
           
           // Create piece entries with initial estimate
@@ -163,6 +201,17 @@ class StreamingProcessingStorage {
       }
     })();
     
+    // Open the write stream only once the file entry is verified, so a
+    // pre-initialized fileId that belongs to another user is never truncated
+    let writeStream = null;
+    const writeStreamPromise = fileSetupPromise.then(() => {
+      writeStream = createStoredWriteStream(finalPath);
+      writeStream.on('error', (err) => {
+        cb(err);
+      });
+      return writeStream;
+    });
+    
     // Set up data handler immediately - it will check piecesCreated before processing
     file.stream.on('data', (chunk) => {
       totalBytes += chunk.length;
@@ -222,58 +271,56 @@ class StreamingProcessingStorage {
         // Process complete pieces as they're formed - this happens DURING upload
         while (currentPiece.length >= pieceSize && piecesCreated) {
           const pieceData = currentPiece.slice(0, pieceSize);
-          const hash = hashPiece(pieceData);
           
-          // Mark piece as complete immediately (don't await - let it run in background)
-          const pieceIndex = currentPieceIndex;
-          Promise.all([
-            db.updatePieceHash(fileId, pieceIndex, hash),
-            db.updatePieceComplete(fileId, pieceIndex, true)
-          ]).then(() => {
-            if (pieceIndex % 100 === 0 || pieceIndex < 10) {
-              console.log(`[${fileId}] Processed piece ${pieceIndex + 1} during upload (${totalBytes} bytes received)`);
-            }
-          }).catch(err => {
-            console.error(`[${fileId}] Error processing piece ${pieceIndex}:`, err);
-          });
+          // Recorded in the background once the piece is on disk
+          hashedPieces.push({ pieceIndex: currentPieceIndex, hash: hashPiece(pieceData), offset: hashedBytes, size: pieceData.length });
+          hashedBytes += pieceData.length;
           
           currentPiece = currentPiece.slice(pieceSize);
           currentPieceIndex++;
         }
+        recordWrittenPieces();
       }).catch(err => {
-        // File setup failed, but continue writing to disk
-        console.error(`[${fileId}] File setup error, continuing upload:`, err);
+        console.error(`[${fileId}] File setup error:`, err);
       });
       
-      // Always write to disk, even if setup isn't complete
-      writeStream.write(chunk);
+      // Write to disk in arrival order once the stream is open
+      writeStreamPromise.then(stream => {
+        stream.write(chunk, (err) => {
+          if (!err) {
+            writtenBytes += chunk.length;
+            recordWrittenPieces();
+          }
+        });
+      }).catch(() => {
+        // Setup failed - already reported through cb
+      });
     });
     
     file.stream.on('end', async () => {
+      const stream = await writeStreamPromise.catch(() => null);
+      if (!stream) {
+        return; // Setup failed - already reported through cb
+      }
+      
       // Handle remaining data (last partial piece)
       if (currentPiece.length > 0 && piecesCreated) {
-        const hash = hashPiece(currentPiece);
-        const pieceIndex = currentPieceIndex;
-        
-        try {
-          await Promise.all([
-            db.updatePieceHash(fileId, pieceIndex, hash),
-            db.updatePieceComplete(fileId, pieceIndex, true)
-          ]);
-          console.log(`[${fileId}] Processed final piece ${pieceIndex + 1}/${totalPieces}`);
-        } catch (err) {
-          console.error(`[${fileId}] Error processing final piece:`, err);
-        }
+        hashedPieces.push({ pieceIndex: currentPieceIndex, hash: hashPiece(currentPiece), offset: hashedBytes, size: currentPiece.length });
+        hashedBytes += currentPiece.length;
       }
       
-      writeStream.end();
+      // Wait for everything to reach the disk - the route reads the file right after
+      await new Promise(resolve => stream.end(resolve));
+      await recordWrittenPieces();
       
-      // Update file size with actual size
+      // Update file size with actual size (and drop pieces of the initial estimate past the end)
       try {
-        await db.updateFile(fileId, { size: totalBytes });
+        const actualPieces = await db.trimPieces(fileId, totalBytes, pieceSize);
+        await db.updateFile(fileId, { size: totalBytes, totalPieces: actualPieces });
       } catch (err) {
         console.error(`[${fileId}] Error updating file size:`, err);
       }
+      emitUploadComplete(fileId);
       
       cb(null, {
         destination: UPLOADS_DIR,
@@ -284,11 +331,9 @@ class StreamingProcessingStorage {
     });
     
     file.stream.on('error', (err) => {
-      writeStream.destroy();
-      cb(err);
-    });
-    
-    writeStream.on('error', (err) => {
+      if (writeStream) {
+        writeStream.destroy();
+      }
       cb(err);
     });
   }
@@ -321,15 +366,11 @@ router.post('/files', upload.array('files'), async (req, res) => {
     const totalUploadSize = req.files.reduce((sum, f) => sum + f.size, 0);
     
     // Check storage space
-    const storageCheck = await checkStorageSpace(totalUploadSize);
+    const storageCheck = await checkStorageSpace(totalUploadSize, getOwnerId(req));
     if (!storageCheck.hasSpace) {
-      // Clean up uploaded temp files
+      // Clean up uploaded temp files (and the entries the storage engine created)
       for (const file of req.files) {
-        try {
-          await fs.unlink(file.path);
-        } catch (err) {
-          // Ignore cleanup errors
-        }
+        await discardUpload(file);
       }
       return res.status(413).json({ 
         error: 'Storage limit exceeded',
@@ -342,12 +383,14 @@ router.post('/files', upload.array('files'), async (req, res) => {
     
     const results = [];
     const processingPromises = [];
+    const { expiresAt, maxDownloads } = parseExpiryOptions(req.body);
+    const passwordHash = await getPasswordHash(req.body);
     
     for (const file of req.files) {
       // File has already been processed during upload by StreamingProcessingStorage
       // The fileId is stored in the file object by the storage engine
       const fileId = file.fileId || path.basename(file.filename, path.extname(file.filename));
-      const fileStats = await fs.stat(file.path);
+      const fileSize = await getStoredFileSize(file.path);
       
       // Get file info from database (already created by storage)
       const dbFile = await db.getFileById(fileId);
@@ -357,18 +400,33 @@ router.post('/files', upload.array('files'), async (req, res) => {
       }
       
       // Update final file size
-      if (fileStats.size !== dbFile.size) {
-        await db.updateFile(fileId, { size: fileStats.size });
+      if (fileSize !== dbFile.size) {
+        await db.updateFile(fileId, { size: fileSize });
+      }
+      
+      // Apply share settings (form fields may arrive after the file stream started)
+      if (expiresAt || maxDownloads || passwordHash) {
+        await db.updateFile(fileId, {
+          ...(expiresAt && { expiresAt }),
+          ...(maxDownloads && { maxDownloads }),
+          ...(passwordHash && { passwordHash })
+        });
       }
       
+      // Deduplicate against content that is already stored and record its hashes
+      await recordFileIntegrity(fileId);
+      
       // Return file info
       results.push({
         id: fileId,
         filename: file.originalname,
-        size: fileStats.size,
+        size: fileSize,
         url: `/api/download/${fileId}`,
         pieceSize: dbFile.piece_size,
-        totalPieces: dbFile.total_pieces
+        totalPieces: dbFile.total_pieces,
+        expiresAt: expiresAt || dbFile.expires_at,
+        maxDownloads: maxDownloads || dbFile.max_downloads,
+        isProtected: !!(passwordHash || dbFile.password_hash)
       });
     }
     
@@ -394,14 +452,10 @@ router.post('/directory', upload.single('directory'), async (req, res) => {
     }
     
     // Check storage space
-    const storageCheck = await checkStorageSpace(req.file.size);
+    const storageCheck = await checkStorageSpace(req.file.size, getOwnerId(req));
     if (!storageCheck.hasSpace) {
-      // Clean up uploaded temp file
-      try {
-        await fs.unlink(req.file.path);
-      } catch (err) {
-        // Ignore cleanup errors
-      }
+      // Clean up uploaded temp file (and the entry the storage engine created)
+      await discardUpload(req.file);
       return res.status(413).json({ 
         error: 'Storage limit exceeded',
         available: storageCheck.available,
@@ -412,11 +466,17 @@ router.post('/directory', upload.single('directory'), async (req, res) => {
     }
     
     const fileId = uuidv4();
+    const expiry = parseExpiryOptions(req.body);
+    const passwordHash = await getPasswordHash(req.body);
     const finalFilename = `${fileId}.zip`;
     const finalPath = path.join(UPLOADS_DIR, finalFilename);
     
     // Move file to final location
     await fs.rename(req.file.path, finalPath);
+    // The storage engine registered the upload under its own id; the zip gets a fresh entry below
+    if (req.file.fileId) {
+      await db.deleteFile(req.file.fileId);
+    }
     
     // Process file into pieces
     const { pieces, pieceSize, totalPieces, fileSize } = await processFile(finalPath);
@@ -430,7 +490,10 @@ router.post('/directory', upload.single('directory'), async (req, res) => {
       pieceSize,
       totalPieces,
       mimeType: 'application/zip',
-      filePath: finalPath
+      filePath: finalPath,
+      ...expiry,
+      passwordHash,
+      ownerId: getOwnerId(req)
     });
     
     // Save pieces to database
@@ -444,6 +507,7 @@ router.post('/directory', upload.single('directory'), async (req, res) => {
     }));
     
     await db.createPieces(dbPieces);
+    await recordFileIntegrity(fileId);
     
     res.json({
       success: true,
@@ -453,7 +517,10 @@ router.post('/directory', upload.single('directory'), async (req, res) => {
         size: fileSize,
         url: `/api/download/${fileId}`,
         pieceSize,
-        totalPieces
+        totalPieces,
+        expiresAt: expiry.expiresAt,
+        maxDownloads: expiry.maxDownloads,
+        isProtected: !!passwordHash
       }
     });
   } catch (error) {
@@ -501,14 +568,34 @@ router.post('/chunk', async (req, res) => {
         pieceSize: pieceSize || 256 * 1024,
         totalPieces: totalPieces || 1,
         mimeType: mimeType || 'application/octet-stream',
-        filePath: finalPath
+        filePath: finalPath,
+        ...parseExpiryOptions(req.body),
+        passwordHash: await getPasswordHash(req.body),
+        ownerId: getOwnerId(req)
       });
       
       file = await db.getFileById(fileId);
+    } else if (!canWriteFile(req, file)) {
+      return res.status(404).json({ error: 'File not found' });
+    } else if (isStoredContent(file)) {
+      return res.status(409).json({ error: 'Upload already complete' });
+    }
+    
+    // Pieces must be one of the file's, at their full length, to stay within its size
+    const pieceLength = getPieceLength(Number(pieceIndex), {
+      size: file.size,
+      pieceSize: file.piece_size,
+      totalPieces: file.total_pieces
+    });
+    if (pieceLength === null) {
+      return res.status(400).json({ error: `Invalid piece index ${pieceIndex}` });
+    }
+    if (pieceData.length !== pieceLength) {
+      return res.status(400).json({ error: `Piece ${pieceIndex} must be ${pieceLength} bytes` });
     }
     
     // Write piece to file
-    const fd = await fs.open(file.file_path, pieceIndex === 0 ? 'w' : 'r+');
+    const fd = await openStoredFile(file.file_path, pieceIndex === 0 ? 'w' : 'r+');
     try {
       const offset = pieceIndex * file.piece_size;
       await fd.write(pieceData, 0, pieceData.length, offset);
@@ -518,10 +605,15 @@ router.post('/chunk', async (req, res) => {
     
     // Update piece in database
     await db.updatePieceComplete(fileId, pieceIndex, true);
+    emitPieceComplete(fileId, { pieceIndex, offset: pieceIndex * file.piece_size, size: pieceData.length });
     
     // Check if all pieces are complete
     const pieces = await db.getPiecesByFileId(fileId);
     const allComplete = pieces.every(p => p.is_complete === 1);
+    if (allComplete) {
+      emitUploadComplete(fileId);
+      await recordFileIntegrity(fileId);
+    }
     
     res.json({
       success: true,
@@ -547,7 +639,7 @@ router.post('/chunk/init', async (req, res) => {
     }
     
     // Check storage space
-    const storageCheck = await checkStorageSpace(parseInt(size));
+    const storageCheck = await checkStorageSpace(parseInt(size), getOwnerId(req));
     if (!storageCheck.hasSpace) {
       return res.status(413).json({ 
         error: 'Storage limit exceeded',
@@ -559,6 +651,7 @@ router.post('/chunk/init', async (req, res) => {
     }
     
     const fileId = uuidv4();
+    const expiry = parseExpiryOptions(req.body);
     const { getPieceSize } = require('../utils/chunking');
     const pieceSize = getPieceSize(size);
     const totalPieces = Math.ceil(size / pieceSize);
@@ -568,7 +661,7 @@ router.post('/chunk/init', async (req, res) => {
     const finalPath = path.join(UPLOADS_DIR, finalFilename);
     
     // Create empty file
-    await fs.writeFile(finalPath, Buffer.alloc(0));
+    await (await openStoredFile(finalPath, 'w')).close();
     
     // Create file entry
     await db.createFile({
@@ -579,7 +672,10 @@ router.post('/chunk/init', async (req, res) => {
       pieceSize,
       totalPieces,
       mimeType: mimeType || mimeTypes.lookup(filename) || 'application/octet-stream',
-      filePath: finalPath
+      filePath: finalPath,
+      ...expiry,
+      passwordHash: await getPasswordHash(req.body),
+      ownerId: getOwnerId(req)
     });
     
     // Create piece entries (all incomplete initially)
@@ -605,7 +701,9 @@ router.post('/chunk/init', async (req, res) => {
       success: true,
       fileId,
       pieceSize,
-      totalPieces
+      totalPieces,
+      expiresAt: expiry.expiresAt,
+      maxDownloads: expiry.maxDownloads
     });
   } catch (error) {
     console.error('Chunk init error:', error);
@@ -622,7 +720,7 @@ router.post('/reprocess/:fileId', async (req, res) => {
     const { fileId } = req.params;
     const file = await db.getFileById(fileId);
     
-    if (!file) {
+    if (!file || !canWriteFile(req, file)) {
       return res.status(404).json({ error: 'File not found' });
     }
     
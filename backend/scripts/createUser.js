@@ -0,0 +1,37 @@
+/**
+ * Create a user account from the command line
+ *
+ * Usage: npm run create-user -- <username> <password> [quota] [--admin]
+ * Quota accepts the same format as STORAGE_LIMIT (e.g. "10GB")
+ */
+const db = require('../database');
+const { createUserAccount } = require('../utils/users');
+const { parseStorageLimit } = require('../utils/storage');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const role = args.includes('--admin') ? 'admin' : 'user';
+  const [username, password, quotaArg] = args.filter(arg => arg !== '--admin');
+
+  if (!username || !password) {
+    console.error('Usage: npm run create-user -- <username> <password> [quota] [--admin]');
+    process.exit(1);
+  }
+
+  const quota = quotaArg ? parseStorageLimit(quotaArg, null) : null;
+  if (quotaArg && !quota) {
+    console.error(`Invalid quota: ${quotaArg}`);
+    process.exit(1);
+  }
+
+  await db.initialize();
+  const user = await createUserAccount({ username, password, quota, role });
+  console.log(`Created ${role} "${user.username}" (${user.id})`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Create user error:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,152 @@
+/**
+ * Minimal OpenID Connect provider for trying out SSO locally
+ *
+ * Usage: npm run mock-oidc
+ * Then start the app with:
+ *   REQUIRE_PASSWORD=true OIDC_ISSUER=http://localhost:4000 OIDC_CLIENT_ID=hasty-file-send
+ *
+ * The authorize page asks for a username and groups and signs you in as them.
+ * Supports discovery, JWKS, the authorization-code flow with PKCE (S256) and
+ * client_secret_basic/post when MOCK_OIDC_CLIENT_SECRET is set. Development only.
+ */
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'hasty-file-send';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || '';
+const CODE_TTL = 60 * 1000;
+
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const codes = new Map(); // code -> { redirectUri, codeChallenge, nonce, username, groups, expiresAt }
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+function escapeHtml(value) {
+  return String(value || '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id, response_type, redirect_uri, code_challenge, code_challenge_method } = req.query;
+
+  if (client_id !== CLIENT_ID || response_type !== 'code' || !redirect_uri) {
+    return res.status(400).send('Invalid authorization request');
+  }
+  if (!code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).send('PKCE (S256) is required');
+  }
+
+  const hidden = ['redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+
+  res.send(`<!doctype html>
+<title>Mock IdP</title>
+<h1>Mock IdP sign-in</h1>
+<form method="post" action="/authorize">
+  ${hidden}
+  <p><label>Username <input name="username" value="alice" autofocus></label></p>
+  <p><label>Groups (comma separated) <input name="groups" value=""></label></p>
+  <button type="submit">Sign in</button>
+</form>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri, state, nonce, code_challenge, username } = req.body;
+  if (!redirect_uri || !username) {
+    return res.status(400).send('Missing username');
+  }
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    redirectUri: redirect_uri,
+    codeChallenge: code_challenge,
+    nonce,
+    username,
+    groups: String(req.body.groups || '').split(',').map(group => group.trim()).filter(Boolean),
+    expiresAt: Date.now() + CODE_TTL
+  });
+
+  const url = new URL(redirect_uri);
+  url.searchParams.set('code', code);
+  if (state) url.searchParams.set('state', state);
+  res.redirect(url.toString());
+});
+
+app.post('/token', (req, res) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+
+  const basic = req.headers.authorization?.match(/^Basic (.+)$/);
+  if (basic) {
+    const [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+    clientId = id;
+    clientSecret = secret;
+  }
+
+  if (clientId !== CLIENT_ID || (CLIENT_SECRET && clientSecret !== CLIENT_SECRET)) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const entry = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  if (req.body.grant_type !== 'authorization_code' || !entry || entry.expiresAt < Date.now()) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  if (entry.redirectUri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'redirect_uri mismatch' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+  if (challenge !== entry.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign({
+    sub: `mock-${entry.username}`,
+    preferred_username: entry.username,
+    email: `${entry.username}@example.test`,
+    groups: entry.groups,
+    nonce: entry.nonce
+  }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER} (client id: ${CLIENT_ID})`);
+});
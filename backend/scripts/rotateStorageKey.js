@@ -0,0 +1,76 @@
+/**
+ * Rewrap every stored file's data key with the current storage encryption key
+ *
+ * Usage: npm run rotate-storage-key -- [--dry-run] [--encrypt-existing]
+ *
+ * To rotate, put the new key first in STORAGE_ENCRYPTION_KEY (or the key file) and keep
+ * the old one after it, run this, then drop the old key. Only file headers are rewritten,
+ * so it is quick and safe while the server runs. --encrypt-existing also encrypts files
+ * stored before a key was configured (stop the server for that: they are rewritten).
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  isStorageEncryptionEnabled,
+  rewrapStoredFile,
+  encryptStoredFile
+} = require('../utils/storageEncryption');
+
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, '../../uploads');
+
+async function* walk(dir) {
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      yield* walk(entryPath);
+    } else if (entry.isFile()) {
+      yield entryPath;
+    }
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const encryptExisting = args.includes('--encrypt-existing');
+
+  if (!isStorageEncryptionEnabled()) {
+    console.error('Set STORAGE_ENCRYPTION_KEY or STORAGE_ENCRYPTION_KEY_FILE first');
+    process.exit(1);
+  }
+
+  const counts = { rewrapped: 0, current: 0, plaintext: 0, encrypted: 0, failed: 0 };
+  for await (const filePath of walk(UPLOADS_DIR)) {
+    try {
+      const result = await rewrapStoredFile(filePath, { dryRun });
+      if (result === 'plaintext' && encryptExisting) {
+        if (!dryRun) {
+          await encryptStoredFile(filePath);
+        }
+        counts.encrypted++;
+      } else {
+        counts[result]++;
+      }
+    } catch (err) {
+      console.error(`${filePath}: ${err.message}`);
+      counts.failed++;
+    }
+  }
+
+  console.log(`${dryRun ? 'Would rewrap' : 'Rewrapped'} ${counts.rewrapped} file(s), ${counts.current} already current`);
+  if (encryptExisting) {
+    console.log(`${dryRun ? 'Would encrypt' : 'Encrypted'} ${counts.encrypted} plaintext file(s)`);
+  } else if (counts.plaintext > 0) {
+    console.log(`${counts.plaintext} plaintext file(s) left as they are (see --encrypt-existing)`);
+  }
+  if (counts.failed > 0) {
+    throw new Error(`${counts.failed} file(s) could not be processed`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Key rotation error:', error.message);
+    process.exit(1);
+  });
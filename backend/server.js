@@ -8,41 +8,26 @@ const db = require('./database');
 const uploadRoutes = require('./routes/upload');
 const downloadRoutes = require('./routes/download');
 const fileRoutes = require('./routes/files');
+const shareRoutes = require('./routes/share');
 const authRoutes = require('./routes/auth');
+const adminRoutes = require('./routes/admin');
+const tokenRoutes = require('./routes/tokens');
+const trackerRoutes = require('./routes/tracker');
 const { initializeWebSocket } = require('./websocket');
-const { requireAuth, isAuthRequired } = require('./middleware/auth');
+const { startExpirySweeper } = require('./utils/expirySweeper');
+const { startUploadJanitor } = require('./utils/uploadJanitor');
+const { TRACKER_ENABLED, startTracker } = require('./utils/tracker');
+const { getStorageStats } = require('./utils/storage');
+const { ensureDefaultUser } = require('./utils/users');
+const { isTrustedProxy } = require('./utils/clientIp');
+const { requireAuth, requireScope, isAuthRequired } = require('./middleware/auth');
 
 const app = express();
 const server = http.createServer(app);
 const PORT = process.env.PORT || 3000;
 const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
 const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, '../uploads');
-
-// Parse storage limit from environment variable
-function parseStorageLimit(limit) {
-  if (typeof limit === 'number') return limit;
-  if (typeof limit !== 'string') return 100 * 1024 * 1024 * 1024; // 100GB default
-  
-  const match = limit.match(/^(\d+(?:\.\d+)?)\s*(KB|MB|GB|TB)?$/i);
-  if (!match) return 100 * 1024 * 1024 * 1024; // 100GB default
-  
-  const value = parseFloat(match[1]);
-  const unit = (match[2] || 'B').toUpperCase();
-  
-  const multipliers = {
-    'B': 1,
-    'KB': 1024,
-    'MB': 1024 * 1024,
-    'GB': 1024 * 1024 * 1024,
-    'TB': 1024 * 1024 * 1024 * 1024
-  };
-  
-  return Math.floor(value * (multipliers[unit] || 1));
-}
-
-// Storage limit in bytes (default: 100GB, can be set via STORAGE_LIMIT env var)
-// Supports: number (bytes), or string with suffix (e.g., "10GB", "500MB", "1TB")
-const STORAGE_LIMIT = parseStorageLimit(process.env.STORAGE_LIMIT || '100GB');
+const PUBLIC_DIR = process.env.PUBLIC_DIR || path.join(__dirname, '../public');
 
 // Ensure directories exist
 async function ensureDirectories() {
@@ -50,6 +35,9 @@ async function ensureDirectories() {
   await fs.mkdir(UPLOADS_DIR, { recursive: true });
 }
 
+// Only honor X-Forwarded-For from TRUSTED_PROXIES (e.g. Nginx Proxy Manager)
+app.set('trust proxy', (address) => isTrustedProxy(address));
+
 // Middleware
 app.use(cors({
   origin: true,
@@ -64,36 +52,37 @@ app.use('/api/auth', authRoutes);
 
 // Serve static files (frontend)
 // Note: Static files are served without auth check - the frontend will handle showing login
-app.use(express.static(path.join(__dirname, '../public')));
+app.use(express.static(PUBLIC_DIR));
 
 // Protected API routes (uploads require auth)
-app.use('/api/upload', requireAuth, uploadRoutes);
+app.use('/api/upload', requireAuth, requireScope('upload'), uploadRoutes);
 
 // Public API routes (downloads and file list are public)
 app.use('/api/download', downloadRoutes);
 app.use('/api/files', fileRoutes);
+app.use('/api/share', shareRoutes);
+
+// Admin API routes (admin role required)
+app.use('/api/admin', adminRoutes);
+
+// Personal API token management (login session required)
+app.use('/api/tokens', tokenRoutes);
+
+// BitTorrent tracker for the torrents of shared files (public, private torrents carry a token)
+if (TRACKER_ENABLED) {
+  app.use('/', trackerRoutes);
+}
 
 // Health check (public)
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Storage stats endpoint (protected)
-app.get('/api/storage', requireAuth, async (req, res) => {
+// Storage stats endpoint (protected, scoped to the user's quota)
+app.get('/api/storage', requireAuth, requireScope('list'), async (req, res) => {
   try {
-    const totalUsed = await db.getTotalStorageUsed();
-    const fileCount = await db.getFileCount();
-    const available = Math.max(0, STORAGE_LIMIT - totalUsed);
-    const percentage = STORAGE_LIMIT > 0 ? (totalUsed / STORAGE_LIMIT) * 100 : 0;
-    
-    res.json({
-      totalUsed,
-      totalLimit: STORAGE_LIMIT,
-      available,
-      percentage: Math.min(100, Math.round(percentage * 100) / 100),
-      fileCount,
-      isFull: totalUsed >= STORAGE_LIMIT
-    });
+    const stats = await getStorageStats(req.user ? req.user.id : null);
+    res.json(stats);
   } catch (error) {
     console.error('Storage stats error:', error);
     res.status(500).json({ error: error.message });
@@ -106,17 +95,27 @@ app.get('*', (req, res) => {
   if (req.path.startsWith('/api/')) {
     return res.status(404).json({ error: 'Not found' });
   }
-  res.sendFile(path.join(__dirname, '../public/index.html'));
+  res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
 });
 
 // Initialize and start server
 async function start() {
   await ensureDirectories();
   await db.initialize();
+  await ensureDefaultUser();
   
   // Initialize WebSocket server
   initializeWebSocket(server);
   
+  // Remove expired share links in the background
+  startExpirySweeper();
+  // ...and uploads that were abandoned halfway
+  startUploadJanitor();
+  // ...and tracker peers that stopped announcing
+  if (TRACKER_ENABLED) {
+    startTracker();
+  }
+  
   server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`WebSocket server initialized`);
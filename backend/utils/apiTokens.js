@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+
+// Personal API tokens are opaque random strings with a fixed prefix, so they
+// can never be mistaken for a login JWT (or vice versa)
+const API_TOKEN_PREFIX = 'hfs_';
+
+const API_TOKEN_SCOPES = ['upload', 'delete', 'list'];
+
+/**
+ * Whether a bearer credential is a personal API token rather than a JWT
+ */
+function isApiToken(token) {
+  return typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+}
+
+/**
+ * SHA-256 of a token - tokens are high-entropy, so no salt/KDF is needed
+ */
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a token for a user. The plaintext token is only returned here.
+ */
+async function createApiToken({ userId, name, scopes, expiresAt }) {
+  const invalid = scopes.filter(scope => !API_TOKEN_SCOPES.includes(scope));
+  if (scopes.length === 0 || invalid.length > 0) {
+    throw new Error(`Invalid scopes: ${invalid.join(', ') || 'none given'}`);
+  }
+
+  const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const id = uuidv4();
+
+  await db.createApiToken({
+    id,
+    userId,
+    name,
+    tokenHash: hashApiToken(token),
+    scopes,
+    expiresAt
+  });
+
+  return { id, token };
+}
+
+/**
+ * Resolve an API token to its (active) user and scopes, or null
+ */
+async function authenticateApiToken(token) {
+  const row = await db.getApiTokenByHash(hashApiToken(token));
+  if (!row || (row.expires_at && row.expires_at <= Date.now())) {
+    return null;
+  }
+
+  const user = await db.getUserById(row.user_id);
+  if (!user || user.disabled) {
+    return null;
+  }
+
+  db.touchApiToken(row.id).catch(err => {
+    console.error(`[${row.id}] Error updating API token last use:`, err);
+  });
+
+  return {
+    user: { id: user.id, username: user.username, role: user.role || 'user' },
+    apiToken: { id: row.id, scopes: row.scopes.split(',') }
+  };
+}
+
+/**
+ * Public view of a token row (never includes the hash)
+ */
+function formatApiToken(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    scopes: row.scopes.split(','),
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    createdAt: row.created_at
+  };
+}
+
+module.exports = {
+  isApiToken,
+  hashApiToken,
+  createApiToken,
+  authenticateApiToken,
+  formatApiToken,
+  API_TOKEN_PREFIX,
+  API_TOKEN_SCOPES
+};
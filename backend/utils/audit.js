@@ -0,0 +1,28 @@
+const db = require('../database');
+
+/**
+ * Record an auth event in the audit log
+ * Never throws - a logging failure must not break a login
+ *
+ * @param {string} event - e.g. 'login_success', 'login_failure', 'login_blocked', 'logout'
+ * @param {object} meta - { ip, userAgent } of the request
+ * @param {object} details - { username, userId, detail }
+ */
+async function recordAuthEvent(event, meta = {}, details = {}) {
+  try {
+    await db.createAuthEvent({
+      event,
+      username: details.username,
+      userId: details.userId,
+      ip: meta.ip,
+      userAgent: meta.userAgent,
+      detail: details.detail
+    });
+  } catch (err) {
+    console.error(`Audit log error (${event}):`, err);
+  }
+}
+
+module.exports = {
+  recordAuthEvent
+};
@@ -0,0 +1,62 @@
+/**
+ * Bencoding (the BitTorrent serialization format)
+ * Strings may be given as strings (UTF-8) or Buffers, integers as numbers,
+ * lists as arrays and dictionaries as plain objects, or as Maps when keys are binary
+ * (keys are sorted on output).
+ */
+
+/**
+ * Already-bencoded data, embedded as-is
+ */
+class Raw {
+  constructor(buffer) {
+    this.buffer = buffer;
+  }
+}
+
+function encodeInto(value, parts) {
+  if (value instanceof Raw) {
+    parts.push(value.buffer);
+  } else if (Buffer.isBuffer(value)) {
+    parts.push(Buffer.from(`${value.length}:`), value);
+  } else if (typeof value === 'string') {
+    encodeInto(Buffer.from(value, 'utf8'), parts);
+  } else if (typeof value === 'number') {
+    if (!Number.isInteger(value)) {
+      throw new Error(`Cannot bencode non-integer number: ${value}`);
+    }
+    parts.push(Buffer.from(`i${value}e`));
+  } else if (Array.isArray(value)) {
+    parts.push(Buffer.from('l'));
+    value.forEach(item => encodeInto(item, parts));
+    parts.push(Buffer.from('e'));
+  } else if (value && typeof value === 'object') {
+    const entries = value instanceof Map ? Array.from(value.entries()) : Object.entries(value);
+    parts.push(Buffer.from('d'));
+    entries
+      .filter(([, item]) => item !== undefined)
+      .map(([key, item]) => [Buffer.isBuffer(key) ? key : Buffer.from(key, 'utf8'), item])
+      .sort(([a], [b]) => Buffer.compare(a, b))
+      .forEach(([key, item]) => {
+        encodeInto(key, parts);
+        encodeInto(item, parts);
+      });
+    parts.push(Buffer.from('e'));
+  } else {
+    throw new Error(`Cannot bencode value of type ${typeof value}`);
+  }
+}
+
+/**
+ * Bencode a value into a Buffer
+ */
+function encode(value) {
+  const parts = [];
+  encodeInto(value, parts);
+  return Buffer.concat(parts);
+}
+
+module.exports = {
+  Raw,
+  encode
+};
@@ -0,0 +1,104 @@
+/**
+ * Binary WebSocket framing for piece data
+ *
+ * Clients that offer the BINARY_PROTOCOL subprotocol when connecting get chunks as
+ * binary frames instead of base64 inside JSON. Control messages stay JSON either way.
+ *
+ * Frame layout (integers big-endian):
+ *   u8   frame type (FRAME_TYPES)
+ *   u8   fileId length n
+ *   n    fileId (ASCII)
+ *   u32  chunk index
+ *   u64  byte offset of the piece in the file
+ *   32   SHA-256 of the piece (all zeros when not known)
+ *   ...  piece bytes
+ *
+ * The same layout is implemented in frontend/src/utils/binaryFrames.js
+ */
+
+const BINARY_PROTOCOL = 'hfs-binary.v1';
+
+const FRAME_TYPES = {
+  UPLOAD_CHUNK: 1,
+  DOWNLOAD_CHUNK: 2
+};
+
+const HASH_LENGTH = 32;
+const EMPTY_HASH = Buffer.alloc(HASH_LENGTH);
+
+/**
+ * Encode a chunk frame
+ * hash is the hex SHA-256 of data (optional)
+ */
+function encodeChunkFrame(type, { fileId, chunkIndex, offset = 0, hash, data }) {
+  const id = Buffer.from(String(fileId), 'ascii');
+  if (id.length > 255) {
+    throw new Error('fileId too long for a binary frame');
+  }
+
+  const header = Buffer.alloc(2 + id.length + 4 + 8 + HASH_LENGTH);
+  let position = 0;
+  header.writeUInt8(FRAME_TYPES[type], position++);
+  header.writeUInt8(id.length, position++);
+  id.copy(header, position);
+  position += id.length;
+  header.writeUInt32BE(chunkIndex, position);
+  position += 4;
+  header.writeBigUInt64BE(BigInt(offset), position);
+  position += 8;
+
+  const hashBytes = hash && /^[0-9a-f]{64}$/i.test(hash) ? Buffer.from(hash, 'hex') : EMPTY_HASH;
+  hashBytes.copy(header, position);
+
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Decode a chunk frame into { type, payload: { fileId, chunkIndex, offset, hash, data } }
+ * (the same shape as a JSON message, with data as a Buffer instead of base64)
+ */
+function decodeChunkFrame(buffer) {
+  if (buffer.length < 2) {
+    throw new Error('Binary frame too short');
+  }
+
+  let position = 0;
+  const typeCode = buffer.readUInt8(position++);
+  const type = Object.keys(FRAME_TYPES).find(name => FRAME_TYPES[name] === typeCode);
+  if (!type) {
+    throw new Error(`Unknown binary frame type: ${typeCode}`);
+  }
+
+  const idLength = buffer.readUInt8(position++);
+  const headerLength = 2 + idLength + 4 + 8 + HASH_LENGTH;
+  if (buffer.length < headerLength) {
+    throw new Error('Binary frame header truncated');
+  }
+
+  const fileId = buffer.toString('ascii', position, position + idLength);
+  position += idLength;
+  const chunkIndex = buffer.readUInt32BE(position);
+  position += 4;
+  const offset = Number(buffer.readBigUInt64BE(position));
+  position += 8;
+  const hashBytes = buffer.subarray(position, position + HASH_LENGTH);
+  position += HASH_LENGTH;
+
+  return {
+    type,
+    payload: {
+      fileId,
+      chunkIndex,
+      offset,
+      hash: hashBytes.equals(EMPTY_HASH) ? null : hashBytes.toString('hex'),
+      data: buffer.subarray(position)
+    }
+  };
+}
+
+module.exports = {
+  BINARY_PROTOCOL,
+  FRAME_TYPES,
+  encodeChunkFrame,
+  decodeChunkFrame
+};
@@ -0,0 +1,249 @@
+const fs = require('fs').promises;
+const path = require('path');
+const db = require('../database');
+const { hashFile } = require('./chunking');
+const { getStoredFileSize } = require('./storageEncryption');
+const { emitFileRemoved } = require('./pieceEvents');
+
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, '../../uploads');
+const BLOBS_DIR = path.join(UPLOADS_DIR, 'blobs');
+
+// Serializes reference changes per content hash (store vs. release races)
+const blobLocks = new Map(); // hash -> Promise
+
+/**
+ * Run fn while holding the lock for a content hash
+ */
+function withBlobLock(hash, fn) {
+  const previous = blobLocks.get(hash) || Promise.resolve();
+  const current = previous.catch(() => {}).then(fn);
+  const tail = current.catch(() => {});
+  blobLocks.set(hash, tail);
+  tail.then(() => {
+    if (blobLocks.get(hash) === tail) {
+      blobLocks.delete(hash);
+    }
+  });
+  return current;
+}
+
+/**
+ * Where a blob lives on disk (fanned out by the first two hex digits)
+ */
+function getBlobPath(hash) {
+  return path.join(BLOBS_DIR, hash.slice(0, 2), hash);
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+async function unlinkQuietly(filePath, label) {
+  try {
+    await fs.unlink(filePath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`[${label}] Error deleting file from filesystem:`, err);
+    }
+  }
+}
+
+/**
+ * Put a file's data at the blob path without ever leaving the row's current path
+ * missing (a hard link, or a copy where links aren't supported)
+ */
+async function placeBlob(sourcePath, blobPath) {
+  await fs.mkdir(path.dirname(blobPath), { recursive: true });
+  await unlinkQuietly(blobPath, blobPath);
+  try {
+    await fs.link(sourcePath, blobPath);
+  } catch (err) {
+    if (!['EXDEV', 'EPERM', 'ENOTSUP', 'EOPNOTSUPP'].includes(err.code)) {
+      throw err;
+    }
+    await fs.copyFile(sourcePath, blobPath);
+  }
+}
+
+/**
+ * Move a finished upload into the content-addressed store
+ * If identical content is already stored, the file row is pointed at the existing
+ * blob and the uploaded copy is deleted. Returns the content hash.
+ */
+async function storeFileContent(fileId) {
+  const file = await db.getFileById(fileId);
+  if (!file) return null;
+  if (file.content_hash) return file.content_hash;
+
+  const hash = await hashFile(file.file_path);
+  const size = await getStoredFileSize(file.file_path);
+
+  await withBlobLock(hash, async () => {
+    // Another call may have stored this file while we were hashing
+    const current = await db.getFileById(fileId);
+    if (!current || current.content_hash) return;
+
+    const blob = await db.getBlob(hash);
+
+    if (blob && await exists(blob.file_path)) {
+      await db.updateBlobRefs(hash, 1);
+      await db.updateFile(fileId, { filePath: blob.file_path, contentHash: hash });
+      await unlinkQuietly(file.file_path, fileId);
+      console.log(`[${fileId}] Deduplicated: content already stored as blob ${hash.slice(0, 12)}`);
+      return;
+    }
+
+    // New content (or a blob whose data went missing - this upload restores it)
+    const blobPath = getBlobPath(hash);
+    await placeBlob(file.file_path, blobPath);
+    if (blob) {
+      await db.updateBlobRefs(hash, 1);
+    } else {
+      await db.createBlob({ hash, size, filePath: blobPath });
+    }
+    await db.updateFile(fileId, { filePath: blobPath, contentHash: hash });
+    await unlinkQuietly(file.file_path, fileId);
+  });
+
+  return hash;
+}
+
+/**
+ * Point a new file row at content that is already stored, without any data being uploaded
+ * Returns false if the blob is gone (or its data missing) so the caller can upload instead
+ */
+async function linkStoredContent(fileId, hash) {
+  return withBlobLock(hash, async () => {
+    const blob = await db.getBlob(hash);
+    if (!blob || !(await exists(blob.file_path))) {
+      return false;
+    }
+
+    await db.updateBlobRefs(hash, 1);
+    await db.updateFile(fileId, { filePath: blob.file_path, contentHash: hash });
+    return true;
+  });
+}
+
+/**
+ * Drop a file row's claim on its data: deduplicated content is only deleted once
+ * the last file referencing it is gone, anything else is deleted right away
+ */
+async function releaseFileContent(file) {
+  if (!file.content_hash) {
+    await unlinkQuietly(file.file_path, file.id);
+    return;
+  }
+
+  await withBlobLock(file.content_hash, async () => {
+    const blob = await db.getBlob(file.content_hash);
+    if (!blob) {
+      return;
+    }
+
+    const remaining = await db.updateBlobRefs(file.content_hash, -1);
+    if (remaining <= 0) {
+      await db.deleteBlob(file.content_hash);
+      await unlinkQuietly(blob.file_path, file.id);
+      console.log(`[${file.id}] Deleted blob ${file.content_hash.slice(0, 12)} (last reference removed)`);
+    }
+  });
+}
+
+/**
+ * Delete a file row and release its data
+ */
+async function deleteStoredFile(file) {
+  await db.deleteFile(file.id);
+  emitFileRemoved(file.id);
+  await releaseFileContent(file);
+}
+
+/**
+ * Fix blob reference counts that drifted from the files actually using them
+ * (e.g. after a crash between a row change and the count update), and delete
+ * blobs nothing references. Returns { unreferencedBlobs, recountedBlobs }.
+ */
+async function reconcileBlobs({ dryRun = false } = {}) {
+  const unreferencedBlobs = [];
+  const recountedBlobs = [];
+
+  for (const blob of await db.getBlobsWithReferences()) {
+    if (blob.references_found === blob.ref_count && blob.ref_count > 0) continue;
+
+    if (blob.references_found === 0) {
+      unreferencedBlobs.push({ hash: blob.hash, size: blob.size });
+    } else {
+      recountedBlobs.push({ hash: blob.hash, refCount: blob.ref_count, references: blob.references_found });
+    }
+
+    if (dryRun) continue;
+
+    // Re-check under the lock: an upload may have claimed the blob meanwhile
+    await withBlobLock(blob.hash, async () => {
+      const references = await db.countBlobReferences(blob.hash);
+      if (references > 0) {
+        await db.setBlobRefs(blob.hash, references);
+        return;
+      }
+      await db.deleteBlob(blob.hash);
+      await unlinkQuietly(blob.file_path, blob.hash);
+      console.log(`Removed unreferenced blob ${blob.hash.slice(0, 12)}`);
+    });
+  }
+
+  return { unreferencedBlobs, recountedBlobs };
+}
+
+/**
+ * Blob files on disk that have no blobs row
+ */
+async function findOrphanedBlobFiles() {
+  const orphaned = [];
+  let prefixes = [];
+  try {
+    prefixes = await fs.readdir(BLOBS_DIR, { withFileTypes: true });
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  for (const prefix of prefixes) {
+    if (!prefix.isDirectory()) continue;
+    const dir = path.join(BLOBS_DIR, prefix.name);
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      if (entry.isFile() && !(await db.getBlob(entry.name))) {
+        orphaned.push(path.join(dir, entry.name));
+      }
+    }
+  }
+  return orphaned;
+}
+
+/**
+ * Delete a blob file found by findOrphanedBlobFiles, unless it got a row meanwhile
+ */
+function removeOrphanedBlobFile(filePath) {
+  const hash = path.basename(filePath);
+  return withBlobLock(hash, async () => {
+    if (await db.getBlob(hash)) return false;
+    await unlinkQuietly(filePath, hash);
+    return true;
+  });
+}
+
+module.exports = {
+  BLOBS_DIR,
+  getBlobPath,
+  storeFileContent,
+  linkStoredContent,
+  releaseFileContent,
+  deleteStoredFile,
+  reconcileBlobs,
+  findOrphanedBlobFiles,
+  removeOrphanedBlobFile
+};
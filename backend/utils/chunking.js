@@ -1,5 +1,5 @@
 const crypto = require('crypto');
-const fs = require('fs').promises;
+const { openStoredFile, getStoredFileSize, createStoredReadStream } = require('./storageEncryption');
 
 /**
  * Determine piece size based on file size
@@ -29,12 +29,35 @@ function hashPiece(data) {
   return crypto.createHash('sha256').update(data).digest('hex');
 }
 
+/**
+ * Length in bytes of piece `index` of a file of `size` bytes in pieces of `pieceSize`,
+ * or null if the index isn't one of its pieces (an integer from 0 to totalPieces - 1)
+ * Uploaded pieces must be exactly this long, so they can't write outside the file.
+ */
+function getPieceLength(index, { size, pieceSize, totalPieces }) {
+  if (!Number.isInteger(index) || index < 0 || index >= totalPieces) return null;
+  const length = Math.min(pieceSize, size - index * pieceSize);
+  return length > 0 ? length : null;
+}
+
+/**
+ * SHA-256 of a whole file, streamed so large files aren't loaded into memory
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    createStoredReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
 /**
  * Process file and create pieces with hashes
  */
 async function processFile(filePath, pieceSize = null) {
-  const stats = await fs.stat(filePath);
-  const fileSize = stats.size;
+  const fileSize = await getStoredFileSize(filePath);
   
   if (!pieceSize) {
     pieceSize = getPieceSize(fileSize);
@@ -43,7 +66,7 @@ async function processFile(filePath, pieceSize = null) {
   const totalPieces = Math.ceil(fileSize / pieceSize);
   const pieces = [];
   
-  const fd = await fs.open(filePath, 'r');
+  const fd = await openStoredFile(filePath, 'r');
   
   try {
     for (let i = 0; i < totalPieces; i++) {
@@ -80,8 +103,7 @@ async function processFile(filePath, pieceSize = null) {
  * Process file stream and create pieces (for large files)
  */
 async function processFileStream(filePath, pieceSize = null, onPiece = null) {
-  const stats = await fs.stat(filePath);
-  const fileSize = stats.size;
+  const fileSize = await getStoredFileSize(filePath);
   
   if (!pieceSize) {
     pieceSize = getPieceSize(fileSize);
@@ -90,7 +112,7 @@ async function processFileStream(filePath, pieceSize = null, onPiece = null) {
   const totalPieces = Math.ceil(fileSize / pieceSize);
   const pieces = [];
   
-  const stream = require('fs').createReadStream(filePath);
+  const stream = createStoredReadStream(filePath);
   let currentPiece = Buffer.alloc(0);
   let currentPieceIndex = 0;
   let currentOffset = 0;
@@ -180,9 +202,26 @@ function verifyPiece(data, expectedHash) {
   return actualHash === expectedHash;
 }
 
+/**
+ * Encode which pieces are complete as a base64 bitmap
+ * Bit i (most significant bit first, as in BitTorrent) is set when piece i is complete
+ */
+function encodePieceBitmap(completeIndices, totalPieces) {
+  const bitmap = Buffer.alloc(Math.ceil(totalPieces / 8));
+  for (const index of completeIndices) {
+    if (index >= 0 && index < totalPieces) {
+      bitmap[index >> 3] |= 0x80 >> (index & 7);
+    }
+  }
+  return bitmap.toString('base64');
+}
+
 module.exports = {
   getPieceSize,
+  getPieceLength,
   hashPiece,
+  hashFile,
+  encodePieceBitmap,
   processFile,
   processFileStream,
   verifyPiece
@@ -0,0 +1,88 @@
+const net = require('net');
+
+// Named ranges accepted in TRUSTED_PROXIES
+const PROXY_PRESETS = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10']
+};
+
+/**
+ * Build a BlockList from a comma-separated list of IPs, CIDRs and presets
+ * e.g. "loopback, 172.18.0.0/16, 10.0.0.5"
+ */
+function parseTrustedProxies(value) {
+  const list = new net.BlockList();
+
+  const entries = String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .flatMap(entry => PROXY_PRESETS[entry.toLowerCase()] || [entry]);
+
+  for (const entry of entries) {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+    if (!net.isIP(address)) {
+      console.warn(`Ignoring invalid TRUSTED_PROXIES entry: ${entry}`);
+      continue;
+    }
+
+    if (prefix !== undefined) {
+      list.addSubnet(address, parseInt(prefix, 10), type);
+    } else {
+      list.addAddress(address, type);
+    }
+  }
+
+  return list;
+}
+
+// Proxies allowed to set X-Forwarded-For (default: none, use the socket address)
+const TRUSTED_PROXIES = parseTrustedProxies(process.env.TRUSTED_PROXIES);
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix (::ffff:1.2.3.4 -> 1.2.3.4)
+ */
+function normalizeIp(address) {
+  if (typeof address !== 'string') return address;
+  return address.startsWith('::ffff:') && net.isIPv4(address.slice(7))
+    ? address.slice(7)
+    : address;
+}
+
+/**
+ * Whether an address is a trusted proxy
+ */
+function isTrustedProxy(address) {
+  const ip = normalizeIp(address);
+  if (!net.isIP(ip)) return false;
+  return TRUSTED_PROXIES.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Client IP for a raw HTTP request (also works for WebSocket upgrades)
+ * Walks X-Forwarded-For from the nearest hop, only while hops are trusted
+ */
+function getClientIp(req) {
+  const forwarded = String(req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean)
+    .reverse();
+  const chain = [req.socket?.remoteAddress, ...forwarded];
+
+  let ip = chain[0];
+  for (let i = 0; i < chain.length - 1 && isTrustedProxy(chain[i]); i++) {
+    ip = chain[i + 1];
+  }
+  return normalizeIp(ip);
+}
+
+module.exports = {
+  parseTrustedProxies,
+  isTrustedProxy,
+  getClientIp,
+  normalizeIp
+};
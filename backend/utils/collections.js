@@ -0,0 +1,81 @@
+const db = require('../database');
+const { deleteStoredFile } = require('./blobStore');
+
+// Longest path of a file inside a folder share
+const MAX_RELATIVE_PATH_LENGTH = 1024;
+
+/**
+ * Clean up a path inside a folder share ("docs\\a.txt" -> "docs/a.txt")
+ * Returns null for paths that are empty, too long or try to leave the folder.
+ */
+function normalizeRelativePath(relativePath) {
+  if (typeof relativePath !== 'string' || relativePath.length > MAX_RELATIVE_PATH_LENGTH) {
+    return null;
+  }
+
+  const segments = relativePath.replace(/\\/g, '/').split('/').filter(segment => segment && segment !== '.');
+  if (segments.length === 0 || segments.includes('..')) {
+    return null;
+  }
+  return segments.join('/');
+}
+
+/**
+ * Nest a collection's files (rows with relative_path, sorted by it) into folders
+ * Every folder is { name, path, size, fileCount, folders, files }, counting everything below
+ * it; toEntry(file) gives what is listed for each file.
+ */
+function buildCollectionTree(files, toEntry) {
+  const root = { name: '', path: '', size: 0, fileCount: 0, folders: [], files: [] };
+  const foldersByPath = new Map([['', root]]);
+
+  for (const file of files) {
+    const segments = file.relative_path.split('/');
+    let folder = root;
+    folder.size += file.size;
+    folder.fileCount++;
+
+    for (const segment of segments.slice(0, -1)) {
+      const folderPath = folder.path ? `${folder.path}/${segment}` : segment;
+      let child = foldersByPath.get(folderPath);
+      if (!child) {
+        child = { name: segment, path: folderPath, size: 0, fileCount: 0, folders: [], files: [] };
+        foldersByPath.set(folderPath, child);
+        folder.folders.push(child);
+      }
+      child.size += file.size;
+      child.fileCount++;
+      folder = child;
+    }
+    folder.files.push(toEntry(file));
+  }
+
+  return root;
+}
+
+/**
+ * The files of a collection inside a folder of it ("docs"), or all of them without one
+ */
+function getFilesInFolder(files, folderPath) {
+  if (!folderPath) {
+    return files;
+  }
+  return files.filter(file => file.relative_path.startsWith(`${folderPath}/`));
+}
+
+/**
+ * Delete a collection together with its files
+ */
+async function deleteCollectionWithFiles(collection) {
+  for (const file of await db.getCollectionFiles(collection.id)) {
+    await deleteStoredFile(file);
+  }
+  await db.deleteCollection(collection.id);
+}
+
+module.exports = {
+  normalizeRelativePath,
+  buildCollectionTree,
+  getFilesInFolder,
+  deleteCollectionWithFiles
+};
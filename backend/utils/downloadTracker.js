@@ -0,0 +1,86 @@
+/**
+ * Downloads of each file in progress right now (HTTP responses and WebSocket downloads)
+ * The expiry sweeper leaves files that ran out of downloads alone while their last permitted
+ * downloads are running, and for a while after, so an interrupted one can still resume.
+ */
+
+// How long after its last download ends a file that ran out of downloads is kept
+const RESUME_GRACE_PERIOD = parseInt(process.env.DOWNLOAD_RESUME_GRACE_PERIOD, 10) || 5 * 60 * 1000;
+
+// How long a BitTorrent client's web seed requests for a file count as one download
+const WEB_SEED_SESSION_DURATION = 15 * 60 * 1000;
+
+const downloads = new Map(); // fileId -> { active, endedAt }
+const webSeedSessions = new Map(); // `${fileId}:${ip}` -> expiresAt
+const PRUNE_THRESHOLD = 10000;
+
+/**
+ * Record that a download of the file started; returns a function to call when it ends
+ * (calling it more than once is fine)
+ */
+function startDownload(fileId) {
+  const entry = downloads.get(fileId) || { active: 0, endedAt: 0 };
+  entry.active++;
+  downloads.set(fileId, entry);
+
+  let ended = false;
+  return () => {
+    if (ended) return;
+    ended = true;
+    entry.active--;
+    entry.endedAt = Date.now();
+
+    // Forget the file once the grace period is over, unless it is being downloaded again
+    setTimeout(() => {
+      if (entry.active === 0 && Date.now() - entry.endedAt >= RESUME_GRACE_PERIOD) {
+        downloads.delete(fileId);
+      }
+    }, RESUME_GRACE_PERIOD).unref();
+  };
+}
+
+/**
+ * Count an HTTP response as a download of the file until it closes (finished or aborted)
+ */
+function trackDownload(fileId, res) {
+  res.once('close', startDownload(fileId));
+}
+
+/**
+ * Whether the file is being downloaded, or was within the grace period
+ */
+function isDownloadInFlight(fileId, now = Date.now()) {
+  const entry = downloads.get(fileId);
+  return !!entry && (entry.active > 0 || now - entry.endedAt < RESUME_GRACE_PERIOD);
+}
+
+/**
+ * Record that a client's web seed download of the file was counted
+ * BitTorrent clients fetch a web seed with many Range requests and no cookies, so their
+ * requests are told apart by IP; the session isn't extended by later requests.
+ */
+function startWebSeedSession(fileId, ip, now = Date.now()) {
+  // Drop expired sessions so the map can't grow forever
+  if (webSeedSessions.size > PRUNE_THRESHOLD) {
+    for (const [key, expiresAt] of webSeedSessions) {
+      if (expiresAt <= now) webSeedSessions.delete(key);
+    }
+  }
+  webSeedSessions.set(`${fileId}:${ip}`, now + WEB_SEED_SESSION_DURATION);
+}
+
+/**
+ * Whether the client's web seed requests for the file were counted already
+ */
+function hasWebSeedSession(fileId, ip, now = Date.now()) {
+  const expiresAt = webSeedSessions.get(`${fileId}:${ip}`);
+  return expiresAt !== undefined && expiresAt > now;
+}
+
+module.exports = {
+  startDownload,
+  trackDownload,
+  isDownloadInFlight,
+  startWebSeedSession,
+  hasWebSeedSession
+};
@@ -0,0 +1,50 @@
+/**
+ * End-to-end encrypted uploads
+ * The browser encrypts every piece with AES-GCM before hashing and sending it, and the key
+ * only lives in the share link's #fragment (never sent to the server). The server stores
+ * ciphertext and the encrypted name, type and size, so nothing that needs to read a file's
+ * contents (previews, zips, torrents) is offered for these files.
+ */
+
+// AES-GCM authentication tag appended to every encrypted piece
+const TAG_SIZE = 16;
+const MIN_PIECE_SIZE = 16 * 1024;
+const MAX_PIECE_SIZE = 8 * 1024 * 1024;
+const MAX_METADATA_LENGTH = 4096;
+
+/**
+ * Piece size and encrypted metadata of an UPLOAD_INIT for an encrypted upload
+ * Returns null for regular uploads, throws if the encryption fields are invalid.
+ * Encrypted pieces are a power of two of plaintext plus the tag, so the browser picks
+ * the piece size rather than the server.
+ */
+function parseEncryptedUpload(payload) {
+  if (!payload.encrypted) {
+    return null;
+  }
+
+  const { pieceSize, encryptedMetadata } = payload;
+  const plainPieceSize = pieceSize - TAG_SIZE;
+  const isPowerOfTwo = plainPieceSize > 0 && (plainPieceSize & (plainPieceSize - 1)) === 0;
+  if (!Number.isInteger(pieceSize) || !isPowerOfTwo || plainPieceSize < MIN_PIECE_SIZE || plainPieceSize > MAX_PIECE_SIZE) {
+    throw new Error('Invalid piece size for an encrypted upload');
+  }
+  if (typeof encryptedMetadata !== 'string' || !encryptedMetadata ||
+    encryptedMetadata.length > MAX_METADATA_LENGTH || !/^[A-Za-z0-9_-]+$/.test(encryptedMetadata)) {
+    throw new Error('Invalid encrypted metadata');
+  }
+
+  return { pieceSize, encryptedMetadata };
+}
+
+/**
+ * Stored name of an encrypted file (the real one is only in its encrypted metadata)
+ */
+function getEncryptedFilename(fileId) {
+  return `${fileId}.encrypted`;
+}
+
+module.exports = {
+  parseEncryptedUpload,
+  getEncryptedFilename
+};
@@ -0,0 +1,83 @@
+/**
+ * Parse an expiry duration into milliseconds
+ * Supports: number (seconds), or string with suffix (e.g., "30m", "24h", "7d")
+ */
+function parseDuration(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value > 0 ? Math.floor(value * 1000) : null;
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(s|m|h|d|w)?$/i);
+  if (!match) return null;
+
+  const amount = parseFloat(match[1]);
+  const unit = (match[2] || 's').toLowerCase();
+
+  const multipliers = {
+    's': 1000,
+    'm': 60 * 1000,
+    'h': 60 * 60 * 1000,
+    'd': 24 * 60 * 60 * 1000,
+    'w': 7 * 24 * 60 * 60 * 1000
+  };
+
+  const ms = Math.floor(amount * multipliers[unit]);
+  return ms > 0 ? ms : null;
+}
+
+/**
+ * Read expiry options from an upload request body or WebSocket payload
+ * Accepts expiresIn (duration) or expiresAt (timestamp), and maxDownloads
+ */
+function parseExpiryOptions(options = {}) {
+  let expiresAt = null;
+
+  const duration = parseDuration(options.expiresIn);
+  if (duration) {
+    expiresAt = Date.now() + duration;
+  } else if (options.expiresAt) {
+    const timestamp = typeof options.expiresAt === 'number'
+      ? options.expiresAt
+      : Date.parse(options.expiresAt);
+    if (!isNaN(timestamp)) {
+      expiresAt = timestamp;
+    }
+  }
+
+  const maxDownloads = parseInt(options.maxDownloads, 10);
+
+  return {
+    expiresAt,
+    maxDownloads: maxDownloads > 0 ? maxDownloads : null
+  };
+}
+
+/**
+ * Check whether a file row can still be downloaded
+ * Returns null if available, otherwise the reason it is not
+ */
+function getExpiryStatus(file, now = Date.now()) {
+  if (file.expires_at && file.expires_at <= now) {
+    return 'expired';
+  }
+  if (file.max_downloads && file.download_count >= file.max_downloads) {
+    return 'exhausted';
+  }
+  return null;
+}
+
+/**
+ * Human-readable error for an expiry status
+ */
+function getExpiryMessage(status) {
+  return status === 'exhausted'
+    ? 'Download limit reached for this link'
+    : 'This link has expired';
+}
+
+module.exports = {
+  parseDuration,
+  parseExpiryOptions,
+  getExpiryStatus,
+  getExpiryMessage
+};
@@ -0,0 +1,88 @@
+const db = require('../database');
+const { deleteStoredFile } = require('./blobStore');
+const { deleteCollectionWithFiles } = require('./collections');
+const { getExpiryStatus } = require('./expiry');
+const { isDownloadInFlight } = require('./downloadTracker');
+
+// How often to look for expired files (default: every minute)
+const SWEEP_INTERVAL = parseInt(process.env.EXPIRY_SWEEP_INTERVAL, 10) || 60 * 1000;
+
+let sweepTimer = null;
+let sweeping = false;
+
+/**
+ * Delete expired and exhausted files (and folder shares, with their files) from disk and database
+ */
+async function sweepExpiredFiles() {
+  if (sweeping) return 0;
+  sweeping = true;
+
+  let removed = 0;
+  try {
+    const expiredCollections = await db.getExpiredCollections();
+
+    for (const collection of expiredCollections) {
+      try {
+        await deleteCollectionWithFiles(collection);
+        console.log(`[${collection.id}] Removed expired folder share: ${collection.name}`);
+      } catch (err) {
+        console.error(`[${collection.id}] Error deleting expired folder share:`, err);
+      }
+    }
+    await db.deleteEmptyCollections();
+
+    const expiredFiles = await db.getExpiredFiles();
+
+    for (const file of expiredFiles) {
+      // The last permitted downloads of a file that ran out of downloads get to finish
+      if (getExpiryStatus(file) === 'exhausted' && isDownloadInFlight(file.id)) {
+        continue;
+      }
+      try {
+        await deleteStoredFile(file);
+        removed++;
+        console.log(`[${file.id}] Removed expired file: ${file.original_filename || file.filename}`);
+      } catch (err) {
+        console.error(`[${file.id}] Error deleting expired file:`, err);
+      }
+    }
+  } catch (err) {
+    console.error('Expiry sweep error:', err);
+  } finally {
+    sweeping = false;
+  }
+
+  return removed;
+}
+
+/**
+ * Start the background expiry sweeper
+ */
+function startExpirySweeper() {
+  if (sweepTimer) return sweepTimer;
+
+  sweepTimer = setInterval(sweepExpiredFiles, SWEEP_INTERVAL);
+  // Don't keep the process alive just for the sweeper
+  sweepTimer.unref();
+
+  // Run once at startup to catch anything that expired while we were down
+  sweepExpiredFiles();
+
+  return sweepTimer;
+}
+
+/**
+ * Stop the background expiry sweeper
+ */
+function stopExpirySweeper() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+module.exports = {
+  sweepExpiredFiles,
+  startExpirySweeper,
+  stopExpirySweeper
+};
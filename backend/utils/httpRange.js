@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const { createStoredReadStream } = require('./storageEncryption');
+
+/**
+ * HTTP range requests and conditional requests for file downloads (RFC 9110)
+ */
+
+// More ranges than this in one request are ignored (the whole file is sent instead)
+const MAX_RANGES = 100;
+
+/**
+ * Byte ranges of a Range header against a representation of `size` bytes
+ * Returns null when the header should be ignored (absent, not bytes, malformed or too
+ * many ranges), an empty array when no range is satisfiable, and otherwise the
+ * satisfiable ranges ({ start, end }, end inclusive), sorted and with overlaps merged.
+ */
+function parseRangeHeader(header, size) {
+  const match = header && /^\s*bytes\s*=\s*(.*)$/i.exec(header);
+  if (!match) return null;
+
+  const specs = match[1].split(',').map(spec => spec.trim()).filter(Boolean);
+  if (specs.length === 0 || specs.length > MAX_RANGES) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = /^(\d*)-(\d*)$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) return null;
+
+    if (parts[1] === '') {
+      // Suffix range: the last N bytes
+      const suffixLength = Number(parts[2]);
+      if (suffixLength > 0 && size > 0) {
+        ranges.push({ start: Math.max(0, size - suffixLength), end: size - 1 });
+      }
+      continue;
+    }
+
+    const start = Number(parts[1]);
+    const last = parts[2] === '' ? Infinity : Number(parts[2]);
+    if (last < start) return null;
+    if (start < size) {
+      ranges.push({ start, end: Math.min(last, size - 1) });
+    }
+  }
+
+  return mergeRanges(ranges);
+}
+
+/**
+ * Sort ranges and merge the ones that overlap or touch
+ */
+function mergeRanges(ranges) {
+  const merged = [];
+  for (const range of [...ranges].sort((a, b) => a.start - b.start)) {
+    const previous = merged[merged.length - 1];
+    if (previous && range.start <= previous.end + 1) {
+      previous.end = Math.max(previous.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged;
+}
+
+/**
+ * The parts of the requested ranges that fall within the available ones
+ */
+function intersectRanges(ranges, available) {
+  const result = [];
+  for (const range of ranges) {
+    for (const span of available) {
+      const start = Math.max(range.start, span.start);
+      const end = Math.min(range.end, span.end);
+      if (start <= end) {
+        result.push({ start, end });
+      }
+    }
+  }
+  return mergeRanges(result);
+}
+
+/**
+ * Format ranges for a header, e.g. "0-65535,131072-196607"
+ */
+function formatRanges(ranges) {
+  return ranges.map(range => `${range.start}-${range.end}`).join(',');
+}
+
+/**
+ * Strong validator of a finished file's content, or null while it can still change
+ */
+function getFileEtag(file) {
+  const hash = file.content_hash || file.merkle_root;
+  return hash ? `"${hash}"` : null;
+}
+
+function parseEtagList(header) {
+  return header.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+function stripWeak(tag) {
+  return tag.startsWith('W/') ? tag.slice(2) : tag;
+}
+
+function parseHttpDate(value) {
+  const time = Date.parse(value);
+  return isNaN(time) ? null : time;
+}
+
+// HTTP dates only have second precision
+function toHttpTime(date) {
+  return Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Evaluate If-Match, If-Unmodified-Since, If-None-Match and If-Modified-Since
+ * (in the order RFC 9110 section 13.2.2 gives) for a GET or HEAD of a file
+ * Returns 412 or 304 when the request shouldn't be answered with the file, otherwise null.
+ */
+function checkPreconditions(req, { etag, lastModified }) {
+  const ifMatch = req.headers['if-match'];
+  const ifUnmodifiedSince = req.headers['if-unmodified-since'];
+  const ifNoneMatch = req.headers['if-none-match'];
+  const ifModifiedSince = req.headers['if-modified-since'];
+
+  if (ifMatch) {
+    const tags = parseEtagList(ifMatch);
+    // Strong comparison: weak tags never match
+    if (!tags.includes('*') && !(etag && tags.includes(etag))) {
+      return 412;
+    }
+  } else if (ifUnmodifiedSince && lastModified) {
+    const since = parseHttpDate(ifUnmodifiedSince);
+    if (since !== null && toHttpTime(lastModified) > since) {
+      return 412;
+    }
+  }
+
+  if (ifNoneMatch) {
+    const tags = parseEtagList(ifNoneMatch);
+    // Weak comparison
+    if (tags.includes('*') || (etag && tags.some(tag => stripWeak(tag) === etag))) {
+      return 304;
+    }
+  } else if (ifModifiedSince && lastModified) {
+    const since = parseHttpDate(ifModifiedSince);
+    if (since !== null && toHttpTime(lastModified) <= since) {
+      return 304;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a Range request's If-Range (if any) still matches the file,
+ * i.e. whether the Range header applies
+ */
+function isRangeCurrent(req, { etag, lastModified }) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+
+  const value = ifRange.trim();
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    return !!etag && value === etag;
+  }
+  const date = parseHttpDate(value);
+  return date !== null && !!lastModified && toHttpTime(lastModified) === date;
+}
+
+/**
+ * Wait until a response can take more data (or the client went away)
+ */
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Copy a byte range of a stored file into the response, respecting backpressure
+ * Returns false if the client went away.
+ */
+async function writeStoredRange(res, filePath, start, end) {
+  for await (const chunk of createStoredReadStream(filePath, { start, end })) {
+    if (res.destroyed) return false;
+    if (!res.write(chunk)) {
+      await waitForDrain(res);
+    }
+  }
+  return !res.destroyed;
+}
+
+/**
+ * Send a stored file: whole (ranges null), one range as a plain 206, or several as
+ * multipart/byteranges. Headers describing the file (type, validators) must already be set.
+ */
+async function sendStoredFile(req, res, { filePath, size, contentType, ranges }) {
+  let parts;
+  if (!ranges) {
+    res.status(200);
+    res.setHeader('Content-Length', size);
+    parts = size > 0 ? [{ start: 0, end: size - 1 }] : [];
+  } else if (ranges.length === 1) {
+    const [range] = ranges;
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+    parts = ranges;
+  } else {
+    const boundary = crypto.randomBytes(16).toString('hex');
+    parts = ranges.map(range => ({
+      ...range,
+      head: `\r\n--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`
+    }));
+    const tail = `\r\n--${boundary}--\r\n`;
+    const length = parts.reduce((sum, part) => sum + Buffer.byteLength(part.head) + part.end - part.start + 1, 0) +
+      Buffer.byteLength(tail);
+
+    res.status(206);
+    res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+    res.setHeader('Content-Length', length);
+    parts.push({ head: tail });
+  }
+
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+
+  try {
+    for (const part of parts) {
+      if (part.head) res.write(part.head);
+      if (part.start !== undefined && !(await writeStoredRange(res, filePath, part.start, part.end))) {
+        return;
+      }
+    }
+    res.end();
+  } catch (err) {
+    // Headers are gone already - all that's left is cutting the response short
+    console.error(`Error streaming ${filePath}:`, err);
+    res.destroy(err);
+  }
+}
+
+/**
+ * Send 416 for a Range that can't be served
+ */
+function sendRangeNotSatisfiable(res, size) {
+  res.setHeader('Content-Range', `bytes */${size}`);
+  res.status(416).json({ error: 'Requested range not satisfiable' });
+}
+
+module.exports = {
+  parseRangeHeader,
+  intersectRanges,
+  formatRanges,
+  getFileEtag,
+  checkPreconditions,
+  isRangeCurrent,
+  sendStoredFile,
+  sendRangeNotSatisfiable,
+  waitForDrain
+};
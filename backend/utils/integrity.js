@@ -0,0 +1,54 @@
+const db = require('../database');
+const { hashPiece } = require('./chunking');
+const { getMerkleRoot } = require('./merkle');
+const { storeFileContent } = require('./blobStore');
+const { openStoredFile } = require('./storageEncryption');
+
+/**
+ * Hashes of all of a file's pieces, in order
+ * Pieces whose hash hasn't been recorded (yet) are hashed from the file and recorded
+ */
+async function getFilePieceHashes(file) {
+  const pieces = (await db.getPiecesByFileId(file.id)).filter(p => p.offset < file.size);
+  const missing = pieces.filter(p => !p.hash || p.is_complete !== 1);
+
+  if (missing.length > 0) {
+    const fd = await openStoredFile(file.file_path, 'r');
+    try {
+      for (const piece of missing) {
+        const buffer = Buffer.alloc(piece.size);
+        const { bytesRead } = await fd.read(buffer, 0, piece.size, piece.offset);
+        piece.hash = hashPiece(buffer.subarray(0, bytesRead));
+        await db.updatePieceHash(file.id, piece.piece_index, piece.hash);
+        await db.updatePieceComplete(file.id, piece.piece_index, true);
+      }
+    } finally {
+      await fd.close();
+    }
+  }
+
+  return pieces.map(p => p.hash);
+}
+
+/**
+ * Finish a completely uploaded file: move its data into the blob store (which records
+ * the whole-file SHA-256 as content_hash) and record the Merkle root of its pieces
+ * Returns { sha256, merkleRoot }
+ */
+async function recordFileIntegrity(fileId) {
+  const sha256 = await storeFileContent(fileId);
+  const file = await db.getFileById(fileId);
+  if (!file) return null;
+
+  const merkleRoot = getMerkleRoot(await getFilePieceHashes(file));
+  if (merkleRoot !== file.merkle_root) {
+    await db.updateFile(fileId, { merkleRoot });
+  }
+
+  return { sha256, merkleRoot };
+}
+
+module.exports = {
+  getFilePieceHashes,
+  recordFileIntegrity
+};
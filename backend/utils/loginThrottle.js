@@ -0,0 +1,168 @@
+/**
+ * Login attempt throttling, tracked per client IP and per account
+ * Share password attempts are throttled the same way, per share and client IP.
+ *
+ * The first few failures are free; after that each failure doubles the wait
+ * before the next attempt, and too many failures lock the key out for a while.
+ * An attempt is reserved as soon as it is allowed, before its password is checked,
+ * and counts as a failure until it ends, so concurrent attempts can't slip past
+ * the backoff. State is kept in memory (the audit log is the persisted record).
+ */
+
+// Failures allowed before backoff kicks in
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS, 10) || 3;
+// Failures before a temporary lockout
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 10;
+// First backoff delay, doubled on every further failure
+const BASE_DELAY = 1000;
+const MAX_DELAY = 5 * 60 * 1000;
+// Lockout length, also how long failures are remembered
+const LOCKOUT_DURATION = parseInt(process.env.LOGIN_LOCKOUT_DURATION, 10) || 15 * 60 * 1000;
+
+const attempts = new Map(); // key -> { failures, pending, lastAttempt, lockedUntil }
+const PRUNE_THRESHOLD = 10000;
+
+function getEntry(key, now) {
+  const entry = attempts.get(key);
+  // Forget failures once they are old enough
+  if (entry && entry.pending === 0 && now - entry.lastAttempt > LOCKOUT_DURATION && entry.lockedUntil <= now) {
+    attempts.delete(key);
+    return null;
+  }
+  return entry || null;
+}
+
+/**
+ * How long (ms) a key must wait before its next attempt, 0 if allowed
+ */
+function getWaitTime(key, now) {
+  const entry = getEntry(key, now);
+  if (!entry) return 0;
+
+  if (entry.lockedUntil > now) {
+    return entry.lockedUntil - now;
+  }
+
+  const count = entry.failures + entry.pending;
+  if (count < FREE_ATTEMPTS) return 0;
+  const delay = Math.min(MAX_DELAY, BASE_DELAY * 2 ** (count - FREE_ATTEMPTS));
+  return Math.max(0, entry.lastAttempt + delay - now);
+}
+
+function getKeys(ip, username) {
+  return [`ip:${ip}`, `user:${String(username).toLowerCase()}`];
+}
+
+function getUnlockKeys(ip, shareId) {
+  return [`share:${shareId}:${ip}`];
+}
+
+/**
+ * Record a failed attempt against every key
+ * Returns true if this failure triggered a lockout
+ */
+function recordFailure(keys, now) {
+  let lockedOut = false;
+
+  for (const key of keys) {
+    const entry = attempts.get(key);
+    entry.failures++;
+    entry.lastAttempt = now;
+    if (entry.failures >= MAX_ATTEMPTS) {
+      entry.lockedUntil = now + LOCKOUT_DURATION;
+      entry.failures = 0;
+      lockedOut = true;
+    }
+  }
+
+  return lockedOut;
+}
+
+/**
+ * Check whether an attempt may proceed and, if so, reserve it on every key
+ * Returns { allowed, retryAfter (ms), locked, fail, succeed, release }. An allowed attempt
+ * must be ended with exactly one of:
+ * - fail(): count it as a failure; returns true if this triggered a lockout
+ * - succeed(): forget the failures of the keys in clearOnSuccess
+ * - release(): neither (the check couldn't be completed); no-op once ended
+ */
+function beginAttempt(keys, clearOnSuccess, now) {
+  let retryAfter = 0;
+  let locked = false;
+
+  for (const key of keys) {
+    retryAfter = Math.max(retryAfter, getWaitTime(key, now));
+    const entry = attempts.get(key);
+    if (entry && entry.lockedUntil > now) locked = true;
+  }
+
+  const allowed = retryAfter === 0;
+  let ended = !allowed;
+  const end = () => {
+    if (ended) return false;
+    ended = true;
+    for (const key of keys) {
+      attempts.get(key).pending--;
+    }
+    return true;
+  };
+
+  if (allowed) {
+    // Drop stale entries so a spray from many addresses can't grow the map forever
+    if (attempts.size > PRUNE_THRESHOLD) {
+      for (const key of attempts.keys()) {
+        getEntry(key, now);
+      }
+    }
+
+    for (const key of keys) {
+      const entry = getEntry(key, now) || { failures: 0, pending: 0, lastAttempt: 0, lockedUntil: 0 };
+      entry.pending++;
+      entry.lastAttempt = now;
+      attempts.set(key, entry);
+    }
+  }
+
+  return {
+    allowed,
+    retryAfter,
+    locked,
+    fail: () => end() && recordFailure(keys, Date.now()),
+    succeed: () => {
+      if (end()) {
+        for (const key of clearOnSuccess) {
+          const entry = attempts.get(key);
+          if (entry.pending === 0) attempts.delete(key);
+          else entry.failures = 0;
+        }
+      }
+    },
+    release: () => {
+      end();
+    }
+  };
+}
+
+/**
+ * Start a login attempt, throttled for both the IP and the account (see beginAttempt)
+ * Success clears the account's failures; the IP keeps its history so one valid login
+ * can't reset a spray.
+ */
+function beginLoginAttempt(ip, username, now = Date.now()) {
+  const keys = getKeys(ip, username);
+  return beginAttempt(keys, [keys[1]], now);
+}
+
+/**
+ * Start a share password attempt from this IP (see beginAttempt)
+ * Success clears the IP's failures for the share.
+ */
+function beginUnlockAttempt(ip, shareId, now = Date.now()) {
+  const keys = getUnlockKeys(ip, shareId);
+  return beginAttempt(keys, keys, now);
+}
+
+module.exports = {
+  beginLoginAttempt,
+  beginUnlockAttempt
+};
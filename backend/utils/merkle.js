@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+/**
+ * Merkle tree over a file's piece hashes
+ *
+ * Leaves are SHA-256(0x00 || piece hash) and inner nodes SHA-256(0x01 || left || right),
+ * with the prefixes keeping a leaf from being passed off as an inner node. A node
+ * without a sibling moves up to the next level unchanged. The root of a file without
+ * pieces is SHA-256 of nothing.
+ */
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+function sha256(...buffers) {
+  const hash = crypto.createHash('sha256');
+  buffers.forEach(buffer => hash.update(buffer));
+  return hash.digest();
+}
+
+/**
+ * Build every level of the tree, leaves first and the root last (all hex)
+ */
+function buildMerkleTree(pieceHashes) {
+  if (pieceHashes.length === 0) {
+    return [[sha256().toString('hex')]];
+  }
+
+  let level = pieceHashes.map(hash => sha256(LEAF_PREFIX, Buffer.from(hash, 'hex')));
+  const levels = [level];
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? sha256(NODE_PREFIX, level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+    level = next;
+  }
+
+  return levels.map(nodes => nodes.map(node => node.toString('hex')));
+}
+
+function getMerkleRoot(pieceHashes) {
+  const levels = buildMerkleTree(pieceHashes);
+  return levels[levels.length - 1][0];
+}
+
+/**
+ * Sibling hashes needed to recompute the root from one piece, bottom up
+ * ({ side: 'left' | 'right', hash } - the side the sibling sits on)
+ */
+function getMerkleProof(levels, pieceIndex) {
+  const proof = [];
+  let index = pieceIndex;
+  for (let depth = 0; depth < levels.length - 1; depth++) {
+    const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+    if (siblingIndex < levels[depth].length) {
+      proof.push({
+        side: siblingIndex < index ? 'left' : 'right',
+        hash: levels[depth][siblingIndex]
+      });
+    }
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+module.exports = {
+  buildMerkleTree,
+  getMerkleRoot,
+  getMerkleProof
+};
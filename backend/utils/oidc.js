@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// OpenID Connect settings (SSO is enabled when issuer and client id are set)
+const OIDC_ISSUER = (process.env.OIDC_ISSUER || '').replace(/\/$/, '');
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID || '';
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || '';
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI || '';
+const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid profile email';
+const OIDC_PROVIDER_NAME = process.env.OIDC_PROVIDER_NAME || 'SSO';
+const OIDC_USERNAME_CLAIM = process.env.OIDC_USERNAME_CLAIM || 'preferred_username';
+const OIDC_GROUPS_CLAIM = process.env.OIDC_GROUPS_CLAIM || 'groups';
+
+function parseList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Members of any of these groups become admins
+const OIDC_ADMIN_GROUPS = parseList(process.env.OIDC_ADMIN_GROUPS);
+// If set, only members of these groups may log in
+const OIDC_ALLOWED_GROUPS = parseList(process.env.OIDC_ALLOWED_GROUPS);
+// Link an SSO identity to an existing local account with the same username
+const OIDC_LINK_BY_USERNAME = process.env.OIDC_LINK_BY_USERNAME === 'true';
+
+// How long discovery documents and keys are cached
+const METADATA_CACHE_TTL = 10 * 60 * 1000;
+// Allowed clock skew when checking ID token times (seconds)
+const CLOCK_TOLERANCE = 60;
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+let metadataCache = null; // { metadata, fetchedAt }
+let jwksCache = null; // { keys: Map(kid -> KeyObject), fetchedAt }
+
+/**
+ * Whether SSO is configured
+ */
+function isOidcEnabled() {
+  return !!(OIDC_ISSUER && OIDC_CLIENT_ID);
+}
+
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, options);
+  const body = await response.text();
+
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (err) {
+    throw new Error(`Invalid JSON from ${url} (HTTP ${response.status})`);
+  }
+
+  if (!response.ok) {
+    throw new Error(data.error_description || data.error || `HTTP ${response.status} from ${url}`);
+  }
+  return data;
+}
+
+/**
+ * Load the provider's discovery document (cached)
+ */
+async function getProviderMetadata() {
+  if (metadataCache && Date.now() - metadataCache.fetchedAt < METADATA_CACHE_TTL) {
+    return metadataCache.metadata;
+  }
+
+  const metadata = await fetchJson(`${OIDC_ISSUER}/.well-known/openid-configuration`);
+  if (String(metadata.issuer).replace(/\/$/, '') !== OIDC_ISSUER) {
+    throw new Error(`Discovery issuer mismatch: expected ${OIDC_ISSUER}, got ${metadata.issuer}`);
+  }
+  for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!metadata[field]) {
+      throw new Error(`Discovery document is missing ${field}`);
+    }
+  }
+
+  metadataCache = { metadata, fetchedAt: Date.now() };
+  return metadata;
+}
+
+/**
+ * Get the signing key for a kid, refetching the JWKS once if it is unknown
+ * (providers rotate keys)
+ */
+async function getSigningKey(kid) {
+  const findKey = () => {
+    if (!jwksCache) return null;
+    if (kid) return jwksCache.keys.get(kid) || null;
+    // No kid: only unambiguous with a single key
+    return jwksCache.keys.size === 1 ? [...jwksCache.keys.values()][0] : null;
+  };
+
+  const fresh = jwksCache && Date.now() - jwksCache.fetchedAt < METADATA_CACHE_TTL;
+  if (fresh && findKey()) {
+    return findKey();
+  }
+
+  const metadata = await getProviderMetadata();
+  const jwks = await fetchJson(metadata.jwks_uri);
+  const keys = new Map();
+  (jwks.keys || [])
+    .filter(jwk => !jwk.use || jwk.use === 'sig')
+    .forEach((jwk, index) => {
+      try {
+        keys.set(jwk.kid || `key-${index}`, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (err) {
+        console.error(`Skipping unusable OIDC key ${jwk.kid}:`, err.message);
+      }
+    });
+  jwksCache = { keys, fetchedAt: Date.now() };
+
+  const key = findKey();
+  if (!key) {
+    throw new Error(`No signing key found for kid ${kid}`);
+  }
+  return key;
+}
+
+function base64url(buffer) {
+  return buffer.toString('base64url');
+}
+
+/**
+ * Start an authorization-code + PKCE login
+ * Returns the provider URL and the values that must come back on the callback
+ */
+async function createAuthorizationRequest(redirectUri) {
+  const metadata = await getProviderMetadata();
+
+  const state = base64url(crypto.randomBytes(24));
+  const nonce = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', OIDC_CLIENT_ID);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', OIDC_SCOPES);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return { url: url.toString(), state, nonce, codeVerifier };
+}
+
+/**
+ * Exchange an authorization code for tokens
+ */
+async function exchangeCode({ code, codeVerifier, redirectUri }) {
+  const metadata = await getProviderMetadata();
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+    client_id: OIDC_CLIENT_ID
+  });
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    'Accept': 'application/json'
+  };
+
+  if (OIDC_CLIENT_SECRET) {
+    const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (methods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(OIDC_CLIENT_ID)}:${encodeURIComponent(OIDC_CLIENT_SECRET)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      params.set('client_secret', OIDC_CLIENT_SECRET);
+    }
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: params.toString()
+  });
+
+  if (!tokens.id_token) {
+    throw new Error('Token response has no id_token');
+  }
+  return tokens;
+}
+
+/**
+ * Validate an ID token (signature, issuer, audience, times, nonce) and return its claims
+ */
+async function verifyIdToken(idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new Error('Malformed ID token');
+  }
+  if (!ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new Error(`Unsupported ID token algorithm: ${decoded.header.alg}`);
+  }
+
+  const metadata = await getProviderMetadata();
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: metadata.issuer,
+    audience: OIDC_CLIENT_ID,
+    clockTolerance: CLOCK_TOLERANCE
+  });
+
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== OIDC_CLIENT_ID) {
+    throw new Error('ID token authorized party mismatch');
+  }
+
+  return claims;
+}
+
+/**
+ * Map ID token claims to local account fields
+ * Returns { subject, username, groups, role, allowed }: role is null when groups
+ * don't decide it (no OIDC_ADMIN_GROUPS), allowed checks OIDC_ALLOWED_GROUPS
+ */
+function mapClaims(claims) {
+  const rawGroups = claims[OIDC_GROUPS_CLAIM];
+  const groups = Array.isArray(rawGroups) ? rawGroups.map(String) : parseList(rawGroups);
+
+  const username = claims[OIDC_USERNAME_CLAIM] || claims.preferred_username || claims.email || claims.sub;
+
+  let role = null;
+  if (OIDC_ADMIN_GROUPS.length > 0) {
+    role = groups.some(group => OIDC_ADMIN_GROUPS.includes(group)) ? 'admin' : 'user';
+  }
+
+  return {
+    subject: `${OIDC_ISSUER}|${claims.sub}`,
+    username: String(username),
+    groups,
+    role,
+    allowed: OIDC_ALLOWED_GROUPS.length === 0 || groups.some(group => OIDC_ALLOWED_GROUPS.includes(group))
+  };
+}
+
+module.exports = {
+  isOidcEnabled,
+  getProviderMetadata,
+  createAuthorizationRequest,
+  exchangeCode,
+  verifyIdToken,
+  mapClaims,
+  OIDC_REDIRECT_URI,
+  OIDC_PROVIDER_NAME,
+  OIDC_LINK_BY_USERNAME
+};
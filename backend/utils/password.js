@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+const KEY_LENGTH = 64;
+
+// Hash no password matches, checked in place of a missing one so the check takes as long
+const DUMMY_PASSWORD_HASH = `scrypt$${'00'.repeat(16)}$${'00'.repeat(KEY_LENGTH)}`;
+
+/**
+ * Hash a password with scrypt and a random salt
+ * Returns "scrypt$<salt>$<hash>" (hex encoded)
+ */
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16);
+    crypto.scrypt(String(password), salt, KEY_LENGTH, (err, derivedKey) => {
+      if (err) reject(err);
+      else resolve(`scrypt$${salt.toString('hex')}$${derivedKey.toString('hex')}`);
+    });
+  });
+}
+
+/**
+ * Check a password against a stored hash (constant-time compare)
+ */
+function verifyPassword(password, storedHash) {
+  return new Promise((resolve) => {
+    if (!password || !storedHash) return resolve(false);
+
+    const [scheme, saltHex, hashHex] = storedHash.split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return resolve(false);
+
+    const expected = Buffer.from(hashHex, 'hex');
+    crypto.scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length, (err, derivedKey) => {
+      if (err) return resolve(false);
+      resolve(crypto.timingSafeEqual(derivedKey, expected));
+    });
+  });
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  DUMMY_PASSWORD_HASH
+};
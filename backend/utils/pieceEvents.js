@@ -0,0 +1,46 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process events for uploads in progress, so downloads of a file that is still being
+ * uploaded can wait for pieces instead of polling the database
+ *
+ * Uploads emit a piece once it is on disk and recorded as complete in the database.
+ * Listeners subscribe before reading which pieces are already complete, so none is missed.
+ * Events per file:
+ * - { type: 'piece', pieceIndex, offset, size }
+ * - { type: 'complete' } - every piece is stored (the piece count is final)
+ * - { type: 'removed' } - the file was deleted
+ */
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per waiting download
+
+function getEventName(fileId) {
+  return `file:${fileId}`;
+}
+
+function emitPieceComplete(fileId, { pieceIndex, offset, size }) {
+  emitter.emit(getEventName(fileId), { type: 'piece', pieceIndex, offset, size });
+}
+
+function emitUploadComplete(fileId) {
+  emitter.emit(getEventName(fileId), { type: 'complete' });
+}
+
+function emitFileRemoved(fileId) {
+  emitter.emit(getEventName(fileId), { type: 'removed' });
+}
+
+/**
+ * Listen to a file's events; returns a function that stops listening
+ */
+function subscribeToFile(fileId, listener) {
+  emitter.on(getEventName(fileId), listener);
+  return () => emitter.off(getEventName(fileId), listener);
+}
+
+module.exports = {
+  emitPieceComplete,
+  emitUploadComplete,
+  emitFileRemoved,
+  subscribeToFile
+};
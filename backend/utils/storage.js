@@ -0,0 +1,106 @@
+const db = require('../database');
+
+// Parse storage limit from environment variable
+function parseStorageLimit(limit, defaultLimit = 100 * 1024 * 1024 * 1024) {
+  if (typeof limit === 'number') return limit;
+  if (typeof limit !== 'string') return defaultLimit; // 100GB default
+
+  const match = limit.match(/^(\d+(?:\.\d+)?)\s*(KB|MB|GB|TB)?$/i);
+  if (!match) return defaultLimit; // 100GB default
+
+  const value = parseFloat(match[1]);
+  const unit = (match[2] || 'B').toUpperCase();
+
+  const multipliers = {
+    'B': 1,
+    'KB': 1024,
+    'MB': 1024 * 1024,
+    'GB': 1024 * 1024 * 1024,
+    'TB': 1024 * 1024 * 1024 * 1024
+  };
+
+  return Math.floor(value * (multipliers[unit] || 1));
+}
+
+// Storage limit in bytes (default: 100GB, can be set via STORAGE_LIMIT env var)
+// Supports: number (bytes), or string with suffix (e.g., "10GB", "500MB", "1TB")
+const STORAGE_LIMIT = parseStorageLimit(process.env.STORAGE_LIMIT || '100GB');
+
+// Per-user quota when a user has none set (default: the whole storage limit)
+const DEFAULT_USER_QUOTA = parseStorageLimit(process.env.DEFAULT_USER_QUOTA, STORAGE_LIMIT);
+
+/**
+ * Get the quota in bytes for a user row
+ */
+function getUserQuota(user) {
+  return user && user.quota ? user.quota : DEFAULT_USER_QUOTA;
+}
+
+/**
+ * Check if there's enough storage space, both instance-wide and in the
+ * uploader's quota (when the upload belongs to a user)
+ *
+ * The instance limit applies to physical usage (deduplicated content counts once);
+ * user quotas apply to logical usage, so every user pays for what they upload.
+ */
+async function checkStorageSpace(requiredBytes, userId = null) {
+  const usage = await db.getTotalStorageUsed();
+  const globalAvailable = STORAGE_LIMIT - usage.physical;
+
+  if (userId) {
+    const user = await db.getUserById(userId);
+    const quota = getUserQuota(user);
+    const userUsage = await db.getTotalStorageUsed(userId);
+    const available = Math.min(quota - userUsage.logical, globalAvailable);
+    return {
+      hasSpace: available >= requiredBytes,
+      available,
+      totalUsed: userUsage.logical,
+      logicalUsed: userUsage.logical,
+      physicalUsed: userUsage.physical,
+      totalLimit: Math.min(quota, STORAGE_LIMIT),
+      required: requiredBytes
+    };
+  }
+
+  return {
+    hasSpace: globalAvailable >= requiredBytes,
+    available: globalAvailable,
+    totalUsed: usage.physical,
+    logicalUsed: usage.logical,
+    physicalUsed: usage.physical,
+    totalLimit: STORAGE_LIMIT,
+    required: requiredBytes
+  };
+}
+
+/**
+ * Storage usage stats for the dashboard, scoped to a user if given
+ */
+async function getStorageStats(userId = null) {
+  const { totalUsed, logicalUsed, physicalUsed, totalLimit, available } = await checkStorageSpace(0, userId);
+  const fileCount = await db.getFileCount(userId || undefined);
+  const percentage = totalLimit > 0 ? (totalUsed / totalLimit) * 100 : 0;
+
+  return {
+    totalUsed,
+    logicalUsed,
+    physicalUsed,
+    // Bytes not stored thanks to deduplication
+    dedupSavings: Math.max(0, logicalUsed - physicalUsed),
+    totalLimit,
+    available: Math.max(0, available),
+    percentage: Math.min(100, Math.round(percentage * 100) / 100),
+    fileCount,
+    isFull: available <= 0
+  };
+}
+
+module.exports = {
+  parseStorageLimit,
+  getUserQuota,
+  checkStorageSpace,
+  getStorageStats,
+  STORAGE_LIMIT,
+  DEFAULT_USER_QUOTA
+};
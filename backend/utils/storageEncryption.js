@@ -0,0 +1,467 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { Readable, Writable } = require('stream');
+
+/**
+ * Encryption of stored files at rest
+ *
+ * With a master key configured, every file written to the uploads directory gets its own
+ * random data key, stored in the file's header wrapped (AES-256-GCM) by the master key.
+ * The contents are split into 64 KB segments, each sealed with AES-256-GCM under a fresh
+ * nonce, with its index and whether it is the last segment as associated data, so any byte
+ * range can be read (or rewritten) by touching only the segments it covers:
+ *
+ *   header: "HFSE" | version (u8) | segment size (u32) | master key id (8) | nonce (12) |
+ *           wrapped data key (32) | tag (16)
+ *   segment i at HEADER_SIZE + i * SLOT_SIZE: nonce (12) | ciphertext | tag (16)
+ *
+ * Every segment but the last holds a full SEGMENT_SIZE of plaintext, and there is always a
+ * last one (empty for an empty file). Writes past the end seal the gap as zeros, so every
+ * segment is authenticated: zeroed, swapped or missing segments fail to open, and a file cut
+ * short ends in a segment that wasn't sealed as the last. Rotating the master key only
+ * rewrites headers. Files without the header are read as plaintext, so files stored before
+ * a key was configured keep working until they are encrypted.
+ */
+
+const MAGIC = Buffer.from('HFSE');
+const VERSION = 2;
+const SEGMENT_SIZE = 64 * 1024;
+const NONCE_SIZE = 12;
+const TAG_SIZE = 16;
+const KEY_SIZE = 32;
+const KEY_ID_SIZE = 8;
+const HEADER_PREFIX_SIZE = MAGIC.length + 1 + 4; // authenticated with the wrapped key
+const HEADER_SIZE = HEADER_PREFIX_SIZE + KEY_ID_SIZE + NONCE_SIZE + KEY_SIZE + TAG_SIZE;
+const SEGMENT_OVERHEAD = NONCE_SIZE + TAG_SIZE;
+const SLOT_SIZE = SEGMENT_SIZE + SEGMENT_OVERHEAD;
+// Plaintext read at a time by streams
+const STREAM_CHUNK_SIZE = 1024 * 1024;
+// Segments sealed before they are written out, when a write covers many
+const WRITE_BATCH_SEGMENTS = STREAM_CHUNK_SIZE / SEGMENT_SIZE;
+
+/**
+ * Master keys from STORAGE_ENCRYPTION_KEY (comma separated) or STORAGE_ENCRYPTION_KEY_FILE
+ * (one per line), each 32 bytes as hex or base64. The first key encrypts; the others are
+ * previous keys, still accepted for reading until `npm run rotate-storage-key` rewraps
+ * every file under the first one.
+ */
+function parseMasterKeys(value) {
+  if (!value || !value.trim()) {
+    return [];
+  }
+
+  return value.split(/[\s,]+/).filter(Boolean).map((encoded, index) => {
+    const key = /^[0-9a-fA-F]{64}$/.test(encoded)
+      ? Buffer.from(encoded, 'hex')
+      : Buffer.from(encoded, 'base64');
+    if (key.length !== KEY_SIZE) {
+      throw new Error(`Storage encryption key ${index + 1} must be 32 bytes (64 hex characters or base64)`);
+    }
+    return {
+      id: crypto.createHash('sha256').update(key).digest().subarray(0, KEY_ID_SIZE),
+      key
+    };
+  });
+}
+
+function loadMasterKeys() {
+  if (process.env.STORAGE_ENCRYPTION_KEY_FILE) {
+    return parseMasterKeys(require('fs').readFileSync(process.env.STORAGE_ENCRYPTION_KEY_FILE, 'utf8'));
+  }
+  return parseMasterKeys(process.env.STORAGE_ENCRYPTION_KEY);
+}
+
+const MASTER_KEYS = loadMasterKeys();
+
+/**
+ * Whether newly stored files are encrypted
+ */
+function isStorageEncryptionEnabled() {
+  return MASTER_KEYS.length > 0;
+}
+
+function findMasterKey(keyId) {
+  return MASTER_KEYS.find(masterKey => masterKey.id.equals(keyId));
+}
+
+function seal(key, plaintext, aad) {
+  const nonce = crypto.randomBytes(NONCE_SIZE);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, nonce);
+  cipher.setAAD(aad);
+  return Buffer.concat([nonce, cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+function open(key, sealed, aad) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, NONCE_SIZE));
+  decipher.setAAD(aad);
+  decipher.setAuthTag(sealed.subarray(sealed.length - TAG_SIZE));
+  return Buffer.concat([decipher.update(sealed.subarray(NONCE_SIZE, sealed.length - TAG_SIZE)), decipher.final()]);
+}
+
+function getHeaderPrefix() {
+  const prefix = Buffer.alloc(HEADER_PREFIX_SIZE);
+  MAGIC.copy(prefix, 0);
+  prefix.writeUInt8(VERSION, MAGIC.length);
+  prefix.writeUInt32BE(SEGMENT_SIZE, MAGIC.length + 1);
+  return prefix;
+}
+
+/**
+ * A header wrapping a data key with a master key
+ */
+function buildHeader(dataKey, masterKey) {
+  const prefix = getHeaderPrefix();
+  return Buffer.concat([prefix, masterKey.id, seal(masterKey.key, dataKey, prefix)]);
+}
+
+function isEncryptedHeader(header) {
+  return header.length === HEADER_SIZE && header.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * Master key a header was wrapped with and the unwrapped data key
+ */
+function readHeader(header, filePath) {
+  const prefix = header.subarray(0, HEADER_PREFIX_SIZE);
+  if (prefix.readUInt8(MAGIC.length) !== VERSION || prefix.readUInt32BE(MAGIC.length + 1) !== SEGMENT_SIZE) {
+    throw new Error(`Unsupported encrypted file format: ${filePath}`);
+  }
+
+  const keyId = header.subarray(HEADER_PREFIX_SIZE, HEADER_PREFIX_SIZE + KEY_ID_SIZE);
+  const masterKey = findMasterKey(keyId);
+  if (!masterKey) {
+    throw new Error(`No storage encryption key matches ${filePath} (key id ${keyId.toString('hex')})`);
+  }
+  return { masterKey, dataKey: open(masterKey.key, header.subarray(HEADER_PREFIX_SIZE + KEY_ID_SIZE), prefix) };
+}
+
+function getSegmentAad(index, isLast) {
+  const aad = Buffer.alloc(9);
+  aad.writeBigUInt64BE(BigInt(index));
+  aad.writeUInt8(isLast ? 1 : 0, 8);
+  return aad;
+}
+
+// Index of the last segment of a file of the given plaintext size
+function getLastSegment(size) {
+  return Math.max(0, Math.ceil(size / SEGMENT_SIZE) - 1);
+}
+
+/**
+ * Plaintext size of an encrypted file from its size on disk
+ * Sizes no file can have (no segment, or a partial segment too short for its nonce and tag)
+ * mean the file was cut short.
+ */
+function getPlaintextSize(storedSize, filePath) {
+  const body = storedSize - HEADER_SIZE;
+  const remainder = body % SLOT_SIZE;
+  if (body < SEGMENT_OVERHEAD || (remainder !== 0 && remainder < SEGMENT_OVERHEAD)) {
+    throw new Error(`Encrypted file is truncated: ${filePath}`);
+  }
+  return Math.floor(body / SLOT_SIZE) * SEGMENT_SIZE + Math.max(0, remainder - SEGMENT_OVERHEAD);
+}
+
+// Serializes reads and writes per file, so a segment is never read while being rewritten
+const fileLocks = new Map(); // filePath -> Promise
+
+function withFileLock(filePath, fn) {
+  const previous = fileLocks.get(filePath) || Promise.resolve();
+  const current = previous.catch(() => {}).then(fn);
+  const tail = current.catch(() => {});
+  fileLocks.set(filePath, tail);
+  tail.then(() => {
+    if (fileLocks.get(filePath) === tail) {
+      fileLocks.delete(filePath);
+    }
+  });
+  return current;
+}
+
+/**
+ * Positional reads and writes of plaintext on an encrypted file
+ * Mirrors the parts of fs.FileHandle the rest of the backend uses.
+ */
+class EncryptedFileHandle {
+  constructor(handle, filePath, dataKey) {
+    this.handle = handle;
+    this.filePath = filePath;
+    this.dataKey = dataKey;
+  }
+
+  async getSize() {
+    const { size } = await this.handle.stat();
+    return getPlaintextSize(size, this.filePath);
+  }
+
+  async stat() {
+    const stats = await this.handle.stat();
+    stats.size = getPlaintextSize(stats.size, this.filePath);
+    return stats;
+  }
+
+  /**
+   * Plaintext of segments [first, last] of a file of the given plaintext size
+   * (segments past the end come back empty)
+   */
+  async readSegments(first, last, size) {
+    const segmentCount = Math.max(0, Math.ceil(size / SEGMENT_SIZE));
+    const end = Math.min(last, segmentCount - 1);
+    if (end < first) {
+      return [];
+    }
+
+    const storedStart = HEADER_SIZE + first * SLOT_SIZE;
+    const storedEnd = HEADER_SIZE + end * SLOT_SIZE + (size - end * SEGMENT_SIZE) + SEGMENT_OVERHEAD;
+    const stored = Buffer.alloc(Math.min(storedEnd, HEADER_SIZE + (end + 1) * SLOT_SIZE) - storedStart);
+    const { bytesRead } = await this.handle.read(stored, 0, stored.length, storedStart);
+    if (bytesRead !== stored.length) {
+      throw new Error(`Encrypted file is truncated: ${this.filePath}`);
+    }
+
+    const segments = [];
+    for (let index = first; index <= end; index++) {
+      const slot = stored.subarray((index - first) * SLOT_SIZE, (index - first + 1) * SLOT_SIZE);
+      try {
+        segments.push(open(this.dataKey, slot, getSegmentAad(index, index === segmentCount - 1)));
+      } catch (err) {
+        throw new Error(`Segment ${index} of ${this.filePath} failed authentication`);
+      }
+    }
+    return segments;
+  }
+
+  read(buffer, offset, length, position) {
+    return withFileLock(this.filePath, async () => {
+      const size = await this.getSize();
+      const readLength = Math.max(0, Math.min(length, size - position));
+      if (readLength === 0) {
+        return { bytesRead: 0, buffer };
+      }
+
+      const first = Math.floor(position / SEGMENT_SIZE);
+      const segments = await this.readSegments(first, Math.floor((position + readLength - 1) / SEGMENT_SIZE), size);
+      const plaintext = Buffer.concat(segments);
+      const start = position - first * SEGMENT_SIZE;
+      plaintext.copy(buffer, offset, start, start + readLength);
+      return { bytesRead: readLength, buffer };
+    });
+  }
+
+  write(buffer, offset, length, position) {
+    return withFileLock(this.filePath, async () => {
+      if (length === 0) {
+        return { bytesWritten: 0, buffer };
+      }
+
+      const data = buffer.subarray(offset, offset + length);
+      const size = await this.getSize();
+      const newSize = Math.max(size, position + length);
+      const newLast = getLastSegment(newSize);
+      let first = Math.floor(position / SEGMENT_SIZE);
+      const last = Math.floor((position + length - 1) / SEGMENT_SIZE);
+
+      // Growing the file reseals the current last segment (padded to full size, no longer
+      // the last) and everything between it and the write
+      if (newSize > size) {
+        first = Math.min(first, getLastSegment(size));
+      }
+
+      // Only segments the write covers partially need their current contents
+      const existing = await this.readSegments(first, last, size);
+      let sealed = [];
+      let sealedFrom = first;
+      for (let index = first; index <= last; index++) {
+        const segmentStart = index * SEGMENT_SIZE;
+        const segment = Buffer.alloc(Math.min(SEGMENT_SIZE, newSize - segmentStart));
+        if (existing[index - first]) {
+          existing[index - first].copy(segment);
+        }
+
+        const from = Math.max(position, segmentStart);
+        const to = Math.min(position + length, segmentStart + segment.length);
+        if (from < to) {
+          data.copy(segment, from - segmentStart, from - position, to - position);
+        }
+        sealed.push(seal(this.dataKey, segment, getSegmentAad(index, index === newLast)));
+
+        if (sealed.length === WRITE_BATCH_SEGMENTS || index === last) {
+          const stored = Buffer.concat(sealed);
+          await this.handle.write(stored, 0, stored.length, HEADER_SIZE + sealedFrom * SLOT_SIZE);
+          sealed = [];
+          sealedFrom = index + 1;
+        }
+      }
+      return { bytesWritten: length, buffer };
+    });
+  }
+
+  sync() {
+    return this.handle.sync();
+  }
+
+  close() {
+    return withFileLock(this.filePath, () => this.handle.close());
+  }
+}
+
+async function readHeaderBytes(handle) {
+  const header = Buffer.alloc(HEADER_SIZE);
+  const { bytesRead } = await handle.read(header, 0, HEADER_SIZE, 0);
+  return header.subarray(0, bytesRead);
+}
+
+/**
+ * Open a stored file for positional plaintext reads and writes
+ * Takes the same flags as fs.open. New (or empty) files are encrypted when a master key
+ * is configured; existing files are opened the way they were stored. Returns an
+ * fs.FileHandle for plaintext files and an EncryptedFileHandle otherwise.
+ */
+async function openStoredFile(filePath, flags = 'r') {
+  // Encrypted writes read back the segments they change
+  const handle = await fs.open(filePath, flags === 'w' ? 'w+' : flags);
+  try {
+    const header = await readHeaderBytes(handle);
+    if (isEncryptedHeader(header)) {
+      return new EncryptedFileHandle(handle, filePath, readHeader(header, filePath).dataKey);
+    }
+    if (header.length === 0 && flags !== 'r' && isStorageEncryptionEnabled()) {
+      // Header and an empty last segment
+      const dataKey = crypto.randomBytes(KEY_SIZE);
+      const stored = Buffer.concat([
+        buildHeader(dataKey, MASTER_KEYS[0]),
+        seal(dataKey, Buffer.alloc(0), getSegmentAad(0, true))
+      ]);
+      await handle.write(stored, 0, stored.length, 0);
+      return new EncryptedFileHandle(handle, filePath, dataKey);
+    }
+    return handle;
+  } catch (err) {
+    await handle.close().catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * fs.Stats of a stored file, with the plaintext size
+ */
+async function statStoredFile(filePath) {
+  const handle = await openStoredFile(filePath, 'r');
+  try {
+    return await handle.stat();
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Plaintext size of a stored file
+ */
+async function getStoredFileSize(filePath) {
+  return (await statStoredFile(filePath)).size;
+}
+
+/**
+ * Readable stream of a stored file's plaintext; start and end (inclusive) as in
+ * fs.createReadStream
+ */
+function createStoredReadStream(filePath, { start = 0, end = Infinity } = {}) {
+  return Readable.from((async function* () {
+    const handle = await openStoredFile(filePath, 'r');
+    try {
+      const last = Math.min(end, (await handle.stat()).size - 1);
+      for (let position = start; position <= last; position += STREAM_CHUNK_SIZE) {
+        const buffer = Buffer.alloc(Math.min(STREAM_CHUNK_SIZE, last - position + 1));
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+        if (bytesRead === 0) break;
+        yield buffer.subarray(0, bytesRead);
+      }
+    } finally {
+      await handle.close();
+    }
+  })(), { objectMode: false });
+}
+
+/**
+ * Writable stream that stores what is written to it as a new file
+ */
+function createStoredWriteStream(filePath) {
+  let handle = null;
+  let position = 0;
+
+  return new Writable({
+    construct(callback) {
+      openStoredFile(filePath, 'w')
+        .then(opened => { handle = opened; callback(); })
+        .catch(callback);
+    },
+    write(chunk, encoding, callback) {
+      handle.write(chunk, 0, chunk.length, position)
+        .then(() => { position += chunk.length; callback(); })
+        .catch(callback);
+    },
+    final(callback) {
+      handle.close().then(() => { handle = null; callback(); }).catch(callback);
+    },
+    destroy(err, callback) {
+      if (!handle) {
+        callback(err);
+        return;
+      }
+      handle.close().catch(() => {}).then(() => callback(err));
+    }
+  });
+}
+
+/**
+ * Rewrap a stored file's data key with the current master key (the contents stay as they are)
+ * Returns 'rewrapped', 'current' or 'plaintext'.
+ */
+async function rewrapStoredFile(filePath, { dryRun = false } = {}) {
+  const handle = await fs.open(filePath, dryRun ? 'r' : 'r+');
+  try {
+    const header = await readHeaderBytes(handle);
+    if (!isEncryptedHeader(header)) {
+      return 'plaintext';
+    }
+
+    const { masterKey, dataKey } = readHeader(header, filePath);
+    if (masterKey === MASTER_KEYS[0]) {
+      return 'current';
+    }
+    if (!dryRun) {
+      const newHeader = buildHeader(dataKey, MASTER_KEYS[0]);
+      await handle.write(newHeader, 0, newHeader.length, 0);
+      await handle.sync();
+    }
+    return 'rewrapped';
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Replace a plaintext stored file with an encrypted copy
+ */
+async function encryptStoredFile(filePath) {
+  const temporaryPath = `${filePath}.encrypting`;
+  await new Promise((resolve, reject) => {
+    const output = createStoredWriteStream(temporaryPath);
+    require('fs').createReadStream(filePath)
+      .on('error', reject)
+      .pipe(output)
+      .on('error', reject)
+      .on('finish', resolve);
+  });
+  await fs.rename(temporaryPath, filePath);
+}
+
+module.exports = {
+  isStorageEncryptionEnabled,
+  openStoredFile,
+  statStoredFile,
+  getStoredFileSize,
+  createStoredReadStream,
+  createStoredWriteStream,
+  rewrapStoredFile,
+  encryptStoredFile
+};
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const path = require('path');
+const db = require('../database');
+const bencode = require('./bencode');
+const { getPieceSize } = require('./chunking');
+const { openStoredFile } = require('./storageEncryption');
+
+/**
+ * BitTorrent metadata for shared files
+ *
+ * Torrents are hybrid v1/v2 (BEP 52): the info dictionary has both the v1 SHA-1 piece
+ * hashes and the v2 file tree with a SHA-256 merkle root of 16 KiB blocks, so both
+ * kinds of clients can use them. The file itself is offered as a web seed (BEP 19).
+ * Torrents of password-protected files are private (BEP 27): clients only find peers
+ * through the built-in tracker, which wants the file's share token.
+ */
+
+const BLOCK_SIZE = 16 * 1024;
+const CREATED_BY = 'Hasty File Send';
+
+// Metadata being generated right now, so concurrent requests hash the file only once
+const pending = new Map(); // fileId -> Promise
+
+function sha256(...buffers) {
+  const hash = crypto.createHash('sha256');
+  buffers.forEach(buffer => hash.update(buffer));
+  return hash.digest();
+}
+
+/**
+ * Root of a merkle tree whose leaf count is a power of two
+ */
+function merkleRoot(leaves) {
+  let level = leaves;
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(sha256(level[i], level[i + 1]));
+    }
+    level = next;
+  }
+  return level[0];
+}
+
+function nextPowerOfTwo(n) {
+  let power = 1;
+  while (power < n) power *= 2;
+  return power;
+}
+
+/**
+ * Pad a list of hashes up to count with padHash
+ */
+function padHashes(hashes, count, padHash) {
+  return hashes.concat(Array(count - hashes.length).fill(padHash));
+}
+
+/**
+ * Read the file once and compute both the v1 piece hashes and the v2 merkle tree
+ */
+async function hashFileForTorrent(filePath, size, pieceLength) {
+  const blocksPerPiece = pieceLength / BLOCK_SIZE;
+  const zeroLeaf = Buffer.alloc(32);
+  const sha1Pieces = [];
+  const pieceLayer = [];
+  let singlePieceLeaves = [];
+
+  const fd = await openStoredFile(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(pieceLength);
+    for (let offset = 0; offset < size; offset += pieceLength) {
+      const { bytesRead } = await fd.read(buffer, 0, Math.min(pieceLength, size - offset), offset);
+      const piece = buffer.subarray(0, bytesRead);
+
+      sha1Pieces.push(crypto.createHash('sha1').update(piece).digest());
+
+      const leaves = [];
+      for (let start = 0; start < piece.length; start += BLOCK_SIZE) {
+        leaves.push(sha256(piece.subarray(start, start + BLOCK_SIZE)));
+      }
+      singlePieceLeaves = leaves;
+      pieceLayer.push(merkleRoot(padHashes(leaves, blocksPerPiece, zeroLeaf)));
+    }
+  } finally {
+    await fd.close();
+  }
+
+  let piecesRoot = null;
+  if (size > pieceLength) {
+    // Padding pieces past the end of the file are subtrees of zero leaves
+    const padPiece = merkleRoot(Array(blocksPerPiece).fill(zeroLeaf));
+    piecesRoot = merkleRoot(padHashes(pieceLayer, nextPowerOfTwo(pieceLayer.length), padPiece));
+  } else if (size > 0) {
+    // Files up to one piece long have no piece layer - the tree is just their blocks
+    piecesRoot = merkleRoot(padHashes(singlePieceLeaves, nextPowerOfTwo(singlePieceLeaves.length), zeroLeaf));
+  }
+
+  return {
+    pieces: Buffer.concat(sha1Pieces),
+    piecesRoot,
+    pieceLayer: size > pieceLength ? Buffer.concat(pieceLayer) : null
+  };
+}
+
+/**
+ * Torrents need a power of two piece length of at least 16 KiB
+ */
+function getTorrentPieceLength(file) {
+  const pieceLength = file.piece_size;
+  const isPowerOfTwo = pieceLength > 0 && (pieceLength & (pieceLength - 1)) === 0;
+  return isPowerOfTwo && pieceLength >= BLOCK_SIZE ? pieceLength : getPieceSize(file.size);
+}
+
+async function generateTorrent(file) {
+  const pieceLength = getTorrentPieceLength(file);
+  const name = path.basename(file.original_filename || file.filename);
+  const { pieces, piecesRoot, pieceLayer } = await hashFileForTorrent(file.file_path, file.size, pieceLength);
+  const isPrivate = !!file.password_hash;
+
+  const info = bencode.encode({
+    'file tree': {
+      [name]: {
+        '': {
+          length: file.size,
+          'pieces root': piecesRoot || undefined
+        }
+      }
+    },
+    length: file.size,
+    'meta version': 2,
+    name,
+    'piece length': pieceLength,
+    pieces,
+    private: isPrivate ? 1 : undefined
+  });
+
+  // Piece layers are keyed by (binary) pieces root
+  const pieceLayers = pieceLayer ? bencode.encode(new Map([[piecesRoot, pieceLayer]])) : null;
+
+  const torrent = {
+    fileId: file.id,
+    infoHash: crypto.createHash('sha1').update(info).digest('hex'),
+    infoHashV2: sha256(info).toString('hex'),
+    info,
+    pieceLayers,
+    isPrivate
+  };
+  await db.saveTorrent(torrent);
+  return torrent;
+}
+
+/**
+ * The stored torrent metadata for a complete file, generating it on first use
+ * Returns { infoHash, infoHashV2, info, pieceLayers, isPrivate }
+ */
+async function getTorrentMetadata(file) {
+  const stored = await db.getTorrentByFileId(file.id);
+  if (stored && !!stored.is_private === !!file.password_hash) {
+    return {
+      fileId: stored.file_id,
+      infoHash: stored.info_hash,
+      infoHashV2: stored.info_hash_v2,
+      info: stored.info,
+      pieceLayers: stored.piece_layers,
+      isPrivate: !!stored.is_private
+    };
+  }
+
+  if (!pending.has(file.id)) {
+    pending.set(file.id, generateTorrent(file).finally(() => pending.delete(file.id)));
+  }
+  return pending.get(file.id);
+}
+
+/**
+ * Bencoded .torrent file
+ * options: { announce, webSeeds } - tracker URL and web seed URLs (optional)
+ */
+function buildTorrentFile(metadata, { announce, webSeeds = [] } = {}) {
+  return bencode.encode({
+    announce,
+    'created by': CREATED_BY,
+    'creation date': Math.floor(Date.now() / 1000),
+    info: new bencode.Raw(metadata.info),
+    'piece layers': metadata.pieceLayers ? new bencode.Raw(metadata.pieceLayers) : {},
+    'url-list': webSeeds.length > 0 ? webSeeds : undefined
+  });
+}
+
+/**
+ * Magnet URI with both info hashes (options as for buildTorrentFile)
+ */
+function buildMagnetUri(metadata, file, { announce, webSeeds = [] } = {}) {
+  const params = [
+    `xt=urn:btih:${metadata.infoHash}`,
+    `xt=urn:btmh:1220${metadata.infoHashV2}`,
+    `dn=${encodeURIComponent(path.basename(file.original_filename || file.filename))}`,
+    `xl=${file.size}`
+  ];
+  if (announce) {
+    params.push(`tr=${encodeURIComponent(announce)}`);
+  }
+  webSeeds.forEach(url => params.push(`ws=${encodeURIComponent(url)}`));
+  return `magnet:?${params.join('&')}`;
+}
+
+module.exports = {
+  getTorrentMetadata,
+  buildTorrentFile,
+  buildMagnetUri
+};
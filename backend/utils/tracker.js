@@ -0,0 +1,122 @@
+/**
+ * In-memory BitTorrent swarms for the built-in tracker
+ * Peers are only kept in memory - clients re-announce after a restart.
+ */
+
+// Set TRACKER_ENABLED=false to leave tracking to external trackers or DHT
+const TRACKER_ENABLED = process.env.TRACKER_ENABLED !== 'false';
+// How often clients should re-announce (default: every 5 minutes)
+const ANNOUNCE_INTERVAL = parseInt(process.env.TRACKER_ANNOUNCE_INTERVAL, 10) || 5 * 60 * 1000;
+// Peers that miss two announces are dropped
+const PEER_TIMEOUT = ANNOUNCE_INTERVAL * 2;
+const DEFAULT_NUMWANT = 50;
+const MAX_NUMWANT = 200;
+
+// Hybrid torrents are announced under both their v1 and (truncated) v2 info hash; both
+// join the swarm of the v1 hash, so clients using either find each other
+const swarms = new Map(); // v1 infoHash (hex) -> { fileId, peers: Map<peerKey, peer>, downloaded }
+let pruneTimer = null;
+
+function getSwarm(infoHash, fileId) {
+  let swarm = swarms.get(infoHash);
+  if (!swarm) {
+    swarm = { fileId, peers: new Map(), downloaded: 0 };
+    swarms.set(infoHash, swarm);
+  }
+  return swarm;
+}
+
+/**
+ * Record an announce and return up to numwant other peers in the swarm
+ * peer: { peerId (Buffer), ip, port, uploaded, downloaded, left, event }
+ */
+function announcePeer(infoHash, fileId, peer, numwant = DEFAULT_NUMWANT) {
+  const swarm = getSwarm(infoHash, fileId);
+  const key = peer.peerId.toString('hex');
+  const existing = swarm.peers.get(key);
+
+  if (peer.event === 'stopped') {
+    swarm.peers.delete(key);
+  } else {
+    if (peer.event === 'completed' && existing && existing.left > 0) {
+      swarm.downloaded++;
+    }
+    swarm.peers.set(key, { ...peer, lastSeen: Date.now() });
+  }
+
+  const others = Array.from(swarm.peers.entries())
+    .filter(([peerKey]) => peerKey !== key)
+    .map(([, other]) => other);
+  // Hand out a random selection so everyone doesn't connect to the same peers
+  for (let i = others.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [others[i], others[j]] = [others[j], others[i]];
+  }
+
+  return others.slice(0, Math.min(Math.max(numwant, 0), MAX_NUMWANT));
+}
+
+/**
+ * Seeders, leechers and completed downloads of a swarm
+ */
+function getSwarmStats(infoHash) {
+  const swarm = swarms.get(infoHash);
+  if (!swarm) {
+    return { complete: 0, incomplete: 0, downloaded: 0 };
+  }
+
+  let complete = 0;
+  for (const peer of swarm.peers.values()) {
+    if (peer.left === 0) complete++;
+  }
+  return {
+    complete,
+    incomplete: swarm.peers.size - complete,
+    downloaded: swarm.downloaded
+  };
+}
+
+/**
+ * Every swarm with its stats (for the admin overview)
+ */
+function getAllSwarms() {
+  return Array.from(swarms.entries()).map(([infoHash, swarm]) => ({
+    infoHash,
+    fileId: swarm.fileId,
+    ...getSwarmStats(infoHash)
+  }));
+}
+
+function pruneExpiredPeers(now = Date.now()) {
+  for (const [infoHash, swarm] of swarms.entries()) {
+    for (const [key, peer] of swarm.peers.entries()) {
+      if (now - peer.lastSeen > PEER_TIMEOUT) {
+        swarm.peers.delete(key);
+      }
+    }
+    if (swarm.peers.size === 0) {
+      swarms.delete(infoHash);
+    }
+  }
+}
+
+/**
+ * Start dropping peers that stopped announcing
+ */
+function startTracker() {
+  if (pruneTimer) return pruneTimer;
+
+  pruneTimer = setInterval(() => pruneExpiredPeers(), ANNOUNCE_INTERVAL);
+  pruneTimer.unref();
+  return pruneTimer;
+}
+
+module.exports = {
+  TRACKER_ENABLED,
+  ANNOUNCE_INTERVAL,
+  DEFAULT_NUMWANT,
+  announcePeer,
+  getSwarmStats,
+  getAllSwarms,
+  startTracker
+};
@@ -0,0 +1,227 @@
+const fs = require('fs').promises;
+const path = require('path');
+const db = require('../database');
+const { parseDuration } = require('./expiry');
+const { deleteStoredFile, reconcileBlobs, findOrphanedBlobFiles, removeOrphanedBlobFile } = require('./blobStore');
+
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, '../../uploads');
+
+// How long an unfinished upload may sit idle before it is removed (default: 24 hours).
+// This is also how long an interrupted WebSocket upload can be resumed.
+const UPLOAD_GRACE_PERIOD = parseDuration(process.env.UPLOAD_GRACE_PERIOD) || 24 * 60 * 60 * 1000;
+// How often the janitor runs (default: every hour)
+const JANITOR_INTERVAL = parseInt(process.env.UPLOAD_JANITOR_INTERVAL, 10) || 60 * 60 * 1000;
+
+let janitorTimer = null;
+let cleaning = false;
+
+/**
+ * SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+ */
+function parseDbTimestamp(value) {
+  if (!value) return 0;
+  const timestamp = Date.parse(`${String(value).replace(' ', 'T')}Z`);
+  return isNaN(timestamp) ? 0 : timestamp;
+}
+
+async function statOrNull(filePath) {
+  try {
+    return await fs.stat(filePath);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+async function removeFromDisk(filePath, fileId) {
+  try {
+    await fs.unlink(filePath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`[${fileId || path.basename(filePath)}] Error deleting file from filesystem:`, err);
+    }
+  }
+}
+
+/**
+ * Find (and unless dryRun, remove) leftovers of uploads that never finished:
+ * - staleUploads: files with missing pieces and no activity within the grace period
+ *   (activity is the newer of the row's creation and the file's last write)
+ * - missingFiles: rows whose file_path no longer exists on disk
+ * - orphanedFiles: files in UPLOADS_DIR (or the blob store) that no row points to
+ * - unreferencedBlobs / recountedBlobs: deduplicated content no file uses any more,
+ *   and blobs whose reference count had drifted
+ *
+ * Returns a report of everything found
+ */
+async function runUploadJanitor({ dryRun = false, now = Date.now() } = {}) {
+  const report = {
+    dryRun,
+    gracePeriod: UPLOAD_GRACE_PERIOD,
+    checkedAt: now,
+    staleUploads: [],
+    missingFiles: [],
+    orphanedFiles: [],
+    unreferencedBlobs: [],
+    recountedBlobs: [],
+    releasedStorage: 0, // bytes no longer counted against storage limits and quotas
+    freedDiskSpace: 0
+  };
+
+  if (!dryRun) {
+    if (cleaning) return null;
+    cleaning = true;
+  }
+
+  try {
+    const cutoff = now - UPLOAD_GRACE_PERIOD;
+    const handled = new Set();
+
+    // Unfinished uploads that went quiet
+    for (const file of await db.getIncompleteFiles()) {
+      const stats = await statOrNull(file.file_path);
+      const lastActivity = Math.floor(Math.max(parseDbTimestamp(file.created_at), stats ? stats.mtimeMs : 0));
+      if (lastActivity > cutoff) continue;
+
+      handled.add(file.id);
+      report.staleUploads.push({
+        id: file.id,
+        filename: file.original_filename || file.filename,
+        ownerId: file.owner_id,
+        size: file.size,
+        diskSize: stats ? stats.size : 0,
+        lastActivity
+      });
+      report.releasedStorage += file.size;
+      report.freedDiskSpace += stats ? stats.size : 0;
+
+      if (!dryRun) {
+        await deleteStoredFile(file);
+        console.log(`[${file.id}] Removed abandoned upload: ${file.original_filename || file.filename}`);
+      }
+    }
+
+    // Rows whose data is gone
+    const records = await db.getAllFileRecords();
+    const knownFiles = new Set();
+    for (const file of records) {
+      knownFiles.add(path.basename(file.file_path));
+      if (handled.has(file.id)) continue;
+
+      // Uploads are registered just before their file is created - leave young rows alone
+      if (parseDbTimestamp(file.created_at) > cutoff) continue;
+      if (await statOrNull(file.file_path)) continue;
+
+      report.missingFiles.push({
+        id: file.id,
+        filename: file.original_filename || file.filename,
+        ownerId: file.owner_id,
+        size: file.size,
+        filePath: file.file_path
+      });
+      report.releasedStorage += file.size;
+
+      if (!dryRun) {
+        await deleteStoredFile(file);
+        console.log(`[${file.id}] Removed file entry with missing data: ${file.file_path}`);
+      }
+    }
+
+    // Files nothing points to
+    let entries = [];
+    try {
+      entries = await fs.readdir(UPLOADS_DIR, { withFileTypes: true });
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.startsWith('.') || knownFiles.has(entry.name)) continue;
+
+      const filePath = path.join(UPLOADS_DIR, entry.name);
+      const stats = await statOrNull(filePath);
+      // Young files may belong to an upload that is still being registered
+      if (!stats || stats.mtimeMs > cutoff) continue;
+
+      report.orphanedFiles.push({
+        name: entry.name,
+        size: stats.size,
+        modifiedAt: Math.floor(stats.mtimeMs)
+      });
+      report.freedDiskSpace += stats.size;
+
+      if (!dryRun) {
+        await removeFromDisk(filePath);
+        console.log(`Removed orphaned upload file: ${entry.name}`);
+      }
+    }
+
+    // Deduplicated content
+    const blobs = await reconcileBlobs({ dryRun });
+    report.unreferencedBlobs = blobs.unreferencedBlobs;
+    report.recountedBlobs = blobs.recountedBlobs;
+    report.freedDiskSpace += blobs.unreferencedBlobs.reduce((sum, blob) => sum + blob.size, 0);
+
+    for (const filePath of await findOrphanedBlobFiles()) {
+      const stats = await statOrNull(filePath);
+      if (!stats || stats.mtimeMs > cutoff) continue;
+      if (!dryRun && !(await removeOrphanedBlobFile(filePath))) continue;
+
+      report.orphanedFiles.push({
+        name: path.relative(UPLOADS_DIR, filePath),
+        size: stats.size,
+        modifiedAt: Math.floor(stats.mtimeMs)
+      });
+      report.freedDiskSpace += stats.size;
+      if (!dryRun) {
+        console.log(`Removed orphaned blob file: ${path.basename(filePath)}`);
+      }
+    }
+  } finally {
+    if (!dryRun) {
+      cleaning = false;
+    }
+  }
+
+  return report;
+}
+
+async function runScheduledCleanup() {
+  try {
+    await runUploadJanitor();
+  } catch (err) {
+    console.error('Upload janitor error:', err);
+  }
+}
+
+/**
+ * Start the background upload janitor
+ */
+function startUploadJanitor() {
+  if (janitorTimer) return janitorTimer;
+
+  janitorTimer = setInterval(runScheduledCleanup, JANITOR_INTERVAL);
+  // Don't keep the process alive just for the janitor
+  janitorTimer.unref();
+
+  // Run once at startup to clean up after uploads interrupted by a restart
+  runScheduledCleanup();
+
+  return janitorTimer;
+}
+
+/**
+ * Stop the background upload janitor
+ */
+function stopUploadJanitor() {
+  if (janitorTimer) {
+    clearInterval(janitorTimer);
+    janitorTimer = null;
+  }
+}
+
+module.exports = {
+  runUploadJanitor,
+  startUploadJanitor,
+  stopUploadJanitor,
+  UPLOAD_GRACE_PERIOD
+};
@@ -0,0 +1,108 @@
+const db = require('../database');
+const { hashPiece } = require('./chunking');
+const { openStoredFile } = require('./storageEncryption');
+
+// Hashes per lookup query (SQLite limits the number of bound parameters)
+const LOOKUP_BATCH_SIZE = 500;
+
+/**
+ * Validate the piece hashes an uploader sent ahead of the data
+ * Returns null when no manifest was sent
+ */
+function parsePieceManifest(pieceHashes, totalPieces) {
+  if (pieceHashes === undefined || pieceHashes === null) {
+    return null;
+  }
+  if (!Array.isArray(pieceHashes) || pieceHashes.length !== totalPieces) {
+    throw new Error(`Piece manifest must list ${totalPieces} piece hashes`);
+  }
+  if (!pieceHashes.every(hash => typeof hash === 'string' && /^[0-9a-f]{64}$/.test(hash))) {
+    throw new Error('Piece manifest contains an invalid hash');
+  }
+  return pieceHashes;
+}
+
+/**
+ * A stored file with exactly the content the manifest describes, or null
+ */
+async function findStoredFile({ ownerId, size, pieceSize, pieceHashes }) {
+  const candidates = await db.findStoredFileCandidates({
+    ownerId,
+    size,
+    pieceSize,
+    firstPieceHash: pieceHashes[0]
+  });
+
+  for (const candidate of candidates) {
+    const pieces = await db.getPiecesByFileId(candidate.id);
+    const matches = pieceHashes.every((hash, index) => {
+      const piece = pieces[index];
+      return piece && piece.piece_index === index && piece.is_complete === 1 && piece.hash === hash;
+    });
+    if (matches) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Where the server already holds pieces from the manifest: hash -> { size, offset, file_path }
+ */
+async function findKnownPieces(pieceHashes, ownerId) {
+  const unique = Array.from(new Set(pieceHashes));
+  const known = new Map();
+
+  for (let i = 0; i < unique.length; i += LOOKUP_BATCH_SIZE) {
+    const rows = await db.findCompletePiecesByHash(unique.slice(i, i + LOOKUP_BATCH_SIZE), ownerId);
+    rows.forEach(row => known.set(row.hash, row));
+  }
+  return known;
+}
+
+/**
+ * Copy the pieces the server already holds into a new upload's file
+ * Every piece is re-hashed after reading, so stale or changed sources are simply skipped
+ * (the client sends those pieces itself). Stops early when shouldStop() says so.
+ * Returns pieceIndex -> hash of the pieces written.
+ */
+async function copyKnownPieces({ pieceHashes, pieceSize, known, fileHandle, shouldStop }) {
+  const copied = new Map();
+  const sourceHandles = new Map(); // file_path -> FileHandle (or null if it couldn't be opened)
+
+  try {
+    for (let index = 0; index < pieceHashes.length; index++) {
+      if (shouldStop()) break;
+
+      const source = known.get(pieceHashes[index]);
+      if (!source) continue;
+
+      if (!sourceHandles.has(source.file_path)) {
+        sourceHandles.set(source.file_path, await openStoredFile(source.file_path, 'r').catch(() => null));
+      }
+      const sourceHandle = sourceHandles.get(source.file_path);
+      if (!sourceHandle) continue;
+
+      const buffer = Buffer.alloc(source.size);
+      const { bytesRead } = await sourceHandle.read(buffer, 0, source.size, source.offset)
+        .catch(() => ({ bytesRead: 0 }));
+      if (bytesRead !== source.size || hashPiece(buffer) !== pieceHashes[index]) continue;
+
+      await fileHandle.write(buffer, 0, buffer.length, index * pieceSize);
+      copied.set(index, pieceHashes[index]);
+    }
+  } finally {
+    for (const handle of sourceHandles.values()) {
+      if (handle) await handle.close().catch(() => {});
+    }
+  }
+
+  return copied;
+}
+
+module.exports = {
+  parsePieceManifest,
+  findStoredFile,
+  findKnownPieces,
+  copyKnownPieces
+};
@@ -0,0 +1,115 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const { hashPassword } = require('./password');
+const { isAuthRequired, APP_PASSWORD } = require('../middleware/auth');
+
+// Username of the account seeded from APP_PASSWORD
+const DEFAULT_ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
+
+const USER_ROLES = ['user', 'admin'];
+
+/**
+ * Create a user account with a hashed password
+ */
+async function createUserAccount({ username, password, quota, role = 'user' }) {
+  if (!username || !password) {
+    throw new Error('Username and password are required');
+  }
+  if (!USER_ROLES.includes(role)) {
+    throw new Error(`Invalid role: ${role}`);
+  }
+
+  const existing = await db.getUserByUsername(username);
+  if (existing) {
+    throw new Error(`User "${username}" already exists`);
+  }
+
+  const id = uuidv4();
+  await db.createUser({
+    id,
+    username,
+    passwordHash: await hashPassword(password),
+    quota,
+    role
+  });
+
+  return db.getUserById(id);
+}
+
+/**
+ * Find or create the account for an SSO identity
+ * New accounts have no local password. A role from IdP groups (if any) is
+ * applied on every login so the IdP stays the source of truth.
+ */
+async function findOrCreateOidcUser({ subject, username, role }, { linkByUsername = false } = {}) {
+  let user = await db.getUserByOidcSubject(subject);
+
+  if (!user) {
+    const existing = await db.getUserByUsername(username);
+    if (existing) {
+      if (!linkByUsername || existing.oidc_subject) {
+        throw new Error(`Username "${username}" is already used by another account`);
+      }
+      await db.updateUser(existing.id, { oidcSubject: subject });
+      user = await db.getUserById(existing.id);
+    } else {
+      const id = uuidv4();
+      await db.createUser({
+        id,
+        username,
+        passwordHash: '',
+        role: role || 'user',
+        oidcSubject: subject
+      });
+      return db.getUserById(id);
+    }
+  }
+
+  if (role && user.role !== role) {
+    await db.updateUser(user.id, { role });
+    user = await db.getUserById(user.id);
+  }
+
+  return user;
+}
+
+/**
+ * Seed the first account from APP_PASSWORD so existing single-password
+ * installs keep working, and hand it any files uploaded before accounts existed
+ */
+async function ensureDefaultUser() {
+  if (!isAuthRequired()) {
+    return null;
+  }
+
+  if ((await db.getUserCount()) > 0) {
+    // No active admin (e.g. a database from before roles existed):
+    // promote the seeded account so the instance stays manageable
+    if ((await db.getAdminCount()) === 0) {
+      const existing = await db.getUserByUsername(DEFAULT_ADMIN_USERNAME);
+      if (existing) {
+        await db.updateUser(existing.id, { role: 'admin', disabled: false });
+        console.log(`Promoted user "${existing.username}" to admin`);
+      }
+    }
+    return null;
+  }
+
+  const user = await createUserAccount({
+    username: DEFAULT_ADMIN_USERNAME,
+    password: APP_PASSWORD,
+    role: 'admin'
+  });
+  const assigned = await db.assignUnownedFiles(user.id);
+
+  console.log(`Created default user "${user.username}" (${assigned} existing file(s) assigned)`);
+  return user;
+}
+
+module.exports = {
+  createUserAccount,
+  findOrCreateOidcUser,
+  ensureDefaultUser,
+  DEFAULT_ADMIN_USERNAME,
+  USER_ROLES
+};
@@ -0,0 +1,43 @@
+/**
+ * Browser-to-browser piece exchange over WebRTC
+ * The server only relays signaling messages between sockets downloading the same file;
+ * the pieces themselves travel over data channels and are verified by the receiver.
+ */
+
+// Set PEER_TO_PEER_ENABLED=false to serve every piece from the server
+const PEER_TO_PEER_ENABLED = process.env.PEER_TO_PEER_ENABLED !== 'false';
+// Other downloaders handed to a new downloader to connect to
+const MAX_SIGNAL_PEERS = 10;
+// Largest signal relayed (offers and answers are a few KB)
+const MAX_SIGNAL_SIZE = 16 * 1024;
+
+/**
+ * ICE servers for the browsers' RTCPeerConnection, from WEBRTC_ICE_SERVERS: either a JSON
+ * array of RTCIceServer objects (needed for TURN credentials) or comma separated URLs.
+ * Without any, browsers only try direct connections, which works on a LAN or one machine.
+ */
+function parseIceServers(value) {
+  if (!value || !value.trim()) {
+    return [];
+  }
+
+  if (value.trim().startsWith('[')) {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      console.error('Invalid WEBRTC_ICE_SERVERS JSON, ignoring:', err.message);
+      return [];
+    }
+  }
+
+  return value.split(',').map(url => url.trim()).filter(Boolean).map(urls => ({ urls }));
+}
+
+const ICE_SERVERS = parseIceServers(process.env.WEBRTC_ICE_SERVERS);
+
+module.exports = {
+  PEER_TO_PEER_ENABLED,
+  MAX_SIGNAL_PEERS,
+  MAX_SIGNAL_SIZE,
+  ICE_SERVERS
+};
@@ -1,6 +1,7 @@
 const archiver = require('archiver');
 const fs = require('fs');
 const path = require('path');
+const { createStoredReadStream } = require('./storageEncryption');
 
 /**
  * Zip a directory
@@ -59,8 +60,84 @@ function zipFiles(files, outputPath) {
   });
 }
 
+/**
+ * Path of a zip entry, made unique within the archive ("a.txt", "a (1).txt")
+ * Names may contain folders ("docs/a.txt"); empty, "." and ".." segments are dropped.
+ */
+function getUniqueEntryName(name, usedNames) {
+  const segments = String(name).replace(/\\/g, '/').split('/')
+    .filter(segment => segment && segment !== '.' && segment !== '..');
+  const entryName = segments.join('/') || 'file';
+  const ext = path.posix.extname(entryName);
+  const stem = entryName.slice(0, entryName.length - ext.length);
+
+  let candidate = entryName;
+  for (let i = 1; usedNames.has(candidate.toLowerCase()); i++) {
+    candidate = `${stem} (${i})${ext}`;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Stream a zip to a writable stream (e.g. an HTTP response), without a temp file
+ * Entries are { source, name, date }: a readable stream of the contents, read only once the
+ * archive gets to it, and the path inside the archive. Entries are stored uncompressed, and
+ * Zip64 records are written once an entry or the archive passes 4 GB. Resolves when the
+ * archive is complete; if the output closes first the archive is aborted and every source
+ * destroyed (archiver leaves them open, and with them their files).
+ */
+function streamZip(entries, output) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', {
+      store: true // Shared files are mostly compressed already, and this keeps CPU use flat
+    });
+    const usedNames = new Set();
+
+    const destroySources = () => {
+      entries.forEach(entry => entry.source.destroy());
+    };
+
+    const onClose = () => {
+      archive.abort();
+      destroySources();
+      resolve();
+    };
+    output.on('close', onClose);
+    archive.on('error', (err) => {
+      output.off('close', onClose);
+      destroySources();
+      reject(err);
+    });
+    archive.on('end', () => {
+      output.off('close', onClose);
+      resolve();
+    });
+    archive.pipe(output);
+
+    entries.forEach(entry => {
+      archive.append(entry.source, {
+        name: getUniqueEntryName(entry.name, usedNames),
+        date: entry.date
+      });
+    });
+
+    archive.finalize();
+  });
+}
+
+/**
+ * Stream a zip of stored files; entries are { filePath, name, date }
+ */
+function streamStoredFiles(entries, output) {
+  // Stored read streams only open the file once read, so one file is open at a time
+  return streamZip(entries.map(entry => ({ ...entry, source: createStoredReadStream(entry.filePath) })), output);
+}
+
 module.exports = {
   zipDirectory,
-  zipFiles
+  zipFiles,
+  streamZip,
+  streamStoredFiles
 };
 
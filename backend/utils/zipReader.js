@@ -0,0 +1,264 @@
+const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
+const { openStoredFile, createStoredReadStream } = require('./storageEncryption');
+const { normalizeRelativePath } = require('./collections');
+
+/**
+ * Reading entries of stored zip archives without unpacking them (APPNOTE.TXT 6.3)
+ *
+ * The central directory at the end of the archive lists every entry; an entry's data is
+ * read straight from its place in the stored file and inflated as it streams, so any one
+ * file in a large archive costs only its own size. Zip64 archives (over 4 GB or 65535
+ * entries) are supported; split archives are not.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const EOCD_SIZE = 22;
+const MAX_COMMENT_LENGTH = 0xffff;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_LOCATOR_SIZE = 20;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const ZIP64_EOCD_SIZE = 56;
+const ZIP64_EXTRA_FIELD = 0x0001;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const CENTRAL_HEADER_SIZE = 46;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const LOCAL_HEADER_SIZE = 30;
+
+const FLAG_ENCRYPTED = 0x1;
+const FLAG_UTF8 = 0x800;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// Largest central directory read into memory (roughly a million entries)
+const MAX_CENTRAL_DIRECTORY_SIZE = 64 * 1024 * 1024;
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Position of the end of central directory record, or -1 if there is none
+ */
+async function findEndOfCentralDirectory(handle, size) {
+  const tailLength = Math.min(size, EOCD_SIZE + MAX_COMMENT_LENGTH);
+  const tail = await readAt(handle, size - tailLength, tailLength);
+
+  for (let i = tail.length - EOCD_SIZE; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIGNATURE && i + EOCD_SIZE + tail.readUInt16LE(i + 20) <= tail.length) {
+      return size - tailLength + i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Where the central directory is and how many entries it holds, from the (Zip64) end records
+ * Returns null if the file isn't a zip archive.
+ */
+async function readCentralDirectoryLocation(handle, size) {
+  const eocdPosition = await findEndOfCentralDirectory(handle, size);
+  if (eocdPosition < 0) {
+    return null;
+  }
+
+  const eocd = await readAt(handle, eocdPosition, EOCD_SIZE);
+  if (eocd.readUInt16LE(4) !== 0 || eocd.readUInt16LE(6) !== 0) {
+    throw new Error('Split zip archives are not supported');
+  }
+  let location = {
+    entryCount: eocd.readUInt16LE(10),
+    size: eocd.readUInt32LE(12),
+    offset: eocd.readUInt32LE(16)
+  };
+
+  // Zip64 archives put the real values in a record found through a locator just before
+  const locator = eocdPosition >= ZIP64_LOCATOR_SIZE
+    ? await readAt(handle, eocdPosition - ZIP64_LOCATOR_SIZE, ZIP64_LOCATOR_SIZE)
+    : null;
+  if (locator && locator.readUInt32LE(0) === ZIP64_LOCATOR_SIGNATURE) {
+    const zip64 = await readAt(handle, Number(locator.readBigUInt64LE(8)), ZIP64_EOCD_SIZE);
+    if (zip64.length < ZIP64_EOCD_SIZE || zip64.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+      throw new Error('Zip64 end of central directory record is missing');
+    }
+    location = {
+      entryCount: Number(zip64.readBigUInt64LE(32)),
+      size: Number(zip64.readBigUInt64LE(40)),
+      offset: Number(zip64.readBigUInt64LE(48))
+    };
+  }
+
+  if (location.offset + location.size > size) {
+    throw new Error('Zip central directory is past the end of the file');
+  }
+  if (location.size > MAX_CENTRAL_DIRECTORY_SIZE) {
+    throw new Error('Zip central directory is too large to list');
+  }
+  return location;
+}
+
+/**
+ * Entry names are UTF-8 when flagged; otherwise try UTF-8 anyway (most tools write it)
+ * before falling back to Latin-1
+ */
+function decodeEntryName(bytes, flags) {
+  if (flags & FLAG_UTF8) {
+    return bytes.toString('utf8');
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (err) {
+    return bytes.toString('latin1');
+  }
+}
+
+function decodeDosDateTime(date, time) {
+  return new Date(
+    ((date >> 9) & 0x7f) + 1980,
+    ((date >> 5) & 0xf) - 1,
+    date & 0x1f,
+    time >> 11,
+    (time >> 5) & 0x3f,
+    (time & 0x1f) * 2
+  );
+}
+
+/**
+ * Replace 32-bit sizes and offset that overflowed (0xffffffff) with their values from the
+ * Zip64 extra field, which holds only those, in this order
+ */
+function applyZip64Extra(entry, extra) {
+  for (let position = 0; position + 4 <= extra.length;) {
+    const id = extra.readUInt16LE(position);
+    const length = extra.readUInt16LE(position + 2);
+    position += 4;
+
+    if (id === ZIP64_EXTRA_FIELD) {
+      let field = position;
+      for (const key of ['size', 'compressedSize', 'localHeaderOffset']) {
+        if (entry[key] === 0xffffffff && field + 8 <= position + length) {
+          entry[key] = Number(extra.readBigUInt64LE(field));
+          field += 8;
+        }
+      }
+      return;
+    }
+    position += length;
+  }
+}
+
+function parseCentralDirectory(buffer, entryCount) {
+  const entries = [];
+  let position = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (position + CENTRAL_HEADER_SIZE > buffer.length || buffer.readUInt32LE(position) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Zip central directory is truncated');
+    }
+
+    const flags = buffer.readUInt16LE(position + 8);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const nameStart = position + CENTRAL_HEADER_SIZE;
+    const name = decodeEntryName(buffer.subarray(nameStart, nameStart + nameLength), flags);
+
+    const entry = {
+      name,
+      path: normalizeRelativePath(name),
+      isDirectory: name.endsWith('/'),
+      method: buffer.readUInt16LE(position + 10),
+      encrypted: !!(flags & FLAG_ENCRYPTED),
+      date: decodeDosDateTime(buffer.readUInt16LE(position + 14), buffer.readUInt16LE(position + 12)),
+      crc32: buffer.readUInt32LE(position + 16),
+      compressedSize: buffer.readUInt32LE(position + 20),
+      size: buffer.readUInt32LE(position + 24),
+      localHeaderOffset: buffer.readUInt32LE(position + 42)
+    };
+    applyZip64Extra(entry, buffer.subarray(nameStart + nameLength, nameStart + nameLength + extraLength));
+    entry.supported = !entry.encrypted && (entry.method === METHOD_STORED || entry.method === METHOD_DEFLATED);
+
+    // Names that would leave the archive's root ("../x", "/") are left out
+    if (entry.path) {
+      entries.push(entry);
+    }
+    position = nameStart + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * The entries of a stored zip archive, read from its central directory
+ * Each is { name, path, isDirectory, method, encrypted, supported, date, crc32, compressedSize,
+ * size, localHeaderOffset }, path being the name cleaned up as a relative path. Returns null
+ * if the file isn't a zip archive.
+ */
+async function readZipEntries(filePath) {
+  const handle = await openStoredFile(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const location = await readCentralDirectoryLocation(handle, size);
+    if (!location) {
+      return null;
+    }
+
+    const centralDirectory = await readAt(handle, location.offset, location.size);
+    return parseCentralDirectory(centralDirectory, location.entryCount);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Position of an entry's data, just past its local header
+ */
+async function getEntryDataOffset(filePath, entry) {
+  const handle = await openStoredFile(filePath, 'r');
+  try {
+    const header = await readAt(handle, entry.localHeaderOffset, LOCAL_HEADER_SIZE);
+    if (header.length < LOCAL_HEADER_SIZE || header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`Zip entry ${entry.path} has no local header`);
+    }
+    return entry.localHeaderOffset + LOCAL_HEADER_SIZE + header.readUInt16LE(26) + header.readUInt16LE(28);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Readable stream of an entry's uncompressed contents, checked against its size and CRC-32
+ * Nothing is read until the stream is; a mismatch ends the stream with an error.
+ */
+function createEntryReadStream(filePath, entry) {
+  if (!entry.supported) {
+    throw new Error(`Zip entry ${entry.path} is encrypted or uses an unsupported compression method`);
+  }
+
+  return Readable.from((async function* () {
+    const start = await getEntryDataOffset(filePath, entry);
+    const raw = createStoredReadStream(filePath, { start, end: start + entry.compressedSize - 1 });
+    const source = entry.method === METHOD_DEFLATED
+      ? pipeline(raw, zlib.createInflateRaw(), () => {})
+      : raw;
+
+    let crc = 0;
+    let size = 0;
+    for await (const chunk of source) {
+      crc = zlib.crc32(chunk, crc);
+      size += chunk.length;
+      yield chunk;
+    }
+    if (size !== entry.size || crc !== entry.crc32) {
+      throw new Error(`Zip entry ${entry.path} is corrupt`);
+    }
+  })(), { objectMode: false });
+}
+
+module.exports = {
+  readZipEntries,
+  createEntryReadStream
+};
@@ -1,16 +1,38 @@
 const WebSocket = require('ws');
 const path = require('path');
-const fs = require('fs').promises;
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const mimeTypes = require('mime-types');
 const db = require('./database');
-const { getPieceSize, hashPiece } = require('./utils/chunking');
-const { verifyToken, isAuthRequired } = require('./middleware/auth');
+const { getPieceSize, getPieceLength, hashPiece, encodePieceBitmap } = require('./utils/chunking');
+const {
+  authenticateToken,
+  isAuthStillValid,
+  isAuthRequired,
+  hasShareToken,
+  getFileTokenCookieName,
+  generateDownloadToken,
+  verifyDownloadToken
+} = require('./middleware/auth');
+const { parseExpiryOptions, getExpiryStatus, getExpiryMessage } = require('./utils/expiry');
+const { hashPassword } = require('./utils/password');
+const { checkStorageSpace } = require('./utils/storage');
+const { getClientIp } = require('./utils/clientIp');
+const { BINARY_PROTOCOL, encodeChunkFrame, decodeChunkFrame } = require('./utils/binaryFrames');
+const { linkStoredContent } = require('./utils/blobStore');
+const { recordFileIntegrity } = require('./utils/integrity');
+const { parsePieceManifest, findStoredFile, findKnownPieces, copyKnownPieces } = require('./utils/uploadManifest');
+const { parseEncryptedUpload, getEncryptedFilename } = require('./utils/endToEnd');
+const { PEER_TO_PEER_ENABLED, MAX_SIGNAL_PEERS, MAX_SIGNAL_SIZE, ICE_SERVERS } = require('./utils/webrtc');
+const { openStoredFile } = require('./utils/storageEncryption');
+const { emitPieceComplete, emitUploadComplete } = require('./utils/pieceEvents');
+const { normalizeRelativePath } = require('./utils/collections');
+const { startDownload } = require('./utils/downloadTracker');
 
 const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, '../uploads');
 
 // Track active uploads and downloads
-const activeUploads = new Map(); // fileId -> { filePath, fileHandle, uploadedChunks: Set, totalPieces, pieceSize }
+const activeUploads = new Map(); // fileId -> { filePath, fileHandle, uploadedChunks: Set, totalPieces, pieceSize, ws }
 const activeDownloads = new Map(); // fileId -> Set<WebSocket>
 // Cache file handles and piece data for downloads to avoid repeated opens/queries
 const downloadCache = new Map(); // fileId -> { fileHandle, pieces: Array, lastAccess: timestamp }
@@ -19,35 +41,47 @@ const downloadCache = new Map(); // fileId -> { fileHandle, pieces: Array, lastA
  * Initialize WebSocket server
  */
 function initializeWebSocket(server) {
-  const wss = new WebSocket.Server({ server });
+  const wss = new WebSocket.Server({
+    server,
+    // Resolve credentials during the handshake (API tokens need a database
+    // lookup). Unauthenticated clients are still accepted for downloads.
+    verifyClient: (info, done) => {
+      authenticateHandshake(info.req)
+        .then((auth) => {
+          info.req.auth = auth;
+          done(true);
+        })
+        .catch((err) => {
+          console.error('WebSocket auth error:', err);
+          done(true);
+        });
+    },
+    // Clients opt into binary chunk frames by offering the subprotocol;
+    // everyone else keeps the JSON/base64 protocol
+    handleProtocols: (protocols) => (protocols.has(BINARY_PROTOCOL) ? BINARY_PROTOCOL : false)
+  });
 
   wss.on('connection', (ws, req) => {
     console.log('WebSocket client connected');
     
-    // Extract token from cookies or query string
-    let token = null;
-    if (req.headers.cookie) {
-      const cookies = req.headers.cookie.split(';').reduce((acc, cookie) => {
-        const [key, value] = cookie.trim().split('=');
-        acc[key] = value;
-        return acc;
-      }, {});
-      token = cookies.authToken;
-    }
+    // Keep cookies around for file unlock tokens
+    ws.cookies = parseCookies(req.headers.cookie);
     
-    // Check authentication if required
-    let authenticated = !isAuthRequired();
-    if (isAuthRequired() && token) {
-      const decoded = verifyToken(token);
-      authenticated = decoded !== null;
-    }
-    
-    // Store auth status on connection
-    ws.authenticated = authenticated;
-
-    ws.on('message', async (data) => {
+    // Store auth status, user and API token (if any) on connection
+    const auth = req.auth || null;
+    ws.auth = auth;
+    ws.authenticated = !isAuthRequired() || auth !== null;
+    ws.user = auth ? auth.user : null;
+    ws.apiToken = auth ? auth.apiToken : null;
+    ws.binary = ws.protocol === BINARY_PROTOCOL;
+    // Identifies this socket to other downloaders for WebRTC signaling
+    ws.peerId = uuidv4();
+    // fileId -> function ending the download in the download tracker
+    ws.downloadEnds = new Map();
+
+    ws.on('message', async (data, isBinary) => {
       try {
-        const message = JSON.parse(data.toString());
+        const message = isBinary ? decodeChunkFrame(data) : JSON.parse(data.toString());
         await handleMessage(ws, message);
       } catch (err) {
         console.error('Error handling WebSocket message:', err);
@@ -70,6 +104,47 @@ function initializeWebSocket(server) {
   return wss;
 }
 
+/**
+ * Parse a Cookie header into an object
+ */
+function parseCookies(header) {
+  if (!header) {
+    return {};
+  }
+  return header.split(';').reduce((acc, cookie) => {
+    const [key, value] = cookie.trim().split('=');
+    acc[key] = value;
+    return acc;
+  }, {});
+}
+
+/**
+ * Authenticate a WebSocket upgrade request from the login cookie or an
+ * Authorization: Bearer header (login JWT or personal API token)
+ */
+async function authenticateHandshake(req) {
+  if (!isAuthRequired()) {
+    return null;
+  }
+
+  const token = parseCookies(req.headers.cookie).authToken ||
+    req.headers.authorization?.replace('Bearer ', '');
+  return authenticateToken(token, {
+    ip: getClientIp(req),
+    userAgent: req.headers['user-agent']
+  });
+}
+
+/**
+ * Whether a socket may upload (API tokens need the upload scope)
+ */
+function canUpload(ws) {
+  if (isAuthRequired() && !ws.authenticated) {
+    return false;
+  }
+  return !ws.apiToken || ws.apiToken.scopes.includes('upload');
+}
+
 /**
  * Handle incoming WebSocket messages
  */
@@ -79,20 +154,47 @@ async function handleMessage(ws, message) {
   switch (type) {
     case 'UPLOAD_INIT':
       // Require auth for uploads
-      if (isAuthRequired() && !ws.authenticated) {
+      if (!canUpload(ws)) {
         sendError(ws, 'AUTH_REQUIRED', 'Authentication required for uploads');
         return;
       }
+      // Sessions revoked (or accounts disabled) after connecting can't start new uploads
+      if (ws.auth && !(await isAuthStillValid(ws.auth))) {
+        sendError(ws, 'AUTH_REQUIRED', 'Session is no longer valid');
+        return;
+      }
       await handleUploadInit(ws, payload);
       break;
+    case 'FOLDER_INIT':
+      if (!canUpload(ws)) {
+        sendError(ws, 'AUTH_REQUIRED', 'Authentication required for uploads');
+        return;
+      }
+      if (ws.auth && !(await isAuthStillValid(ws.auth))) {
+        sendError(ws, 'AUTH_REQUIRED', 'Session is no longer valid');
+        return;
+      }
+      await handleFolderInit(ws, payload);
+      break;
     case 'UPLOAD_CHUNK':
       // Require auth for uploads
-      if (isAuthRequired() && !ws.authenticated) {
+      if (!canUpload(ws)) {
         sendError(ws, 'AUTH_REQUIRED', 'Authentication required for uploads');
         return;
       }
       await handleUploadChunk(ws, payload);
       break;
+    case 'UPLOAD_RESUME':
+      if (!canUpload(ws)) {
+        sendError(ws, 'AUTH_REQUIRED', 'Authentication required for uploads');
+        return;
+      }
+      if (ws.auth && !(await isAuthStillValid(ws.auth))) {
+        sendError(ws, 'AUTH_REQUIRED', 'Session is no longer valid');
+        return;
+      }
+      await handleUploadResume(ws, payload);
+      break;
     case 'DOWNLOAD_INIT':
       // Downloads are public - no auth check
       await handleDownloadInit(ws, payload);
@@ -111,11 +213,99 @@ async function handleMessage(ws, message) {
       // Downloads are public - no auth check
       await handleDownloadCancel(ws, payload);
       break;
+    case 'PEER_SIGNAL':
+      handlePeerSignal(ws, payload);
+      break;
     default:
       sendError(ws, 'UNKNOWN_MESSAGE_TYPE', `Unknown message type: ${type}`);
   }
 }
 
+/**
+ * Create a folder share that the directory's files are then uploaded into, each with
+ * UPLOAD_INIT carrying collectionId, collectionSecret and its relativePath
+ */
+async function handleFolderInit(ws, payload) {
+  try {
+    const { requestId } = payload;
+    const name = typeof payload.name === 'string' ? path.basename(payload.name.trim()).slice(0, 255) : '';
+
+    if (!name) {
+      sendError(ws, 'FOLDER_INIT_ERROR', 'Missing folder name', { requestId });
+      return;
+    }
+
+    // Fail early if the whole folder can't fit (each file is checked again on its own)
+    const ownerId = ws.user ? ws.user.id : null;
+    const storageCheck = await checkStorageSpace(Number(payload.size) || 0, ownerId);
+    if (!storageCheck.hasSpace) {
+      sendError(ws, 'STORAGE_LIMIT_EXCEEDED', 'Storage limit exceeded', { requestId });
+      return;
+    }
+
+    const collectionId = uuidv4();
+    const { expiresAt, maxDownloads } = parseExpiryOptions(payload);
+    const passwordHash = payload.password ? await hashPassword(payload.password) : null;
+    // Only the uploader can add files (only the hash is stored)
+    const uploadSecret = crypto.randomBytes(32).toString('base64url');
+
+    await db.createCollection({
+      id: collectionId,
+      name,
+      ownerId,
+      expiresAt,
+      maxDownloads,
+      passwordHash,
+      uploadSecretHash: hashUploadSecret(uploadSecret)
+    });
+
+    ws.send(JSON.stringify({
+      type: 'FOLDER_INIT_SUCCESS',
+      payload: {
+        collectionId,
+        name,
+        requestId,
+        expiresAt,
+        maxDownloads,
+        isProtected: !!passwordHash,
+        uploadSecret
+      }
+    }));
+
+    console.log(`[${collectionId}] Folder share created: ${name}`);
+  } catch (err) {
+    console.error('Folder init error:', err);
+    sendError(ws, 'FOLDER_INIT_ERROR', err.message, { requestId: payload.requestId });
+  }
+}
+
+/**
+ * The folder share an upload joins and its path there, or null for a standalone file
+ * Throws if the upload may not join it.
+ */
+async function getUploadCollection(ws, payload, encryption) {
+  if (!payload.collectionId) {
+    return null;
+  }
+
+  const collection = await db.getCollectionById(payload.collectionId);
+  const ownerId = ws.user ? ws.user.id : null;
+  if (!collection || !isValidUploadSecret(payload.collectionSecret, collection.upload_secret_hash) ||
+      (collection.owner_id || null) !== ownerId) {
+    throw new Error('Folder not found');
+  }
+  // The server zips folder shares, so it has to be able to read their files
+  if (encryption) {
+    throw new Error('End-to-end encrypted files can\'t be part of a folder share');
+  }
+  const relativePath = normalizeRelativePath(payload.relativePath);
+  if (!relativePath) {
+    throw new Error('Invalid relative path');
+  }
+
+  return { collection, relativePath };
+}
+
 /**
  * Initialize file upload
  */
@@ -128,34 +318,80 @@ async function handleUploadInit(ws, payload) {
       return;
     }
 
-    // Check storage space
-    const totalUsed = await db.getTotalStorageUsed();
-    const STORAGE_LIMIT = parseStorageLimit(process.env.STORAGE_LIMIT || '100GB');
-    if (totalUsed + size > STORAGE_LIMIT) {
+    // End-to-end encrypted uploads bring their own piece size and encrypted metadata
+    let encryption;
+    try {
+      encryption = parseEncryptedUpload(payload);
+    } catch (err) {
+      sendError(ws, 'UPLOAD_INIT_ERROR', err.message);
+      return;
+    }
+
+    // Files of a folder share join its collection
+    let folder;
+    try {
+      folder = await getUploadCollection(ws, payload, encryption);
+    } catch (err) {
+      sendError(ws, 'UPLOAD_INIT_ERROR', err.message);
+      return;
+    }
+
+    // Check storage space (instance-wide and the uploader's quota)
+    const ownerId = ws.user ? ws.user.id : null;
+    const storageCheck = await checkStorageSpace(size, ownerId);
+    if (!storageCheck.hasSpace) {
       sendError(ws, 'STORAGE_LIMIT_EXCEEDED', 'Storage limit exceeded');
       return;
     }
 
     const fileId = uuidv4();
-    const fileExtension = path.extname(filename);
+    // The server never learns an encrypted file's name or type
+    const originalFilename = encryption ? getEncryptedFilename(fileId) : filename;
+    const fileExtension = path.extname(originalFilename);
     const finalFilename = `${fileId}${fileExtension}`;
     const finalPath = path.join(UPLOADS_DIR, finalFilename);
+    const { expiresAt, maxDownloads } = parseExpiryOptions(payload);
+    const passwordHash = payload.password ? await hashPassword(payload.password) : null;
+    // Lets the uploader resume this upload from a new connection (only the hash is stored)
+    const uploadSecret = crypto.randomBytes(32).toString('base64url');
 
     // Determine piece size
-    const pieceSize = getPieceSize(size);
+    const pieceSize = encryption ? encryption.pieceSize : getPieceSize(size);
     const totalPieces = Math.ceil(size / pieceSize);
 
+    // Piece hashes sent ahead of the data let us skip content we already hold
+    let pieceHashes;
+    try {
+      pieceHashes = parsePieceManifest(payload.pieceHashes, totalPieces);
+    } catch (err) {
+      sendError(ws, 'UPLOAD_INIT_ERROR', err.message);
+      return;
+    }
+    const storedFile = pieceHashes ? await findStoredFile({ ownerId, size, pieceSize, pieceHashes }) : null;
+
     // Create file entry in database
     await db.createFile({
       id: fileId,
       filename: finalFilename,
-      originalFilename: filename,
+      originalFilename,
       size,
       pieceSize,
       totalPieces,
-      mimeType: mimeType || mimeTypes.lookup(filename) || 'application/octet-stream',
-      filePath: finalPath
+      mimeType: encryption ? 'application/octet-stream' : mimeType || mimeTypes.lookup(filename) || 'application/octet-stream',
+      filePath: finalPath,
+      expiresAt,
+      maxDownloads,
+      passwordHash,
+      ownerId,
+      uploadSecretHash: hashUploadSecret(uploadSecret),
+      encryptedMetadata: encryption ? encryption.encryptedMetadata : null
     });
+    if (folder) {
+      await db.addCollectionFile(folder.collection.id, fileId, folder.relativePath);
+    }
+
+    // The whole file is already stored: share the stored copy, nothing needs uploading
+    const linked = storedFile ? await linkStoredContent(fileId, storedFile.content_hash) : false;
 
     // Create piece entries
     const dbPieces = [];
@@ -167,19 +403,55 @@ async function handleUploadInit(ws, payload) {
       dbPieces.push({
         fileId,
         pieceIndex: i,
-        hash: '',
+        hash: linked ? pieceHashes[i] : '',
         size: currentPieceSize,
         offset,
-        isComplete: 0
+        isComplete: linked ? 1 : 0
       });
     }
     await db.createPieces(dbPieces);
 
+    const initPayload = {
+      fileId,
+      pieceSize,
+      totalPieces,
+      requestId: payload.requestId, // Echo back request ID
+      filename: filename, // Include filename for matching
+      size: size, // Include size for matching
+      expiresAt,
+      maxDownloads,
+      isProtected: !!passwordHash,
+      isEncrypted: !!encryption,
+      collectionId: folder ? folder.collection.id : undefined,
+      uploadSecret
+    };
+
+    if (linked) {
+      ws.send(JSON.stringify({
+        type: 'UPLOAD_INIT_SUCCESS',
+        payload: {
+          ...initPayload,
+          uploadedChunks: totalPieces,
+          bitmap: encodePieceBitmap(dbPieces.map(piece => piece.pieceIndex), totalPieces),
+          complete: true
+        }
+      }));
+      ws.send(JSON.stringify({
+        type: 'UPLOAD_COMPLETE',
+        payload: { fileId }
+      }));
+      console.log(`[${fileId}] Upload initialized: ${originalFilename} (already stored as blob ${storedFile.content_hash.slice(0, 12)})`);
+      await recordFileIntegrity(fileId).catch(err => {
+        console.error(`[${fileId}] Error storing upload content:`, err);
+      });
+      return;
+    }
+
     // Create empty file and open file handle (keep it open for all writes)
-    const fileHandle = await fs.open(finalPath, 'w+');
+    const fileHandle = await openStoredFile(finalPath, 'w+');
 
     // Track upload session with open file handle
-    activeUploads.set(fileId, {
+    const upload = {
       filePath: finalPath,
       fileHandle, // Keep file handle open
       uploadedChunks: new Set(),
@@ -187,24 +459,54 @@ async function handleUploadInit(ws, payload) {
       pieceSize,
       size,
       ws,
+      ownerId,
       lastSync: Date.now(),
       pendingSync: false
-    });
+    };
+    activeUploads.set(fileId, upload);
+
+    // Fill in pieces we already hold elsewhere
+    if (pieceHashes) {
+      const copied = await copyKnownPieces({
+        pieceHashes,
+        pieceSize,
+        known: await findKnownPieces(pieceHashes, ownerId),
+        fileHandle,
+        shouldStop: () => activeUploads.get(fileId) !== upload
+      });
+      if (activeUploads.get(fileId) !== upload) {
+        return; // The socket closed meanwhile - the upload can be resumed
+      }
+      upload.chunkHashes = copied;
+      copied.forEach((hash, index) => upload.uploadedChunks.add(index));
+      await flushPieceUpdates(fileId, upload);
+      copied.forEach((hash, index) => emitPieceComplete(fileId, {
+        pieceIndex: index,
+        offset: index * pieceSize,
+        size: Math.min(pieceSize, size - index * pieceSize)
+      }));
+    }
 
     // Send confirmation (echo back requestId and file info for matching)
     ws.send(JSON.stringify({
       type: 'UPLOAD_INIT_SUCCESS',
       payload: {
-        fileId,
-        pieceSize,
-        totalPieces,
-        requestId: payload.requestId, // Echo back request ID
-        filename: filename, // Include filename for matching
-        size: size // Include size for matching
+        ...initPayload,
+        uploadedChunks: upload.uploadedChunks.size,
+        bitmap: encodePieceBitmap(Array.from(upload.uploadedChunks), totalPieces),
+        complete: false
       }
     }));
 
-    console.log(`[${fileId}] Upload initialized: ${filename} (${totalPieces} pieces)`);
+    if (upload.uploadedChunks.size > 0) {
+      console.log(`[${fileId}] Reused ${upload.uploadedChunks.size} of ${totalPieces} pieces already on the server`);
+    }
+    if (upload.uploadedChunks.size === totalPieces) {
+      await finishUpload(ws, fileId, upload);
+      return;
+    }
+
+    console.log(`[${fileId}] Upload initialized: ${originalFilename} (${totalPieces} pieces)`);
   } catch (err) {
     console.error('Upload init error:', err);
     sendError(ws, 'UPLOAD_INIT_ERROR', err.message);
@@ -223,14 +525,27 @@ async function handleUploadChunk(ws, payload) {
       return;
     }
 
+    // Only the socket that initialized (or resumed) the upload may write to it
     const upload = activeUploads.get(fileId);
-    if (!upload) {
+    if (!upload || upload.ws !== ws) {
       sendError(ws, 'UPLOAD_NOT_FOUND', 'Upload session not found');
       return;
     }
 
-    // Decode base64 data
-    const chunkData = Buffer.from(data, 'base64');
+    // Binary frames carry raw bytes, JSON messages base64
+    const chunkData = Buffer.isBuffer(data) ? data : Buffer.from(data, 'base64');
+
+    // Chunks must be one of the file's pieces, at its full length, to stay within the
+    // size the upload declared (and was checked against the storage limit)
+    const pieceLength = getPieceLength(chunkIndex, upload);
+    if (pieceLength === null) {
+      sendError(ws, 'UPLOAD_CHUNK_ERROR', `Invalid chunk index ${chunkIndex}`, { fileId, chunkIndex });
+      return;
+    }
+    if (chunkData.length !== pieceLength) {
+      sendError(ws, 'UPLOAD_CHUNK_ERROR', `Chunk ${chunkIndex} must be ${pieceLength} bytes`, { fileId, chunkIndex });
+      return;
+    }
 
     // Verify hash
     const actualHash = hashPiece(chunkData);
@@ -324,40 +639,14 @@ async function handleUploadChunk(ws, payload) {
     }));
 
     // Notify downloaders that new chunk is available
+    emitPieceComplete(fileId, { pieceIndex: chunkIndex, offset, size: chunkData.length });
     notifyDownloaders(fileId, chunkIndex).catch(err => {
       console.error(`[${fileId}] Error notifying downloaders:`, err);
     });
 
     // Check if upload is complete
     if (upload.uploadedChunks.size === upload.totalPieces) {
-      // Final sync before closing
-      await upload.fileHandle.sync();
-      await upload.fileHandle.close();
-      
-      // Update any remaining pieces in database that haven't been updated yet
-      const allChunks = Array.from(upload.uploadedChunks);
-      const pendingChunks = allChunks.filter(idx => !upload.updatedInDB?.has(idx));
-      
-      if (pendingChunks.length > 0) {
-        await Promise.all(
-          pendingChunks.map(idx => {
-            const hash = upload.chunkHashes?.get(idx) || actualHash;
-            return Promise.all([
-              db.updatePieceHash(fileId, idx, hash),
-              db.updatePieceComplete(fileId, idx, true)
-            ]);
-          })
-        );
-      }
-      
-      activeUploads.delete(fileId);
-
-      ws.send(JSON.stringify({
-        type: 'UPLOAD_COMPLETE',
-        payload: { fileId }
-      }));
-
-      console.log(`[${fileId}] Upload complete`);
+      await finishUpload(ws, fileId, upload);
     }
   } catch (err) {
     console.error('Upload chunk error:', err);
@@ -365,6 +654,158 @@ async function handleUploadChunk(ws, payload) {
   }
 }
 
+/**
+ * Close out an upload once every piece is stored
+ */
+async function finishUpload(ws, fileId, upload) {
+  // Final sync before closing
+  await upload.fileHandle.sync();
+  await upload.fileHandle.close();
+
+  // Update any remaining pieces in database that haven't been updated yet
+  await flushPieceUpdates(fileId, upload);
+
+  activeUploads.delete(fileId);
+  emitUploadComplete(fileId);
+
+  ws.send(JSON.stringify({
+    type: 'UPLOAD_COMPLETE',
+    payload: { fileId }
+  }));
+
+  console.log(`[${fileId}] Upload complete`);
+
+  // Deduplicate against stored content and record the file's hashes
+  // (after replying - hashing large files takes a while)
+  await recordFileIntegrity(fileId).catch(err => {
+    console.error(`[${fileId}] Error storing upload content:`, err);
+  });
+}
+
+/**
+ * Resume an interrupted upload from a new connection
+ * Answers with a bitmap of the pieces already stored so the client only re-sends the missing ones
+ */
+async function handleUploadResume(ws, payload) {
+  try {
+    const { fileId, uploadSecret } = payload;
+
+    if (!fileId || !uploadSecret) {
+      sendError(ws, 'UPLOAD_RESUME_ERROR', 'Missing fileId or upload secret', { fileId });
+      return;
+    }
+
+    const file = await db.getFileById(fileId);
+    const userId = ws.user ? ws.user.id : null;
+    if (!file || !isValidUploadSecret(uploadSecret, file.upload_secret_hash) ||
+        (file.owner_id && file.owner_id !== userId)) {
+      sendError(ws, 'UPLOAD_NOT_FOUND', 'Upload session not found', { fileId });
+      return;
+    }
+
+    if (getExpiryStatus(file) === 'expired') {
+      sendError(ws, 'UPLOAD_NOT_FOUND', getExpiryMessage('expired'), { fileId });
+      return;
+    }
+
+    let upload = activeUploads.get(fileId);
+    if (upload) {
+      // The previous socket may not have noticed the disconnect yet - take the session over
+      await flushPieceUpdates(fileId, upload);
+    } else {
+      const pieces = await db.getPiecesByFileId(fileId);
+      const completed = pieces.filter(p => p.is_complete === 1);
+
+      upload = {
+        filePath: file.file_path,
+        fileHandle: null,
+        uploadedChunks: new Set(completed.map(p => p.piece_index)),
+        updatedInDB: new Set(completed.map(p => p.piece_index)),
+        chunkHashes: new Map(completed.map(p => [p.piece_index, p.hash])),
+        totalPieces: file.total_pieces,
+        pieceSize: file.piece_size,
+        size: file.size,
+        ws,
+        ownerId: file.owner_id,
+        lastSync: Date.now(),
+        pendingSync: false
+      };
+
+      if (upload.uploadedChunks.size < upload.totalPieces) {
+        try {
+          upload.fileHandle = await openStoredFile(file.file_path, 'r+');
+        } catch (err) {
+          if (err.code === 'ENOENT') {
+            sendError(ws, 'UPLOAD_NOT_FOUND', 'Upload data is missing, start the upload again', { fileId });
+            return;
+          }
+          throw err;
+        }
+        activeUploads.set(fileId, upload);
+      }
+    }
+    upload.ws = ws;
+
+    const complete = upload.uploadedChunks.size === upload.totalPieces;
+
+    ws.send(JSON.stringify({
+      type: 'UPLOAD_RESUME_SUCCESS',
+      payload: {
+        fileId,
+        filename: file.original_filename,
+        size: file.size,
+        pieceSize: upload.pieceSize,
+        totalPieces: upload.totalPieces,
+        uploadedChunks: upload.uploadedChunks.size,
+        bitmap: encodePieceBitmap(upload.uploadedChunks, upload.totalPieces),
+        complete,
+        expiresAt: file.expires_at,
+        maxDownloads: file.max_downloads,
+        isProtected: !!file.password_hash
+      }
+    }));
+
+    console.log(`[${fileId}] Upload resumed: ${upload.uploadedChunks.size}/${upload.totalPieces} pieces stored`);
+  } catch (err) {
+    console.error('Upload resume error:', err);
+    sendError(ws, 'UPLOAD_RESUME_ERROR', err.message, { fileId: payload.fileId });
+  }
+}
+
+/**
+ * Write piece hashes and completion flags that are still only tracked in memory
+ */
+async function flushPieceUpdates(fileId, upload) {
+  if (!upload.updatedInDB) {
+    upload.updatedInDB = new Set();
+  }
+
+  const pendingChunks = Array.from(upload.uploadedChunks).filter(idx => !upload.updatedInDB.has(idx));
+  await Promise.all(
+    pendingChunks.map(async idx => {
+      const hash = upload.chunkHashes?.get(idx);
+      if (hash) {
+        await db.updatePieceHash(fileId, idx, hash);
+      }
+      await db.updatePieceComplete(fileId, idx, true);
+      upload.updatedInDB.add(idx);
+    })
+  );
+}
+
+function hashUploadSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function isValidUploadSecret(secret, storedHash) {
+  if (!storedHash) {
+    return false;
+  }
+  const actual = Buffer.from(hashUploadSecret(secret), 'hex');
+  const expected = Buffer.from(storedHash, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
 /**
  * Initialize file download
  */
@@ -379,7 +820,29 @@ async function handleDownloadInit(ws, payload) {
 
     const file = await db.getFileById(fileId);
     if (!file) {
-      sendError(ws, 'FILE_NOT_FOUND', 'File not found');
+      sendError(ws, 'FILE_NOT_FOUND', 'File not found', { fileId });
+      return;
+    }
+
+    // Re-inits on the same socket and downloads resumed with their download token were
+    // counted already, and may finish once the limit is reached
+    const hasDownloadToken = verifyDownloadToken(payload.downloadToken, fileId);
+    const counted = hasDownloadToken || (activeDownloads.has(fileId) && activeDownloads.get(fileId).has(ws));
+
+    const expiryStatus = getExpiryStatus(file);
+    if (expiryStatus && !(expiryStatus === 'exhausted' && counted)) {
+      sendError(ws, 'FILE_EXPIRED', getExpiryMessage(expiryStatus), { fileId });
+      return;
+    }
+
+    if (!(await hasSocketFileAccess(ws, file, payload.token))) {
+      sendError(ws, 'PASSWORD_REQUIRED', 'Password required', { fileId });
+      return;
+    }
+
+    // Count this download against the link's limit
+    if (!counted && !(await db.incrementDownloadCount(fileId))) {
+      sendError(ws, 'FILE_EXPIRED', getExpiryMessage('exhausted'), { fileId });
       return;
     }
 
@@ -400,6 +863,16 @@ async function handleDownloadInit(ws, payload) {
       activeDownloads.set(fileId, new Set());
     }
     activeDownloads.get(fileId).add(ws);
+    if (!ws.downloadEnds.has(fileId)) {
+      ws.downloadEnds.set(fileId, startDownload(fileId));
+    }
+
+    // Other sockets downloading this file, which the browser can fetch pieces from directly
+    const peerInfo = PEER_TO_PEER_ENABLED && {
+      peerId: ws.peerId,
+      peers: getPeerIds(fileId, ws),
+      iceServers: ICE_SERVERS
+    };
 
     // Send file info and available chunks
     ws.send(JSON.stringify({
@@ -410,8 +883,14 @@ async function handleDownloadInit(ws, payload) {
         size: file.size,
         pieceSize: file.piece_size,
         totalPieces: file.total_pieces,
+        isEncrypted: !!file.encrypted,
+        encryptedMetadata: file.encrypted_metadata || undefined,
         availableChunks: availableChunks.length,
-        chunks: availableChunks
+        chunks: availableChunks,
+        // Only newly counted downloads get a token; resumed ones keep theirs, so resuming
+        // can't extend it
+        downloadToken: counted ? undefined : generateDownloadToken(fileId),
+        ...peerInfo
       }
     }));
 
@@ -436,6 +915,13 @@ async function handleDownloadRequest(ws, payload) {
         return;
       }
 
+      // Chunks are only served to sockets that went through DOWNLOAD_INIT,
+      // which is where expiry, download limits and share passwords are enforced
+      if (!activeDownloads.has(fileId) || !activeDownloads.get(fileId).has(ws)) {
+        sendError(ws, 'DOWNLOAD_NOT_INITIALIZED', 'Download not initialized');
+        return;
+      }
+
       // Get or create cached file handle and pieces
       let cache = downloadCache.get(fileId);
       if (!cache) {
@@ -445,8 +931,13 @@ async function handleDownloadRequest(ws, payload) {
           return;
         }
 
+        if (file.expires_at && file.expires_at <= Date.now()) {
+          sendError(ws, 'FILE_EXPIRED', getExpiryMessage('expired'));
+          return;
+        }
+
         const pieces = await db.getPiecesByFileId(fileId);
-        const fd = await require('fs').promises.open(file.file_path, 'r');
+        const fd = await openStoredFile(file.file_path, 'r');
         
         cache = {
           fileHandle: fd,
@@ -475,22 +966,8 @@ async function handleDownloadRequest(ws, payload) {
         return;
       }
 
-      // Optimize base64 encoding - use native Buffer.toString for better performance
-      // For large chunks, we could stream, but base64 is fast enough for now
-      const base64Data = buffer.toString('base64');
-
       // Send chunk (non-blocking)
-      ws.send(JSON.stringify({
-        type: 'DOWNLOAD_CHUNK',
-        payload: {
-          fileId,
-          chunkIndex: piece.piece_index,
-          data: base64Data,
-          hash: piece.hash,
-          size: piece.size,
-          offset: piece.offset
-        }
-      }), (err) => {
+      ws.send(createDownloadChunkMessage(ws.binary, fileId, piece, buffer), (err) => {
         if (err) {
           console.error(`Error sending chunk ${chunkIndex} for ${fileId}:`, err);
         }
@@ -519,15 +996,93 @@ function handleBatchDownloadRequest(ws, payload) {
   });
 }
 
+/**
+ * Record in the download tracker that a socket's download of a file ended
+ */
+function endDownload(ws, fileId) {
+  const end = ws.downloadEnds.get(fileId);
+  if (end) {
+    end();
+    ws.downloadEnds.delete(fileId);
+  }
+}
+
 /**
  * Handle download cancel
  */
 async function handleDownloadCancel(ws, payload) {
   const { fileId } = payload;
-  if (fileId && activeDownloads.has(fileId)) {
-    activeDownloads.get(fileId).delete(ws);
+  endDownload(ws, fileId);
+  if (fileId && activeDownloads.has(fileId) && activeDownloads.get(fileId).delete(ws)) {
     if (activeDownloads.get(fileId).size === 0) {
       activeDownloads.delete(fileId);
+    } else {
+      notifyPeerLeft(fileId, ws);
+    }
+  }
+}
+
+/**
+ * Peer ids of up to MAX_SIGNAL_PEERS other sockets downloading a file, picked at random
+ */
+function getPeerIds(fileId, ws) {
+  const peerIds = Array.from(activeDownloads.get(fileId) || [])
+    .filter(other => other !== ws && other.readyState === WebSocket.OPEN)
+    .map(other => other.peerId);
+  for (let i = peerIds.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [peerIds[i], peerIds[j]] = [peerIds[j], peerIds[i]];
+  }
+  return peerIds.slice(0, MAX_SIGNAL_PEERS);
+}
+
+/**
+ * Relay a WebRTC signal (offer, answer or ICE candidate) to another downloader
+ * Both sockets must be downloading the file, so signaling never reaches anyone who
+ * couldn't download it from the server too.
+ */
+function handlePeerSignal(ws, payload) {
+  const { fileId, to, signal } = payload || {};
+  const downloadSet = fileId && activeDownloads.get(fileId);
+
+  if (!PEER_TO_PEER_ENABLED) {
+    sendError(ws, 'PEER_SIGNAL_ERROR', 'Peer-to-peer downloads are disabled', { fileId });
+    return;
+  }
+  if (!downloadSet || !downloadSet.has(ws)) {
+    sendError(ws, 'DOWNLOAD_NOT_INITIALIZED', 'Download not initialized', { fileId });
+    return;
+  }
+  if (!signal || typeof signal !== 'object' || JSON.stringify(signal).length > MAX_SIGNAL_SIZE) {
+    sendError(ws, 'PEER_SIGNAL_ERROR', 'Invalid signal', { fileId });
+    return;
+  }
+
+  const target = Array.from(downloadSet).find(other => other.peerId === to);
+  if (!target || target.readyState !== WebSocket.OPEN) {
+    // The peer went away in the meantime; the sender drops the connection attempt
+    ws.send(JSON.stringify({ type: 'PEER_LEFT', payload: { fileId, peerId: to } }));
+    return;
+  }
+
+  target.send(JSON.stringify({
+    type: 'PEER_SIGNAL',
+    payload: { fileId, from: ws.peerId, signal }
+  }));
+}
+
+/**
+ * Tell the remaining downloaders of a file that a peer stopped downloading it
+ */
+function notifyPeerLeft(fileId, ws) {
+  if (!PEER_TO_PEER_ENABLED || !activeDownloads.has(fileId)) {
+    return;
+  }
+
+  const message = JSON.stringify({ type: 'PEER_LEFT', payload: { fileId, peerId: ws.peerId } });
+  for (const other of activeDownloads.get(fileId)) {
+    if (other.readyState === WebSocket.OPEN) {
+      other.send(message);
     }
   }
 }
@@ -536,9 +1091,16 @@ async function handleDownloadCancel(ws, payload) {
  * Clean up connection
  */
 async function cleanupConnection(ws) {
-  // Remove from active uploads
+  // Detach from active uploads. Progress stays in the pieces table so the
+  // uploader can pick the upload up again with UPLOAD_RESUME.
   for (const [fileId, upload] of activeUploads.entries()) {
     if (upload.ws === ws) {
+      activeUploads.delete(fileId);
+      try {
+        await flushPieceUpdates(fileId, upload);
+      } catch (err) {
+        console.error(`Error saving upload progress for ${fileId}:`, err);
+      }
       // Close file handle if open
       if (upload.fileHandle) {
         try {
@@ -547,13 +1109,17 @@ async function cleanupConnection(ws) {
           console.error(`Error closing upload file handle for ${fileId}:`, err);
         }
       }
-      activeUploads.delete(fileId);
     }
   }
 
   // Remove from active downloads
+  for (const fileId of ws.downloadEnds.keys()) {
+    endDownload(ws, fileId);
+  }
   for (const [fileId, downloadSet] of activeDownloads.entries()) {
-    downloadSet.delete(ws);
+    if (downloadSet.delete(ws) && downloadSet.size > 0) {
+      notifyPeerLeft(fileId, ws);
+    }
     if (downloadSet.size === 0) {
       activeDownloads.delete(fileId);
       // Close cached file handle if exists
@@ -585,43 +1151,65 @@ async function cleanupConnection(ws) {
   }
 }
 
+/**
+ * Check whether a socket may download a file
+ * Protected files need a file unlock token (message payload or cookie) or the owner's session
+ */
+async function hasSocketFileAccess(ws, file, token) {
+  if (!file.password_hash) {
+    return true;
+  }
+
+  const getToken = (id) => token || (ws.cookies && ws.cookies[getFileTokenCookieName(id)]);
+  if (await hasShareToken(file, getToken)) {
+    return true;
+  }
+
+  return Boolean(ws.user && file.owner_id && ws.user.id === file.owner_id);
+}
+
+/**
+ * Build a DOWNLOAD_CHUNK message: a binary frame for sockets that negotiated
+ * binary framing, base64 inside JSON otherwise
+ */
+function createDownloadChunkMessage(binary, fileId, piece, data) {
+  if (binary) {
+    return encodeChunkFrame('DOWNLOAD_CHUNK', {
+      fileId,
+      chunkIndex: piece.piece_index,
+      offset: piece.offset,
+      hash: piece.hash,
+      data
+    });
+  }
+
+  return JSON.stringify({
+    type: 'DOWNLOAD_CHUNK',
+    payload: {
+      fileId,
+      chunkIndex: piece.piece_index,
+      data: data.toString('base64'),
+      hash: piece.hash,
+      size: piece.size,
+      offset: piece.offset
+    }
+  });
+}
+
 /**
  * Send error message
  */
-function sendError(ws, errorType, message) {
+function sendError(ws, errorType, message, details = {}) {
   ws.send(JSON.stringify({
     type: 'ERROR',
     payload: {
+      ...details,
       errorType,
       message
     }
   }));
 }
 
-/**
- * Parse storage limit
- */
-function parseStorageLimit(limit) {
-  if (typeof limit === 'number') return limit;
-  if (typeof limit !== 'string') return 100 * 1024 * 1024 * 1024;
-  
-  const match = limit.match(/^(\d+(?:\.\d+)?)\s*(KB|MB|GB|TB)?$/i);
-  if (!match) return 100 * 1024 * 1024 * 1024;
-  
-  const value = parseFloat(match[1]);
-  const unit = (match[2] || 'B').toUpperCase();
-  
-  const multipliers = {
-    'B': 1,
-    'KB': 1024,
-    'MB': 1024 * 1024,
-    'GB': 1024 * 1024 * 1024,
-    'TB': 1024 * 1024 * 1024 * 1024
-  };
-  
-  return Math.floor(value * (multipliers[unit] || 1));
-}
-
 /**
  * Notify downloaders when new chunks become available
  */
@@ -637,35 +1225,29 @@ async function notifyDownloaders(fileId, chunkIndex) {
   const piece = pieces.find(p => p.piece_index === chunkIndex && p.is_complete === 1);
   if (!piece) return;
 
-    // Read and send chunk to all active downloaders
-    const fd = await require('fs').promises.open(file.file_path, 'r');
-    try {
-      const buffer = Buffer.alloc(piece.size);
-      const result = await fd.read(buffer, 0, piece.size, piece.offset);
-      
-      // Verify bytes read
-      if (result.bytesRead !== piece.size) {
-        console.error(`[${fileId}] Only read ${result.bytesRead} of ${piece.size} bytes for chunk ${chunkIndex}`);
-        return;
-      }
+  // Read and send chunk to all active downloaders
+  const fd = await openStoredFile(file.file_path, 'r');
+  try {
+    const buffer = Buffer.alloc(piece.size);
+    const result = await fd.read(buffer, 0, piece.size, piece.offset);
+    
+    // Verify bytes read
+    if (result.bytesRead !== piece.size) {
+      console.error(`[${fileId}] Only read ${result.bytesRead} of ${piece.size} bytes for chunk ${chunkIndex}`);
+      return;
+    }
 
-    const message = JSON.stringify({
-      type: 'DOWNLOAD_CHUNK',
-      payload: {
-        fileId,
-        chunkIndex: piece.piece_index,
-        data: buffer.toString('base64'),
-        hash: piece.hash,
-        size: piece.size,
-        offset: piece.offset
-      }
-    });
+    // Encode once per protocol in use
+    const messages = {};
 
     // Send to all downloaders
     const downloadSet = activeDownloads.get(fileId);
     for (const ws of downloadSet) {
       if (ws.readyState === WebSocket.OPEN) {
-        ws.send(message);
+        if (!messages[ws.binary]) {
+          messages[ws.binary] = createDownloadChunkMessage(ws.binary, fileId, piece, buffer);
+        }
+        ws.send(messages[ws.binary]);
       }
     }
   } finally {
@@ -673,8 +1255,20 @@ async function notifyDownloaders(fileId, chunkIndex) {
   }
 }
 
+/**
+ * Number of sockets downloading each file right now (fileId -> count)
+ */
+function getActiveDownloadCounts() {
+  const counts = new Map();
+  for (const [fileId, downloadSet] of activeDownloads.entries()) {
+    counts.set(fileId, downloadSet.size);
+  }
+  return counts;
+}
+
 module.exports = {
   initializeWebSocket,
-  notifyDownloaders
+  notifyDownloaders,
+  getActiveDownloadCounts
 };
 
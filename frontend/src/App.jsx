@@ -3,8 +3,11 @@ import { BrowserRouter as Router, Routes, Route, useLocation } from 'react-route
 import FileUpload from './components/FileUpload';
 import FileList from './components/FileList';
 import StorageStats from './components/StorageStats';
+import AdminPanel from './components/AdminPanel';
 import Login from './components/Login';
 import PublicFileList from './components/PublicFileList';
+import SharePage from './components/SharePage';
+import FolderPage from './components/FolderPage';
 import './App.css';
 
 function AppContent() {
@@ -14,6 +17,7 @@ function AppContent() {
   const [success, setSuccess] = useState(null);
   const [storageStats, setStorageStats] = useState(null);
   const [authenticated, setAuthenticated] = useState(false);
+  const [user, setUser] = useState(null);
   const [checkingAuth, setCheckingAuth] = useState(true);
 
   const formatBytes = (bytes) => {
@@ -70,7 +74,9 @@ function AppContent() {
   }, []);
 
   const location = useLocation();
-  const isPublicPage = location.pathname === '/uploaded';
+  const shareMatch = location.pathname.match(/^\/share\/([^/]+)/);
+  const folderMatch = location.pathname.match(/^\/folder\/([^/]+)/);
+  const isPublicPage = location.pathname === '/uploaded' || !!shareMatch || !!folderMatch;
 
   // Check authentication status on mount (only for main app, not public page)
   useEffect(() => {
@@ -99,6 +105,7 @@ function AppContent() {
       
       if (data.authenticated) {
         setAuthenticated(true);
+        setUser(data.user || null);
         fetchFiles();
       }
       setCheckingAuth(false);
@@ -108,11 +115,27 @@ function AppContent() {
     }
   };
 
-  const handleLogin = () => {
+  const handleLogin = (loggedInUser) => {
     setAuthenticated(true);
+    setUser(loggedInUser || null);
     fetchFiles();
   };
 
+  const handleLogout = async (everywhere = false) => {
+    if (everywhere && !window.confirm('Log out on all devices?')) return;
+    try {
+      await fetch(everywhere ? '/api/auth/logout-all' : '/api/auth/logout', {
+        method: 'POST',
+        credentials: 'include'
+      });
+    } catch (err) {
+      console.error('Error logging out:', err);
+    }
+    setUser(null);
+    setFiles([]);
+    setAuthenticated(false);
+  };
+
   useEffect(() => {
     // Only fetch files if authenticated
     if (authenticated) {
@@ -209,6 +232,16 @@ function AppContent() {
     return <Login onLogin={handleLogin} />;
   }
 
+  // Show share/unlock page for a single file on /share/:fileId route
+  if (shareMatch) {
+    return <SharePage fileId={shareMatch[1]} />;
+  }
+
+  // Show a folder share's files on /folder/:collectionId route
+  if (folderMatch) {
+    return <FolderPage collectionId={folderMatch[1]} />;
+  }
+
   // Show public file list on /uploaded route
   if (isPublicPage) {
     return <PublicFileList />;
@@ -216,11 +249,24 @@ function AppContent() {
 
   return (
     <div className="app">
+      {user && (
+        <div className="user-bar">
+          <span>Signed in as <strong>{user.username}</strong></span>
+          <button className="btn btn-secondary btn-small" onClick={() => handleLogout(true)}>
+            Log out everywhere
+          </button>
+          <button className="btn btn-secondary btn-small" onClick={() => handleLogout()}>
+            Logout
+          </button>
+        </div>
+      )}
       <h1>🚀 Hasty File Send</h1>
       <p className="subtitle">Self-hosted file sharing with torrent-like chunking. Works best with Chrome.</p>
 
       <StorageStats onStorageUpdate={handleStorageUpdate} />
 
+      {user?.role === 'admin' && <AdminPanel currentUser={user} />}
+
       {error && <div className="error">{error}</div>}
       {success && <div className="success">{success}</div>}
 
@@ -242,7 +288,14 @@ function AppContent() {
                 size: file.size,
                 total_pieces: file.totalPieces || file.total_pieces || 0,
                 piece_size: file.pieceSize || file.piece_size || 0,
-                created_at: new Date().toISOString()
+                created_at: new Date().toISOString(),
+                expires_at: file.expiresAt || null,
+                max_downloads: file.maxDownloads || null,
+                download_count: 0,
+                is_protected: file.isProtected || false,
+                collection_id: file.collectionId || null,
+                collection_name: file.collectionName || null,
+                relative_path: file.relativePath || null
               };
               console.log('Adding file via onFileStart:', newFile);
               return [newFile, ...prev];
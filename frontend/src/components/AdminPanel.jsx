@@ -0,0 +1,294 @@
+import React, { useState, useEffect } from 'react';
+
+const AdminPanel = ({ currentUser }) => {
+  const [users, setUsers] = useState([]);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [expandedUserId, setExpandedUserId] = useState(null);
+  const [userFiles, setUserFiles] = useState([]);
+  const [newUser, setNewUser] = useState({ username: '', password: '', quota: '', role: 'user' });
+  const [creating, setCreating] = useState(false);
+
+  const formatBytes = (bytes) => {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+  };
+
+  const showError = (message) => {
+    setError(message);
+    setTimeout(() => setError(null), 5000);
+  };
+
+  const adminRequest = async (url, options = {}) => {
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      credentials: 'include'
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  };
+
+  const fetchUsers = async () => {
+    try {
+      const data = await adminRequest('/api/admin/users');
+      setUsers(data.users || []);
+    } catch (err) {
+      console.error('Error fetching users:', err);
+      showError(err.message);
+    }
+  };
+
+  const fetchUserFiles = async (userId) => {
+    try {
+      const data = await adminRequest(`/api/admin/users/${userId}/files`);
+      setUserFiles(data.files || []);
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchUsers();
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      await adminRequest('/api/admin/users', {
+        method: 'POST',
+        body: JSON.stringify({
+          ...newUser,
+          quota: newUser.quota || null
+        })
+      });
+      setNewUser({ username: '', password: '', quota: '', role: 'user' });
+      fetchUsers();
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const updateUser = async (userId, updates) => {
+    try {
+      await adminRequest(`/api/admin/users/${userId}`, {
+        method: 'PATCH',
+        body: JSON.stringify(updates)
+      });
+      fetchUsers();
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const handleEditQuota = (user) => {
+    const quota = window.prompt(
+      `Quota for ${user.username} (e.g. 10GB, empty for default)`,
+      user.quota ? formatBytes(user.quota).replace(/ /g, '').replace('Bytes', '') : ''
+    );
+    if (quota !== null) {
+      updateUser(user.id, { quota });
+    }
+  };
+
+  const handleResetPassword = async (user) => {
+    if (!window.confirm(`Reset the password for ${user.username}?`)) return;
+    try {
+      const data = await adminRequest(`/api/admin/users/${user.id}/reset-password`, {
+        method: 'POST',
+        body: JSON.stringify({})
+      });
+      setNotice(`New password for ${user.username}: ${data.password}`);
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const handleToggleFiles = (userId) => {
+    if (expandedUserId === userId) {
+      setExpandedUserId(null);
+      return;
+    }
+    setExpandedUserId(userId);
+    setUserFiles([]);
+    fetchUserFiles(userId);
+  };
+
+  const handleDeleteFile = async (fileId) => {
+    if (!window.confirm('Delete this file?')) return;
+    try {
+      await adminRequest(`/api/admin/files/${fileId}`, { method: 'DELETE' });
+      fetchUserFiles(expandedUserId);
+      fetchUsers();
+      window.dispatchEvent(new Event('storageRefresh'));
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const handlePurgeFiles = async (user) => {
+    if (!window.confirm(`Delete all ${user.fileCount} file(s) of ${user.username}?`)) return;
+    try {
+      await adminRequest(`/api/admin/users/${user.id}/files`, { method: 'DELETE' });
+      if (expandedUserId === user.id) {
+        setUserFiles([]);
+      }
+      fetchUsers();
+      window.dispatchEvent(new Event('storageRefresh'));
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  return (
+    <div className="admin-panel">
+      <div className="storage-header">
+        <h3>🛠️ User Management</h3>
+        <span className="storage-count">{users.length} user{users.length !== 1 ? 's' : ''}</span>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+      {notice && (
+        <div className="success" onClick={() => setNotice(null)}>{notice}</div>
+      )}
+
+      <table className="admin-users">
+        <thead>
+          <tr>
+            <th>User</th>
+            <th>Storage</th>
+            <th>Files</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {users.map(user => (
+            <React.Fragment key={user.id}>
+              <tr className={user.disabled ? 'disabled' : ''}>
+                <td>
+                  <strong>{user.username}</strong>
+                  {user.role === 'admin' && <span className="file-status-badge">admin</span>}
+                  {user.disabled && <span className="file-status-badge locked">disabled</span>}
+                </td>
+                <td>
+                  {formatBytes(user.storageUsed)}
+                  {' / '}
+                  <a href="#" onClick={(e) => { e.preventDefault(); handleEditQuota(user); }}>
+                    {user.quota ? formatBytes(user.quota) : 'default'}
+                  </a>
+                </td>
+                <td>
+                  <a href="#" onClick={(e) => { e.preventDefault(); handleToggleFiles(user.id); }}>
+                    {user.fileCount}
+                  </a>
+                </td>
+                <td className="admin-actions">
+                  {user.id !== currentUser?.id && (
+                    <>
+                      <button
+                        className="btn btn-secondary btn-small"
+                        onClick={() => updateUser(user.id, { role: user.role === 'admin' ? 'user' : 'admin' })}
+                      >
+                        {user.role === 'admin' ? 'Make user' : 'Make admin'}
+                      </button>
+                      <button
+                        className="btn btn-secondary btn-small"
+                        onClick={() => updateUser(user.id, { disabled: !user.disabled })}
+                      >
+                        {user.disabled ? 'Enable' : 'Disable'}
+                      </button>
+                    </>
+                  )}
+                  <button className="btn btn-secondary btn-small" onClick={() => handleResetPassword(user)}>
+                    Reset password
+                  </button>
+                  <button
+                    className="btn btn-danger btn-small"
+                    onClick={() => handlePurgeFiles(user)}
+                    disabled={user.fileCount === 0}
+                  >
+                    Delete files
+                  </button>
+                </td>
+              </tr>
+              {expandedUserId === user.id && (
+                <tr>
+                  <td colSpan="4">
+                    {userFiles.length === 0 ? (
+                      <div className="storage-count">No files</div>
+                    ) : (
+                      <ul className="admin-file-list">
+                        {userFiles.map(file => (
+                          <li key={file.id}>
+                            <a href={`/api/download/${file.id}`}>{file.original_filename || file.filename}</a>
+                            {' '}
+                            <span className="storage-count">{formatBytes(file.size)}</span>
+                            <button className="btn btn-danger btn-small" onClick={() => handleDeleteFile(file.id)}>
+                              Delete
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+
+      <form onSubmit={handleCreate} className="share-options">
+        <input
+          type="text"
+          placeholder="Username"
+          value={newUser.username}
+          onChange={(e) => setNewUser({ ...newUser, username: e.target.value })}
+          disabled={creating}
+        />
+        <input
+          type="password"
+          placeholder="Password"
+          value={newUser.password}
+          onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+          disabled={creating}
+        />
+        <input
+          type="text"
+          placeholder="Quota (e.g. 10GB)"
+          value={newUser.quota}
+          onChange={(e) => setNewUser({ ...newUser, quota: e.target.value })}
+          disabled={creating}
+        />
+        <select
+          value={newUser.role}
+          onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+          disabled={creating}
+        >
+          <option value="user">User</option>
+          <option value="admin">Admin</option>
+        </select>
+        <button
+          type="submit"
+          className="btn btn-primary btn-small"
+          disabled={creating || !newUser.username || !newUser.password}
+        >
+          Add user
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default AdminPanel;
@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useMemo } from 'react';
+
+// Most entries shown in one folder of the archive
+const MAX_LISTED_ENTRIES = 500;
+
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};
+
+/**
+ * Whether a file looks like a zip archive that can be browsed
+ */
+export const isZipArchive = (file) => !file.is_encrypted &&
+  (file.mime_type === 'application/zip' || /\.zip$/i.test(file.original_filename || file.filename || ''));
+
+/**
+ * Subfolders (with their total size and file count) and files directly in `path`, and
+ * whether everything below it can be extracted
+ */
+const getFolderContents = (entries, path) => {
+  const prefix = path ? `${path}/` : '';
+  const folders = new Map();
+  const files = [];
+  let supported = true;
+
+  for (const entry of entries) {
+    if (!entry.path.startsWith(prefix)) continue;
+    supported = supported && entry.supported;
+    const rest = entry.path.slice(prefix.length);
+    const slash = rest.indexOf('/');
+    if (slash < 0) {
+      files.push(entry);
+      continue;
+    }
+    const name = rest.slice(0, slash);
+    const folder = folders.get(name) || { name, path: `${prefix}${name}`, size: 0, fileCount: 0, supported: true };
+    folder.size += entry.size;
+    folder.fileCount++;
+    folder.supported = folder.supported && entry.supported;
+    folders.set(name, folder);
+  }
+
+  return { folders: [...folders.values()], files, supported };
+};
+
+const ArchiveBrowser = ({ fileId }) => {
+  const [entries, setEntries] = useState(null);
+  const [error, setError] = useState('');
+  const [path, setPath] = useState('');
+
+  useEffect(() => {
+    const fetchEntries = async () => {
+      try {
+        const response = await fetch(`/api/download/${fileId}/archive`, {
+          credentials: 'include'
+        });
+        const data = await response.json();
+        if (response.ok) {
+          setEntries(data.entries);
+        } else {
+          setError(data.error || 'Archive contents not available');
+        }
+      } catch (err) {
+        console.error('Error fetching archive contents:', err);
+        setError('Failed to load archive contents');
+      }
+    };
+    fetchEntries();
+  }, [fileId]);
+
+  const contents = useMemo(() => entries && getFolderContents(entries, path), [entries, path]);
+
+  const getExtractUrl = (entryPath) =>
+    `${window.location.origin}/api/download/${fileId}/archive/extract?path=${encodeURIComponent(entryPath)}`;
+
+  if (error) {
+    return (
+      <div className="files-list">
+        <h2>Archive Contents</h2>
+        <p className="file-meta">{error}</p>
+      </div>
+    );
+  }
+
+  if (!contents) {
+    return (
+      <div className="files-list">
+        <h2>Archive Contents</h2>
+        <p className="file-meta">Reading archive...</p>
+      </div>
+    );
+  }
+
+  const segments = path ? path.split('/') : [];
+  const items = [...contents.folders, ...contents.files];
+
+  return (
+    <div className="files-list">
+      <h2>Archive Contents</h2>
+      <div className="folder-breadcrumbs">
+        <button className="btn-link" onClick={() => setPath('')}>🗜️ {entries.length} file(s)</button>
+        {segments.map((segment, index) => (
+          <span key={index}>
+            {' / '}
+            <button className="btn-link" onClick={() => setPath(segments.slice(0, index + 1).join('/'))}>
+              {segment}
+            </button>
+          </span>
+        ))}
+      </div>
+      {path && contents.supported && (
+        <div className="file-actions folder-actions">
+          <a className="btn btn-small btn-success" href={getExtractUrl(path)} download={`${segments[segments.length - 1]}.zip`}>
+            📦 Download this folder as zip
+          </a>
+        </div>
+      )}
+      {items.slice(0, MAX_LISTED_ENTRIES).map(item => (
+        <div key={item.path} className="file-item">
+          <div className="file-info">
+            <div className="file-name">
+              {item.fileCount !== undefined ? (
+                <button className="btn-link" onClick={() => setPath(item.path)}>📁 {item.name}</button>
+              ) : (
+                <>📄 {item.path.slice(path ? path.length + 1 : 0)}</>
+              )}
+              {!item.supported && (
+                <span className="file-status-badge locked" title="Encrypted or compressed with an unsupported method">
+                  Can't extract
+                </span>
+              )}
+            </div>
+            <div className="file-meta">
+              {item.fileCount !== undefined ? `${item.fileCount} file(s) • ` : ''}{formatFileSize(item.size)}
+            </div>
+          </div>
+          {item.supported && (
+            <div className="file-actions">
+              <a
+                className="btn btn-small btn-success"
+                href={getExtractUrl(item.path)}
+                download={item.fileCount !== undefined ? `${item.name}.zip` : ''}
+              >
+                {item.fileCount !== undefined ? '📦 Download as zip' : '⬇️ Download'}
+              </a>
+            </div>
+          )}
+        </div>
+      ))}
+      {items.length > MAX_LISTED_ENTRIES && (
+        <p className="file-meta">
+          ...and {items.length - MAX_LISTED_ENTRIES} more. Download the folder as a zip to get everything in it.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ArchiveBrowser;
@@ -1,11 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import ProgressiveDownload from './ProgressiveDownload';
+import { importFileKey, decryptMetadata, buildKeyFragment } from '../utils/encryption';
+import { getFileKey } from '../utils/fileKeys';
 
-const FileList = ({ files, onDelete, showDelete = true }) => {
+const FileList = ({ files, onDelete, showDelete = true, title = 'Uploaded Files' }) => {
   const [copiedId, setCopiedId] = useState(null);
+  const [copiedMagnetId, setCopiedMagnetId] = useState(null);
   const [fileInfo, setFileInfo] = useState({});
   const [downloadStatus, setDownloadStatus] = useState({}); // Map of fileId -> status
   const [isDownloading, setIsDownloading] = useState({}); // Map of fileId -> boolean
+  const [decryptedMetadata, setDecryptedMetadata] = useState({}); // fileId -> { name, type, size } of encrypted files
+  const [selectedIds, setSelectedIds] = useState({}); // Map of fileId -> boolean, files picked for a zip
 
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes';
@@ -25,6 +30,39 @@ const FileList = ({ files, onDelete, showDelete = true }) => {
     return `${baseUrl}/api/download/${fileId}`;
   };
 
+  const isEncrypted = (file) => !!(file.is_encrypted || fileInfo[file.id]?.isEncrypted);
+
+  const getDisplayName = (file) => {
+    if (decryptedMetadata[file.id]) return decryptedMetadata[file.id].name;
+    if (isEncrypted(file)) return 'Encrypted file';
+    return file.relative_path || file.original_filename || file.filename;
+  };
+
+  // Folder shares are downloaded as a zip the server builds on the fly
+  const getFolderUrl = (collectionId) => `${window.location.origin}/folder/${collectionId}`;
+  const getFolderZipUrl = (collectionId) => `${window.location.origin}/api/download/folder/${collectionId}`;
+
+  // Password-protected files are shared via the unlock page instead of the direct link,
+  // and encrypted files via the share page with the key in the #fragment
+  const getShareUrl = (file) => {
+    const baseUrl = window.location.origin;
+    if (isEncrypted(file)) {
+      const key = getFileKey(file.id);
+      return `${baseUrl}/share/${file.id}${key ? buildKeyFragment(key) : ''}`;
+    }
+    if (!file.is_protected && !fileInfo[file.id]?.isProtected) {
+      return getDownloadUrl(file.id);
+    }
+    return `${baseUrl}/share/${file.id}`;
+  };
+
+  // Only finished files the server can read go into a zip (not locked or end-to-end encrypted ones)
+  const canZip = (file) => {
+    const info = fileInfo[file.id];
+    return !!(file.id && !file.id.startsWith('temp-') && info && !info.locked &&
+      info.totalPieces > 0 && info.completePieces === info.totalPieces && !isEncrypted(file));
+  };
+
   const getPieceUrl = (fileId, pieceIndex) => {
     const baseUrl = window.location.origin;
     return `${baseUrl}/api/download/${fileId}?piece=${pieceIndex}`;
@@ -35,7 +73,14 @@ const FileList = ({ files, onDelete, showDelete = true }) => {
       const response = await fetch(`/api/download/${fileId}/info`);
       
       if (response.status === 401) {
-        // Not authenticated, skip
+        const data = await response.json();
+        if (data.passwordRequired) {
+          // Password-protected and not unlocked yet
+          setFileInfo(prev => ({
+            ...prev,
+            [fileId]: { locked: true }
+          }));
+        }
         return;
       }
       
@@ -58,6 +103,22 @@ const FileList = ({ files, onDelete, showDelete = true }) => {
     });
   }, [files]);
 
+  // Decrypt the names of encrypted files this browser has the key for
+  useEffect(() => {
+    files.forEach(async (file) => {
+      const encryptedMetadata = file.encrypted_metadata || fileInfo[file.id]?.encryptedMetadata;
+      const key = encryptedMetadata && !decryptedMetadata[file.id] && getFileKey(file.id);
+      if (!key) return;
+
+      try {
+        const metadata = await decryptMetadata(await importFileKey(key), encryptedMetadata);
+        setDecryptedMetadata(prev => ({ ...prev, [file.id]: metadata }));
+      } catch (err) {
+        console.error(`Could not decrypt the name of ${file.id}:`, err);
+      }
+    });
+  }, [files, fileInfo]);
+
   // Listen for new files being added
   useEffect(() => {
     const handleFileAdded = (event) => {
@@ -87,17 +148,33 @@ const FileList = ({ files, onDelete, showDelete = true }) => {
     return () => clearInterval(interval);
   }, [files, fileInfo]);
 
-  const copyToClipboard = async (fileId) => {
-    const url = getDownloadUrl(fileId);
+  const copyText = async (text, id) => {
     try {
-      await navigator.clipboard.writeText(url);
-      setCopiedId(fileId);
+      await navigator.clipboard.writeText(text);
+      setCopiedId(id);
       setTimeout(() => setCopiedId(null), 2000);
     } catch (err) {
       console.error('Failed to copy:', err);
     }
   };
 
+  const copyToClipboard = (file) => copyText(getShareUrl(file), file.id);
+
+  const copyMagnetLink = async (fileId) => {
+    try {
+      const response = await fetch(`/api/download/${fileId}/magnet`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to get magnet link');
+      }
+      await navigator.clipboard.writeText(data.magnet);
+      setCopiedMagnetId(fileId);
+      setTimeout(() => setCopiedMagnetId(null), 2000);
+    } catch (err) {
+      console.error('Failed to copy magnet link:', err);
+    }
+  };
+
   const handleDownload = (fileId, filename) => {
     const url = getDownloadUrl(fileId);
     const a = document.createElement('a');
@@ -108,10 +185,28 @@ const FileList = ({ files, onDelete, showDelete = true }) => {
     document.body.removeChild(a);
   };
 
+  const toggleSelected = (fileId) => {
+    setSelectedIds(prev => ({
+      ...prev,
+      [fileId]: !prev[fileId]
+    }));
+  };
+
+  // Streamed by the server as it is built, so the browser's download starts right away
+  const handleDownloadZip = (selectedFiles) => {
+    const ids = selectedFiles.map(file => file.id).join(',');
+    const a = document.createElement('a');
+    a.href = `${window.location.origin}/api/download/zip?ids=${encodeURIComponent(ids)}`;
+    a.download = 'files.zip';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+  };
+
   if (files.length === 0) {
     return (
       <div className="files-list">
-        <h2>Uploaded Files</h2>
+        <h2>{title}</h2>
         <div className="empty-state">
           <div className="empty-state-icon">📭</div>
           <p>No files uploaded yet. Upload some files to get started!</p>
@@ -137,145 +232,327 @@ const FileList = ({ files, onDelete, showDelete = true }) => {
     }
   };
 
-  return (
-    <div className="files-list">
-      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '1rem' }}>
-        <h2 style={{ margin: 0 }}>Uploaded Files ({files.length})</h2>
-        {showDelete && files.length > 0 && (
-          <button
-            className="btn btn-small btn-danger"
-            onClick={handleDeleteAll}
-            title="Delete all uploaded files"
-          >
-            🗑️ Delete All
-          </button>
-        )}
-      </div>
-      {files.map((file) => {
-        const info = fileInfo[file.id];
-        // File is complete if all pieces are processed (not just uploaded)
-        const isComplete = info && info.totalPieces > 0 && info.completePieces === info.totalPieces;
-        const completionPercent = info && info.totalPieces > 0 
-          ? Math.round((info.completePieces / info.totalPieces) * 100) 
-          : 0;
-
-        return (
-          <div key={file.id} className="file-item">
-            <div className="file-info">
-              <div className="file-name">
-                {file.original_filename || file.filename}
-                {!isComplete && info && <span className="file-status-badge uploading">Processing...</span>}
-              </div>
-              <div className="file-meta">
-                {formatFileSize(file.size)} • {info ? info.totalPieces : file.total_pieces || '?'} pieces • {formatDate(file.created_at)}
-                {info && (
-                  <span className="file-completion">
-                    {' • '}{info.completePieces}/{info.totalPieces} pieces ready ({completionPercent}%)
-                  </span>
-                )}
-                {!info && (
-                  <span className="file-completion">
-                    {' • '}Processing pieces...
-                  </span>
-                )}
-              </div>
-              {!isComplete && info && info.completePieces > 0 && (
-                <div className="file-upload-progress">
-                  <div className="file-upload-progress-bar">
-                    <div 
-                      className="file-upload-progress-fill"
-                      style={{ width: `${completionPercent}%` }}
-                    ></div>
-                  </div>
-                </div>
+  const zippableFiles = files.filter(canZip);
+  const selectedFiles = zippableFiles.filter(file => selectedIds[file.id]);
+  const allSelected = zippableFiles.length > 0 && selectedFiles.length === zippableFiles.length;
+  const showZip = files.length > 1 && zippableFiles.length > 0;
+
+  const renderFile = (file) => {
+    const info = fileInfo[file.id];
+    if (info?.locked) {
+      return (
+        <div key={file.id} className="file-item">
+          <div className="file-info">
+            <div className="file-name">
+              {getDisplayName(file)}
+              <span className="file-status-badge locked">🔒 Password protected</span>
+            </div>
+            <div className="file-meta">
+              {formatFileSize(file.size)} • {formatDate(file.created_at)}
+            </div>
+            <div className="file-actions">
+              <a className="btn btn-small btn-primary" href={`/share/${file.id}`}>
+                🔓 Unlock
+              </a>
+            </div>
+          </div>
+        </div>
+      );
+    }
+    // File is complete if all pieces are processed (not just uploaded)
+    const isComplete = info && info.totalPieces > 0 && info.completePieces === info.totalPieces;
+    const completionPercent = info && info.totalPieces > 0 
+      ? Math.round((info.completePieces / info.totalPieces) * 100) 
+      : 0;
+    const expiresAt = info?.expiresAt ?? file.expires_at;
+    const maxDownloads = info?.maxDownloads ?? file.max_downloads;
+    const downloadCount = info?.downloadCount ?? file.download_count ?? 0;
+    const encrypted = isEncrypted(file);
+    const displayName = getDisplayName(file);
+    const displaySize = decryptedMetadata[file.id]?.size ?? file.size;
+
+    return (
+      <div key={file.id} className="file-item">
+        <div className="file-info">
+          <div className="file-name">
+            {showZip && (
+              <input
+                type="checkbox"
+                className="file-select"
+                checked={!!selectedIds[file.id] && canZip(file)}
+                disabled={!canZip(file)}
+                onChange={() => toggleSelected(file.id)}
+                title={canZip(file) ? 'Select for zip download' : 'Only finished, unencrypted files can be zipped'}
+              />
+            )}
+            {displayName}
+            {!isComplete && info && <span className="file-status-badge uploading">Processing...</span>}
+            {(file.is_protected || info?.isProtected) && <span className="file-status-badge locked">🔒</span>}
+            {encrypted && (
+              <span className="file-status-badge encrypted" title="End-to-end encrypted - only people with the full share link can open it">
+                🔐 Encrypted
+              </span>
+            )}
+          </div>
+          <div className="file-meta">
+            {formatFileSize(displaySize)} • {info ? info.totalPieces : file.total_pieces || '?'} pieces • {formatDate(file.created_at)}
+            {info && (
+              <span className="file-completion">
+                {' • '}{info.completePieces}/{info.totalPieces} pieces ready ({completionPercent}%)
+              </span>
+            )}
+            {!info && (
+              <span className="file-completion">
+                {' • '}Processing pieces...
+              </span>
+            )}
+            {expiresAt && (
+              <span className="file-expiry">
+                {' • '}Expires {formatDate(expiresAt)}
+              </span>
+            )}
+            {maxDownloads && (
+              <span className="file-expiry">
+                {' • '}{downloadCount}/{maxDownloads} downloads
+              </span>
+            )}
+          </div>
+          {isComplete && info.merkleRoot && (
+            <div className="file-integrity">
+              Merkle root:{' '}
+              <code className="file-integrity-hash" title="Compare with the root published by the sender to verify the download">
+                {info.merkleRoot}
+              </code>
+              {' • '}
+              <a href={`/api/download/${file.id}/manifest`} target="_blank" rel="noopener noreferrer">
+                Manifest
+              </a>
+              {!encrypted && (
+                <>
+                  {' • '}
+                  <a href={`/api/download/${file.id}/torrent`}>.torrent</a>
+                  {' • '}
+                  <button className="link-button" onClick={() => copyMagnetLink(file.id)}>
+                    {copiedMagnetId === file.id ? '✓ Magnet link copied' : 'Copy magnet link'}
+                  </button>
+                </>
               )}
-              <div className="copy-link">
-                <input
-                  type="text"
-                  className="link-input"
-                  value={getDownloadUrl(file.id)}
-                  readOnly
+            </div>
+          )}
+          {!isComplete && info && info.completePieces > 0 && (
+            <div className="file-upload-progress">
+              <div className="file-upload-progress-bar">
+                <div 
+                  className="file-upload-progress-fill"
+                  style={{ width: `${completionPercent}%` }}
+                ></div>
+              </div>
+            </div>
+          )}
+          <div className="copy-link">
+            <input
+              type="text"
+              className="link-input"
+              value={getShareUrl(file)}
+              readOnly
+            />
+            <button
+              className={`btn btn-small ${copiedId === file.id ? 'btn-success' : 'btn-primary'}`}
+              onClick={() => copyToClipboard(file)}
+            >
+              {copiedId === file.id ? '✓ Copied' : '📋 Copy Link'}
+            </button>
+            <div className="file-actions">
+              {/* Encrypted files are always downloaded here, where they can be decrypted */}
+              {((!isComplete && file.id && !file.id.startsWith('temp-')) || (isComplete && (encrypted || isDownloading[file.id] || (downloadStatus[file.id] && downloadStatus[file.id].status !== 'completed')))) && (
+                <ProgressiveDownload
+                  downloadStatus={downloadStatus[file.id] || null}
+                  setDownloadStatus={(status) => {
+                    setDownloadStatus(prev => ({
+                      ...prev,
+                      [file.id]: status
+                    }));
+                  }}
+                  isDownloading={isDownloading[file.id] || false}
+                  setIsDownloading={(downloading) => {
+                    setIsDownloading(prev => ({
+                      ...prev,
+                      [file.id]: downloading
+                    }));
+                  }}
+                  fileId={file.id}
+                  filename={displayName}
+                  fileInfo={info}
+                  onComplete={() => {
+                    // Refresh file info after download completes
+                    fetchFileInfo(file.id);
+                  }}
                 />
+              )}
+              {isComplete && !encrypted && file.id && !file.id.startsWith('temp-') && !isDownloading[file.id] && (
                 <button
-                  className={`btn btn-small ${copiedId === file.id ? 'btn-success' : 'btn-primary'}`}
-                  onClick={() => copyToClipboard(file.id)}
+                  className="btn btn-small btn-success"
+                  onClick={() => handleDownload(file.id, displayName)}
+                  style={{ marginLeft: '5px' }}
                 >
-                  {copiedId === file.id ? '✓ Copied' : '📋 Copy Link'}
+                  ⬇️ Direct Download
                 </button>
-                <div className="file-actions">
-                  {((!isComplete && file.id && !file.id.startsWith('temp-')) || (isComplete && (isDownloading[file.id] || (downloadStatus[file.id] && downloadStatus[file.id].status !== 'completed')))) && (
-                    <ProgressiveDownload
-                      downloadStatus={downloadStatus[file.id] || null}
-                      setDownloadStatus={(status) => {
-                        setDownloadStatus(prev => ({
-                          ...prev,
-                          [file.id]: status
-                        }));
-                      }}
-                      isDownloading={isDownloading[file.id] || false}
-                      setIsDownloading={(downloading) => {
-                        setIsDownloading(prev => ({
-                          ...prev,
-                          [file.id]: downloading
-                        }));
-                      }}
-                      fileId={file.id}
-                      filename={file.original_filename || file.filename}
-                      fileInfo={info}
-                      onComplete={() => {
-                        // Refresh file info after download completes
-                        fetchFileInfo(file.id);
-                      }}
-                    />
-                  )}
-                  {isComplete && file.id && !file.id.startsWith('temp-') && !isDownloading[file.id] && (
-                    <button
-                      className="btn btn-small btn-success"
-                      onClick={() => handleDownload(file.id, file.original_filename || file.filename)}
-                      style={{ marginLeft: '5px' }}
-                    >
-                      ⬇️ Direct Download
-                    </button>
-                  )}
-                  {showDelete && file.id && !file.id.startsWith('temp-') && !isDownloading[file.id] && (
-                    <button
-                      className="btn btn-small btn-danger"
-                      onClick={() => {
-                        if (window.confirm('Are you sure you want to delete this file?')) {
-                          onDelete(file.id);
-                        }
-                      }}
-                      style={{ marginLeft: '5px' }}
+              )}
+              {showDelete && file.id && !file.id.startsWith('temp-') && !isDownloading[file.id] && (
+                <button
+                  className="btn btn-small btn-danger"
+                  onClick={() => {
+                    if (window.confirm('Are you sure you want to delete this file?')) {
+                      onDelete(file.id);
+                    }
+                  }}
+                  style={{ marginLeft: '5px' }}
+                >
+                  🗑️ Delete
+                </button>
+              )}
+            </div>
+          </div>
+          {!isComplete && !encrypted && info && info.completePieces > 0 && (
+            <div className="piece-downloads">
+              <details>
+                <summary>Download Available Pieces ({info.completePieces}/{info.totalPieces})</summary>
+                <div className="pieces-list">
+                  {info.pieces.filter(p => p.isComplete).map(piece => (
+                    <a
+                      key={piece.index}
+                      href={getPieceUrl(file.id, piece.index)}
+                      className="piece-link"
+                      download={`${file.original_filename || file.filename}.piece${piece.index}`}
                     >
-                      🗑️ Delete
-                    </button>
-                  )}
-                </div>
-              </div>
-              {!isComplete && info && info.completePieces > 0 && (
-                <div className="piece-downloads">
-                  <details>
-                    <summary>Download Available Pieces ({info.completePieces}/{info.totalPieces})</summary>
-                    <div className="pieces-list">
-                      {info.pieces.filter(p => p.isComplete).map(piece => (
-                        <a
-                          key={piece.index}
-                          href={getPieceUrl(file.id, piece.index)}
-                          className="piece-link"
-                          download={`${file.original_filename || file.filename}.piece${piece.index}`}
-                        >
-                          Piece {piece.index} ({formatFileSize(piece.size)})
-                        </a>
-                      ))}
-                    </div>
-                  </details>
+                      Piece {piece.index} ({formatFileSize(piece.size)})
+                    </a>
+                  ))}
                 </div>
+              </details>
+            </div>
+          )}
+        </div>
+        
+      </div>
+    );
+  };
+
+  // Files of a folder share are listed inside it
+  const items = [];
+  const folders = {};
+  files.forEach(file => {
+    if (!file.collection_id) {
+      items.push(file);
+      return;
+    }
+    if (!folders[file.collection_id]) {
+      folders[file.collection_id] = { id: file.collection_id, name: file.collection_name, files: [] };
+      items.push(folders[file.collection_id]);
+    }
+    folders[file.collection_id].files.push(file);
+  });
+
+  const renderFolder = (folder) => {
+    const folderComplete = folder.files.every(file => {
+      const info = fileInfo[file.id];
+      return info && info.totalPieces > 0 && info.completePieces === info.totalPieces;
+    });
+    const folderSize = folder.files.reduce((sum, file) => sum + file.size, 0);
+    const folderUrl = getFolderUrl(folder.id);
+
+    return (
+      <div key={folder.id} className="file-item folder-item">
+        <div className="file-info">
+          <div className="file-name">
+            📂 {folder.name}
+            {!folderComplete && <span className="file-status-badge uploading">Uploading...</span>}
+            {folder.files.some(file => file.is_protected || fileInfo[file.id]?.isProtected) && (
+              <span className="file-status-badge locked">🔒</span>
+            )}
+          </div>
+          <div className="file-meta">
+            {folder.files.length} file(s) • {formatFileSize(folderSize)} • {formatDate(folder.files[folder.files.length - 1].created_at)}
+          </div>
+          <div className="copy-link">
+            <input
+              type="text"
+              className="link-input"
+              value={folderUrl}
+              readOnly
+            />
+            <button
+              className={`btn btn-small ${copiedId === folder.id ? 'btn-success' : 'btn-primary'}`}
+              onClick={() => copyText(folderUrl, folder.id)}
+            >
+              {copiedId === folder.id ? '✓ Copied' : '📋 Copy Link'}
+            </button>
+            <div className="file-actions">
+              {folderComplete && (
+                <a className="btn btn-small btn-success" href={getFolderZipUrl(folder.id)} download={`${folder.name}.zip`}>
+                  📦 Download as zip
+                </a>
+              )}
+              {showDelete && (
+                <button
+                  className="btn btn-small btn-danger"
+                  onClick={async () => {
+                    if (window.confirm(`Are you sure you want to delete the folder ${folder.name} and its ${folder.files.length} file(s)?`)) {
+                      for (const file of folder.files) {
+                        await onDelete(file.id);
+                      }
+                    }
+                  }}
+                >
+                  🗑️ Delete
+                </button>
               )}
             </div>
-            
           </div>
-        );
-      })}
+          <details className="folder-files">
+            <summary>Files ({folder.files.length})</summary>
+            {folder.files.map(renderFile)}
+          </details>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="files-list">
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '1rem' }}>
+        <h2 style={{ margin: 0 }}>{title} ({files.length})</h2>
+        <div className="files-list-actions">
+          {showZip && (
+            <>
+              <button
+                className="btn btn-small btn-secondary"
+                onClick={() => setSelectedIds(allSelected ? {} : Object.fromEntries(zippableFiles.map(file => [file.id, true])))}
+              >
+                {allSelected ? 'Clear Selection' : 'Select All'}
+              </button>
+              <button
+                className="btn btn-small btn-success"
+                onClick={() => handleDownloadZip(selectedFiles)}
+                disabled={selectedFiles.length === 0}
+                title="Download the selected files as one zip"
+              >
+                📦 Download as zip{selectedFiles.length > 0 ? ` (${selectedFiles.length})` : ''}
+              </button>
+            </>
+          )}
+          {showDelete && files.length > 0 && (
+            <button
+              className="btn btn-small btn-danger"
+              onClick={handleDeleteAll}
+              title="Delete all uploaded files"
+            >
+              🗑️ Delete All
+            </button>
+          )}
+        </div>
+      </div>
+      {items.map(item => (item.files ? renderFolder(item) : renderFile(item)))}
     </div>
   );
 };
@@ -1,10 +1,17 @@
 import React, { useState, useRef, useCallback } from 'react';
-import JSZip from 'jszip';
-import { uploadFileViaWebSocket } from '../utils/websocketUpload';
+import { uploadFileViaWebSocket, createFolderViaWebSocket } from '../utils/websocketUpload';
+import { isEncryptionSupported } from '../utils/encryption';
+
+// Files of a directory uploaded at the same time
+const DIRECTORY_UPLOAD_CONCURRENCY = 3;
 
 const FileUpload = ({ onSuccess, onError, onLoadingChange, onUploadProgress, onFileStart }) => {
   const [isDragging, setIsDragging] = useState(false);
   const [uploadProgress, setUploadProgress] = useState([]);
+  const [expiresIn, setExpiresIn] = useState('');
+  const [maxDownloads, setMaxDownloads] = useState('');
+  const [sharePassword, setSharePassword] = useState('');
+  const [encrypt, setEncrypt] = useState(false);
   const fileInputRef = useRef(null);
   const directoryInputRef = useRef(null);
 
@@ -19,9 +26,9 @@ const FileUpload = ({ onSuccess, onError, onLoadingChange, onUploadProgress, onF
   // Alias for consistency with other components
   const formatBytes = formatFileSize;
 
-  const uploadFileWithProgress = async (file, index, totalFiles, fileId = null) => {
-    // Store the filename to match progress updates
-    const fileName = file.name;
+  const uploadFileWithProgress = async (file, index, totalFiles, fileId = null, folderOptions = {}) => {
+    // Store the filename to match progress updates (files of a folder by their path in it)
+    const fileName = folderOptions.relativePath || file.name;
     
     try {
       // Upload via WebSocket
@@ -56,7 +63,8 @@ const FileUpload = ({ onSuccess, onError, onLoadingChange, onUploadProgress, onF
           if (onFileStart) {
             onFileStart(fileData);
           }
-        }
+        },
+        { expiresIn, maxDownloads, password: sharePassword, encrypt, ...folderOptions }
       );
 
       // Update progress to 100%
@@ -165,64 +173,62 @@ const FileUpload = ({ onSuccess, onError, onLoadingChange, onUploadProgress, onF
     }
   };
 
+  // Directories become a folder share: each file is uploaded (and hashed) on its own with
+  // its path in the folder, and the server zips the folder when it is downloaded
   const uploadDirectory = async (directory) => {
+    if (encrypt) {
+      onError(new Error('Folders can\'t be end-to-end encrypted. Turn encryption off, or upload the files themselves.'));
+      return;
+    }
+
     onLoadingChange(true);
+    const files = Array.from(directory.files);
+    // Paths inside the folder, without the folder's own name
+    const getRelativePath = (file) => (file.webkitRelativePath || file.name).split('/').slice(1).join('/') || file.name;
+
+    setUploadProgress(files.map(file => ({
+      filename: getRelativePath(file),
+      progress: 0,
+      loaded: 0,
+      total: 0,
+      bytesLoaded: 0,
+      bytesTotal: file.size,
+      speed: 'Waiting...'
+    })));
+
     try {
-      const zip = new JSZip();
-      const files = Array.from(directory.files);
-      
-      // Add all files to zip
-      for (const file of files) {
-        if (file.webkitRelativePath) {
-          zip.file(file.webkitRelativePath, file);
-        }
-      }
+      const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+      const folder = await createFolderViaWebSocket(directory.name || 'directory', totalSize, {
+        expiresIn,
+        maxDownloads,
+        password: sharePassword
+      });
 
-      // Generate zip blob with progress tracking
-      const zipName = `${directory.name || 'directory'}.zip`;
-      setUploadProgress([{
-        filename: zipName,
-        progress: 0,
-        loaded: 0,
-        total: 0,
-        speed: ''
-      }]);
-
-      // Generate zip with progress
-      const zipBlob = await zip.generateAsync(
-        { type: 'blob', compression: 'DEFLATE', compressionOptions: { level: 1 } },
-        (metadata) => {
-          if (metadata.percent) {
-            setUploadProgress([{
-              filename: zipName,
-              progress: Math.round(metadata.percent),
-              loaded: 0,
-              total: 0,
-              speed: 'Zipping...'
-            }]);
+      const results = [];
+      const failures = [];
+      let next = 0;
+      const uploadNext = async () => {
+        while (next < files.length) {
+          const file = files[next++];
+          const relativePath = getRelativePath(file);
+          try {
+            const result = await uploadFileWithProgress(file, 0, files.length, null, { folder, relativePath });
+            results.push(...result.files);
+          } catch (err) {
+            console.error(`Failed to upload ${relativePath}:`, err);
+            failures.push(relativePath);
           }
         }
-      );
-      
-      // Update progress for upload
-      setUploadProgress([{
-        filename: zipName,
-        progress: 50,
-        loaded: 0,
-        total: zipBlob.size,
-        speed: 'Uploading...'
-      }]);
-
-      // Create file from blob
-      const zipFile = new File([zipBlob], zipName, { type: 'application/zip' });
+      };
+      await Promise.all(Array.from({ length: Math.min(DIRECTORY_UPLOAD_CONCURRENCY, files.length) }, uploadNext));
 
-      // Upload via WebSocket
-      const result = await uploadFileWithProgress(zipFile, 0);
-      
-      if (result.success) {
-        onSuccess(result.files);
+      if (results.length > 0) {
+        onSuccess(results);
       }
-      
+      if (failures.length > 0) {
+        onError(new Error(`${failures.length} file(s) of ${directory.name} could not be uploaded: ${failures.slice(0, 5).join(', ')}`));
+      }
+
       setTimeout(() => {
         setUploadProgress([]);
       }, 2000);
@@ -345,6 +351,49 @@ const FileUpload = ({ onSuccess, onError, onLoadingChange, onUploadProgress, onF
         onChange={handleDirectorySelect}
       />
 
+      <div className="share-options">
+        <label>
+          Link expires
+          <select value={expiresIn} onChange={(e) => setExpiresIn(e.target.value)}>
+            <option value="">Never</option>
+            <option value="1h">After 1 hour</option>
+            <option value="24h">After 24 hours</option>
+            <option value="7d">After 7 days</option>
+            <option value="30d">After 30 days</option>
+          </select>
+        </label>
+        <label>
+          Max downloads
+          <input
+            type="number"
+            min="1"
+            placeholder="Unlimited"
+            value={maxDownloads}
+            onChange={(e) => setMaxDownloads(e.target.value)}
+          />
+        </label>
+        <label>
+          Password
+          <input
+            type="password"
+            placeholder="None"
+            autoComplete="new-password"
+            value={sharePassword}
+            onChange={(e) => setSharePassword(e.target.value)}
+          />
+        </label>
+        {isEncryptionSupported() && (
+          <label title="Encrypt in this browser. The key is only in the share link, so the server can't read the file">
+            <input
+              type="checkbox"
+              checked={encrypt}
+              onChange={(e) => setEncrypt(e.target.checked)}
+            />
+            End-to-end encrypt
+          </label>
+        )}
+      </div>
+
       <div className="button-group">
         <button
           className="btn btn-primary"
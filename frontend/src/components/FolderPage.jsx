@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import FileList from './FileList';
+import { getShareToken, setShareToken } from '../utils/shareTokens';
+import './Login.css';
+
+/**
+ * Find the folder at `path` ("docs/images") in a folder share's tree
+ */
+const findFolder = (tree, path) => {
+  let folder = tree;
+  for (const segment of path ? path.split('/') : []) {
+    folder = folder.folders.find(child => child.name === segment);
+    if (!folder) return null;
+  }
+  return folder;
+};
+
+/**
+ * Every file anywhere in a folder share's tree
+ */
+const getAllFiles = (folder) => [...folder.files, ...folder.folders.flatMap(getAllFiles)];
+
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};
+
+const FolderPage = ({ collectionId }) => {
+  const [share, setShare] = useState(null);
+  const [locked, setLocked] = useState(false);
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [unlocking, setUnlocking] = useState(false);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const path = searchParams.get('path') || '';
+
+  const fetchShare = async () => {
+    try {
+      const response = await fetch(`/api/share/${collectionId}`, {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (response.status === 401 && data.passwordRequired) {
+        setLocked(true);
+      } else if (!response.ok) {
+        setError(data.error || 'Folder not available');
+      } else {
+        // Files of a protected folder are unlocked along with it (WebSocket downloads send their own token)
+        const token = data.isProtected && getShareToken(collectionId);
+        if (token) {
+          getAllFiles(data.tree).forEach(file => setShareToken(file.id, token));
+        }
+        setLocked(false);
+        setError('');
+        setShare(data);
+      }
+    } catch (err) {
+      console.error('Error fetching folder:', err);
+      setError('Failed to load folder');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchShare();
+  }, [collectionId]);
+
+  // Keep checking while files are still being uploaded
+  useEffect(() => {
+    if (!share || share.complete) return;
+    const interval = setInterval(fetchShare, 5000);
+    return () => clearInterval(interval);
+  }, [share?.complete]);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setError('');
+    setUnlocking(true);
+
+    try {
+      const response = await fetch(`/api/download/folder/${collectionId}/unlock`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ password })
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        if (data.token) {
+          setShareToken(collectionId, data.token);
+        }
+        setPassword('');
+        await fetchShare();
+      } else {
+        setError(data.error || 'Invalid password');
+      }
+    } catch (err) {
+      setError('Unlock failed. Please try again.');
+    } finally {
+      setUnlocking(false);
+    }
+  };
+
+  const openFolder = (folderPath) => {
+    setSearchParams(folderPath ? { path: folderPath } : {});
+  };
+
+  const getZipUrl = (folderPath) => {
+    const url = `${window.location.origin}/api/download/folder/${collectionId}`;
+    return folderPath ? `${url}?path=${encodeURIComponent(folderPath)}` : url;
+  };
+
+  if (loading) {
+    return (
+      <div className="app">
+        <h1>🚀 Hasty File Send</h1>
+        <p className="subtitle">Loading folder...</p>
+      </div>
+    );
+  }
+
+  if (locked) {
+    return (
+      <div className="login-container">
+        <div className="login-box">
+          <h1>🔒 Protected Folder</h1>
+          <p className="login-subtitle">Enter the password for this folder to browse and download it</p>
+
+          {error && <div className="login-error">{error}</div>}
+
+          <form onSubmit={handleUnlock} className="login-form">
+            <input
+              type="password"
+              placeholder="Folder password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="login-input"
+              autoFocus
+              disabled={unlocking}
+            />
+            <button
+              type="submit"
+              className="login-button"
+              disabled={unlocking || !password}
+            >
+              {unlocking ? 'Unlocking...' : 'Unlock'}
+            </button>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
+  const folder = share && findFolder(share.tree, path);
+  const segments = path ? path.split('/') : [];
+
+  return (
+    <div className="app">
+      <h1>🚀 Hasty File Send</h1>
+      {error && <div className="error">{error}</div>}
+      {share && !folder && <div className="error">This folder doesn't exist in the share</div>}
+      {share && folder && (
+        <>
+          <div className="files-list">
+            <div className="folder-breadcrumbs">
+              <button className="btn-link" onClick={() => openFolder('')}>📂 {share.name}</button>
+              {segments.map((segment, index) => (
+                <span key={index}>
+                  {' / '}
+                  <button className="btn-link" onClick={() => openFolder(segments.slice(0, index + 1).join('/'))}>
+                    {segment}
+                  </button>
+                </span>
+              ))}
+            </div>
+            <div className="file-meta">
+              {folder.fileCount} file(s) • {formatFileSize(folder.size)}
+              {!share.complete && <span className="file-status-badge uploading">Uploading...</span>}
+            </div>
+            {share.complete && (
+              <div className="file-actions folder-actions">
+                <a className="btn btn-small btn-success" href={getZipUrl(path)} download={`${segments[segments.length - 1] || share.name}.zip`}>
+                  📦 Download {path ? 'this folder' : 'everything'} as zip
+                </a>
+              </div>
+            )}
+            {folder.folders.map(child => (
+              <div key={child.path} className="file-item folder-item">
+                <div className="file-info">
+                  <div className="file-name">
+                    <button className="btn-link" onClick={() => openFolder(child.path)}>📁 {child.name}</button>
+                  </div>
+                  <div className="file-meta">{child.fileCount} file(s) • {formatFileSize(child.size)}</div>
+                </div>
+                {share.complete && (
+                  <div className="file-actions">
+                    <a className="btn btn-small btn-success" href={getZipUrl(child.path)} download={`${child.name}.zip`}>
+                      📦 Download as zip
+                    </a>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+          {folder.files.length > 0 && (
+            <FileList files={folder.files} onDelete={() => {}} showDelete={false} title="Files" />
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FolderPage;
@@ -2,16 +2,35 @@ import React, { useState, useEffect } from 'react';
 import './Login.css';
 
 const Login = ({ onLogin }) => {
+  const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
-  const [error, setError] = useState('');
+  const [error, setError] = useState(
+    () => new URLSearchParams(window.location.search).get('ssoError') || ''
+  );
+  const [sso, setSso] = useState(null);
   const [loading, setLoading] = useState(false);
   const [checking, setChecking] = useState(true);
 
   useEffect(() => {
     // Check if already authenticated
     checkAuthStatus();
+    fetchSsoConfig();
   }, []);
 
+  const fetchSsoConfig = async () => {
+    try {
+      const response = await fetch('/api/auth/oidc/config');
+      const data = await response.json();
+      if (data.enabled) {
+        setSso(data);
+      }
+    } catch (err) {
+      console.error('Error checking SSO config:', err);
+    }
+  };
+
+  const ssoLoginUrl = `/api/auth/oidc/login?returnTo=${encodeURIComponent(window.location.pathname)}`;
+
   const checkAuthStatus = async () => {
     try {
       const response = await fetch('/api/auth/status', {
@@ -20,7 +39,7 @@ const Login = ({ onLogin }) => {
       const data = await response.json();
       
       if (data.authenticated) {
-        onLogin();
+        onLogin(data.user);
       }
       setChecking(false);
     } catch (err) {
@@ -41,15 +60,15 @@ const Login = ({ onLogin }) => {
           'Content-Type': 'application/json'
         },
         credentials: 'include',
-        body: JSON.stringify({ password })
+        body: JSON.stringify({ username: username || undefined, password })
       });
 
       const data = await response.json();
 
       if (response.ok && data.success) {
-        onLogin();
+        onLogin(data.user);
       } else {
-        setError(data.error || 'Invalid password');
+        setError(data.error || 'Invalid username or password');
       }
     } catch (err) {
       setError('Login failed. Please try again.');
@@ -72,18 +91,28 @@ const Login = ({ onLogin }) => {
     <div className="login-container">
       <div className="login-box">
         <h1>🚀 Hasty File Send</h1>
-        <p className="login-subtitle">Please enter the password to continue</p>
+        <p className="login-subtitle">Please sign in to continue</p>
         
         {error && <div className="login-error">{error}</div>}
         
         <form onSubmit={handleSubmit} className="login-form">
+          <input
+            type="text"
+            placeholder="Username (default: admin)"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            className="login-input"
+            autoComplete="username"
+            autoFocus
+            disabled={loading}
+          />
           <input
             type="password"
             placeholder="Password"
             value={password}
             onChange={(e) => setPassword(e.target.value)}
             className="login-input"
-            autoFocus
+            autoComplete="current-password"
             disabled={loading}
           />
           <button
@@ -94,6 +123,15 @@ const Login = ({ onLogin }) => {
             {loading ? 'Logging in...' : 'Login'}
           </button>
         </form>
+
+        {sso && (
+          <>
+            <div className="login-divider">or</div>
+            <a href={ssoLoginUrl} className="login-button login-sso">
+              🔑 Sign in with {sso.name}
+            </a>
+          </>
+        )}
         
         <p className="login-note">You'll stay logged in for 30 days</p>
         
@@ -33,7 +33,10 @@ const ProgressiveDownload = ({ fileId, filename, fileInfo, onComplete, downloadS
             filename,
             status: 'downloading',
             progress: status.progress,
-            message: `Downloaded ${status.receivedChunks}/${status.totalPieces} chunks`,
+            message: `Downloaded ${status.receivedChunks}/${status.totalPieces} chunks` +
+              (status.peers > 0 || status.peerChunks > 0
+                ? ` (${status.peerChunks} from other browsers, ${status.peers} connected)`
+                : ''),
             receivedChunks: status.receivedChunks,
             totalPieces: status.totalPieces
           });
@@ -56,6 +59,17 @@ const ProgressiveDownload = ({ fileId, filename, fileInfo, onComplete, downloadS
           setTimeout(() => {
             setDownloadStatus(null);
           }, 3000);
+        },
+        (err) => {
+          // Download refused by the server (e.g. link expired)
+          setDownloadStatus({
+            fileId,
+            filename,
+            status: 'error',
+            error: err.message,
+            message: `Error: ${err.message}`
+          });
+          setIsDownloading(false);
         }
       );
       
@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import FileList from './FileList';
+import ArchiveBrowser, { isZipArchive } from './ArchiveBrowser';
+import { setShareToken } from '../utils/shareTokens';
+import { getKeyFromFragment } from '../utils/encryption';
+import { getFileKey, setFileKey } from '../utils/fileKeys';
+import './Login.css';
+
+const SharePage = ({ fileId }) => {
+  const [file, setFile] = useState(null);
+  const [locked, setLocked] = useState(false);
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [unlocking, setUnlocking] = useState(false);
+
+  const fetchInfo = async () => {
+    try {
+      const response = await fetch(`/api/download/${fileId}/info`, {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (response.status === 401 && data.passwordRequired) {
+        setLocked(true);
+      } else if (!response.ok) {
+        setError(data.error || 'File not available');
+      } else {
+        setLocked(false);
+        setFile({
+          id: data.id,
+          filename: data.filename,
+          original_filename: data.filename,
+          size: data.size,
+          mime_type: data.mimeType,
+          total_pieces: data.totalPieces,
+          piece_size: data.pieceSize,
+          complete_pieces: data.completePieces,
+          created_at: data.createdAt,
+          expires_at: data.expiresAt,
+          max_downloads: data.maxDownloads,
+          download_count: data.downloadCount,
+          is_protected: data.isProtected,
+          is_encrypted: data.isEncrypted,
+          encrypted_metadata: data.encryptedMetadata
+        });
+      }
+    } catch (err) {
+      console.error('Error fetching file info:', err);
+      setError('Failed to load file');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    // Links to end-to-end encrypted files carry the key in the #fragment
+    const key = getKeyFromFragment();
+    if (key) {
+      setFileKey(fileId, key);
+    }
+    fetchInfo();
+  }, [fileId]);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setError('');
+    setUnlocking(true);
+
+    try {
+      const response = await fetch(`/api/download/${fileId}/unlock`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ password })
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        if (data.token) {
+          setShareToken(fileId, data.token);
+        }
+        setPassword('');
+        await fetchInfo();
+      } else {
+        setError(data.error || 'Invalid password');
+      }
+    } catch (err) {
+      setError('Unlock failed. Please try again.');
+    } finally {
+      setUnlocking(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="app">
+        <h1>🚀 Hasty File Send</h1>
+        <p className="subtitle">Loading file...</p>
+      </div>
+    );
+  }
+
+  if (locked) {
+    return (
+      <div className="login-container">
+        <div className="login-box">
+          <h1>🔒 Protected File</h1>
+          <p className="login-subtitle">Enter the password for this file to download it</p>
+
+          {error && <div className="login-error">{error}</div>}
+
+          <form onSubmit={handleUnlock} className="login-form">
+            <input
+              type="password"
+              placeholder="File password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="login-input"
+              autoFocus
+              disabled={unlocking}
+            />
+            <button
+              type="submit"
+              className="login-button"
+              disabled={unlocking || !password}
+            >
+              {unlocking ? 'Unlocking...' : 'Unlock'}
+            </button>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="app">
+      <h1>🚀 Hasty File Send</h1>
+      {error && <div className="error">{error}</div>}
+      {file?.is_encrypted && !getFileKey(fileId) && (
+        <div className="error">
+          This file is end-to-end encrypted and the link is missing its key. Ask the sender for the full link.
+        </div>
+      )}
+      {file && <FileList files={[file]} onDelete={() => {}} showDelete={false} />}
+      {file && isZipArchive(file) && file.complete_pieces === file.total_pieces && (
+        <ArchiveBrowser fileId={fileId} />
+      )}
+    </div>
+  );
+};
+
+export default SharePage;
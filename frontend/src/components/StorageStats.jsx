@@ -87,6 +87,11 @@ const StorageStats = ({ onStorageUpdate }) => {
         ></div>
       </div>
       <div className="storage-percentage">{percentage.toFixed(1)}% used</div>
+      {stats.dedupSavings > 0 && (
+        <div className="storage-dedup">
+          {formatBytes(stats.dedupSavings)} saved by deduplication
+        </div>
+      )}
     </div>
   );
 };
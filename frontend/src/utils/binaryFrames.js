@@ -0,0 +1,99 @@
+/**
+ * Binary WebSocket framing for piece data (see backend/utils/binaryFrames.js)
+ *
+ * Frame layout (integers big-endian):
+ *   u8   frame type (FRAME_TYPES)
+ *   u8   fileId length n
+ *   n    fileId (ASCII)
+ *   u32  chunk index
+ *   u64  byte offset of the piece in the file
+ *   32   SHA-256 of the piece (all zeros when not known)
+ *   ...  piece bytes
+ */
+
+export const BINARY_PROTOCOL = 'hfs-binary.v1';
+
+const FRAME_TYPES = {
+  UPLOAD_CHUNK: 1,
+  DOWNLOAD_CHUNK: 2
+};
+
+const HASH_LENGTH = 32;
+
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(HASH_LENGTH);
+  if (hex && /^[0-9a-f]{64}$/i.test(hex)) {
+    for (let i = 0; i < HASH_LENGTH; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+  }
+  return bytes;
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Encode a chunk frame (data is a Uint8Array, hash the hex SHA-256 of it)
+ */
+export function encodeChunkFrame(type, { fileId, chunkIndex, offset = 0, hash, data }) {
+  const id = new TextEncoder().encode(String(fileId));
+  const headerLength = 2 + id.length + 4 + 8 + HASH_LENGTH;
+  const frame = new Uint8Array(headerLength + data.length);
+  const view = new DataView(frame.buffer);
+
+  let position = 0;
+  view.setUint8(position++, FRAME_TYPES[type]);
+  view.setUint8(position++, id.length);
+  frame.set(id, position);
+  position += id.length;
+  view.setUint32(position, chunkIndex);
+  position += 4;
+  view.setBigUint64(position, BigInt(offset));
+  position += 8;
+  frame.set(hexToBytes(hash), position);
+  position += HASH_LENGTH;
+  frame.set(data, position);
+
+  return frame;
+}
+
+/**
+ * Decode a chunk frame into { type, payload } - the same shape as a JSON message,
+ * with data as a Uint8Array instead of base64
+ */
+export function decodeChunkFrame(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  let position = 0;
+  const typeCode = view.getUint8(position++);
+  const type = Object.keys(FRAME_TYPES).find(name => FRAME_TYPES[name] === typeCode);
+  if (!type) {
+    throw new Error(`Unknown binary frame type: ${typeCode}`);
+  }
+
+  const idLength = view.getUint8(position++);
+  const fileId = new TextDecoder().decode(bytes.subarray(position, position + idLength));
+  position += idLength;
+  const chunkIndex = view.getUint32(position);
+  position += 4;
+  const offset = Number(view.getBigUint64(position));
+  position += 8;
+  const hashBytes = bytes.subarray(position, position + HASH_LENGTH);
+  position += HASH_LENGTH;
+  const data = bytes.subarray(position);
+
+  return {
+    type,
+    payload: {
+      fileId,
+      chunkIndex,
+      offset,
+      hash: hashBytes.some(b => b !== 0) ? bytesToHex(hashBytes) : null,
+      size: data.length,
+      data
+    }
+  };
+}
@@ -36,3 +36,37 @@ export async function hashPiece(data) {
   return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
+
+/**
+ * Decode a base64 piece bitmap from the server into the set of complete piece indices
+ * Bit i (most significant bit first) is set when piece i is complete
+ */
+export function decodePieceBitmap(bitmap, totalPieces) {
+  const bytes = Uint8Array.from(atob(bitmap || ''), char => char.charCodeAt(0));
+  const complete = new Set();
+  for (let i = 0; i < totalPieces; i++) {
+    if (bytes[i >> 3] & (0x80 >> (i & 7))) {
+      complete.add(i);
+    }
+  }
+  return complete;
+}
+
+/**
+ * Hash every piece of a file (the manifest sent with UPLOAD_INIT)
+ * onProgress(hashedPieces, totalPieces) is called as pieces are hashed
+ * transform(index, data) (optional) returns the bytes to hash instead, e.g. encrypted
+ */
+export async function hashFilePieces(file, pieceSize, onProgress, transform) {
+  const totalPieces = Math.ceil(file.size / pieceSize);
+  const hashes = [];
+  for (let i = 0; i < totalPieces; i++) {
+    const offset = i * pieceSize;
+    const data = new Uint8Array(await file.slice(offset, offset + pieceSize).arrayBuffer());
+    hashes.push(await hashPiece(transform ? await transform(i, data) : data));
+    if (onProgress) {
+      onProgress(i + 1, totalPieces);
+    }
+  }
+  return hashes;
+}
@@ -0,0 +1,108 @@
+/**
+ * End-to-end encryption of uploads
+ *
+ * Each file gets a random AES-256-GCM key, which only travels in the share link's
+ * #fragment (browsers never send that part to the server). Piece i is encrypted with the
+ * 12-byte IV 0x00000000 + i (u64, big-endian) and gets a 16-byte tag appended, so the
+ * server stores pieces of plaintext piece size + 16. The name, type and size are encrypted
+ * as JSON with the IV 0x01 followed by zeros. Encryption is deterministic for a given key,
+ * which lets interrupted uploads resume and lets downloaders re-encrypt pieces for peers.
+ */
+
+export const TAG_SIZE = 16;
+const KEY_PARAM = 'key';
+
+function getPieceIv(index) {
+  const iv = new Uint8Array(12);
+  new DataView(iv.buffer).setBigUint64(4, BigInt(index));
+  return iv;
+}
+
+function getMetadataIv() {
+  const iv = new Uint8Array(12);
+  iv[0] = 1;
+  return iv;
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Whether this browser can encrypt (Web Crypto needs a secure context: HTTPS or localhost)
+ */
+export function isEncryptionSupported() {
+  return typeof crypto !== 'undefined' && !!crypto.subtle;
+}
+
+/**
+ * A new random key for one file, as the base64url string used in share links
+ */
+export async function generateFileKey() {
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  return toBase64Url(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+}
+
+/**
+ * Import a base64url key for encrypting and decrypting
+ */
+export function importFileKey(encodedKey) {
+  return crypto.subtle.importKey('raw', fromBase64Url(encodedKey), 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Size of the encrypted file: every piece grows by the tag
+ */
+export function getEncryptedSize(size, plainPieceSize) {
+  return size + Math.ceil(size / plainPieceSize) * TAG_SIZE;
+}
+
+export async function encryptPiece(key, index, bytes) {
+  return new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv: getPieceIv(index) }, key, bytes));
+}
+
+/**
+ * Decrypt a piece; throws if it was tampered with or the key is wrong
+ */
+export async function decryptPiece(key, index, bytes) {
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: getPieceIv(index) }, key, bytes));
+}
+
+/**
+ * Encrypt { name, type, size } for the server to store next to the ciphertext
+ */
+export async function encryptMetadata(key, metadata) {
+  const plaintext = new TextEncoder().encode(JSON.stringify(metadata));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: getMetadataIv() }, key, plaintext);
+  return toBase64Url(new Uint8Array(ciphertext));
+}
+
+export async function decryptMetadata(key, encryptedMetadata) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: getMetadataIv() },
+    key,
+    fromBase64Url(encryptedMetadata)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * The key in a share link's #fragment (#key=...), if any
+ */
+export function getKeyFromFragment(hash = window.location.hash) {
+  return new URLSearchParams(hash.replace(/^#/, '')).get(KEY_PARAM);
+}
+
+/**
+ * Share link fragment carrying a key
+ */
+export function buildKeyFragment(encodedKey) {
+  return `#${KEY_PARAM}=${encodedKey}`;
+}
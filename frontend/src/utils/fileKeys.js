@@ -0,0 +1,25 @@
+// Keys of end-to-end encrypted files, kept in this browser so their share links can be
+// shown again and the files decrypted (the server never has them)
+const STORAGE_PREFIX = 'fileKey:';
+
+/**
+ * Get the encryption key for a file (if this browser has it)
+ */
+export function getFileKey(fileId) {
+  try {
+    return localStorage.getItem(`${STORAGE_PREFIX}${fileId}`);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Remember the encryption key for a file
+ */
+export function setFileKey(fileId, key) {
+  try {
+    localStorage.setItem(`${STORAGE_PREFIX}${fileId}`, key);
+  } catch (err) {
+    console.error('Error saving file key:', err);
+  }
+}
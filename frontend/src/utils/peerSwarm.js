@@ -0,0 +1,376 @@
+import wsClient from './websocketClient';
+import { hashPiece } from './chunking';
+
+// Data channel messages are kept small: browsers disagree on the largest message they accept
+const FRAGMENT_SIZE = 16 * 1024;
+const FRAGMENT_HEADER_SIZE = 8; // piece index (u32) + byte offset in the piece (u32)
+const MAX_PEERS = 5;
+const MAX_PEER_REQUESTS = 8; // pieces in flight per peer
+const PEER_REQUEST_TIMEOUT = 10000;
+const CONNECT_TIMEOUT = 10000;
+const MAX_PEER_FAILURES = 3;
+// Pause sending while this much is queued on a channel
+const MAX_BUFFERED_AMOUNT = 1024 * 1024;
+
+/**
+ * Browser-to-browser piece exchange for one file download
+ *
+ * The server relays WebRTC signaling (PEER_SIGNAL) between sockets downloading the same
+ * file. Newcomers open a data channel to the peers they were given; both sides then send
+ * `have` lists and `request` pieces, which come back as binary fragments. Every piece from
+ * a peer is checked against the hash the server gave us before it's used.
+ *
+ * options:
+ * - iceServers: RTCIceServer list from DOWNLOAD_INIT_SUCCESS
+ * - pieces: Map of piece index -> { hash, size, offset }
+ * - readPiece(index): bytes of a piece we can serve (Uint8Array), or null
+ * - onPiece(index, bytes): a verified piece arrived from a peer
+ * - onPieceFailed(index): a peer request failed or timed out (fetch it elsewhere)
+ * - onPeersChanged(): a peer connected, disconnected or announced new pieces
+ */
+export class PeerSwarm {
+  constructor(fileId, { iceServers = [], pieces, readPiece, onPiece, onPieceFailed, onPeersChanged }) {
+    this.fileId = fileId;
+    this.iceServers = iceServers;
+    this.pieces = pieces;
+    this.readPiece = readPiece;
+    this.onPiece = onPiece;
+    this.onPieceFailed = onPieceFailed;
+    this.onPeersChanged = onPeersChanged;
+    this.peers = new Map(); // peerId -> peer state
+    this.available = new Set(); // pieces we announce to peers
+    this.closed = false;
+  }
+
+  /**
+   * Whether WebRTC data channels are available in this browser
+   */
+  static isSupported() {
+    return typeof window !== 'undefined' && typeof window.RTCPeerConnection === 'function';
+  }
+
+  /**
+   * Open connections to peers handed out by the server
+   */
+  connect(peerIds) {
+    peerIds.slice(0, MAX_PEERS).forEach(peerId => {
+      if (this.peers.has(peerId)) return;
+      const peer = this.createPeer(peerId);
+      const channel = peer.pc.createDataChannel('hfs-pieces', { ordered: true });
+      this.setupChannel(peer, channel);
+      peer.signals = peer.signals.then(async () => {
+        await peer.pc.setLocalDescription(await peer.pc.createOffer());
+        this.sendSignal(peerId, { description: peer.pc.localDescription });
+      }).catch(err => this.dropPeer(peerId, err));
+    });
+  }
+
+  createPeer(peerId) {
+    const pc = new RTCPeerConnection({ iceServers: this.iceServers });
+    const peer = {
+      id: peerId,
+      pc,
+      channel: null,
+      open: false,
+      has: new Set(),
+      requests: new Map(), // index -> { buffer, received, timer }
+      sending: Promise.resolve(),
+      signals: Promise.resolve(),
+      failures: 0,
+      connectTimer: setTimeout(() => {
+        if (!peer.open) this.dropPeer(peerId, new Error('Connection timed out'));
+      }, CONNECT_TIMEOUT)
+    };
+
+    pc.onicecandidate = (event) => {
+      if (event.candidate) {
+        this.sendSignal(peerId, { candidate: event.candidate.toJSON() });
+      }
+    };
+    pc.onconnectionstatechange = () => {
+      if (pc.connectionState === 'failed' || pc.connectionState === 'closed') {
+        this.dropPeer(peerId);
+      }
+    };
+    pc.ondatachannel = (event) => this.setupChannel(peer, event.channel);
+
+    this.peers.set(peerId, peer);
+    return peer;
+  }
+
+  setupChannel(peer, channel) {
+    peer.channel = channel;
+    channel.binaryType = 'arraybuffer';
+    channel.bufferedAmountLowThreshold = MAX_BUFFERED_AMOUNT / 4;
+
+    channel.onopen = () => {
+      peer.open = true;
+      clearTimeout(peer.connectTimer);
+      console.log(`[${this.fileId}] Connected to peer ${peer.id}`);
+      this.sendControl(peer, { type: 'have', pieces: Array.from(this.available) });
+      this.notifyPeersChanged();
+    };
+    channel.onclose = () => this.dropPeer(peer.id);
+    channel.onmessage = (event) => {
+      try {
+        if (typeof event.data === 'string') {
+          this.handleControl(peer, JSON.parse(event.data));
+        } else {
+          this.handleFragment(peer, event.data);
+        }
+      } catch (err) {
+        this.dropPeer(peer.id, err);
+      }
+    };
+  }
+
+  sendSignal(peerId, signal) {
+    wsClient.send('PEER_SIGNAL', { fileId: this.fileId, to: peerId, signal });
+  }
+
+  /**
+   * Apply a signal relayed by the server; an offer from an unknown peer starts a connection
+   */
+  handleSignal(peerId, signal) {
+    if (this.closed) return;
+
+    let peer = this.peers.get(peerId);
+    if (!peer) {
+      if (signal.description?.type !== 'offer' || this.peers.size >= MAX_PEERS * 2) return;
+      peer = this.createPeer(peerId);
+    }
+
+    // Signals are applied in order - candidates need the remote description first
+    peer.signals = peer.signals.then(async () => {
+      if (signal.description) {
+        await peer.pc.setRemoteDescription(signal.description);
+        if (signal.description.type === 'offer') {
+          await peer.pc.setLocalDescription(await peer.pc.createAnswer());
+          this.sendSignal(peerId, { description: peer.pc.localDescription });
+        }
+      } else if (signal.candidate) {
+        await peer.pc.addIceCandidate(signal.candidate);
+      }
+    }).catch(err => this.dropPeer(peerId, err));
+  }
+
+  handleControl(peer, message) {
+    switch (message.type) {
+      case 'have':
+        (Array.isArray(message.pieces) ? message.pieces : []).forEach(index => peer.has.add(index));
+        this.notifyPeersChanged();
+        break;
+      case 'request':
+        this.servePiece(peer, message.index);
+        break;
+      case 'reject':
+        peer.has.delete(message.index);
+        this.failRequest(peer, message.index);
+        break;
+      default:
+        break;
+    }
+  }
+
+  sendControl(peer, message) {
+    if (peer.open && peer.channel.readyState === 'open') {
+      peer.channel.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Announce pieces we can now serve
+   */
+  announce(indices) {
+    const pieces = indices.filter(index => !this.available.has(index));
+    if (pieces.length === 0) return;
+
+    pieces.forEach(index => this.available.add(index));
+    this.peers.forEach(peer => this.sendControl(peer, { type: 'have', pieces }));
+  }
+
+  /**
+   * A connected peer that has a piece and room for another request, or null
+   */
+  findPeerFor(index) {
+    if (!this.pieces.get(index)?.hash) return null;
+
+    let best = null;
+    for (const peer of this.peers.values()) {
+      if (peer.open && peer.has.has(index) && peer.requests.size < MAX_PEER_REQUESTS &&
+        (!best || peer.requests.size < best.requests.size)) {
+        best = peer;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Whether any connected peer has a piece (even if it's busy right now)
+   */
+  hasPeerWith(index) {
+    for (const peer of this.peers.values()) {
+      if (peer.open && peer.has.has(index)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Whether connections to peers are still being set up
+   */
+  isConnecting() {
+    for (const peer of this.peers.values()) {
+      if (!peer.open) return true;
+    }
+    return false;
+  }
+
+  getConnectedCount() {
+    let count = 0;
+    this.peers.forEach(peer => { if (peer.open) count++; });
+    return count;
+  }
+
+  requestPiece(peer, index) {
+    peer.requests.set(index, {
+      buffer: null,
+      received: 0,
+      timer: setTimeout(() => {
+        // Slow peers get their pieces fetched elsewhere
+        peer.has.delete(index);
+        this.failRequest(peer, index, true);
+      }, PEER_REQUEST_TIMEOUT)
+    });
+    this.sendControl(peer, { type: 'request', index });
+  }
+
+  handleFragment(peer, data) {
+    const view = new DataView(data);
+    const index = view.getUint32(0);
+    const offset = view.getUint32(4);
+    const request = peer.requests.get(index);
+    const piece = this.pieces.get(index);
+    if (!request || !piece) return;
+
+    const bytes = new Uint8Array(data, FRAGMENT_HEADER_SIZE);
+    if (offset + bytes.length > piece.size) {
+      this.failRequest(peer, index, true);
+      return;
+    }
+    if (!request.buffer) {
+      request.buffer = new Uint8Array(piece.size);
+    }
+    request.buffer.set(bytes, offset);
+    request.received += bytes.length;
+
+    if (request.received >= piece.size) {
+      clearTimeout(request.timer);
+      peer.requests.delete(index);
+      this.verifyPiece(peer, index, request.buffer);
+    }
+  }
+
+  async verifyPiece(peer, index, bytes) {
+    const actualHash = await hashPiece(bytes);
+    if (actualHash !== this.pieces.get(index).hash) {
+      console.error(`[${this.fileId}] Peer ${peer.id} sent a corrupt piece ${index}`);
+      peer.has.delete(index);
+      this.recordFailure(peer);
+      this.onPieceFailed(index);
+      return;
+    }
+    this.onPiece(index, bytes);
+  }
+
+  failRequest(peer, index, penalize = false) {
+    const request = peer.requests.get(index);
+    if (!request) return;
+
+    clearTimeout(request.timer);
+    peer.requests.delete(index);
+    if (penalize) {
+      this.recordFailure(peer);
+    }
+    this.onPieceFailed(index);
+  }
+
+  recordFailure(peer) {
+    peer.failures++;
+    if (peer.failures >= MAX_PEER_FAILURES) {
+      this.dropPeer(peer.id, new Error('Too many failed pieces'));
+    }
+  }
+
+  /**
+   * Send a piece to a peer as fragments, one piece at a time per peer
+   */
+  servePiece(peer, index) {
+    peer.sending = peer.sending.then(async () => {
+      const bytes = await this.readPiece(index);
+      if (!bytes) {
+        this.sendControl(peer, { type: 'reject', index });
+        return;
+      }
+
+      for (let offset = 0; offset < bytes.length; offset += FRAGMENT_SIZE) {
+        if (peer.channel.readyState !== 'open') return;
+        if (peer.channel.bufferedAmount > MAX_BUFFERED_AMOUNT) {
+          await new Promise(resolve => {
+            peer.channel.addEventListener('bufferedamountlow', resolve, { once: true });
+          });
+        }
+
+        const fragment = bytes.subarray(offset, offset + FRAGMENT_SIZE);
+        const frame = new Uint8Array(FRAGMENT_HEADER_SIZE + fragment.length);
+        const view = new DataView(frame.buffer);
+        view.setUint32(0, index);
+        view.setUint32(4, offset);
+        frame.set(fragment, FRAGMENT_HEADER_SIZE);
+        peer.channel.send(frame);
+      }
+    }).catch(err => {
+      console.warn(`[${this.fileId}] Error sending piece ${index} to peer ${peer.id}:`, err);
+    });
+  }
+
+  /**
+   * Close a peer connection and hand its outstanding requests back
+   */
+  dropPeer(peerId, err) {
+    const peer = this.peers.get(peerId);
+    if (!peer) return;
+
+    if (err) {
+      console.warn(`[${this.fileId}] Dropping peer ${peerId}:`, err.message || err);
+    }
+    this.peers.delete(peerId);
+    clearTimeout(peer.connectTimer);
+    try {
+      peer.pc.close();
+    } catch (closeErr) {
+      // Already closed
+    }
+
+    const outstanding = Array.from(peer.requests.keys());
+    peer.requests.forEach(request => clearTimeout(request.timer));
+    peer.requests.clear();
+    if (!this.closed) {
+      outstanding.forEach(index => this.onPieceFailed(index));
+    }
+    this.notifyPeersChanged();
+  }
+
+  notifyPeersChanged() {
+    if (!this.closed && this.onPeersChanged) {
+      this.onPeersChanged();
+    }
+  }
+
+  /**
+   * Close every peer connection
+   */
+  close() {
+    this.closed = true;
+    Array.from(this.peers.keys()).forEach(peerId => this.dropPeer(peerId));
+  }
+}
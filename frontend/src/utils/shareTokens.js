@@ -0,0 +1,50 @@
+// Unlock tokens for password-protected files, kept for the browser session
+const STORAGE_PREFIX = 'shareToken:';
+
+/**
+ * Get the unlock token for a file (if it has been unlocked)
+ */
+export function getShareToken(fileId) {
+  try {
+    return sessionStorage.getItem(`${STORAGE_PREFIX}${fileId}`);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Remember the unlock token for a file
+ */
+export function setShareToken(fileId, token) {
+  try {
+    sessionStorage.setItem(`${STORAGE_PREFIX}${fileId}`, token);
+  } catch (err) {
+    console.error('Error saving share token:', err);
+  }
+}
+
+// Download tokens of downloads already counted against a link's limit, kept across browser
+// restarts so resuming a download doesn't count it again
+const DOWNLOAD_TOKEN_PREFIX = 'downloadToken:';
+
+/**
+ * Get the download token for a file (if a download of it has been started)
+ */
+export function getDownloadToken(fileId) {
+  try {
+    return localStorage.getItem(`${DOWNLOAD_TOKEN_PREFIX}${fileId}`);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Remember the download token for a file
+ */
+export function setDownloadToken(fileId, token) {
+  try {
+    localStorage.setItem(`${DOWNLOAD_TOKEN_PREFIX}${fileId}`, token);
+  } catch (err) {
+    console.error('Error saving download token:', err);
+  }
+}
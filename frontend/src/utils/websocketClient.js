@@ -1,3 +1,5 @@
+import { BINARY_PROTOCOL, decodeChunkFrame } from './binaryFrames';
+
 // WebSocket client for file uploads and downloads
 class WebSocketClient {
   constructor() {
@@ -7,6 +9,7 @@ class WebSocketClient {
     this.reconnectDelay = 1000;
     this.messageHandlers = new Map();
     this.connectionPromise = null;
+    this.hasConnected = false;
   }
 
   /**
@@ -21,17 +24,25 @@ class WebSocketClient {
       const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
       const wsUrl = `${protocol}//${window.location.host}`;
       
-      this.ws = new WebSocket(wsUrl);
+      // Offer binary chunk frames; servers without support fall back to JSON
+      this.ws = new WebSocket(wsUrl, [BINARY_PROTOCOL]);
+      this.ws.binaryType = 'arraybuffer';
 
       this.ws.onopen = () => {
         console.log('WebSocket connected');
+        const reconnected = this.hasConnected;
+        this.hasConnected = true;
         this.reconnectAttempts = 0;
+        // Local event (not sent by the server) so uploads can resume after a reconnect
+        this.handleMessage({ type: 'CONNECTION_OPEN', payload: { reconnected } });
         resolve(this.ws);
       };
 
       this.ws.onmessage = (event) => {
         try {
-          const message = JSON.parse(event.data);
+          const message = typeof event.data === 'string'
+            ? JSON.parse(event.data)
+            : decodeChunkFrame(event.data);
           this.handleMessage(message);
         } catch (err) {
           console.error('Error parsing WebSocket message:', err);
@@ -63,9 +74,18 @@ class WebSocketClient {
         console.log(`Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
         this.connect();
       }, this.reconnectDelay * this.reconnectAttempts);
+    } else {
+      this.handleMessage({ type: 'CONNECTION_LOST', payload: {} });
     }
   }
 
+  /**
+   * Whether the socket is open and ready to send
+   */
+  isConnected() {
+    return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+  }
+
   /**
    * Send message to server
    */
@@ -78,6 +98,25 @@ class WebSocketClient {
     this.ws.send(JSON.stringify({ type, payload }));
   }
 
+  /**
+   * Send a binary frame (only when supportsBinary())
+   */
+  sendBinary(frame) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      return this.connect().then(() => {
+        this.ws.send(frame);
+      });
+    }
+    this.ws.send(frame);
+  }
+
+  /**
+   * Whether the server agreed to binary chunk frames for this connection
+   */
+  supportsBinary() {
+    return !!this.ws && this.ws.protocol === BINARY_PROTOCOL;
+  }
+
   /**
    * Register message handler
    */
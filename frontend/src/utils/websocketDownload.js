@@ -1,4 +1,13 @@
 import wsClient from './websocketClient';
+import { getShareToken, getDownloadToken, setDownloadToken } from './shareTokens';
+import { PeerSwarm } from './peerSwarm';
+import { TAG_SIZE, importFileKey, decryptMetadata, encryptPiece, decryptPiece } from './encryption';
+import { getFileKey } from './fileKeys';
+
+const BATCH_SIZE = 20;
+const MAX_PENDING = 50; // Max concurrent requests to the server
+// How long a new download waits for peers to connect before asking the server
+const PEER_WAIT = 3000;
 
 /**
  * Download file via WebSocket with .part file management
@@ -6,12 +15,25 @@ import wsClient from './websocketClient';
 export class WebSocketDownloadManager {
   constructor() {
     this.activeDownloads = new Map(); // fileId -> { fileHandle, partFileHandle, receivedChunks: Set, totalPieces, filename }
+    this.seeding = new Map(); // fileId -> finished download still serving pieces to peers
+
+    // WebRTC signaling relayed by the server for the peer swarms
+    wsClient.on('PEER_SIGNAL', ({ fileId, from, signal }) => {
+      this.getSwarm(fileId)?.handleSignal(from, signal);
+    });
+    wsClient.on('PEER_LEFT', ({ fileId, peerId }) => {
+      this.getSwarm(fileId)?.dropPeer(peerId);
+    });
+  }
+
+  getSwarm(fileId) {
+    return (this.activeDownloads.get(fileId) || this.seeding.get(fileId))?.swarm;
   }
 
   /**
    * Start or resume download
    */
-  async startDownload(fileId, filename, onProgress, onComplete) {
+  async startDownload(fileId, filename, onProgress, onComplete, onError) {
     try {
       // Connect to WebSocket
       await wsClient.connect();
@@ -21,9 +43,17 @@ export class WebSocketDownloadManager {
         console.log(`[${fileId}] Download already in progress`);
         return;
       }
+      if (this.seeding.has(fileId)) {
+        this.stopSeeding(fileId);
+      }
 
-      // Initialize download
-      wsClient.send('DOWNLOAD_INIT', { fileId });
+      // Initialize download (with unlock token for password-protected files, and the download
+      // token of an earlier start so resuming doesn't count against the link's limit again)
+      wsClient.send('DOWNLOAD_INIT', {
+        fileId,
+        token: getShareToken(fileId) || undefined,
+        downloadToken: getDownloadToken(fileId) || undefined
+      });
 
       // Set up message handlers - scope to this specific fileId
       const initHandler = async (payload) => {
@@ -32,7 +62,26 @@ export class WebSocketDownloadManager {
           return; // Not our file
         }
         
-        const { fileId: id, filename: fn, totalPieces, chunks, size } = payload;
+        const { fileId: id, totalPieces, chunks } = payload;
+        if (payload.downloadToken) {
+          setDownloadToken(id, payload.downloadToken);
+        }
+        let { filename: fn, size } = payload;
+
+        // End-to-end encrypted: the real name and size come from the metadata, decrypted
+        // with the key from the share link
+        let encryption = null;
+        if (payload.isEncrypted) {
+          try {
+            encryption = await this.openEncryption(id, payload);
+          } catch (err) {
+            errorHandler({ fileId, errorType: 'DECRYPTION_FAILED', message: err.message });
+            wsClient.send('DOWNLOAD_CANCEL', { fileId });
+            return;
+          }
+          fn = encryption.metadata.name;
+          size = encryption.metadata.size;
+        }
 
         // Create .part file
         let partFileHandle = null;
@@ -98,13 +147,22 @@ export class WebSocketDownloadManager {
           pendingSave: false,
           requestedChunks: new Set(), // Track requested chunks to avoid duplicates
           pendingRequests: 0, // Track pending requests
-          allChunks: chunks // Store all chunks for batch requesting
+          allChunks: chunks, // Store all chunks for batch requesting
+          pieces: new Map(chunks.map(chunk => [chunk.index, chunk])),
+          swarm: null,
+          peerChunks: 0, // Pieces received from other browsers
+          source: null, // The finished file, once complete (served to peers)
+          encryption, // { key, plainPieceSize, metadata } for end-to-end encrypted files
+          handlers: { initHandler, chunkHandler, errorHandler }
         };
         this.activeDownloads.set(id, downloadInfo);
 
-        // Request chunks in batches for better performance
-        // Start with first batch immediately
-        this.requestChunkBatch(id, chunks, 0);
+        // Fetch pieces from other browsers downloading the same file where possible
+        if (payload.peerId && PeerSwarm.isSupported()) {
+          this.startSwarm(id, downloadInfo, payload);
+        }
+
+        this.fillPipeline(id);
 
         // Save download info (without file handle - can't serialize)
         await this.saveDownloadInfo(id, {
@@ -134,11 +192,12 @@ export class WebSocketDownloadManager {
           return;
         }
 
-        // Decode base64 data - optimized method using native browser APIs
-        // Use Uint8Array.from with atob for better performance
-        // For large chunks, process in batches to avoid blocking
+        // Binary frames arrive as raw bytes; JSON messages carry base64 -
+        // decode with native browser APIs, in batches for large chunks to avoid blocking
         let bytes;
-        if (data.length > 100000) {
+        if (data instanceof Uint8Array) {
+          bytes = data;
+        } else if (data.length > 100000) {
           // Large chunk - decode in batches to avoid blocking UI
           const binaryString = atob(data);
           bytes = new Uint8Array(binaryString.length);
@@ -181,98 +240,53 @@ export class WebSocketDownloadManager {
           }
         }
 
-        // Write chunk to .part file at correct offset
-        if (download.writableStream) {
-          try {
-            // Use existing writable stream - much faster than creating new one
-            await download.writableStream.seek(offset);
-            await download.writableStream.write(bytes);
-            // Don't close - keep stream open for next chunk
-          } catch (err) {
-            console.error(`Error writing chunk ${chunkIndex} to file:`, err);
-            // Fallback: store in IndexedDB
-            await this.saveChunk(id, chunkIndex, bytes, offset);
-          }
-        } else if (download.partFileHandle) {
-          // Fallback: create stream if not exists (shouldn't happen normally)
-          try {
-            const writable = await download.partFileHandle.createWritable({ keepExistingData: true });
-            await writable.seek(offset);
-            await writable.write(bytes);
-            download.writableStream = writable; // Store for future chunks
-          } catch (err) {
-            console.error(`Error writing chunk ${chunkIndex} to file:`, err);
-            await this.saveChunk(id, chunkIndex, bytes, offset);
-          }
-        } else {
-          // Fallback: store in IndexedDB
-          await this.saveChunk(id, chunkIndex, bytes, offset);
+        // Pieces pushed while the file is still uploading weren't in the initial list
+        if (!download.pieces.has(chunkIndex)) {
+          download.pieces.set(chunkIndex, { index: chunkIndex, hash, size: bytes.length, offset });
         }
 
-        // Mark chunk as received and decrement pending requests
-        download.receivedChunks.add(chunkIndex);
-        download.requestedChunks.delete(chunkIndex);
-        download.pendingRequests = Math.max(0, download.pendingRequests - 1);
-        
-        // Request next batch if we have capacity (keep pipeline full)
-        const BATCH_SIZE = 20;
-        const MAX_PENDING = 50; // Max concurrent requests
-        if (download.pendingRequests < MAX_PENDING && download.allChunks) {
-          // Find chunks that haven't been requested yet from allChunks
-          const missingChunks = download.allChunks.filter(chunk => 
-            !download.receivedChunks.has(chunk.index) && !download.requestedChunks.has(chunk.index)
-          );
-          
-          if (missingChunks.length > 0) {
-            const nextBatch = missingChunks.slice(0, Math.min(BATCH_SIZE, MAX_PENDING - download.pendingRequests));
-            this.requestChunkBatch(id, nextBatch, 0);
-          }
+        let piece;
+        try {
+          piece = await this.decryptIfNeeded(download, chunkIndex, bytes, offset);
+        } catch (err) {
+          console.error(`[${id}] Could not decrypt chunk ${chunkIndex}:`, err);
+          download.requestedChunks.delete(chunkIndex);
+          download.pendingRequests--;
+          this.requestChunkBatch(id, [{ index: chunkIndex }], 0);
+          return;
         }
 
-        // Update progress
-        const progress = (download.receivedChunks.size / download.totalPieces) * 100;
-        if (download.onProgress) {
-          download.onProgress({
-            fileId: id,
-            progress: Math.round(progress),
-            receivedChunks: download.receivedChunks.size,
-            totalPieces: download.totalPieces
-          });
-        }
+        download.pendingRequests = Math.max(0, download.pendingRequests - 1);
+        await this.acceptPiece(id, download, chunkIndex, piece.bytes, piece.offset);
+      };
 
-        // Batch IndexedDB saves - only save every 10 chunks or every 2 seconds
-        const now = Date.now();
-        const shouldSave = download.receivedChunks.size % 10 === 0 || 
-                          (now - download.lastSaveTime > 2000) ||
-                          download.receivedChunks.size === download.totalPieces;
-        
-        if (shouldSave && !download.pendingSave) {
-          download.pendingSave = true;
-          download.lastSaveTime = now;
-          // Save asynchronously without blocking
-          this.saveDownloadInfo(id, {
-            filename: download.filename,
-            totalPieces: download.totalPieces,
-            receivedChunks: Array.from(download.receivedChunks),
-            size: download.size
-          }).finally(() => {
-            download.pendingSave = false;
-          });
+      // Handle errors that stop the download before it starts (expired link, missing file, locked file)
+      const errorHandler = (payload) => {
+        if (payload.fileId !== fileId) {
+          return; // Not our file
         }
+        if (!['FILE_EXPIRED', 'FILE_NOT_FOUND', 'PASSWORD_REQUIRED', 'DECRYPTION_FAILED'].includes(payload.errorType)) {
+          return;
+        }
+
+        wsClient.off('DOWNLOAD_INIT_SUCCESS', initHandler);
+        wsClient.off('DOWNLOAD_CHUNK', chunkHandler);
+        wsClient.off('ERROR', errorHandler);
+        this.activeDownloads.delete(fileId);
 
-        // Check if download is complete
-        if (download.receivedChunks.size === download.totalPieces) {
-          await this.completeDownload(id, download);
+        if (onError) {
+          onError(new Error(payload.message));
         }
       };
 
       wsClient.on('DOWNLOAD_INIT_SUCCESS', initHandler);
       wsClient.on('DOWNLOAD_CHUNK', chunkHandler);
+      wsClient.on('ERROR', errorHandler);
 
       // Store handlers for cleanup
       const download = this.activeDownloads.get(fileId);
       if (download) {
-        download.handlers = { initHandler, chunkHandler };
+        download.handlers = { initHandler, chunkHandler, errorHandler };
       }
     } catch (err) {
       console.error('Download error:', err);
@@ -280,6 +294,270 @@ export class WebSocketDownloadManager {
     }
   }
 
+  /**
+   * Key and metadata of an end-to-end encrypted file (throws if this browser has no key)
+   */
+  async openEncryption(fileId, { pieceSize, encryptedMetadata }) {
+    const encodedKey = getFileKey(fileId);
+    if (!encodedKey) {
+      throw new Error('This file is end-to-end encrypted. Open it from its full share link, including the part after #');
+    }
+
+    const key = await importFileKey(encodedKey);
+    let metadata;
+    try {
+      metadata = await decryptMetadata(key, encryptedMetadata);
+    } catch (err) {
+      throw new Error('The key in the share link does not match this file');
+    }
+    return { key, plainPieceSize: pieceSize - TAG_SIZE, metadata };
+  }
+
+  /**
+   * A received piece's plaintext and where it goes in the file
+   * (encrypted pieces are decrypted, which also authenticates them)
+   */
+  async decryptIfNeeded(download, index, bytes, offset) {
+    if (!download.encryption) {
+      return { bytes, offset };
+    }
+    return {
+      bytes: await decryptPiece(download.encryption.key, index, bytes),
+      offset: index * download.encryption.plainPieceSize
+    };
+  }
+
+  /**
+   * Write a verified piece (from the server or a peer) and update progress
+   */
+  async acceptPiece(id, download, chunkIndex, bytes, offset, fromPeer = false) {
+    if (download.receivedChunks.has(chunkIndex)) {
+      return;
+    }
+
+    // Write chunk to .part file at correct offset
+    if (download.writableStream) {
+      try {
+        // Use existing writable stream - much faster than creating new one.
+        // Positioned writes, since pieces from the server and peers arrive concurrently
+        await download.writableStream.write({ type: 'write', position: offset, data: bytes });
+        // Don't close - keep stream open for next chunk
+      } catch (err) {
+        console.error(`Error writing chunk ${chunkIndex} to file:`, err);
+        // Fallback: store in IndexedDB
+        await this.saveChunk(id, chunkIndex, bytes, offset);
+      }
+    } else if (download.partFileHandle) {
+      // Fallback: create stream if not exists (shouldn't happen normally)
+      try {
+        const writable = await download.partFileHandle.createWritable({ keepExistingData: true });
+        await writable.write({ type: 'write', position: offset, data: bytes });
+        download.writableStream = writable; // Store for future chunks
+      } catch (err) {
+        console.error(`Error writing chunk ${chunkIndex} to file:`, err);
+        await this.saveChunk(id, chunkIndex, bytes, offset);
+      }
+    } else {
+      // Fallback: store in IndexedDB
+      await this.saveChunk(id, chunkIndex, bytes, offset);
+    }
+
+    if (download.receivedChunks.has(chunkIndex)) {
+      return; // The same piece arrived from elsewhere while writing
+    }
+
+    // Mark chunk as received
+    download.receivedChunks.add(chunkIndex);
+    download.requestedChunks.delete(chunkIndex);
+    if (fromPeer) {
+      download.peerChunks++;
+    }
+    // Pieces in IndexedDB can be read back, so other browsers can fetch them from us
+    // (a .part file being written can't be read until it's closed)
+    if (download.swarm && !download.writableStream) {
+      download.swarm.announce([chunkIndex]);
+    }
+
+    // Keep pipeline full
+    this.fillPipeline(id);
+
+    // Update progress
+    this.reportProgress(id, download);
+
+    // Batch IndexedDB saves - only save every 10 chunks or every 2 seconds
+    const now = Date.now();
+    const shouldSave = download.receivedChunks.size % 10 === 0 ||
+                      (now - download.lastSaveTime > 2000) ||
+                      download.receivedChunks.size === download.totalPieces;
+
+    if (shouldSave && !download.pendingSave) {
+      download.pendingSave = true;
+      download.lastSaveTime = now;
+      // Save asynchronously without blocking
+      this.saveDownloadInfo(id, {
+        filename: download.filename,
+        totalPieces: download.totalPieces,
+        receivedChunks: Array.from(download.receivedChunks),
+        size: download.size
+      }).finally(() => {
+        download.pendingSave = false;
+      });
+    }
+
+    // Check if download is complete
+    if (download.receivedChunks.size === download.totalPieces) {
+      await this.completeDownload(id, download);
+    }
+  }
+
+  reportProgress(id, download) {
+    if (!download.onProgress) return;
+
+    const progress = (download.receivedChunks.size / download.totalPieces) * 100;
+    download.onProgress({
+      fileId: id,
+      progress: Math.round(progress),
+      receivedChunks: download.receivedChunks.size,
+      totalPieces: download.totalPieces,
+      peers: download.swarm ? download.swarm.getConnectedCount() : 0,
+      peerChunks: download.peerChunks
+    });
+  }
+
+  /**
+   * Request missing pieces: from a connected peer that has them, otherwise from the server.
+   * Pieces a peer has wait for that peer rather than going to the server; if the peer
+   * fails or times out, they fall back to the server.
+   */
+  fillPipeline(id) {
+    const download = this.activeDownloads.get(id);
+    if (!download || !download.allChunks) return;
+
+    const { swarm } = download;
+    // Give peers a moment to connect before the server sends everything
+    const waitForPeers = swarm && swarm.isConnecting() && Date.now() < download.peerWaitUntil;
+    const serverBatch = [];
+
+    for (const chunk of download.allChunks) {
+      if (download.receivedChunks.has(chunk.index) || download.requestedChunks.has(chunk.index)) {
+        continue;
+      }
+
+      const peer = swarm && swarm.findPeerFor(chunk.index);
+      if (peer) {
+        download.requestedChunks.add(chunk.index);
+        swarm.requestPiece(peer, chunk.index);
+      } else if (!waitForPeers && !(swarm && swarm.hasPeerWith(chunk.index)) &&
+        download.pendingRequests + serverBatch.length < MAX_PENDING) {
+        serverBatch.push(chunk);
+      }
+    }
+
+    for (let i = 0; i < serverBatch.length; i += BATCH_SIZE) {
+      this.requestChunkBatch(id, serverBatch.slice(i, i + BATCH_SIZE), 0);
+    }
+  }
+
+  /**
+   * Connect to other browsers downloading the file (peer ids from DOWNLOAD_INIT_SUCCESS)
+   */
+  startSwarm(id, download, { peers = [], iceServers = [] }) {
+    download.swarm = new PeerSwarm(id, {
+      iceServers,
+      pieces: download.pieces,
+      readPiece: (index) => this.readPiece(id, download, index),
+      onPiece: async (index, bytes) => {
+        try {
+          const piece = await this.decryptIfNeeded(download, index, bytes, download.pieces.get(index).offset);
+          await this.acceptPiece(id, download, index, piece.bytes, piece.offset, true);
+        } catch (err) {
+          console.error(`[${id}] Could not decrypt chunk ${index} from a peer:`, err);
+          download.requestedChunks.delete(index);
+          this.fillPipeline(id);
+        }
+      },
+      onPieceFailed: (index) => {
+        download.requestedChunks.delete(index);
+        this.fillPipeline(id);
+      },
+      onPeersChanged: () => {
+        this.fillPipeline(id);
+        if (this.activeDownloads.has(id)) {
+          this.reportProgress(id, download);
+        }
+      }
+    });
+
+    if (peers.length > 0) {
+      download.peerWaitUntil = Date.now() + PEER_WAIT;
+      download.swarm.connect(peers);
+      // Stop waiting once the timeout passes, even if no peer ever connected
+      setTimeout(() => this.fillPipeline(id), PEER_WAIT);
+    }
+  }
+
+  /**
+   * Bytes of a piece to serve to a peer, or null if we can't read it (yet)
+   * Peers exchange the pieces as stored on the server, so encrypted files are re-encrypted
+   */
+  async readPiece(fileId, download, index) {
+    const bytes = await this.readStoredPiece(fileId, download, index);
+    if (!bytes || !download.encryption) {
+      return bytes;
+    }
+    return encryptPiece(download.encryption.key, index, bytes);
+  }
+
+  async readStoredPiece(fileId, download, index) {
+    const piece = download.pieces.get(index);
+    if (!piece) return null;
+
+    if (download.source) {
+      const { encryption } = download;
+      const offset = encryption ? index * encryption.plainPieceSize : piece.offset;
+      const size = encryption ? piece.size - TAG_SIZE : piece.size;
+      const blob = download.source.slice(offset, offset + size);
+      return new Uint8Array(await blob.arrayBuffer());
+    }
+
+    if (download.writableStream || !download.receivedChunks.has(index)) {
+      return null;
+    }
+
+    try {
+      const db = await this.openDB();
+      const request = db.transaction(['chunks'], 'readonly').objectStore('chunks').get([fileId, index]);
+      const chunk = await new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      return chunk ? new Uint8Array(chunk.data) : null;
+    } catch (err) {
+      console.error(`[${fileId}] Error reading chunk ${index} for a peer:`, err);
+      return null;
+    }
+  }
+
+  /**
+   * Keep serving a finished download to other browsers until it's cancelled or the page closes
+   */
+  startSeeding(fileId, download, source) {
+    if (!download.swarm) return;
+
+    download.source = source;
+    this.seeding.set(fileId, download);
+    download.swarm.announce(download.allChunks.map(chunk => chunk.index));
+  }
+
+  stopSeeding(fileId) {
+    const download = this.seeding.get(fileId);
+    if (!download) return;
+
+    this.seeding.delete(fileId);
+    download.swarm.close();
+    wsClient.send('DOWNLOAD_CANCEL', { fileId });
+  }
+
   /**
    * Request chunks in batches for better performance
    */
@@ -287,7 +565,6 @@ export class WebSocketDownloadManager {
     const download = this.activeDownloads.get(fileId);
     if (!download) return;
     
-    const BATCH_SIZE = 20;
     const batch = chunks.slice(0, BATCH_SIZE);
     
     // Filter out already requested/received chunks
@@ -371,6 +648,7 @@ export class WebSocketDownloadManager {
         const writable = await finalFileHandle.createWritable();
         await writable.write(fileData);
         await writable.close();
+        this.startSeeding(fileId, download, await finalFileHandle.getFile());
         
         // Delete .part file
         try {
@@ -419,6 +697,7 @@ export class WebSocketDownloadManager {
       // Create blob from chunks
       const blobParts = chunks.map(c => c.data);
       const blob = new Blob(blobParts, { type: 'application/octet-stream' });
+      this.startSeeding(fileId, download, blob);
 
       // Download blob
       const url = URL.createObjectURL(blob);
@@ -541,6 +820,10 @@ export class WebSocketDownloadManager {
    * Cancel download
    */
   async cancelDownload(fileId) {
+    if (this.seeding.has(fileId)) {
+      this.stopSeeding(fileId);
+    }
+
     if (this.activeDownloads.has(fileId)) {
       const download = this.activeDownloads.get(fileId);
       
@@ -557,6 +840,11 @@ export class WebSocketDownloadManager {
       if (download.handlers) {
         wsClient.off('DOWNLOAD_INIT_SUCCESS', download.handlers.initHandler);
         wsClient.off('DOWNLOAD_CHUNK', download.handlers.chunkHandler);
+        wsClient.off('ERROR', download.handlers.errorHandler);
+      }
+
+      if (download.swarm) {
+        download.swarm.close();
       }
 
       // Send cancel message
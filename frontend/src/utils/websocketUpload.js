@@ -1,14 +1,119 @@
 import wsClient from './websocketClient';
-import { getPieceSize, hashPiece } from './chunking';
+import { getPieceSize, hashPiece, hashFilePieces, decodePieceBitmap } from './chunking';
+import { encodeChunkFrame } from './binaryFrames';
+import {
+  TAG_SIZE,
+  generateFileKey,
+  importFileKey,
+  getEncryptedSize,
+  encryptPiece,
+  encryptMetadata
+} from './encryption';
+import { setFileKey } from './fileKeys';
+
+// Unfinished uploads (fileId + upload secret) by file, so a reload can resume them
+const PENDING_UPLOADS_KEY = 'pendingUploads';
+
+/**
+ * Identify a local file well enough to match it again after a page reload
+ */
+function getFileKey(file) {
+  return `${file.webkitRelativePath || file.name}:${file.size}:${file.lastModified}`;
+}
+
+function loadPendingUploads() {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_UPLOADS_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function savePendingUploads(pending) {
+  try {
+    localStorage.setItem(PENDING_UPLOADS_KEY, JSON.stringify(pending));
+  } catch (err) {
+    console.error('Could not save upload progress:', err);
+  }
+}
+
+function getPendingUpload(file) {
+  return loadPendingUploads()[getFileKey(file)] || null;
+}
+
+function setPendingUpload(file, entry) {
+  const pending = loadPendingUploads();
+  pending[getFileKey(file)] = entry;
+  savePendingUploads(pending);
+}
+
+function removePendingUpload(file) {
+  const pending = loadPendingUploads();
+  delete pending[getFileKey(file)];
+  savePendingUploads(pending);
+}
+
+/**
+ * Create a folder share over WebSocket; its files are then uploaded with
+ * uploadFileViaWebSocket and options { folder, relativePath }
+ * options: { expiresIn, maxDownloads, password } - share link settings of the folder
+ * Resolves with { collectionId, name, uploadSecret, ... }
+ */
+export async function createFolderViaWebSocket(name, totalSize, options = {}) {
+  await wsClient.connect();
+
+  return new Promise((resolve, reject) => {
+    const requestId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+    const cleanup = () => {
+      wsClient.off('FOLDER_INIT_SUCCESS', successHandler);
+      wsClient.off('ERROR', errorHandler);
+    };
+
+    const successHandler = (payload) => {
+      if (payload.requestId !== requestId) {
+        return;
+      }
+      cleanup();
+      resolve(payload);
+    };
+
+    const errorHandler = (payload) => {
+      if (payload.requestId === requestId || payload.errorType === 'AUTH_REQUIRED') {
+        cleanup();
+        reject(new Error(payload.errorType === 'AUTH_REQUIRED' ? 'Authentication required. Please log in.' : payload.message));
+      }
+    };
+
+    wsClient.on('FOLDER_INIT_SUCCESS', successHandler);
+    wsClient.on('ERROR', errorHandler);
+    wsClient.send('FOLDER_INIT', {
+      name,
+      size: totalSize,
+      requestId,
+      expiresIn: options.expiresIn || undefined,
+      maxDownloads: options.maxDownloads || undefined,
+      password: options.password || undefined
+    });
+  });
+}
 
 /**
  * Upload file via WebSocket
+ * options: { expiresIn, maxDownloads, password } - optional share link settings,
+ * encrypt - encrypt the file end-to-end (the key is returned and kept in this browser),
+ * folder and relativePath - add the file to a folder share made by createFolderViaWebSocket
+ *
+ * Before any data is sent the file's piece hashes go to the server with UPLOAD_INIT, and
+ * only the pieces the server doesn't already hold are uploaded (nothing at all when the
+ * same file was shared before).
+ *
+ * Uploads survive dropped connections: after a reconnect (or when the same file is
+ * picked again after a page reload) the upload is resumed with UPLOAD_RESUME and only
+ * the pieces the server is missing are sent.
  */
-export async function uploadFileViaWebSocket(file, onProgress, onFileStart) {
+export async function uploadFileViaWebSocket(file, onProgress, onFileStart, options = {}) {
   return new Promise(async (resolve, reject) => {
-    // Create a unique upload session ID to isolate this upload
-    const uploadSessionId = `upload-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    
     try {
       // Connect to WebSocket
       await wsClient.connect();
@@ -16,89 +121,264 @@ export async function uploadFileViaWebSocket(file, onProgress, onFileStart) {
       const fileSize = file.size;
       let uploadedChunks = 0;
       let fileId = null;
+      let uploadSecret = null;
       let totalPieces = 0;
       let pieceSize = 0;
+      // Piece hashes sent with UPLOAD_INIT (reused while uploading)
+      let pieceHashes = null;
       const fileName = file.name;
       let isResolved = false;
-      
+      let fileStarted = false;
+      // Bumped whenever chunk sending restarts so a stale send loop stops
+      let sendGeneration = 0;
+
       // Generate a unique request ID to match responses
       const requestId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
-      // Initialize upload with request ID
-      wsClient.send('UPLOAD_INIT', {
-        filename: fileName,
-        size: fileSize,
-        mimeType: file.type || 'application/octet-stream',
-        requestId: requestId // Include request ID to match response
-      });
+      // Upload being resumed from an earlier page load (if any) - only with the same encryption
+      // choice, and into the same folder share (a folder picked again is a new share)
+      const collectionId = options.folder ? options.folder.collectionId : undefined;
+      const savedUpload = getPendingUpload(file);
+      const pending = savedUpload && !!savedUpload.key === !!options.encrypt &&
+        savedUpload.collectionId === collectionId ? savedUpload : null;
+      let resumingFileId = pending ? pending.fileId : null;
+
+      // End-to-end encryption: pieces are encrypted before hashing, so the server (and
+      // the manifest) only ever see ciphertext. A resumed upload keeps its key.
+      const encryptionKey = options.encrypt ? (pending ? pending.key : await generateFileKey()) : null;
+      const encryption = encryptionKey ? { key: await importFileKey(encryptionKey) } : null;
+      const plainPieceSize = getPieceSize(fileSize);
+      const uploadSize = encryption ? getEncryptedSize(fileSize, plainPieceSize) : fileSize;
+      const uploadFilename = encryption ? 'encrypted' : fileName;
+
+      const removeHandlers = () => {
+        wsClient.off('UPLOAD_INIT_SUCCESS', initHandler);
+        wsClient.off('UPLOAD_RESUME_SUCCESS', resumeHandler);
+        wsClient.off('UPLOAD_CHUNK_SUCCESS', chunkHandler);
+        wsClient.off('UPLOAD_COMPLETE', completeHandler);
+        wsClient.off('ERROR', errorHandler);
+        wsClient.off('CONNECTION_OPEN', connectionOpenHandler);
+        wsClient.off('CONNECTION_LOST', connectionLostHandler);
+      };
+
+      const fail = (error, { keepResumable = false } = {}) => {
+        if (isResolved) {
+          return;
+        }
+        isResolved = true;
+        removeHandlers();
+        if (!keepResumable) {
+          removePendingUpload(file);
+        }
+        reject(error);
+      };
+
+      const startFile = (payload) => {
+        if (fileStarted) {
+          return;
+        }
+        fileStarted = true;
+        if (!onFileStart) {
+          return;
+        }
+        onFileStart({
+          id: fileId,
+          filename: fileName,
+          size: fileSize,
+          totalPieces: payload.totalPieces,
+          pieceSize: payload.pieceSize,
+          expiresAt: payload.expiresAt,
+          maxDownloads: payload.maxDownloads,
+          isProtected: payload.isProtected,
+          collectionId,
+          collectionName: options.folder ? options.folder.name : undefined,
+          relativePath: options.relativePath,
+          uploadComplete: false
+        });
+      };
+
+      const sendChunks = (chunkIndices) => {
+        const generation = ++sendGeneration;
+        uploadChunks(
+          file,
+          fileId,
+          pieceSize,
+          chunkIndices,
+          pieceHashes,
+          encryption,
+          () => isResolved || generation !== sendGeneration || !wsClient.isConnected(),
+          (err) => fail(err, { keepResumable: true })
+        );
+      };
+
+      // Pieces the server doesn't have yet, from its bitmap
+      const getMissingPieces = (bitmap) => {
+        const stored = decodePieceBitmap(bitmap, totalPieces);
+        const missing = [];
+        for (let i = 0; i < totalPieces; i++) {
+          if (!stored.has(i)) {
+            missing.push(i);
+          }
+        }
+        return missing;
+      };
+
+      const sendInit = async () => {
+        if (!pieceHashes) {
+          try {
+            const transform = encryption ? (index, data) => encryptPiece(encryption.key, index, data) : null;
+            pieceHashes = await hashFilePieces(file, plainPieceSize, (hashed, total) => {
+              if (onProgress) {
+                onProgress({
+                  filename: fileName,
+                  progress: 0,
+                  loaded: 0,
+                  total,
+                  bytesLoaded: 0,
+                  bytesTotal: fileSize,
+                  speed: encryption
+                    ? `Encrypting... ${Math.round((hashed / total) * 100)}%`
+                    : `Checking for existing content... ${Math.round((hashed / total) * 100)}%`
+                });
+              }
+            }, transform);
+          } catch (err) {
+            fail(new Error(`Could not read file: ${err.message}`));
+            return;
+          }
+        }
+        if (isResolved) {
+          return;
+        }
+
+        // Encrypted uploads tell the server nothing but the (padded) size
+        const encryptionFields = encryption ? {
+          encrypted: true,
+          pieceSize: plainPieceSize + TAG_SIZE,
+          encryptedMetadata: await encryptMetadata(encryption.key, {
+            name: fileName,
+            type: file.type || 'application/octet-stream',
+            size: fileSize
+          })
+        } : {};
+
+        wsClient.send('UPLOAD_INIT', {
+          filename: uploadFilename,
+          size: uploadSize,
+          mimeType: encryption ? undefined : file.type || 'application/octet-stream',
+          requestId: requestId, // Include request ID to match response
+          expiresIn: options.expiresIn || undefined,
+          maxDownloads: options.maxDownloads || undefined,
+          password: options.password || undefined,
+          collectionId,
+          collectionSecret: options.folder ? options.folder.uploadSecret : undefined,
+          relativePath: options.relativePath,
+          pieceHashes,
+          ...encryptionFields
+        });
+      };
+
+      const sendResume = (id, secret) => {
+        wsClient.send('UPLOAD_RESUME', { fileId: id, uploadSecret: secret });
+      };
 
       // Track if we've received our init response
       let initReceived = false;
-      
+
       // Handle upload init success - scoped to this specific upload session
       const initHandler = (payload) => {
-        // If we already received init, ignore
-        if (initReceived) {
+        // If we already received init (or are resuming), ignore
+        if (initReceived || resumingFileId) {
           return;
         }
-        
+
         // Match by requestId if available, otherwise by filename+size
         const matchesRequest = payload.requestId === requestId;
-        const matchesFile = payload.filename === fileName && payload.size === fileSize;
-        
+        const matchesFile = payload.filename === uploadFilename && payload.size === uploadSize;
+
         if (!matchesRequest && !matchesFile) {
           return; // Not our response
         }
-        
+
         // Accept this as our response and set fileId
         fileId = payload.fileId;
+        uploadSecret = payload.uploadSecret;
         initReceived = true;
-        
+
         totalPieces = payload.totalPieces;
         pieceSize = payload.pieceSize;
-        
-        if (onFileStart) {
-          onFileStart({
-            id: fileId,
-            filename: fileName,
-            size: fileSize,
-            totalPieces: payload.totalPieces,
-            pieceSize: payload.pieceSize,
-            uploadComplete: false
-          });
+        uploadedChunks = payload.uploadedChunks || 0;
+
+        // Keep the key so this browser can show the full share link later
+        if (encryptionKey) {
+          setFileKey(fileId, encryptionKey);
         }
-        
-        // Start uploading chunks
-        uploadChunks(file, fileId, pieceSize, payload.totalPieces, fileSize, onProgress, resolve, reject, uploadSessionId);
+
+        startFile(payload);
+
+        // The server already had all of it
+        if (payload.complete) {
+          completeHandler({ fileId });
+          return;
+        }
+
+        if (uploadSecret) {
+          setPendingUpload(file, { fileId, uploadSecret, key: encryptionKey || undefined, collectionId });
+        }
+
+        // Upload whatever the server is missing
+        reportProgress(uploadedChunks);
+        sendChunks(getMissingPieces(payload.bitmap));
       };
 
-      // Handle chunk upload success - scoped to this specific file
-      const chunkHandler = (payload) => {
-        // Only handle chunks for this specific file
-        if (!fileId || payload.fileId !== fileId) {
+      // Handle resume success - the server tells us which pieces it already has
+      const resumeHandler = (payload) => {
+        if (payload.fileId !== (fileId || resumingFileId)) {
           return; // Not our file
         }
-        
+
+        if (!fileId) {
+          fileId = resumingFileId;
+          uploadSecret = pending.uploadSecret;
+          resumingFileId = null;
+          initReceived = true;
+        }
+        totalPieces = payload.totalPieces;
+        pieceSize = payload.pieceSize;
         uploadedChunks = payload.uploadedChunks;
-        const progress = totalPieces > 0 ? (uploadedChunks / totalPieces) * 100 : 0;
-        
-        // Calculate bytes transferred
+
+        startFile(payload);
+
+        if (payload.complete) {
+          completeHandler({ fileId });
+          return;
+        }
+
+        reportProgress(uploadedChunks);
+        sendChunks(getMissingPieces(payload.bitmap));
+      };
+
+      const reportProgress = (uploaded) => {
+        const progress = totalPieces > 0 ? (uploaded / totalPieces) * 100 : 0;
+
+        // Calculate bytes transferred (of the original file)
+        const filePieceSize = encryption ? pieceSize - TAG_SIZE : pieceSize;
         let bytesTransferred = 0;
-        if (uploadedChunks > 0 && pieceSize > 0) {
-          if (uploadedChunks === totalPieces) {
+        if (uploaded > 0 && filePieceSize > 0) {
+          if (uploaded === totalPieces) {
             bytesTransferred = fileSize;
           } else {
-            const fullChunksBytes = (uploadedChunks - 1) * pieceSize;
-            const lastChunkSize = Math.min(pieceSize, fileSize - fullChunksBytes);
+            const fullChunksBytes = (uploaded - 1) * filePieceSize;
+            const lastChunkSize = Math.min(filePieceSize, fileSize - fullChunksBytes);
             bytesTransferred = fullChunksBytes + lastChunkSize;
           }
         }
-        
+
         if (onProgress) {
           onProgress({
             filename: fileName,
             progress: Math.round(progress),
-            loaded: uploadedChunks,
+            loaded: uploaded,
             total: totalPieces,
             bytesLoaded: bytesTransferred,
             bytesTotal: fileSize,
@@ -107,19 +387,26 @@ export async function uploadFileViaWebSocket(file, onProgress, onFileStart) {
         }
       };
 
+      // Handle chunk upload success - scoped to this specific file
+      const chunkHandler = (payload) => {
+        // Only handle chunks for this specific file
+        if (!fileId || payload.fileId !== fileId) {
+          return; // Not our file
+        }
+
+        uploadedChunks = payload.uploadedChunks;
+        reportProgress(uploadedChunks);
+      };
+
       // Handle upload complete - scoped to this specific file
       const completeHandler = (payload) => {
         if (payload.fileId !== fileId || isResolved) {
           return; // Not our file or already resolved
         }
-        
+
         isResolved = true;
-        
-        // Clean up handlers
-        wsClient.off('UPLOAD_INIT_SUCCESS', initHandler);
-        wsClient.off('UPLOAD_CHUNK_SUCCESS', chunkHandler);
-        wsClient.off('UPLOAD_COMPLETE', completeHandler);
-        wsClient.off('ERROR', errorHandler);
+        removeHandlers();
+        removePendingUpload(file);
 
         if (onProgress) {
           onProgress({
@@ -135,53 +422,74 @@ export async function uploadFileViaWebSocket(file, onProgress, onFileStart) {
 
         resolve({
           success: true,
-          fileId: payload.fileId
+          fileId: payload.fileId,
+          key: encryptionKey || undefined
         });
       };
 
       // Handle errors - scoped to this specific file
       const errorHandler = (payload) => {
+        if (payload.errorType === 'UPLOAD_NOT_FOUND' || payload.errorType === 'UPLOAD_RESUME_ERROR') {
+          if (resumingFileId && payload.fileId === resumingFileId) {
+            // The earlier upload can't be resumed (expired, removed, other account) - start over
+            resumingFileId = null;
+            removePendingUpload(file);
+            sendInit();
+          } else if (fileId && payload.fileId === fileId) {
+            fail(new Error(payload.message));
+          }
+          return;
+        }
+
         // Only handle errors for our file or init errors (before we have fileId)
         if (fileId && payload.fileId && payload.fileId !== fileId) {
           return; // Not our file's error
         }
-        
+
         if (payload.errorType === 'AUTH_REQUIRED') {
-          // Authentication required - trigger login
-          if (!isResolved) {
-            isResolved = true;
-            // Clean up handlers
-            wsClient.off('UPLOAD_INIT_SUCCESS', initHandler);
-            wsClient.off('UPLOAD_CHUNK_SUCCESS', chunkHandler);
-            wsClient.off('UPLOAD_COMPLETE', completeHandler);
-            wsClient.off('ERROR', errorHandler);
-            reject(new Error('Authentication required. Please log in.'));
-          }
+          // Authentication required - trigger login (the upload can be resumed afterwards)
+          fail(new Error('Authentication required. Please log in.'), { keepResumable: true });
           return;
         }
-        
-        if (payload.errorType === 'UPLOAD_INIT_ERROR' || 
+
+        if (payload.errorType === 'UPLOAD_INIT_ERROR' ||
             payload.errorType === 'UPLOAD_CHUNK_ERROR' ||
             payload.errorType === 'STORAGE_LIMIT_EXCEEDED' ||
             payload.errorType === 'HASH_MISMATCH') {
-          
-          if (!isResolved) {
-            isResolved = true;
-            // Clean up handlers
-            wsClient.off('UPLOAD_INIT_SUCCESS', initHandler);
-            wsClient.off('UPLOAD_CHUNK_SUCCESS', chunkHandler);
-            wsClient.off('UPLOAD_COMPLETE', completeHandler);
-            wsClient.off('ERROR', errorHandler);
-            reject(new Error(payload.message));
-          }
+          fail(new Error(payload.message));
         }
       };
 
+      // The socket came back after a drop: pick the upload up where the server left it
+      const connectionOpenHandler = (payload) => {
+        if (!payload.reconnected || isResolved) {
+          return;
+        }
+        if (fileId && uploadSecret) {
+          sendResume(fileId, uploadSecret);
+        } else if (resumingFileId) {
+          sendResume(resumingFileId, pending.uploadSecret);
+        }
+      };
+
+      const connectionLostHandler = () => {
+        fail(new Error('Connection lost. Select the file again to resume the upload.'), { keepResumable: true });
+      };
+
       // Register all handlers
       wsClient.on('UPLOAD_INIT_SUCCESS', initHandler);
+      wsClient.on('UPLOAD_RESUME_SUCCESS', resumeHandler);
       wsClient.on('UPLOAD_CHUNK_SUCCESS', chunkHandler);
       wsClient.on('UPLOAD_COMPLETE', completeHandler);
       wsClient.on('ERROR', errorHandler);
+      wsClient.on('CONNECTION_OPEN', connectionOpenHandler);
+      wsClient.on('CONNECTION_LOST', connectionLostHandler);
+
+      if (pending) {
+        sendResume(pending.fileId, pending.uploadSecret);
+      } else {
+        sendInit();
+      }
     } catch (err) {
       reject(err);
     }
@@ -189,48 +497,67 @@ export async function uploadFileViaWebSocket(file, onProgress, onFileStart) {
 }
 
 /**
- * Upload chunks sequentially
+ * Upload the given chunks sequentially
+ * pieceHashes (optional) are the hashes already computed for the manifest
+ * encryption (optional) is { key }: pieces are read at the plaintext piece size and
+ * encrypted before sending
+ * Stops quietly when shouldStop() says so (e.g. the socket dropped - the upload is
+ * resumed from the server's bitmap once it reconnects)
  */
-async function uploadChunks(file, fileId, pieceSize, totalPieces, fileSize, onProgress, resolve, reject, uploadSessionId) {
-  let currentChunkIndex = 0;
-  let errorOccurred = false;
+async function uploadChunks(file, fileId, pieceSize, chunkIndices, pieceHashes, encryption, shouldStop, onError) {
+  const readSize = encryption ? pieceSize - TAG_SIZE : pieceSize;
+
+  let position = 0;
 
   const uploadNextChunk = async () => {
-    if (errorOccurred || currentChunkIndex >= totalPieces) {
-      return; // All chunks uploaded or error occurred
+    if (shouldStop() || position >= chunkIndices.length) {
+      return; // All chunks uploaded, error occurred or connection lost
     }
 
+    const chunkIndex = chunkIndices[position];
     try {
-      const offset = currentChunkIndex * pieceSize;
-      const remainingBytes = file.size - offset;
-      const currentChunkSize = Math.min(pieceSize, remainingBytes);
-      const chunk = file.slice(offset, offset + currentChunkSize);
+      const offset = chunkIndex * pieceSize;
+      const readOffset = chunkIndex * readSize;
+      const chunk = file.slice(readOffset, readOffset + readSize);
 
       // Read chunk as ArrayBuffer
       const arrayBuffer = await chunk.arrayBuffer();
-      const uint8Array = new Uint8Array(arrayBuffer);
-      
-      // Convert to base64 in chunks to avoid "too many function arguments" error
-      const base64Data = uint8ArrayToBase64(uint8Array);
-      
-      // Calculate hash
-      const hash = await hashPiece(uint8Array);
-
-      // Send chunk
-      wsClient.send('UPLOAD_CHUNK', {
-        fileId,
-        chunkIndex: currentChunkIndex,
-        data: base64Data,
-        hash
-      });
-
-      currentChunkIndex++;
-      
+      const uint8Array = encryption
+        ? await encryptPiece(encryption.key, chunkIndex, new Uint8Array(arrayBuffer))
+        : new Uint8Array(arrayBuffer);
+
+      // Calculate hash (unless it's in the manifest already)
+      const hash = pieceHashes ? pieceHashes[chunkIndex] : await hashPiece(uint8Array);
+
+      if (shouldStop()) {
+        return;
+      }
+
+      // Send chunk - raw bytes when the server supports binary frames
+      if (wsClient.supportsBinary()) {
+        wsClient.sendBinary(encodeChunkFrame('UPLOAD_CHUNK', {
+          fileId,
+          chunkIndex,
+          offset,
+          hash,
+          data: uint8Array
+        }));
+      } else {
+        // Convert to base64 in chunks to avoid "too many function arguments" error
+        wsClient.send('UPLOAD_CHUNK', {
+          fileId,
+          chunkIndex,
+          data: uint8ArrayToBase64(uint8Array),
+          hash
+        });
+      }
+
+      position++;
+
       // Upload next chunk with minimal delay to allow parallel uploads
       setTimeout(uploadNextChunk, 1);
     } catch (err) {
-      errorOccurred = true;
-      reject(new Error(`Error uploading chunk ${currentChunkIndex}: ${err.message}`));
+      onError(new Error(`Error uploading chunk ${chunkIndex}: ${err.message}`));
     }
   };
 
@@ -245,13 +572,13 @@ async function uploadChunks(file, fileId, pieceSize, totalPieces, fileSize, onPr
 function uint8ArrayToBase64(uint8Array) {
   const chunkSize = 8192; // Process in chunks of 8KB
   let result = '';
-  
+
   for (let i = 0; i < uint8Array.length; i += chunkSize) {
     const chunk = uint8Array.subarray(i, i + chunkSize);
     // Use Array.from to convert to array, then apply
     const chunkArray = Array.from(chunk);
     result += String.fromCharCode.apply(null, chunkArray);
   }
-  
+
   return btoa(result);
 }
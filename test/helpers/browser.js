@@ -0,0 +1,176 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+
+/**
+ * Helpers for tests that drive the built frontend in headless Chrome against a real server
+ *
+ * Chrome is taken from CHROME_PATH, or found at the usual install locations; tests skip
+ * themselves when there is none. Each browser runs as its own process, so several of them
+ * on one machine act as separate downloaders.
+ */
+
+const ROOT = path.join(__dirname, '../..');
+
+const CHROME_LOCATIONS = [
+  '/usr/bin/chromium',
+  '/usr/bin/chromium-browser',
+  '/usr/bin/google-chrome-stable',
+  '/usr/bin/google-chrome',
+  '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome'
+];
+
+// Let browsers on one machine connect over loopback without hiding their addresses behind mDNS
+const WEBRTC_ARGS = ['--allow-loopback-in-peer-connection', '--disable-features=WebRtcHideLocalIpsWithMdns'];
+
+const SERVER_START_TIMEOUT = 30000;
+
+/**
+ * Path of the Chrome or Chromium to test with, or null if there is none
+ */
+function findChrome() {
+  if (process.env.CHROME_PATH) {
+    return process.env.CHROME_PATH;
+  }
+  return CHROME_LOCATIONS.find(location => fs.existsSync(location)) || null;
+}
+
+/**
+ * Temporary directory removed when the test ends
+ */
+function makeTempDir(t, prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function run(command, args, options) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'ignore', 'pipe'], ...options });
+    let stderr = '';
+    child.stderr.on('data', data => { stderr += data; });
+    child.on('error', reject);
+    child.on('exit', code => {
+      if (code === 0) resolve();
+      else reject(new Error(`${command} ${args.join(' ')} exited with ${code}\n${stderr}`));
+    });
+  });
+}
+
+/**
+ * Build the frontend into outDir (needs the frontend's dependencies installed)
+ */
+function buildFrontend(outDir) {
+  return run('npx', ['vite', 'build', '--outDir', outDir, '--emptyOutDir'], {
+    cwd: path.join(ROOT, 'frontend'),
+    shell: process.platform === 'win32'
+  });
+}
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the server on a free port with its own data, uploads and frontend directories
+ * Returns its base URL; the server is stopped when the test ends.
+ */
+async function startServer(t, { publicDir, env = {} }) {
+  const dir = makeTempDir(t, 'hfs-server-');
+  const port = await getFreePort();
+  const url = `http://127.0.0.1:${port}`;
+
+  const server = spawn(process.execPath, [path.join(ROOT, 'backend/server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: path.join(dir, 'data'),
+      UPLOADS_DIR: path.join(dir, 'uploads'),
+      PUBLIC_DIR: publicDir,
+      REQUIRE_PASSWORD: 'false',
+      ...env
+    },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+  const exited = new Promise(resolve => server.once('exit', resolve));
+  t.after(async () => {
+    server.kill();
+    await exited;
+  });
+
+  const deadline = Date.now() + SERVER_START_TIMEOUT;
+  while (Date.now() < deadline) {
+    if (server.exitCode !== null) {
+      throw new Error(`Server exited with ${server.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${url}/api/health`);
+      if (response.ok) return url;
+    } catch (err) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start in time');
+}
+
+/**
+ * Launch headless Chrome that saves downloads into downloadDir; closed when the test ends
+ * Pages get no File System Access API, so downloads are kept in IndexedDB and saved with
+ * a download link, as in browsers without it.
+ */
+async function launchBrowser(t, executablePath, downloadDir) {
+  const puppeteer = require('puppeteer-core');
+
+  const browser = await puppeteer.launch({
+    executablePath,
+    headless: true,
+    // Chrome's sandbox can't run as root (e.g. in CI containers)
+    args: [...WEBRTC_ARGS, ...(process.getuid && process.getuid() === 0 ? ['--no-sandbox'] : [])]
+  });
+  t.after(() => browser.close());
+
+  const session = await browser.target().createCDPSession();
+  await session.send('Browser.setDownloadBehavior', { behavior: 'allow', downloadPath: downloadDir });
+
+  const page = await browser.newPage();
+  await page.evaluateOnNewDocument(() => {
+    Object.defineProperty(window, 'showSaveFilePicker', { value: undefined });
+  });
+  return { browser, page };
+}
+
+/**
+ * Wait for a browser download to be saved completely; returns its contents
+ */
+async function waitForDownload(downloadDir, name, size, timeout) {
+  const filePath = path.join(downloadDir, name);
+  const deadline = Date.now() + timeout;
+
+  while (Date.now() < deadline) {
+    if (fs.existsSync(filePath) && fs.statSync(filePath).size === size) {
+      return fs.readFileSync(filePath);
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`${name} was not downloaded within ${timeout} ms`);
+}
+
+module.exports = {
+  findChrome,
+  makeTempDir,
+  buildFrontend,
+  startServer,
+  launchBrowser,
+  waitForDownload
+};
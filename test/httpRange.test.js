@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { makeTempDir } = require('./helpers/browser');
+const {
+  parseRangeHeader,
+  intersectRanges,
+  checkPreconditions,
+  isRangeCurrent,
+  sendStoredFile,
+  sendRangeNotSatisfiable
+} = require('../backend/utils/httpRange');
+
+const ETAG = '"abc123"';
+const LAST_MODIFIED = new Date('2024-05-01T12:00:00.500Z');
+
+function request(headers) {
+  return { method: 'GET', headers };
+}
+
+/**
+ * Serve `handler(req, res)` on a free port for one request; returns the response and body
+ * The plain response gets the status() and json() of Express's.
+ */
+async function fetchFrom(t, handler) {
+  const server = http.createServer((req, res) => {
+    res.status = code => {
+      res.statusCode = code;
+      return res;
+    };
+    res.json = body => res.end(JSON.stringify(body));
+    handler(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/`);
+  return { response, body: Buffer.from(await response.arrayBuffer()) };
+}
+
+test('parseRangeHeader reads single, open-ended and suffix ranges', () => {
+  assert.deepStrictEqual(parseRangeHeader('bytes=0-99', 1000), [{ start: 0, end: 99 }]);
+  assert.deepStrictEqual(parseRangeHeader('bytes=900-', 1000), [{ start: 900, end: 999 }]);
+  assert.deepStrictEqual(parseRangeHeader('bytes=-100', 1000), [{ start: 900, end: 999 }]);
+  // A suffix longer than the file is the whole file
+  assert.deepStrictEqual(parseRangeHeader('bytes=-5000', 1000), [{ start: 0, end: 999 }]);
+  // Ends past the file are clamped
+  assert.deepStrictEqual(parseRangeHeader('bytes=990-2000', 1000), [{ start: 990, end: 999 }]);
+});
+
+test('parseRangeHeader sorts and merges overlapping and adjacent ranges', () => {
+  assert.deepStrictEqual(
+    parseRangeHeader('bytes=500-599, 0-99, 50-149, 150-199', 1000),
+    [{ start: 0, end: 199 }, { start: 500, end: 599 }]
+  );
+});
+
+test('parseRangeHeader ignores headers it can\'t apply', () => {
+  assert.strictEqual(parseRangeHeader(undefined, 1000), null);
+  assert.strictEqual(parseRangeHeader('items=0-1', 1000), null);
+  assert.strictEqual(parseRangeHeader('bytes=abc', 1000), null);
+  assert.strictEqual(parseRangeHeader('bytes=-', 1000), null);
+  assert.strictEqual(parseRangeHeader('bytes=100-50', 1000), null);
+  const tooMany = Array.from({ length: 101 }, (_, i) => `${i * 2}-${i * 2}`).join(',');
+  assert.strictEqual(parseRangeHeader(`bytes=${tooMany}`, 1000), null);
+});
+
+test('parseRangeHeader returns no ranges when none is satisfiable', () => {
+  assert.deepStrictEqual(parseRangeHeader('bytes=1000-', 1000), []);
+  assert.deepStrictEqual(parseRangeHeader('bytes=-0', 1000), []);
+  assert.deepStrictEqual(parseRangeHeader('bytes=-10', 0), []);
+});
+
+test('intersectRanges keeps the requested parts that are available', () => {
+  assert.deepStrictEqual(
+    intersectRanges([{ start: 0, end: 999 }], [{ start: 100, end: 199 }, { start: 500, end: 599 }]),
+    [{ start: 100, end: 199 }, { start: 500, end: 599 }]
+  );
+  assert.deepStrictEqual(intersectRanges([{ start: 0, end: 99 }], [{ start: 100, end: 199 }]), []);
+});
+
+test('checkPreconditions answers If-Match and If-Unmodified-Since with 412', () => {
+  const validators = { etag: ETAG, lastModified: LAST_MODIFIED };
+
+  assert.strictEqual(checkPreconditions(request({ 'if-match': ETAG }), validators), null);
+  assert.strictEqual(checkPreconditions(request({ 'if-match': '*' }), validators), null);
+  assert.strictEqual(checkPreconditions(request({ 'if-match': '"other"' }), validators), 412);
+  // If-Match uses the strong comparison
+  assert.strictEqual(checkPreconditions(request({ 'if-match': `W/${ETAG}` }), validators), 412);
+
+  assert.strictEqual(
+    checkPreconditions(request({ 'if-unmodified-since': 'Wed, 01 May 2024 12:00:00 GMT' }), validators),
+    null
+  );
+  assert.strictEqual(
+    checkPreconditions(request({ 'if-unmodified-since': 'Wed, 01 May 2024 11:59:59 GMT' }), validators),
+    412
+  );
+  // If-Match takes precedence over If-Unmodified-Since
+  assert.strictEqual(
+    checkPreconditions(request({ 'if-match': ETAG, 'if-unmodified-since': 'Wed, 01 May 2024 11:00:00 GMT' }), validators),
+    null
+  );
+});
+
+test('checkPreconditions answers If-None-Match and If-Modified-Since with 304', () => {
+  const validators = { etag: ETAG, lastModified: LAST_MODIFIED };
+
+  assert.strictEqual(checkPreconditions(request({ 'if-none-match': ETAG }), validators), 304);
+  // If-None-Match uses the weak comparison
+  assert.strictEqual(checkPreconditions(request({ 'if-none-match': `"x", W/${ETAG}` }), validators), 304);
+  assert.strictEqual(checkPreconditions(request({ 'if-none-match': '"other"' }), validators), null);
+
+  assert.strictEqual(
+    checkPreconditions(request({ 'if-modified-since': 'Wed, 01 May 2024 12:00:00 GMT' }), validators),
+    304
+  );
+  assert.strictEqual(
+    checkPreconditions(request({ 'if-modified-since': 'Wed, 01 May 2024 11:59:59 GMT' }), validators),
+    null
+  );
+  // If-None-Match takes precedence over If-Modified-Since
+  assert.strictEqual(
+    checkPreconditions(request({ 'if-none-match': '"other"', 'if-modified-since': 'Wed, 01 May 2024 12:00:00 GMT' }), validators),
+    null
+  );
+  assert.strictEqual(checkPreconditions(request({ 'if-modified-since': 'not a date' }), validators), null);
+});
+
+test('isRangeCurrent matches If-Range against the ETag or date', () => {
+  const validators = { etag: ETAG, lastModified: LAST_MODIFIED };
+
+  assert.strictEqual(isRangeCurrent(request({}), validators), true);
+  assert.strictEqual(isRangeCurrent(request({ 'if-range': ETAG }), validators), true);
+  assert.strictEqual(isRangeCurrent(request({ 'if-range': '"changed"' }), validators), false);
+  // Weak tags never match
+  assert.strictEqual(isRangeCurrent(request({ 'if-range': `W/${ETAG}` }), validators), false);
+  assert.strictEqual(isRangeCurrent(request({ 'if-range': 'Wed, 01 May 2024 12:00:00 GMT' }), validators), true);
+  assert.strictEqual(isRangeCurrent(request({ 'if-range': 'Wed, 01 May 2024 12:00:01 GMT' }), validators), false);
+  // Files that can still change have no validators, so nothing matches
+  assert.strictEqual(isRangeCurrent(request({ 'if-range': ETAG }), {}), false);
+});
+
+test('sendStoredFile sends the whole file, one range, or multipart byte ranges', async (t) => {
+  const dir = makeTempDir(t, 'hfs-range-');
+  const filePath = path.join(dir, 'file.txt');
+  const content = Buffer.from('0123456789abcdefghij');
+  fs.writeFileSync(filePath, content);
+  const options = { filePath, size: content.length, contentType: 'text/plain' };
+
+  const whole = await fetchFrom(t, (req, res) => sendStoredFile(req, res, { ...options, ranges: null }));
+  assert.strictEqual(whole.response.status, 200);
+  assert.deepStrictEqual(whole.body, content);
+
+  const single = await fetchFrom(t, (req, res) =>
+    sendStoredFile(req, res, { ...options, ranges: [{ start: 5, end: 9 }] }));
+  assert.strictEqual(single.response.status, 206);
+  assert.strictEqual(single.response.headers.get('content-range'), 'bytes 5-9/20');
+  assert.strictEqual(single.body.toString(), '56789');
+
+  const multi = await fetchFrom(t, (req, res) =>
+    sendStoredFile(req, res, { ...options, ranges: [{ start: 0, end: 1 }, { start: 18, end: 19 }] }));
+  assert.strictEqual(multi.response.status, 206);
+  const [, boundary] = /^multipart\/byteranges; boundary=(\w+)$/.exec(multi.response.headers.get('content-type'));
+  assert.strictEqual(Number(multi.response.headers.get('content-length')), multi.body.length);
+  assert.strictEqual(multi.body.toString(), [
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain',
+    'Content-Range: bytes 0-1/20',
+    '',
+    '01',
+    `--${boundary}`,
+    'Content-Type: text/plain',
+    'Content-Range: bytes 18-19/20',
+    '',
+    'ij',
+    `--${boundary}--`,
+    ''
+  ].join('\r\n'));
+});
+
+test('sendRangeNotSatisfiable sends 416 with the file size', async (t) => {
+  const { response } = await fetchFrom(t, (req, res) => sendRangeNotSatisfiable(res, 20));
+  assert.strictEqual(response.status, 416);
+  assert.strictEqual(response.headers.get('content-range'), 'bytes */20');
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { beginLoginAttempt, beginUnlockAttempt } = require('../backend/utils/loginThrottle');
+
+const LOCKOUT_DURATION = 15 * 60 * 1000;
+
+// Throttling state is module-wide, so every test uses its own addresses and names
+let nextId = 0;
+function uniqueIp() {
+  nextId++;
+  return `192.0.2.${nextId}`;
+}
+
+/**
+ * Fail `count` attempts in a row, waiting out the backoff before each
+ */
+function failAttempts(t, begin, count) {
+  for (let i = 0; i < count; i++) {
+    let attempt = begin();
+    if (!attempt.allowed) {
+      t.mock.timers.tick(attempt.retryAfter);
+      attempt = begin();
+    }
+    assert.ok(attempt.allowed);
+    attempt.fail();
+  }
+}
+
+test.beforeEach((t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 0, 1) });
+});
+
+test('the first failures are free, then each failure doubles the wait', (t) => {
+  const ip = uniqueIp();
+  failAttempts(t, () => beginLoginAttempt(ip, 'alice'), 3);
+
+  let attempt = beginLoginAttempt(ip, 'alice');
+  assert.strictEqual(attempt.allowed, false);
+  assert.strictEqual(attempt.retryAfter, 1000);
+  assert.strictEqual(attempt.locked, false);
+
+  t.mock.timers.tick(1000);
+  attempt = beginLoginAttempt(ip, 'alice');
+  assert.strictEqual(attempt.allowed, true);
+  attempt.fail();
+
+  assert.strictEqual(beginLoginAttempt(ip, 'alice').retryAfter, 2000);
+});
+
+test('too many failures lock the account out for a while', (t) => {
+  const ip = uniqueIp();
+  failAttempts(t, () => beginLoginAttempt(ip, 'bob'), 10);
+
+  // Other addresses are locked out of the account too
+  const attempt = beginLoginAttempt(uniqueIp(), 'BOB');
+  assert.strictEqual(attempt.allowed, false);
+  assert.strictEqual(attempt.locked, true);
+  assert.strictEqual(attempt.retryAfter, LOCKOUT_DURATION);
+
+  t.mock.timers.tick(LOCKOUT_DURATION);
+  assert.strictEqual(beginLoginAttempt(uniqueIp(), 'bob').allowed, true);
+});
+
+test('a successful login resets the account but not the address', (t) => {
+  const ip = uniqueIp();
+  failAttempts(t, () => beginLoginAttempt(ip, 'carol'), 3);
+  t.mock.timers.tick(1000);
+
+  beginLoginAttempt(ip, 'carol').succeed();
+
+  // The account starts over from another address...
+  failAttempts(t, () => beginLoginAttempt(uniqueIp(), 'carol'), 1);
+  assert.strictEqual(beginLoginAttempt(uniqueIp(), 'carol').allowed, true);
+  // ...while the address keeps its failures against other accounts
+  assert.strictEqual(beginLoginAttempt(ip, 'dave').allowed, false);
+});
+
+test('failures are forgotten once they are old enough', (t) => {
+  const ip = uniqueIp();
+  failAttempts(t, () => beginLoginAttempt(ip, 'erin'), 5);
+  assert.strictEqual(beginLoginAttempt(ip, 'erin').allowed, false);
+
+  t.mock.timers.tick(LOCKOUT_DURATION + 1);
+  failAttempts(t, () => beginLoginAttempt(ip, 'erin'), 2);
+  assert.strictEqual(beginLoginAttempt(ip, 'erin').allowed, true);
+});
+
+test('attempts in progress count against the backoff until they end', (t) => {
+  const ip = uniqueIp();
+  const attempts = [1, 2, 3].map(() => beginLoginAttempt(ip, 'frank'));
+  assert.ok(attempts.every(attempt => attempt.allowed));
+  assert.strictEqual(beginLoginAttempt(ip, 'frank').allowed, false);
+
+  // Released attempts don't count, and ending one again does nothing
+  attempts[0].release();
+  attempts[0].fail();
+  assert.strictEqual(beginLoginAttempt(ip, 'frank').allowed, true);
+});
+
+test('share password attempts are throttled per share and address', (t) => {
+  const ip = uniqueIp();
+  failAttempts(t, () => beginUnlockAttempt(ip, 'share-1'), 3);
+
+  assert.strictEqual(beginUnlockAttempt(ip, 'share-1').allowed, false);
+  assert.strictEqual(beginUnlockAttempt(ip, 'share-2').allowed, true);
+  assert.strictEqual(beginUnlockAttempt(uniqueIp(), 'share-1').allowed, true);
+  // Logins from the address aren't affected
+  assert.strictEqual(beginLoginAttempt(ip, 'grace').allowed, true);
+
+  // The right password clears the share's failures
+  t.mock.timers.tick(1000);
+  beginUnlockAttempt(ip, 'share-1').succeed();
+  failAttempts(t, () => beginUnlockAttempt(ip, 'share-1'), 2);
+  assert.strictEqual(beginUnlockAttempt(ip, 'share-1').allowed, true);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  findChrome,
+  makeTempDir,
+  buildFrontend,
+  startServer,
+  launchBrowser,
+  waitForDownload
+} = require('./helpers/browser');
+
+const CHROME_PATH = findChrome();
+const FILE_NAME = 'build.bin';
+const FILE_SIZE = 2 * 1024 * 1024; // 32 pieces
+const STEP_TIMEOUT = 60000;
+
+/**
+ * Wait for the only uploaded file to have all its pieces; returns its ID
+ */
+async function waitForUpload(url) {
+  const deadline = Date.now() + STEP_TIMEOUT;
+
+  while (Date.now() < deadline) {
+    const { files } = await (await fetch(`${url}/api/files`)).json();
+    if (files.length > 0) {
+      const info = await (await fetch(`${url}/api/download/${files[0].id}/info`)).json();
+      if (info.totalPieces > 0 && info.completePieces === info.totalPieces) {
+        return info.id;
+      }
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Upload did not finish in time');
+}
+
+/**
+ * Open a share link and start its in-browser (WebSocket) download
+ */
+async function startDownload(page, shareUrl) {
+  await page.goto(shareUrl);
+  const button = await page.waitForSelector('button[title^="Start progressive download"]');
+  await button.click();
+}
+
+test('browsers downloading the same file swap pieces over WebRTC', {
+  skip: !CHROME_PATH && 'no Chrome found (set CHROME_PATH)',
+  timeout: 5 * 60 * 1000
+}, async (t) => {
+  const publicDir = makeTempDir(t, 'hfs-public-');
+  await buildFrontend(publicDir);
+  const url = await startServer(t, { publicDir });
+
+  const filesDir = makeTempDir(t, 'hfs-files-');
+  const content = crypto.randomBytes(FILE_SIZE);
+  fs.writeFileSync(path.join(filesDir, FILE_NAME), content);
+
+  // The first browser uploads the file end-to-end encrypted (those are always downloaded
+  // in the browser rather than over HTTP), downloads it, and keeps serving it to peers
+  const seederDownloads = makeTempDir(t, 'hfs-seeder-');
+  const seeder = await launchBrowser(t, CHROME_PATH, seederDownloads);
+  await seeder.page.goto(url);
+  await seeder.page.click('label[title^="Encrypt in this browser"] input');
+  const [fileInput] = await seeder.page.$$('input.file-input');
+  await fileInput.uploadFile(path.join(filesDir, FILE_NAME));
+
+  const fileId = await waitForUpload(url);
+  const key = await seeder.page.evaluate(id => localStorage.getItem(`fileKey:${id}`), fileId);
+  const shareUrl = `${url}/share/${fileId}#key=${key}`;
+
+  await startDownload(seeder.page, shareUrl);
+  assert.ok((await waitForDownload(seederDownloads, FILE_NAME, FILE_SIZE, STEP_TIMEOUT)).equals(content));
+
+  // The second browser should get pieces from the first rather than the server
+  const leecherDownloads = makeTempDir(t, 'hfs-leecher-');
+  const leecher = await launchBrowser(t, CHROME_PATH, leecherDownloads);
+  const progress = [];
+  leecher.page.on('console', message => {
+    if (message.text().startsWith('Download progress:')) {
+      progress.push(message.args()[1].jsonValue().catch(() => null));
+    }
+  });
+
+  await startDownload(leecher.page, shareUrl);
+  const downloaded = await waitForDownload(leecherDownloads, FILE_NAME, FILE_SIZE, STEP_TIMEOUT);
+  const peerPieces = Math.max(0, ...(await Promise.all(progress)).map(status => status?.peerChunks || 0));
+
+  assert.ok(downloaded.equals(content), 'downloaded file matches the upload');
+  assert.ok(peerPieces > 0, 'some pieces came from the other browser');
+});
@@ -0,0 +1,217 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { makeTempDir } = require('./helpers/browser');
+
+const MODULE_PATH = require.resolve('../backend/utils/storageEncryption');
+const HEADER_SIZE = 77;
+const SEGMENT_SIZE = 64 * 1024;
+const SLOT_SIZE = SEGMENT_SIZE + 28;
+
+const KEY_A = crypto.randomBytes(32).toString('hex');
+const KEY_B = crypto.randomBytes(32).toString('base64');
+
+/**
+ * A fresh copy of the module with the given master keys (they are read when it loads)
+ */
+function loadWithKeys(keys) {
+  const previous = process.env.STORAGE_ENCRYPTION_KEY;
+  process.env.STORAGE_ENCRYPTION_KEY = keys;
+  delete require.cache[MODULE_PATH];
+  try {
+    return require(MODULE_PATH);
+  } finally {
+    delete require.cache[MODULE_PATH];
+    if (previous === undefined) delete process.env.STORAGE_ENCRYPTION_KEY;
+    else process.env.STORAGE_ENCRYPTION_KEY = previous;
+  }
+}
+
+const storage = loadWithKeys(KEY_A);
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function writeStored(filePath, content, { createStoredWriteStream } = storage) {
+  const output = createStoredWriteStream(filePath);
+  await new Promise((resolve, reject) => {
+    output.on('error', reject);
+    output.end(content, resolve);
+  });
+}
+
+async function readStored(filePath, { createStoredReadStream } = storage) {
+  return readAll(createStoredReadStream(filePath));
+}
+
+test('stored files are encrypted in segments and read back', async (t) => {
+  const filePath = path.join(makeTempDir(t, 'hfs-storage-'), 'file');
+  const content = crypto.randomBytes(2 * SEGMENT_SIZE + 1000);
+  await writeStored(filePath, content);
+
+  const stored = fs.readFileSync(filePath);
+  assert.strictEqual(stored.subarray(0, 4).toString(), 'HFSE');
+  assert.strictEqual(stored.length, HEADER_SIZE + 2 * SLOT_SIZE + 1000 + 28);
+  assert.strictEqual(stored.includes(content.subarray(0, 32)), false);
+
+  assert.strictEqual(await storage.getStoredFileSize(filePath), content.length);
+  assert.deepStrictEqual(await readStored(filePath), content);
+  assert.deepStrictEqual(
+    await readAll(storage.createStoredReadStream(filePath, { start: SEGMENT_SIZE - 10, end: SEGMENT_SIZE + 9 })),
+    content.subarray(SEGMENT_SIZE - 10, SEGMENT_SIZE + 10)
+  );
+});
+
+test('empty files hold an empty last segment', async (t) => {
+  const filePath = path.join(makeTempDir(t, 'hfs-storage-'), 'empty');
+  await (await storage.openStoredFile(filePath, 'w')).close();
+
+  assert.strictEqual(fs.statSync(filePath).size, HEADER_SIZE + 28);
+  assert.strictEqual(await storage.getStoredFileSize(filePath), 0);
+  assert.deepStrictEqual(await readStored(filePath), Buffer.alloc(0));
+});
+
+test('positional writes rewrite segments and fill gaps with zeros', async (t) => {
+  const filePath = path.join(makeTempDir(t, 'hfs-storage-'), 'pieces');
+  const piece = crypto.randomBytes(1000);
+
+  // Pieces may arrive out of order: the second one first, past the end of the file
+  const handle = await storage.openStoredFile(filePath, 'w+');
+  try {
+    await handle.write(piece, 0, piece.length, 3 * SEGMENT_SIZE);
+    await handle.write(piece, 0, piece.length, SEGMENT_SIZE - 500);
+  } finally {
+    await handle.close();
+  }
+
+  const expected = Buffer.alloc(3 * SEGMENT_SIZE + 1000);
+  piece.copy(expected, 3 * SEGMENT_SIZE);
+  piece.copy(expected, SEGMENT_SIZE - 500);
+  assert.deepStrictEqual(await readStored(filePath), expected);
+
+  const reader = await storage.openStoredFile(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(2000);
+    const { bytesRead } = await reader.read(buffer, 0, 2000, 3 * SEGMENT_SIZE);
+    assert.strictEqual(bytesRead, 1000);
+    assert.deepStrictEqual(buffer.subarray(0, 1000), piece);
+  } finally {
+    await reader.close();
+  }
+});
+
+test('tampered, swapped and zeroed segments fail authentication', async (t) => {
+  const dir = makeTempDir(t, 'hfs-storage-');
+  const filePath = path.join(dir, 'file');
+  await writeStored(filePath, crypto.randomBytes(3 * SEGMENT_SIZE));
+  const original = fs.readFileSync(filePath);
+  const slot = index => HEADER_SIZE + index * SLOT_SIZE;
+
+  const tampered = Buffer.from(original);
+  tampered[slot(1) + 100] ^= 1;
+  fs.writeFileSync(filePath, tampered);
+  await assert.rejects(readStored(filePath), /Segment 1 of .* failed authentication/);
+
+  const swapped = Buffer.from(original);
+  original.copy(swapped, slot(0), slot(1), slot(2));
+  original.copy(swapped, slot(1), slot(0), slot(1));
+  fs.writeFileSync(filePath, swapped);
+  await assert.rejects(readStored(filePath), /Segment 0 of .* failed authentication/);
+
+  const zeroed = Buffer.from(original);
+  zeroed.fill(0, slot(2), slot(3));
+  fs.writeFileSync(filePath, zeroed);
+  await assert.rejects(readStored(filePath), /Segment 2 of .* failed authentication/);
+
+  // The header's wrapped data key is authenticated too
+  const badHeader = Buffer.from(original);
+  badHeader[HEADER_SIZE - 1] ^= 1;
+  fs.writeFileSync(filePath, badHeader);
+  await assert.rejects(readStored(filePath));
+});
+
+test('truncated files are refused', async (t) => {
+  const filePath = path.join(makeTempDir(t, 'hfs-storage-'), 'file');
+  await writeStored(filePath, crypto.randomBytes(2 * SEGMENT_SIZE + 1000));
+  const original = fs.readFileSync(filePath);
+
+  // Cut at a segment boundary: the new last segment wasn't sealed as the last
+  fs.writeFileSync(filePath, original.subarray(0, HEADER_SIZE + 2 * SLOT_SIZE));
+  await assert.rejects(readStored(filePath), /Segment 1 of .* failed authentication/);
+
+  // Cut inside a segment: shorter than the last one's nonce and tag
+  fs.writeFileSync(filePath, original.subarray(0, HEADER_SIZE + 2 * SLOT_SIZE + 10));
+  await assert.rejects(storage.getStoredFileSize(filePath), /Encrypted file is truncated/);
+
+  // Cut through the last segment's ciphertext
+  fs.writeFileSync(filePath, original.subarray(0, original.length - 1));
+  await assert.rejects(readStored(filePath), /Segment 2 of .* failed authentication/);
+
+  // Nothing but the header
+  fs.writeFileSync(filePath, original.subarray(0, HEADER_SIZE));
+  await assert.rejects(storage.getStoredFileSize(filePath), /Encrypted file is truncated/);
+});
+
+test('files are refused without the master key they were stored with', async (t) => {
+  const filePath = path.join(makeTempDir(t, 'hfs-storage-'), 'file');
+  await writeStored(filePath, Buffer.from('secret'));
+
+  const other = loadWithKeys(KEY_B);
+  await assert.rejects(readStored(filePath, other), /No storage encryption key matches/);
+});
+
+test('rewrapStoredFile moves files to the current master key', async (t) => {
+  const dir = makeTempDir(t, 'hfs-storage-');
+  const filePath = path.join(dir, 'file');
+  const plainPath = path.join(dir, 'plain');
+  const content = crypto.randomBytes(SEGMENT_SIZE + 10);
+  await writeStored(filePath, content);
+  fs.writeFileSync(plainPath, 'stored before encryption');
+  const before = fs.readFileSync(filePath);
+
+  // After rotating, the previous key still reads the file
+  const rotated = loadWithKeys(`${KEY_B},${KEY_A}`);
+  assert.deepStrictEqual(await readStored(filePath, rotated), content);
+
+  assert.strictEqual(await rotated.rewrapStoredFile(filePath, { dryRun: true }), 'rewrapped');
+  assert.deepStrictEqual(fs.readFileSync(filePath), before);
+
+  assert.strictEqual(await rotated.rewrapStoredFile(filePath), 'rewrapped');
+  assert.strictEqual(await rotated.rewrapStoredFile(filePath), 'current');
+  assert.strictEqual(await rotated.rewrapStoredFile(plainPath), 'plaintext');
+
+  // Only the header changed, and the new key alone reads the file
+  const after = fs.readFileSync(filePath);
+  assert.deepStrictEqual(after.subarray(HEADER_SIZE), before.subarray(HEADER_SIZE));
+  assert.notDeepStrictEqual(after.subarray(0, HEADER_SIZE), before.subarray(0, HEADER_SIZE));
+  assert.deepStrictEqual(await readStored(filePath, loadWithKeys(KEY_B)), content);
+});
+
+test('plaintext files are read as they are and can be encrypted in place', async (t) => {
+  const filePath = path.join(makeTempDir(t, 'hfs-storage-'), 'plain');
+  const content = crypto.randomBytes(SEGMENT_SIZE + 5);
+  fs.writeFileSync(filePath, content);
+
+  assert.deepStrictEqual(await readStored(filePath), content);
+  assert.strictEqual(await storage.getStoredFileSize(filePath), content.length);
+
+  await storage.encryptStoredFile(filePath);
+  assert.strictEqual(fs.readFileSync(filePath).subarray(0, 4).toString(), 'HFSE');
+  assert.deepStrictEqual(await readStored(filePath), content);
+});
+
+test('without a master key new files are stored as plaintext', async (t) => {
+  const filePath = path.join(makeTempDir(t, 'hfs-storage-'), 'plain');
+  const plain = loadWithKeys('');
+  assert.strictEqual(plain.isStorageEncryptionEnabled(), false);
+
+  await writeStored(filePath, Buffer.from('not encrypted'), plain);
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'not encrypted');
+});
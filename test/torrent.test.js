@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The database module picks its directory when loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hfs-torrent-'));
+process.env.DATA_DIR = dataDir;
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const db = require('../backend/database');
+const bencode = require('../backend/utils/bencode');
+const { getTorrentMetadata, buildTorrentFile, buildMagnetUri } = require('../backend/utils/torrent');
+
+const BLOCK_SIZE = 16 * 1024;
+const PIECE_SIZE = 32 * 1024;
+
+function sha1(data) {
+  return crypto.createHash('sha1').update(data).digest();
+}
+
+function sha256(...buffers) {
+  const hash = crypto.createHash('sha256');
+  buffers.forEach(buffer => hash.update(buffer));
+  return hash.digest();
+}
+
+/**
+ * Merkle root of 16 KiB block hashes, padded with zero hashes to a power of two (BEP 52)
+ */
+function blockMerkleRoot(data, leafCount) {
+  let level = [];
+  for (let start = 0; start < data.length; start += BLOCK_SIZE) {
+    level.push(sha256(data.subarray(start, start + BLOCK_SIZE)));
+  }
+  while (level.length < leafCount) level.push(Buffer.alloc(32));
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) next.push(sha256(level[i], level[i + 1]));
+    level = next;
+  }
+  return level[0];
+}
+
+function nextPowerOfTwo(n) {
+  let power = 1;
+  while (power < n) power *= 2;
+  return power;
+}
+
+/**
+ * A stored file of `size` random bytes, as getTorrentMetadata expects it
+ */
+function makeFile(size, fields = {}) {
+  const id = crypto.randomUUID();
+  const filePath = path.join(dataDir, id);
+  const content = crypto.randomBytes(size);
+  fs.writeFileSync(filePath, content);
+  return {
+    file: {
+      id,
+      filename: `${id}.bin`,
+      original_filename: 'build.bin',
+      size,
+      piece_size: PIECE_SIZE,
+      file_path: filePath,
+      password_hash: null,
+      ...fields
+    },
+    content
+  };
+}
+
+/**
+ * The info dictionary the torrent of `content` should have, hashed independently
+ */
+function expectedInfo(content, { isPrivate = false } = {}) {
+  const pieces = [];
+  for (let offset = 0; offset < content.length; offset += PIECE_SIZE) {
+    pieces.push(sha1(content.subarray(offset, offset + PIECE_SIZE)));
+  }
+  const blocks = Math.ceil(content.length / BLOCK_SIZE);
+
+  return bencode.encode({
+    'file tree': {
+      'build.bin': {
+        '': {
+          length: content.length,
+          'pieces root': blockMerkleRoot(content, nextPowerOfTwo(blocks))
+        }
+      }
+    },
+    length: content.length,
+    'meta version': 2,
+    name: 'build.bin',
+    'piece length': PIECE_SIZE,
+    pieces: Buffer.concat(pieces),
+    private: isPrivate ? 1 : undefined
+  });
+}
+
+test.before(() => db.initialize());
+
+test('bencode encodes strings, integers, lists and dictionaries', () => {
+  assert.strictEqual(bencode.encode('spam').toString(), '4:spam');
+  // Lengths are in bytes
+  assert.strictEqual(bencode.encode('żółw').toString(), '7:żółw');
+  assert.deepStrictEqual(bencode.encode(Buffer.from([0, 255])), Buffer.from([0x32, 0x3a, 0, 255]));
+  assert.strictEqual(bencode.encode(42).toString(), 'i42e');
+  assert.strictEqual(bencode.encode(-3).toString(), 'i-3e');
+  assert.strictEqual(bencode.encode(0).toString(), 'i0e');
+  assert.strictEqual(bencode.encode(['spam', 1, []]).toString(), 'l4:spami1elee');
+  assert.strictEqual(bencode.encode({}).toString(), 'de');
+});
+
+test('bencode sorts dictionary keys by their bytes and drops undefined values', () => {
+  assert.strictEqual(
+    bencode.encode({ zoo: 1, a: 'x', B: 2, skip: undefined }).toString(),
+    'd1:Bi2e1:a1:x3:zooi1ee'
+  );
+  const binaryKeys = new Map([[Buffer.from([2]), 'b'], [Buffer.from([1]), 'a']]);
+  assert.strictEqual(bencode.encode(binaryKeys).toString('latin1'), 'd1:\x011:a1:\x021:be');
+});
+
+test('bencode embeds raw values as they are and rejects what it can\'t encode', () => {
+  assert.strictEqual(bencode.encode({ info: new bencode.Raw(Buffer.from('i1e')) }).toString(), 'd4:infoi1ee');
+  assert.throws(() => bencode.encode(1.5), /non-integer/);
+  assert.throws(() => bencode.encode(null), /Cannot bencode/);
+  assert.throws(() => bencode.encode(true), /Cannot bencode/);
+});
+
+test('torrents of files spanning several pieces have v1 and v2 hashes of their info', async () => {
+  // 7 blocks in 4 pieces, the last one short
+  const { file, content } = makeFile(100000);
+  const metadata = await getTorrentMetadata(file);
+
+  assert.deepStrictEqual(metadata.info, expectedInfo(content));
+  assert.strictEqual(metadata.infoHash, sha1(metadata.info).toString('hex'));
+  assert.strictEqual(metadata.infoHashV2, sha256(metadata.info).toString('hex'));
+
+  // The piece layer holds each piece's subtree root, the last one padded with zero leaves
+  const layer = [];
+  for (let offset = 0; offset < content.length; offset += PIECE_SIZE) {
+    layer.push(blockMerkleRoot(content.subarray(offset, offset + PIECE_SIZE), PIECE_SIZE / BLOCK_SIZE));
+  }
+  const piecesRoot = blockMerkleRoot(content, 8);
+  assert.deepStrictEqual(metadata.pieceLayers, bencode.encode(new Map([[piecesRoot, Buffer.concat(layer)]])));
+});
+
+test('torrents of files up to one piece long have no piece layer', async () => {
+  const { file, content } = makeFile(20000);
+  const metadata = await getTorrentMetadata(file);
+
+  assert.deepStrictEqual(metadata.info, expectedInfo(content));
+  assert.strictEqual(metadata.pieceLayers, null);
+  assert.strictEqual(metadata.infoHashV2, sha256(metadata.info).toString('hex'));
+});
+
+test('torrents of protected files are private and hash differently', async () => {
+  const { file, content } = makeFile(20000, { password_hash: 'scrypt$x$y' });
+  const metadata = await getTorrentMetadata(file);
+
+  assert.strictEqual(metadata.isPrivate, true);
+  assert.deepStrictEqual(metadata.info, expectedInfo(content, { isPrivate: true }));
+  assert.strictEqual(metadata.infoHash, sha1(metadata.info).toString('hex'));
+});
+
+test('stored torrents are found by their v1, v2 and truncated v2 info hash', async () => {
+  const { file } = makeFile(20000);
+  const metadata = await getTorrentMetadata(file);
+
+  for (const infoHash of [metadata.infoHash, metadata.infoHashV2, metadata.infoHashV2.slice(0, 40)]) {
+    const torrent = await db.getTorrentByInfoHash(infoHash);
+    assert.strictEqual(torrent && torrent.file_id, file.id, infoHash);
+  }
+  assert.strictEqual(await db.getTorrentByInfoHash(metadata.infoHashV2.slice(0, 38)), null);
+
+  // Once stored, the same metadata comes back without hashing the file again
+  fs.rmSync(file.file_path);
+  assert.deepStrictEqual((await getTorrentMetadata(file)).info, metadata.info);
+});
+
+test('torrent files and magnet links carry the info, tracker and web seeds', async () => {
+  const { file } = makeFile(20000);
+  const metadata = await getTorrentMetadata(file);
+  const options = {
+    announce: 'http://example.com/announce',
+    webSeeds: ['http://example.com/api/download/1?webSeed=1']
+  };
+
+  const torrent = buildTorrentFile(metadata, options);
+  assert.ok(torrent.includes(Buffer.concat([Buffer.from('4:info'), metadata.info])));
+  assert.ok(torrent.includes('8:announce27:http://example.com/announce'));
+  assert.ok(torrent.includes('8:url-listl43:http://example.com/api/download/1?webSeed=1e'));
+
+  const magnet = new URL(buildMagnetUri(metadata, file, options));
+  assert.deepStrictEqual(magnet.searchParams.getAll('xt'), [
+    `urn:btih:${metadata.infoHash}`,
+    `urn:btmh:1220${metadata.infoHashV2}`
+  ]);
+  assert.strictEqual(magnet.searchParams.get('dn'), 'build.bin');
+  assert.strictEqual(magnet.searchParams.get('xl'), '20000');
+  assert.strictEqual(magnet.searchParams.get('tr'), options.announce);
+  assert.deepStrictEqual(magnet.searchParams.getAll('ws'), options.webSeeds);
+});
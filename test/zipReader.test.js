@@ -0,0 +1,236 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const zlib = require('zlib');
+const { makeTempDir } = require('./helpers/browser');
+const { readZipEntries, createEntryReadStream } = require('../backend/utils/zipReader');
+const { streamZip } = require('../backend/utils/zip');
+
+// 2024-05-01 12:30:10 in DOS format (local time)
+const DOS_DATE = ((2024 - 1980) << 9) | (5 << 5) | 1;
+const DOS_TIME = (12 << 11) | (30 << 5) | 5;
+
+/**
+ * Build a zip archive in memory
+ * Entries are { name (string or Buffer), data, deflate, flags, crc32 }; crc32 overrides the
+ * real checksum. With zip64, sizes and offsets are only given in Zip64 records.
+ */
+function buildZip(entries, { zip64 = false } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.isBuffer(entry.name) ? entry.name : Buffer.from(entry.name);
+    const data = entry.data || Buffer.alloc(0);
+    const stored = entry.deflate ? zlib.deflateRawSync(data) : data;
+    const crc32 = entry.crc32 ?? zlib.crc32(data);
+    const flags = entry.flags ?? 0x800;
+    const method = entry.deflate ? 8 : 0;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(DOS_TIME, 10);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc32, 14);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, stored);
+
+    let extra = Buffer.alloc(0);
+    if (zip64) {
+      extra = Buffer.alloc(28);
+      extra.writeUInt16LE(0x0001, 0);
+      extra.writeUInt16LE(24, 2);
+      extra.writeBigUInt64LE(BigInt(data.length), 4);
+      extra.writeBigUInt64LE(BigInt(stored.length), 12);
+      extra.writeBigUInt64LE(BigInt(offset), 20);
+    }
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(zip64 ? 45 : 20, 4);
+    central.writeUInt16LE(zip64 ? 45 : 20, 6);
+    central.writeUInt16LE(flags, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(DOS_TIME, 12);
+    central.writeUInt16LE(DOS_DATE, 14);
+    central.writeUInt32LE(crc32, 16);
+    central.writeUInt32LE(zip64 ? 0xffffffff : stored.length, 20);
+    central.writeUInt32LE(zip64 ? 0xffffffff : data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt16LE(extra.length, 30);
+    central.writeUInt32LE(zip64 ? 0xffffffff : offset, 42);
+    centrals.push(central, name, extra);
+
+    offset += local.length + name.length + stored.length;
+  }
+
+  const centralDirectory = Buffer.concat(centrals);
+  const records = [];
+
+  if (zip64) {
+    const record = Buffer.alloc(56);
+    record.writeUInt32LE(0x06064b50, 0);
+    record.writeBigUInt64LE(44n, 4);
+    record.writeUInt16LE(45, 12);
+    record.writeUInt16LE(45, 14);
+    record.writeBigUInt64LE(BigInt(entries.length), 24);
+    record.writeBigUInt64LE(BigInt(entries.length), 32);
+    record.writeBigUInt64LE(BigInt(centralDirectory.length), 40);
+    record.writeBigUInt64LE(BigInt(offset), 48);
+
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(offset + centralDirectory.length), 8);
+    locator.writeUInt32LE(1, 16);
+    records.push(record, locator);
+  }
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(zip64 ? 0xffff : entries.length, 8);
+  end.writeUInt16LE(zip64 ? 0xffff : entries.length, 10);
+  end.writeUInt32LE(zip64 ? 0xffffffff : centralDirectory.length, 12);
+  end.writeUInt32LE(zip64 ? 0xffffffff : offset, 16);
+
+  return Buffer.concat([...locals, centralDirectory, ...records, end]);
+}
+
+function writeZip(t, contents) {
+  const filePath = path.join(makeTempDir(t, 'hfs-zip-'), 'archive.zip');
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+}
+
+async function readEntry(filePath, entry) {
+  const chunks = [];
+  for await (const chunk of createEntryReadStream(filePath, entry)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+test('readZipEntries lists the central directory', async (t) => {
+  const text = Buffer.from('hello zip');
+  const filePath = writeZip(t, buildZip([
+    { name: 'docs/', flags: 0x800 },
+    { name: 'docs/readme.txt', data: text },
+    { name: 'zażółć.txt', data: text, deflate: true }
+  ]));
+
+  const entries = await readZipEntries(filePath);
+  assert.deepStrictEqual(entries.map(entry => [entry.path, entry.isDirectory, entry.method, entry.size]), [
+    ['docs', true, 0, 0],
+    ['docs/readme.txt', false, 0, text.length],
+    ['zażółć.txt', false, 8, text.length]
+  ]);
+  assert.strictEqual(entries[1].crc32, zlib.crc32(text));
+  assert.strictEqual(entries[1].supported, true);
+  assert.deepStrictEqual(entries[1].date, new Date(2024, 4, 1, 12, 30, 10));
+});
+
+test('readZipEntries decodes unflagged names and leaves out names outside the root', async (t) => {
+  const filePath = writeZip(t, buildZip([
+    { name: 'unflagged-ü.txt', flags: 0 },
+    { name: Buffer.from('latin1-\xe9.txt', 'latin1'), flags: 0 },
+    { name: '../escape.txt' },
+    { name: '/' },
+    { name: 'dir/../../escape.txt' },
+    { name: 'secret.txt', flags: 0x801 }
+  ]));
+
+  const entries = await readZipEntries(filePath);
+  assert.deepStrictEqual(entries.map(entry => entry.path), ['unflagged-ü.txt', 'latin1-é.txt', 'secret.txt']);
+  assert.strictEqual(entries[2].encrypted, true);
+  assert.strictEqual(entries[2].supported, false);
+  assert.throws(() => createEntryReadStream(filePath, entries[2]), /encrypted or uses an unsupported/);
+});
+
+test('readZipEntries reads sizes and offsets from Zip64 records', async (t) => {
+  const data = crypto.randomBytes(5000);
+  const filePath = writeZip(t, buildZip([
+    { name: 'a.bin', data },
+    { name: 'b.bin', data, deflate: true }
+  ], { zip64: true }));
+
+  const entries = await readZipEntries(filePath);
+  assert.deepStrictEqual(entries.map(entry => [entry.path, entry.size]), [['a.bin', 5000], ['b.bin', 5000]]);
+  assert.ok(entries[1].localHeaderOffset > 5000);
+  assert.deepStrictEqual(await readEntry(filePath, entries[0]), data);
+  assert.deepStrictEqual(await readEntry(filePath, entries[1]), data);
+});
+
+test('readZipEntries returns null for files that aren\'t zip archives', async (t) => {
+  assert.strictEqual(await readZipEntries(writeZip(t, crypto.randomBytes(1000))), null);
+  assert.strictEqual(await readZipEntries(writeZip(t, Buffer.alloc(0))), null);
+});
+
+test('readZipEntries rejects damaged central directories', async (t) => {
+  const zip = buildZip([{ name: 'a.txt', data: Buffer.from('a') }]);
+
+  // The entry count says there is a second entry
+  const extraEntry = Buffer.from(zip);
+  extraEntry.writeUInt16LE(2, extraEntry.length - 12);
+  await assert.rejects(readZipEntries(writeZip(t, extraEntry)), /truncated/);
+
+  // The central directory offset points past the end
+  const pastEnd = Buffer.from(zip);
+  pastEnd.writeUInt32LE(zip.length, pastEnd.length - 6);
+  await assert.rejects(readZipEntries(writeZip(t, pastEnd)), /past the end/);
+});
+
+test('createEntryReadStream checks the contents against the CRC-32', async (t) => {
+  const data = Buffer.from('checked contents');
+  const filePath = writeZip(t, buildZip([
+    { name: 'good.txt', data, deflate: true },
+    { name: 'bad-crc.txt', data, crc32: zlib.crc32(data) ^ 1 },
+    { name: 'bad-deflated.txt', data, deflate: true, crc32: 0 }
+  ]));
+
+  const [good, badCrc, badDeflated] = await readZipEntries(filePath);
+  assert.deepStrictEqual(await readEntry(filePath, good), data);
+  await assert.rejects(readEntry(filePath, badCrc), /bad-crc\.txt is corrupt/);
+  await assert.rejects(readEntry(filePath, badDeflated), /bad-deflated\.txt is corrupt/);
+});
+
+test('createEntryReadStream notices a wrong local header', async (t) => {
+  const zip = buildZip([{ name: 'a.txt', data: Buffer.from('a') }]);
+  zip.writeUInt32LE(0, 0);
+  const filePath = writeZip(t, zip);
+
+  const [entry] = await readZipEntries(filePath);
+  await assert.rejects(readEntry(filePath, entry), /has no local header/);
+});
+
+test('archives written by streamZip read back entry for entry', async (t) => {
+  const dir = makeTempDir(t, 'hfs-zip-');
+  const filePath = path.join(dir, 'streamed.zip');
+  const files = [
+    { name: 'one.bin', data: crypto.randomBytes(70000) },
+    { name: 'folder/two.txt', data: Buffer.from('two') },
+    { name: 'one.bin', data: Buffer.from('same name') }
+  ];
+
+  const output = fs.createWriteStream(filePath);
+  const closed = new Promise(resolve => output.once('close', resolve));
+  await streamZip(files.map(file => ({
+    source: Readable.from([file.data]),
+    name: file.name,
+    date: new Date(2024, 4, 1, 12, 30, 10)
+  })), output);
+  await closed;
+
+  const entries = await readZipEntries(filePath);
+  assert.deepStrictEqual(entries.map(entry => entry.path), ['one.bin', 'folder/two.txt', 'one (1).bin']);
+  for (const [i, entry] of entries.entries()) {
+    assert.deepStrictEqual(await readEntry(filePath, entry), files[i].data);
+  }
+});